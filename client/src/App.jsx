@@ -1,4 +1,4 @@
-import React, { useState, useEffect, createContext, useContext } from 'react';
+import React, { useState, useEffect, useRef, createContext, useContext } from 'react';
 import {
   BrowserRouter,
   Routes,
@@ -7,6 +7,7 @@ import {
   useNavigate,
   Navigate,
   useParams,
+  useSearchParams,
 } from 'react-router-dom';
 import axios from 'axios';
 import { jwtDecode } from 'jwt-decode';
@@ -24,6 +25,86 @@ api.interceptors.request.use((config) => {
   return config;
 });
 
+// Access tokens expire after a few minutes. A request refused with
+// TOKEN_EXPIRED is retried once after trading the refresh token for a new
+// pair; concurrent failures share one refresh, as a refresh token only works once.
+let refreshing = null;
+// Set by AuthProvider: signs the user out when the session can't be renewed
+let sessionEndHandler = () => {};
+
+const refreshTokens = () => {
+  if (!refreshing) {
+    refreshing = api.post('/auth/refresh', { refreshToken: localStorage.getItem('refreshToken') })
+      .then((res) => {
+        localStorage.setItem('token', res.data.token);
+        localStorage.setItem('refreshToken', res.data.refreshToken);
+      })
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
+};
+
+api.interceptors.response.use(undefined, async (error) => {
+  const { config, response } = error;
+  const code = response?.data?.code;
+  if (code === 'TOKEN_EXPIRED' && !config.retried && localStorage.getItem('refreshToken')) {
+    config.retried = true;
+    try {
+      // Another tab may have refreshed already
+      if (config.headers.Authorization === `Bearer ${localStorage.getItem('token')}`) await refreshTokens();
+    } catch (refreshError) {
+      console.error('Failed to refresh the session', refreshError);
+      sessionEndHandler();
+      throw error;
+    }
+    return api(config);
+  }
+  if (code === 'SESSION_ENDED') sessionEndHandler();
+  throw error;
+});
+
+// Error responses carry { code, message, errors }; fall back to the network error
+const getErrorMessage = (error) => error.response?.data?.message || error.message;
+
+// --- Live Updates ---
+// Subscribes to the server's event stream while the component is mounted and
+// passes each `record` and `schema` event to the latest handler. EventSource
+// can't send headers, so the token goes in the query string.
+const useLiveEvents = (onEvent) => {
+  const handler = useRef(onEvent);
+  handler.current = onEvent;
+
+  useEffect(() => {
+    let source = null;
+    let stopped = false;
+    const listener = (e) => handler.current(e.type, JSON.parse(e.data));
+
+    const open = () => {
+      const token = localStorage.getItem('token');
+      if (stopped || !token) return;
+      source = new EventSource(`${api.defaults.baseURL || ''}/api/events?token=${encodeURIComponent(token)}`);
+      source.addEventListener('record', listener);
+      source.addEventListener('schema', listener);
+      // EventSource gives up when the server refuses an expired token: renew
+      // it (any API request does) and reconnect with the new one
+      source.onerror = () => {
+        if (source.readyState !== EventSource.CLOSED) return;
+        api.get('/auth/me')
+          .then(() => localStorage.getItem('token') !== token && open())
+          .catch((error) => console.error('Live updates stopped', error));
+      };
+    };
+
+    open();
+    return () => {
+      stopped = true;
+      source?.close();
+    };
+  }, []);
+};
+
 // --- Auth Context ---
 const AuthContext = createContext();
 
@@ -37,6 +118,10 @@ const AuthProvider = ({ children }) => {
       try {
         const decodedUser = jwtDecode(token);
         setUser(decodedUser);
+        // The token's role is from login time; the server knows the current one
+        api.get('/auth/me')
+          .then((res) => setUser((current) => current && { ...current, ...res.data }))
+          .catch((error) => console.error('Failed to refresh the user', error));
       } catch (error) {
         console.error('Invalid token');
         localStorage.removeItem('token');
@@ -45,13 +130,24 @@ const AuthProvider = ({ children }) => {
     setLoading(false);
   }, []);
 
+  const clearSession = () => {
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+    setUser(null);
+  };
+
+  useEffect(() => {
+    sessionEndHandler = clearSession;
+  }, []);
+
   
   const login = async (username, password) => {
   try { // Add a try/catch here for debugging
     const res = await api.post('/auth/login', { username, password });
-    const { token } = res.data;
+    const { token, refreshToken } = res.data;
     console.log('Login success, got token:', token); // <-- ADD THIS
     localStorage.setItem('token', token);
+    localStorage.setItem('refreshToken', refreshToken);
     
     const decodedUser = jwtDecode(token); 
     console.log('Decoded user:', decodedUser); // <-- ADD THIS
@@ -63,17 +159,29 @@ const AuthProvider = ({ children }) => {
   }
 };
 
-  const signup = async (username, password, role) => {
-    await api.post('/auth/signup', { username, password, role });
+  // Resolves to the new user; its status is 'pending' until an admin approves it
+  const signup = async (username, password, invitation) => {
+    const res = await api.post('/auth/signup', { username, password, ...(invitation && { invitation }) });
+    return res.data;
   };
 
+  // Ends the session on the server too, so the tokens stop working
   const logout = () => {
-    localStorage.removeItem('token');
-    setUser(null);
+    const refreshToken = localStorage.getItem('refreshToken');
+    clearSession();
+    if (refreshToken) {
+      api.post('/auth/logout', { refreshToken }).catch((error) => console.error('Failed to end the session', error));
+    }
+  };
+
+  // Ends every session of the user, on all devices
+  const logoutAll = async () => {
+    await api.post('/auth/logout-all');
+    clearSession();
   };
 
   return (
-    <AuthContext.Provider value={{ user, login, signup, logout, loading }}>
+    <AuthContext.Provider value={{ user, login, signup, logout, logoutAll, loading }}>
       {children}
     </AuthContext.Provider>
   );
@@ -92,6 +200,99 @@ const ProtectedRoute = ({ children, adminOnly = false }) => {
   return children;
 };
 
+// --- Search Box ---
+// How long typing has to pause before the search box asks the server
+const SEARCH_DELAY_MS = 300;
+
+// Link to a model's data page, searched for `q` and marking one record
+const searchLink = (model, q, recordId) => (
+  `/data/${model}?q=${encodeURIComponent(q)}${recordId ? `&record=${recordId}` : ''}`
+);
+
+// A search highlight's text with the matching parts marked
+const Highlighted = ({ text, matches }) => {
+  const parts = [];
+  let at = 0;
+  for (const [start, end] of matches) {
+    parts.push(text.slice(at, start), <mark key={start}>{text.slice(start, end)}</mark>);
+    at = end;
+  }
+  parts.push(text.slice(at));
+  return <>{parts}</>;
+};
+
+// Searches the searchable fields of every model the user can read and lists
+// the hits by model, each linking to its record on the model's data page
+const SearchBox = () => {
+  const [text, setText] = useState('');
+  const [results, setResults] = useState(null);
+  const [error, setError] = useState('');
+  const q = text.trim();
+
+  useEffect(() => {
+    if (q === '') return undefined;
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const res = await api.get('/api/search', { params: { q } });
+        if (cancelled) return;
+        setResults(res.data);
+        setError('');
+      } catch (err) {
+        if (!cancelled) setError(getErrorMessage(err));
+      }
+    }, SEARCH_DELAY_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [q]);
+
+  const close = () => setText('');
+  // Results of an earlier text stay up until the current one's arrive
+  const groups = results?.results;
+
+  return (
+    <div className="nav-search">
+      <input
+        type="search"
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        onKeyDown={(e) => e.key === 'Escape' && close()}
+        placeholder="Search records..."
+      />
+      {q && (groups || error) && (
+        <div className="nav-search-results">
+          {error && <p style={{ color: 'red' }}>{error}</p>}
+          {!error && groups.length === 0 && <p>No records match "{results.q}".</p>}
+          {!error && groups.map((group) => (
+            <div key={group.model}>
+              <h4>{group.model}</h4>
+              <ul>
+                {group.hits.map((hit) => (
+                  <li key={hit.id}>
+                    <Link to={searchLink(group.model, results.q, hit.id)} onClick={close}>{hit.label}</Link>
+                    {hit.highlights.map((h) => (
+                      <div key={h.field}>
+                        <small>{h.field}: <Highlighted text={h.text} matches={h.matches} /></small>
+                      </div>
+                    ))}
+                  </li>
+                ))}
+              </ul>
+              {group.total > group.hits.length && (
+                <Link to={searchLink(group.model, results.q)} onClick={close}>
+                  All {group.total} matches
+                </Link>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
 // --- App Layout ---
 const AppLayout = () => {
   const { user, logout } = useAuth();
@@ -107,12 +308,29 @@ const AppLayout = () => {
       <nav>
         <Link to="/">Dashboard</Link>
         {user?.role === 'Admin' && <Link to="/build">Model Builder</Link>}
+        {user?.role === 'Admin' && <Link to="/webhooks">Webhooks</Link>}
+        {user?.role === 'Admin' && <Link to="/roles">Roles</Link>}
+        {user?.role === 'Admin' && <Link to="/users">Users</Link>}
+        {user?.role === 'Admin' && <Link to="/service-accounts">Service Accounts</Link>}
+        {user && <Link to="/account">Account</Link>}
+        {user && <a href={`${import.meta.env.VITE_REACT_APP_API_URL || ''}/api/docs`} target="_blank" rel="noreferrer">API Docs</a>}
+        {user && <SearchBox />}
         {user && <button onClick={handleLogout}>Logout ({user.username} - {user.role})</button>}
       </nav>
       <div className="container">
         <Routes>
           <Route path="/login" element={<LoginPage />} />
           <Route path="/signup" element={<SignupPage />} />
+          <Route path="/setup" element={<SetupPage />} />
+          <Route path="/reset-password" element={<ResetPasswordPage />} />
+          <Route
+            path="/account"
+            element={
+              <ProtectedRoute>
+                <AccountPage />
+              </ProtectedRoute>
+            }
+          />
           <Route
             path="/"
             element={
@@ -129,6 +347,46 @@ const AppLayout = () => {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/build/:modelName"
+            element={
+              <ProtectedRoute adminOnly={true}>
+                <ModelBuilderPage key="edit" />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/webhooks"
+            element={
+              <ProtectedRoute adminOnly={true}>
+                <WebhooksPage />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/roles"
+            element={
+              <ProtectedRoute adminOnly={true}>
+                <RolesPage />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/users"
+            element={
+              <ProtectedRoute adminOnly={true}>
+                <UsersPage />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/service-accounts"
+            element={
+              <ProtectedRoute adminOnly={true}>
+                <ServiceAccountsPage />
+              </ProtectedRoute>
+            }
+          />
           <Route
             path="/data/:modelName"
             element={
@@ -151,6 +409,13 @@ const LoginPage = () => {
   const { login } = useAuth();
   const navigate = useNavigate();
 
+  // A fresh install has no admin yet: create one first
+  useEffect(() => {
+    api.get('/auth/setup')
+      .then((res) => res.data.needed && navigate('/setup'))
+      .catch((err) => console.error('Failed to check the setup', err));
+  }, [navigate]);
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
@@ -158,7 +423,7 @@ const LoginPage = () => {
       await login(username, password);
       navigate('/');
     } catch (err) {
-      setError('Invalid username or password.');
+      setError(getErrorMessage(err));
     }
   };
 
@@ -194,29 +459,63 @@ const LoginPage = () => {
   );
 };
 
+// Public signup creates Viewers (pending approval unless the server's
+// SIGNUP_MODE is 'open'); an invitation link (?invite=) carries the role
 const SignupPage = () => {
   const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
-  const [role, setRole] = useState('Viewer');
+  const [searchParams] = useSearchParams();
+  const invitation = searchParams.get('invite');
+  // { role, expiresAt } of the invitation, or null
+  const [invited, setInvited] = useState(null);
+  const [signupMode, setSignupMode] = useState(null);
   const [error, setError] = useState('');
   const { signup } = useAuth();
   const navigate = useNavigate();
 
+  useEffect(() => {
+    if (invitation) {
+      api.get(`/auth/invitations/${encodeURIComponent(invitation)}`)
+        .then((res) => setInvited(res.data))
+        .catch((err) => setError(getErrorMessage(err)));
+    } else {
+      api.get('/auth/setup')
+        .then((res) => setSignupMode(res.data.signupMode))
+        .catch((err) => console.error('Failed to fetch the signup mode', err));
+    }
+  }, [invitation]);
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
     try {
-      await signup(username, password, role);
+      const user = await signup(username, password, invitation);
       navigate('/login');
-      alert('Signup successful! Please log in.');
+      alert(user.status === 'pending'
+        ? 'Signup successful! An administrator needs to approve your account before you can log in.'
+        : 'Signup successful! Please log in.');
     } catch (err) {
-      setError('Failed to sign up. Username might be taken.');
+      setError(`Failed to sign up. ${getErrorMessage(err)}`);
     }
   };
 
+  if (!invitation && signupMode === 'closed') {
+    return (
+      <div className="container page-login">
+        <h2>Sign Up</h2>
+        <p>Signing up requires an invitation. Ask an administrator for an invitation link.</p>
+        <p>
+          Already have an account? <Link to="/login">Login</Link>
+        </p>
+      </div>
+    );
+  }
+
   return (
     <div className="container page-login">
       <h2>Sign Up</h2>
+      {invited && <p>You were invited as <strong>{invited.role}</strong>.</p>}
+      {signupMode === 'approval' && <p>New accounts can log in once an administrator approves them.</p>}
       <form onSubmit={handleSubmit} className="form-grid">
         <div className="form-group">
           <label>Username</label>
@@ -236,14 +535,6 @@ const SignupPage = () => {
             required
           />
         </div>
-        <div className="form-group">
-          <label>Role</label>
-          <select value={role} onChange={(e) => setRole(e.target.value)}>
-            <option value="Viewer">Viewer</option>
-            <option value="Manager">Manager</option>
-            <option value="Admin">Admin</option>
-          </select>
-        </div>
         {error && <p style={{ color: 'red' }}>{error}</p>}
         <button type="submit">Sign Up</button>
         <p>
@@ -254,21 +545,210 @@ const SignupPage = () => {
   );
 };
 
+// First-run setup: creates the first admin and logs in as them. The server
+// refuses once an admin exists.
+const SetupPage = () => {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const { login } = useAuth();
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    api.get('/auth/setup')
+      .then((res) => !res.data.needed && navigate('/login'))
+      .catch((err) => console.error('Failed to check the setup', err));
+  }, [navigate]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    try {
+      await api.post('/auth/setup', { username, password });
+      await login(username, password);
+      navigate('/');
+    } catch (err) {
+      setError(getErrorMessage(err));
+    }
+  };
+
+  return (
+    <div className="container page-login">
+      <h2>Set Up</h2>
+      <p>Create the first administrator account.</p>
+      <form onSubmit={handleSubmit} className="form-grid">
+        <div className="form-group">
+          <label>Username</label>
+          <input
+            type="text"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            required
+          />
+        </div>
+        <div className="form-group">
+          <label>Password</label>
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            required
+          />
+        </div>
+        {error && <p style={{ color: 'red' }}>{error}</p>}
+        <button type="submit">Create Admin</button>
+      </form>
+    </div>
+  );
+};
+
+// Sets a new password with the reset link an admin issued (?token=)
+const ResetPasswordPage = () => {
+  const [searchParams] = useSearchParams();
+  const [password, setPassword] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [error, setError] = useState('');
+  const navigate = useNavigate();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    if (password !== confirmation) return setError('The passwords don\'t match.');
+    try {
+      await api.post('/auth/reset-password', { token: searchParams.get('token'), password });
+      navigate('/login');
+      alert('Password changed! Please log in.');
+    } catch (err) {
+      setError(getErrorMessage(err));
+    }
+  };
+
+  return (
+    <div className="container page-login">
+      <h2>Reset Password</h2>
+      <form onSubmit={handleSubmit} className="form-grid">
+        <div className="form-group">
+          <label>New Password</label>
+          <input type="password" value={password} onChange={(e) => setPassword(e.target.value)} required />
+        </div>
+        <div className="form-group">
+          <label>Repeat New Password</label>
+          <input type="password" value={confirmation} onChange={(e) => setConfirmation(e.target.value)} required />
+        </div>
+        {error && <p style={{ color: 'red' }}>{error}</p>}
+        <button type="submit">Set Password</button>
+      </form>
+    </div>
+  );
+};
+
+const EMPTY_PASSWORD_CHANGE = { currentPassword: '', newPassword: '', confirmation: '' };
+
+// Password change and "log out everywhere" for the signed-in user
+const AccountPage = () => {
+  const { user, logoutAll } = useAuth();
+  const [form, setForm] = useState(EMPTY_PASSWORD_CHANGE);
+  const [errors, setErrors] = useState({});
+  const [message, setMessage] = useState('');
+  const navigate = useNavigate();
+
+  const handleChange = (e) => setForm({ ...form, [e.target.name]: e.target.value });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setMessage('');
+    if (form.newPassword !== form.confirmation) return setErrors({ confirmation: 'The passwords don\'t match.' });
+    try {
+      await api.put('/auth/password', { currentPassword: form.currentPassword, newPassword: form.newPassword });
+      setForm(EMPTY_PASSWORD_CHANGE);
+      setErrors({});
+      setMessage('Password changed. Your other sessions have been logged out.');
+    } catch (error) {
+      setErrors(error.response?.data?.errors || {});
+      if (!error.response?.data?.errors) alert(`Error: ${getErrorMessage(error)}`);
+    }
+  };
+
+  const handleLogoutAll = async () => {
+    if (!window.confirm('Log out on every device, including this one?')) return;
+    try {
+      await logoutAll();
+      navigate('/login');
+    } catch (error) {
+      alert(`Error: ${getErrorMessage(error)}`);
+    }
+  };
+
+  return (
+    <div>
+      <h2>Account</h2>
+      <p>Signed in as <strong>{user.username}</strong> ({user.role}).</p>
+
+      <h3>Change Password</h3>
+      <form onSubmit={handleSubmit} className="form-grid">
+        <div className="form-group">
+          <label>Current Password</label>
+          <input type="password" name="currentPassword" value={form.currentPassword} onChange={handleChange} required />
+          {errors.currentPassword && <small style={{ color: 'red' }}>{errors.currentPassword}</small>}
+        </div>
+        <div className="form-group">
+          <label>New Password</label>
+          <input type="password" name="newPassword" value={form.newPassword} onChange={handleChange} required />
+          {errors.newPassword && <small style={{ color: 'red' }}>{errors.newPassword}</small>}
+        </div>
+        <div className="form-group">
+          <label>Repeat New Password</label>
+          <input type="password" name="confirmation" value={form.confirmation} onChange={handleChange} required />
+          {errors.confirmation && <small style={{ color: 'red' }}>{errors.confirmation}</small>}
+        </div>
+        {message && <p style={{ color: 'green' }}>{message}</p>}
+        <button type="submit">Change Password</button>
+      </form>
+
+      <h3>Sessions</h3>
+      <p>Logging out everywhere ends your sessions on every device and browser.</p>
+      <button className="danger" onClick={handleLogoutAll}>Log Out Everywhere</button>
+    </div>
+  );
+};
+
 const DashboardPage = () => {
   const [models, setModels] = useState([]);
+  const { user } = useAuth();
+
+  const fetchModels = async () => {
+    try {
+      const res = await api.get('/api/models');
+      setModels(res.data);
+    } catch (error) {
+      console.error('Failed to fetch models', error);
+    }
+  };
 
   useEffect(() => {
-    const fetchModels = async () => {
-      try {
-        const res = await api.get('/api/models');
-        setModels(res.data);
-      } catch (error) {
-        console.error('Failed to fetch models', error);
-      }
-    };
     fetchModels();
   }, []);
 
+  // Models published or deleted by another admin show up right away
+  useLiveEvents((type) => {
+    if (type === 'schema') fetchModels();
+  });
+
+  const handleDeleteModel = async (modelName) => {
+    if (!window.confirm(`Delete model "${modelName}" and its API routes?`)) return;
+    const table = window.prompt(
+      'What should happen to its table? Type "keep", "archive" or "drop".',
+      'keep'
+    );
+    if (!table) return;
+    try {
+      await api.delete(`/api/models/${modelName}`, { params: { table } });
+      fetchModels();
+    } catch (error) {
+      alert(`Error: ${getErrorMessage(error)}`);
+    }
+  };
+
   return (
     <div>
       <h2>Dashboard</h2>
@@ -279,6 +759,14 @@ const DashboardPage = () => {
           {models.map((model) => (
             <li key={model.name}>
               <Link to={`/data/${model.name}`}>{model.name}</Link>
+              {user?.role === 'Admin' && (
+                <>
+                  {' '}
+                  <Link to={`/build/${model.name}`}>Edit</Link>
+                  {' '}
+                  <button className="danger" onClick={() => handleDeleteModel(model.name)}>Delete</button>
+                </>
+              )}
             </li>
           ))}
         </ul>
@@ -287,28 +775,220 @@ const DashboardPage = () => {
   );
 };
 
-// --- Model Builder Page (Admin) ---
-const ModelBuilderPage = () => {
-  const [modelName, setModelName] = useState('');
-  const [fields, setFields] = useState([
-    { name: '', type: 'string', required: false },
-  ]);
-  const [rbac, setRbac] = useState({
-    Admin: ['all'],
-    Manager: ['read', 'create', 'update'],
-    Viewer: ['read'],
-  });
+// --- Relation helpers ---
+const RELATION_TYPES = ['reference', 'manyToMany'];
+const ON_DELETE_OPTIONS = {
+  reference: ['set null', 'restrict', 'cascade'],
+  manyToMany: ['cascade', 'restrict'],
+};
 
-  const navigate = useNavigate();
+// Mirrors the server's relation names, which ?include= expects
+const relationAlias = (field) => {
+  if (field.type === 'manyToMany') return field.name;
+  if (field.as) return field.as;
+  return field.name.endsWith('Id') ? field.name.slice(0, -2) : `${field.name}Record`;
+};
 
-  const handleAddField = () => {
-    setFields([...fields, { name: '', type: 'string', required: false }]);
-  };
+// Shows a related record by its first text field, falling back to its id
+const recordLabel = (record, schema) => {
+  const labelField = schema?.fields.find((f) => f.type === 'string');
+  return labelField && record[labelField.name]
+    ? `${record[labelField.name]} (#${record.id})`
+    : `#${record.id}`;
+};
 
-  const handleFieldChange = (index, e) => {
-    const newFields = [...fields];
-    const { name, value, type, checked } = e.target;
+// --- Field type helpers ---
+const NUMERIC_TYPES = ['number', 'integer', 'decimal'];
+const LENGTH_TYPES = ['string', 'text', 'email', 'url'];
+// Types a field can be marked searchable for (computed fields can't be)
+const SEARCHABLE_TYPES = ['string', 'text', 'enum', 'email', 'url'];
+
+// Computed fields are evaluated by the server from an expression and never
+// written; these types can't be computed
+const isComputed = (field) => !!field.computed;
+const NOT_COMPUTABLE = ['enum', 'reference', 'manyToMany'];
+
+// A field's `access` limits roles to 'read' or 'hidden'; other roles may write it
+const FIELD_ACCESS_LEVELS = ['write', 'read', 'hidden'];
+const fieldAccess = (field, user) => field.access?.[user.role] || 'write';
+// The server leaves hidden fields out of everything the user reads
+const withoutHiddenFields = (schema, user) => ({
+  ...schema,
+  fields: schema.fields.filter((f) => fieldAccess(f, user) !== 'hidden'),
+});
+
+// Starting point for the builder's lifecycle rules editor
+const HOOKS_EXAMPLE = `{
+  "beforeCreate": [
+    { "set": "slug", "to": "slugify(name)" },
+    { "default": "status", "to": "'draft'" },
+    { "normalize": "email", "to": ["trim", "lower"] },
+    { "reject": "price < 0", "message": "Price can't be negative.", "field": "price" }
+  ],
+  "beforeUpdate": []
+}`;
+
+// Validation rules offered per field type; the server rejects rules a type doesn't support
+const FIELD_RULES = [
+  { name: 'precision', label: 'Precision', types: ['decimal'] },
+  { name: 'scale', label: 'Scale', types: ['decimal'] },
+  { name: 'min', label: 'Min', types: NUMERIC_TYPES },
+  { name: 'max', label: 'Max', types: NUMERIC_TYPES },
+  { name: 'minLength', label: 'Min length', types: LENGTH_TYPES },
+  { name: 'maxLength', label: 'Max length', types: LENGTH_TYPES },
+  { name: 'pattern', label: 'Pattern (regex)', types: LENGTH_TYPES, text: true },
+  { name: 'values', label: 'Allowed values (a, b, c)', types: ['enum', 'string', 'number', 'integer'], text: true },
+];
+
+// HTML input types of the form fields that aren't plain text
+const INPUT_TYPES = {
+  number: 'number',
+  integer: 'number',
+  decimal: 'number',
+  reference: 'number',
+  email: 'email',
+  url: 'url',
+};
+
+// Smallest step a number input accepts, from the field's type and scale
+const inputStep = (field) => {
+  if (field.type === 'number') return 'any';
+  if (field.type === 'decimal') return 10 ** -(field.scale ?? 2);
+  return undefined;
+};
+
+// Converts an input's value to what the API expects for the field's type:
+// numbers and JSON are parsed (throws on invalid JSON) and empty inputs of
+// non-text fields become null
+const toFieldValue = (field, value) => {
+  if (value === '' && !['string', 'text'].includes(field.type)) return null;
+  if (NUMERIC_TYPES.includes(field.type) || field.type === 'reference') return Number(value);
+  if (field.type === 'boolean' && typeof value === 'string') return value === 'true';
+  if (field.type === 'json') return JSON.parse(value);
+  return value;
+};
+
+// Turns the builder's rule inputs into config values, dropping empty rules
+// and rules that don't apply to the field's type. Computed fields keep only
+// their expression, since they aren't stored.
+const toFieldConfig = (field) => {
+  const config = { ...field };
+  const computed = isComputed(field) && !NOT_COMPUTABLE.includes(field.type);
+  if (computed) {
+    delete config.required;
+    delete config.unique;
+    delete config.default;
+  } else {
+    delete config.computed;
+  }
+  if (computed || !SEARCHABLE_TYPES.includes(field.type)) delete config.searchable;
+  for (const rule of FIELD_RULES) {
+    const value = config[rule.name];
+    delete config[rule.name];
+    if (computed || !rule.types.includes(field.type) || value === undefined || value === '') continue;
+    if (rule.name === 'values') {
+      const values = Array.isArray(value) ? value : value.split(',').map((v) => v.trim()).filter(Boolean);
+      config.values = NUMERIC_TYPES.includes(field.type) ? values.map(Number) : values.map(String);
+    } else {
+      config[rule.name] = rule.text ? value : Number(value);
+    }
+  }
+  return config;
+};
+
+// --- Model Builder Page (Admin) ---
+const ModelBuilderPage = () => {
+  // When editing, the route carries the name of the model being changed
+  const { modelName: editingName } = useParams();
+  const [modelName, setModelName] = useState('');
+  const [plan, setPlan] = useState(null);
+  const [pendingRollback, setPendingRollback] = useState(null);
+  const [ownerField, setOwnerField] = useState('');
+  const [softDelete, setSoftDelete] = useState(false);
+  // Lifecycle rules (the config's `hooks`) as JSON text
+  const [hooks, setHooks] = useState('');
+  const [fields, setFields] = useState([
+    { name: '', type: 'string', required: false },
+  ]);
+  const [rbac, setRbac] = useState({
+    Admin: ['all'],
+    Manager: ['read', 'create', 'update'],
+    Viewer: ['read'],
+  });
+  // Every role gets a row in the RBAC settings, including ones added later
+  const [roles, setRoles] = useState([]);
+
+  const [existingModels, setExistingModels] = useState([]);
+
+  const navigate = useNavigate();
+
+  // Other models are the possible targets of relation fields
+  useEffect(() => {
+    const fetchModels = async () => {
+      try {
+        const res = await api.get('/api/models');
+        setExistingModels(res.data);
+      } catch (error) {
+        console.error('Failed to fetch models', error);
+      }
+    };
+    const fetchRoles = async () => {
+      try {
+        const res = await api.get('/api/roles');
+        setRoles(res.data.map((role) => role.name));
+      } catch (error) {
+        console.error('Failed to fetch roles', error);
+      }
+    };
+    fetchModels();
+    fetchRoles();
+  }, []);
+
+  useEffect(() => {
+    if (!editingName) return;
+    const fetchModel = async () => {
+      try {
+        const res = await api.get(`/api/models/${editingName}`);
+        setModelName(res.data.name);
+        setOwnerField(res.data.ownerField || '');
+        setSoftDelete(!!res.data.softDelete);
+        setHooks(res.data.hooks ? JSON.stringify(res.data.hooks, null, 2) : '');
+        // Remember each field's stored name so renames can be detected on publish
+        setFields(res.data.fields.map((f) => ({ ...f, originalName: f.name })));
+        setRbac(res.data.rbac);
+      } catch (error) {
+        alert(`Error: ${getErrorMessage(error)}`);
+      }
+    };
+    fetchModel();
+  }, [editingName]);
+
+  const handleAddField = () => {
+    setFields([...fields, { name: '', type: 'string', required: false }]);
+  };
+
+  const handleFieldChange = (index, e) => {
+    const newFields = [...fields];
+    const { name, value, type, checked } = e.target;
     newFields[index][name] = type === 'checkbox' ? checked : value;
+    if (name === 'type' && NOT_COMPUTABLE.includes(value)) delete newFields[index].computed;
+    setFields(newFields);
+  };
+
+  const handleRemoveField = (index) => {
+    setFields(fields.filter((_, i) => i !== index));
+  };
+
+  const handleAccessChange = (index, role, level) => {
+    const newFields = [...fields];
+    const access = { ...newFields[index].access };
+    if (level === 'write') {
+      delete access[role];
+    } else {
+      access[role] = level;
+    }
+    newFields[index] = { ...newFields[index], access };
+    if (Object.keys(access).length === 0) delete newFields[index].access;
     setFields(newFields);
   };
 
@@ -327,28 +1007,77 @@ const ModelBuilderPage = () => {
   // Helper for React <18 compatibility with Set
   const newSet = (arr) => new Set(arr);
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
+  const buildModelConfig = () => {
     const modelConfig = {
       name: modelName,
-      fields: fields.filter(f => f.name), // Filter out empty fields
-      rbac,
+      fields: fields
+        .filter(f => f.name) // Filter out empty fields
+        .map(({ originalName, ...field }) => (
+          originalName && originalName !== field.name
+            ? { ...toFieldConfig(field), renamedFrom: originalName }
+            : toFieldConfig(field)
+        )),
+      // Roles without permissions are left out (deleted roles can't be granted any)
+      rbac: Object.fromEntries(
+        Object.entries(rbac).filter(([role, permissions]) => roles.includes(role) && permissions.length > 0)
+      ),
     };
+    if (ownerField) modelConfig.ownerField = ownerField;
+    if (softDelete) modelConfig.softDelete = true;
+    if (hooks.trim()) {
+      try {
+        modelConfig.hooks = JSON.parse(hooks);
+      } catch {
+        throw new Error('The lifecycle rules are not valid JSON.');
+      }
+    }
+    return modelConfig;
+  };
+
+  // Publishing a change to an existing model (or rolling back to an older
+  // revision) first returns the migration plan (409); sending the request
+  // again with its planId applies it.
+  const publish = async (confirmPlanId, rollbackVersion = null) => {
+    const params = confirmPlanId ? { confirm: confirmPlanId } : {};
     try {
-      await api.post('/api/models/publish', modelConfig);
+      if (rollbackVersion) {
+        await api.post(`/api/models/${editingName}/versions/${rollbackVersion}/rollback`, null, { params });
+      } else {
+        await api.post('/api/models/publish', buildModelConfig(), { params });
+      }
       alert(`Model "${modelName}" published successfully!`);
       navigate(`/data/${modelName}`);
     } catch (error) {
+      if (error.response?.status === 409 && error.response.data?.plan) {
+        setPlan(error.response.data.plan);
+        setPendingRollback(rollbackVersion);
+        return;
+      }
       console.error('Failed to publish model', error);
-      alert(`Error: ${error.response?.data || error.message}`);
+      alert(`Error: ${getErrorMessage(error)}`);
     }
   };
 
+  const handleRollback = async (version) => {
+    if (!window.confirm(`Roll "${editingName}" back to version ${version}?`)) return;
+    setPlan(null);
+    await publish(null, version);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setPlan(null);
+    await publish();
+  };
+
   const rbacActions = ['create', 'read', 'update', 'delete', 'all'];
+  // 'purge' deletes trashed records for good (needs soft delete)
+  // ':own' actions only apply to records the user created (needs an owner field)
+  const ownActions = ['read:own', 'update:own', 'delete:own'];
 
   return (
     <div className="container page-builder">
-      <h2>Model Builder</h2>
+      <h2>{editingName ? `Edit Model: ${editingName}` : 'Model Builder'}</h2>
       <form onSubmit={handleSubmit} className="form-grid">
         <div className="form-group">
           <label>Model Name</label>
@@ -357,6 +1086,7 @@ const ModelBuilderPage = () => {
             value={modelName}
             onChange={(e) => setModelName(e.target.value)}
             placeholder="e.g., Product"
+            disabled={!!editingName}
             required
           />
         </div>
@@ -364,7 +1094,7 @@ const ModelBuilderPage = () => {
         <hr />
         <h3>Fields</h3>
         {fields.map((field, index) => (
-          <div key={index} style={{ display: 'flex', gap: '10px', alignItems: 'center' }}>
+          <div key={index} style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', alignItems: 'center' }}>
             <input
               name="name"
               type="text"
@@ -378,36 +1108,152 @@ const ModelBuilderPage = () => {
               onChange={(e) => handleFieldChange(index, e)}
             >
               <option value="string">String</option>
+              <option value="text">Long text</option>
               <option value="number">Number</option>
+              <option value="integer">Integer</option>
+              <option value="decimal">Decimal</option>
               <option value="boolean">Boolean</option>
               <option value="date">Date</option>
+              <option value="enum">Enum</option>
+              <option value="email">Email</option>
+              <option value="url">URL</option>
+              <option value="uuid">UUID</option>
+              <option value="json">JSON</option>
+              <option value="reference">Reference (belongs to)</option>
+              <option value="manyToMany">Many-to-many</option>
             </select>
-            <label>
+            {!NOT_COMPUTABLE.includes(field.type) && (
+              <input
+                name="computed"
+                type="text"
+                value={field.computed || ''}
+                onChange={(e) => handleFieldChange(index, e)}
+                placeholder="Computed, e.g. price * quantity"
+                style={{ width: '14rem' }}
+              />
+            )}
+            {RELATION_TYPES.includes(field.type) && (
+              <>
+                <select
+                  name="model"
+                  value={field.model || ''}
+                  onChange={(e) => handleFieldChange(index, e)}
+                  required
+                >
+                  <option value="">Related model...</option>
+                  {existingModels
+                    .filter((m) => m.name !== modelName)
+                    .map((m) => <option key={m.name} value={m.name}>{m.name}</option>)}
+                  {modelName && <option value={modelName}>{modelName} (self)</option>}
+                </select>
+                <select
+                  name="onDelete"
+                  value={field.onDelete || ''}
+                  onChange={(e) => handleFieldChange(index, e)}
+                >
+                  <option value="">On delete: default</option>
+                  {ON_DELETE_OPTIONS[field.type].map((action) => (
+                    <option key={action} value={action}>On delete: {action}</option>
+                  ))}
+                </select>
+              </>
+            )}
+            {!isComputed(field) && FIELD_RULES.filter((rule) => rule.types.includes(field.type)).map((rule) => (
               <input
-                name="required"
-                type="checkbox"
-                checked={field.required}
+                key={rule.name}
+                name={rule.name}
+                type={rule.text ? 'text' : 'number'}
+                value={Array.isArray(field[rule.name]) ? field[rule.name].join(', ') : field[rule.name] ?? ''}
                 onChange={(e) => handleFieldChange(index, e)}
+                placeholder={rule.label}
+                required={rule.name === 'values' && field.type === 'enum'}
+                style={{ width: rule.text ? '14rem' : '7rem' }}
               />
-              Required
-            </label>
+            ))}
+            {!isComputed(field) && (
+              <>
+                <label>
+                  <input
+                    name="required"
+                    type="checkbox"
+                    checked={!!field.required}
+                    onChange={(e) => handleFieldChange(index, e)}
+                  />
+                  Required
+                </label>
+                <label>
+                  <input
+                    name="unique"
+                    type="checkbox"
+                    checked={!!field.unique}
+                    onChange={(e) => handleFieldChange(index, e)}
+                  />
+                  Unique
+                </label>
+                {SEARCHABLE_TYPES.includes(field.type) && (
+                  <label>
+                    <input
+                      name="searchable"
+                      type="checkbox"
+                      checked={!!field.searchable}
+                      onChange={(e) => handleFieldChange(index, e)}
+                    />
+                    Searchable
+                  </label>
+                )}
+              </>
+            )}
+            <button type="button" className="danger" onClick={() => handleRemoveField(index)}>
+              Remove
+            </button>
           </div>
         ))}
         <button type="button" className="secondary" onClick={handleAddField}>
           + Add Field
         </button>
+        <label>
+          <input
+            type="checkbox"
+            checked={softDelete}
+            onChange={(e) => setSoftDelete(e.target.checked)}
+          />
+          Soft delete (deleted records go to a trash and can be restored)
+        </label>
+
+        <hr />
+        <h3>Lifecycle Rules</h3>
+        <p>
+          Run before records are created or updated: set a field from an expression, fill in a default,
+          normalize text or reject the change. Leave empty for none.
+        </p>
+        <textarea
+          value={hooks}
+          onChange={(e) => setHooks(e.target.value)}
+          placeholder={HOOKS_EXAMPLE}
+          rows={10}
+          style={{ fontFamily: 'monospace' }}
+        />
 
         <hr />
         <h3>Role-Based Access Control (RBAC)</h3>
-        {Object.keys(rbac).map((role) => (
+        <div className="form-group">
+          <label>Owner Field</label>
+          <input
+            type="text"
+            value={ownerField}
+            onChange={(e) => setOwnerField(e.target.value)}
+            placeholder="e.g., ownerId (leave empty to disable record ownership)"
+          />
+        </div>
+        {roles.map((role) => (
           <div key={role} className="form-group">
             <label>{role}</label>
             <div style={{ display: 'flex', gap: '1rem' }}>
-              {rbacActions.map((action) => (
+              {rbacActions.concat(softDelete ? ['purge'] : [], ownerField ? ownActions : []).map((action) => (
                 <label key={action}>
                   <input
                     type="checkbox"
-                    checked={rbac[role].includes(action)}
+                    checked={!!rbac[role]?.includes(action)}
                     onChange={(e) => handleRbacChange(role, action, e.target.checked)}
                   />
                   {action}
@@ -417,22 +1263,260 @@ const ModelBuilderPage = () => {
           </div>
         ))}
 
+        <h4>Field Access</h4>
+        <p>
+          Roles may write every field unless limited here. A role's writes to its read-only fields are
+          ignored, and its hidden fields are left out of everything it reads.
+        </p>
+        <table>
+          <thead>
+            <tr>
+              <th>Field</th>
+              {roles.map((role) => <th key={role}>{role}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {fields.map((field, index) => field.name && (
+              <tr key={index}>
+                <td>{field.name}</td>
+                {roles.map((role) => (
+                  <td key={role}>
+                    <select
+                      value={field.access?.[role] || 'write'}
+                      onChange={(e) => handleAccessChange(index, role, e.target.value)}
+                    >
+                      {FIELD_ACCESS_LEVELS.map((level) => <option key={level} value={level}>{level}</option>)}
+                    </select>
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
         <hr />
-        <button type="submit">Publish Model</button>
+        {plan ? (
+          <div style={{ border: '1px solid #ccc', padding: '1rem', borderRadius: '8px' }}>
+            <h3>Migration Plan</h3>
+            <p>Publishing will change the database as follows. Review the destructive steps carefully.</p>
+            <ol>
+              {plan.steps.map((step, index) => (
+                <li key={index} style={step.destructive ? { color: 'red', fontWeight: 'bold' } : undefined}>
+                  {step.destructive && '[DESTRUCTIVE] '}
+                  {step.description}
+                  {step.warning && <em> - {step.warning}</em>}
+                </li>
+              ))}
+            </ol>
+            <div style={{ display: 'flex', gap: '1rem' }}>
+              <button
+                type="button"
+                className={plan.destructive ? 'danger' : undefined}
+                onClick={() => publish(plan.planId, pendingRollback)}
+              >
+                Apply Migration
+              </button>
+              <button type="button" className="secondary" onClick={() => setPlan(null)}>Cancel</button>
+            </div>
+          </div>
+        ) : (
+          <button type="submit">Publish Model</button>
+        )}
       </form>
+
+      {editingName && <ModelRevisions modelName={editingName} onRollback={handleRollback} />}
+    </div>
+  );
+};
+
+/**
+ * Aligns two texts line by line (longest common subsequence) for a
+ * side-by-side view. Each row has a left and/or right line and a status.
+ */
+const diffLines = (leftText, rightText) => {
+  const left = leftText.split('\n');
+  const right = rightText.split('\n');
+  const lcs = Array.from({ length: left.length + 1 }, () => new Array(right.length + 1).fill(0));
+  for (let i = left.length - 1; i >= 0; i--) {
+    for (let j = right.length - 1; j >= 0; j--) {
+      lcs[i][j] = left[i] === right[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const rows = [];
+  let i = 0;
+  let j = 0;
+  while (i < left.length || j < right.length) {
+    if (i < left.length && j < right.length && left[i] === right[j]) {
+      rows.push({ left: left[i++], right: right[j++], status: 'same' });
+    } else if (j < right.length && (i === left.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+      rows.push({ left: null, right: right[j++], status: 'added' });
+    } else {
+      rows.push({ left: left[i++], right: null, status: 'removed' });
+    }
+  }
+  return rows;
+};
+
+const DIFF_COLORS = { added: '#e6ffec', removed: '#ffebe9' };
+
+// --- Model Revisions (version history with side-by-side diff) ---
+const ModelRevisions = ({ modelName, onRollback }) => {
+  const [versions, setVersions] = useState([]);
+  const [compare, setCompare] = useState({ from: '', to: '' });
+  const [diff, setDiff] = useState(null);
+
+  useEffect(() => {
+    const fetchVersions = async () => {
+      try {
+        const res = await api.get(`/api/models/${modelName}/versions`);
+        setVersions(res.data);
+        // Compare the latest revision with the one before it by default
+        if (res.data.length > 1) {
+          setCompare({ from: res.data[1].version, to: res.data[0].version });
+        }
+      } catch (error) {
+        console.error('Failed to fetch versions', error);
+      }
+    };
+    fetchVersions();
+  }, [modelName]);
+
+  const handleCompare = async () => {
+    try {
+      const res = await api.get(`/api/models/${modelName}/diff`, { params: compare });
+      setDiff(res.data);
+    } catch (error) {
+      alert(`Error: ${getErrorMessage(error)}`);
+    }
+  };
+
+  const rows = diff
+    ? diffLines(JSON.stringify(diff.from.config, null, 2), JSON.stringify(diff.to.config, null, 2))
+    : [];
+
+  return (
+    <div>
+      <hr />
+      <h3>Revision History</h3>
+      <table>
+        <thead>
+          <tr>
+            <th>Version</th>
+            <th>Author</th>
+            <th>Published</th>
+            <th>actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          {versions.map((v, index) => (
+            <tr key={v.version}>
+              <td>{v.version}</td>
+              <td>{v.author || '(imported)'}</td>
+              <td>{new Date(v.createdAt).toLocaleString()}</td>
+              <td>
+                {index > 0 && (
+                  <button className="secondary" onClick={() => onRollback(v.version)}>Roll back</button>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {versions.length > 1 && (
+        <div style={{ display: 'flex', gap: '10px', alignItems: 'center', marginTop: '1rem' }}>
+          <label>Compare</label>
+          {['from', 'to'].map((side) => (
+            <select
+              key={side}
+              value={compare[side]}
+              onChange={(e) => setCompare({ ...compare, [side]: e.target.value })}
+            >
+              {versions.map((v) => <option key={v.version} value={v.version}>v{v.version}</option>)}
+            </select>
+          ))}
+          <button type="button" className="secondary" onClick={handleCompare}>Show Diff</button>
+        </div>
+      )}
+
+      {diff && (
+        <table style={{ fontFamily: 'monospace', fontSize: '0.85rem', marginTop: '1rem' }}>
+          <thead>
+            <tr>
+              <th>v{diff.from.version} ({diff.from.author || 'imported'})</th>
+              <th>v{diff.to.version} ({diff.to.author || 'imported'})</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row, index) => (
+              <tr key={index}>
+                <td style={{ whiteSpace: 'pre', background: row.status === 'removed' ? DIFF_COLORS.removed : undefined }}>
+                  {row.left}
+                </td>
+                <td style={{ whiteSpace: 'pre', background: row.status === 'added' ? DIFF_COLORS.added : undefined }}>
+                  {row.right}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
     </div>
   );
 };
 
+// Filter operators the list endpoints accept per field type
+const FILTER_OPERATORS = {
+  string: ['eq', 'ne', 'contains', 'startsWith', 'endsWith', 'in'],
+  number: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in'],
+  date: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte'],
+  boolean: ['eq', 'ne'],
+  uuid: ['eq', 'ne', 'in'],
+  reference: ['eq', 'ne', 'in'],
+};
+
+// Field types filtered like another type
+const FILTER_TYPES = {
+  text: 'string',
+  enum: 'string',
+  email: 'string',
+  url: 'string',
+  integer: 'number',
+  decimal: 'number',
+};
+
+const PAGE_SIZE = 25;
+
 // --- Data Management Page (Dynamic) ---
 const DataManagementPage = () => {
   const { modelName } = useParams();
+  // Links from the search box open the page searched (?q=), marking a record (?record=)
+  const [searchParams] = useSearchParams();
+  const linkedSearch = searchParams.get('q') || '';
+  const linkedRecordId = Number(searchParams.get('record')) || null;
   const [schema, setSchema] = useState(null);
+  const [models, setModels] = useState([]);
   const [data, setData] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [query, setQuery] = useState({ page: 1, sort: '', filter: null, q: '', trash: false });
+  const [filterDraft, setFilterDraft] = useState({ field: '', op: 'eq', value: '' });
+  const [searchDraft, setSearchDraft] = useState('');
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [showForm, setShowForm] = useState(false);
   const [editingItem, setEditingItem] = useState(null);
+  const [historyId, setHistoryId] = useState(null);
+  // Ids of the rows ticked for a bulk action, and the pending bulk edit
+  const [selected, setSelected] = useState([]);
+  const [bulkEdit, setBulkEdit] = useState({ field: '', value: '' });
+  const [showImport, setShowImport] = useState(false);
+  const [exportFormat, setExportFormat] = useState('csv');
+  // Live changes that may add rows to the page, and why it was last reloaded
+  const [newRecords, setNewRecords] = useState(0);
+  const [notice, setNotice] = useState('');
 
   const { user } = useAuth();
 
@@ -442,96 +1526,502 @@ const DataManagementPage = () => {
     const permissions = schema.rbac[user.role];
     return permissions && (permissions.includes(action) || permissions.includes('all'));
   };
+
+  // Check a permission against a specific row, honouring ':own' permissions
+  const canOn = (action, item) => {
+    if (can(action)) return true;
+    if (!schema?.ownerField || !schema.rbac[user.role]?.includes(`${action}:own`)) return false;
+    return user.role === 'Admin' || item[schema.ownerField] === user.id;
+  };
   
-  const fetchData = async () => {
+  // Translate the page/sort/filter/search state into list endpoint query params
+  const buildParams = ({ page, sort, filter, q }, include) => {
+    const params = { page, limit: PAGE_SIZE };
+    if (sort) params.sort = sort;
+    if (filter) params[`${filter.field}[${filter.op}]`] = filter.value;
+    if (q) params.q = q;
+    if (include.length > 0) params.include = include.join(',');
+    return params;
+  };
+
+  // Include related records for every relation whose model we can read
+  const readableRelations = (fields, allModels) => fields
+    .filter((f) => RELATION_TYPES.includes(f.type))
+    .filter((f) => {
+      const permissions = allModels.find((m) => m.name === f.model)?.rbac[user.role];
+      return permissions && (permissions.includes('read') || permissions.includes('all'));
+    })
+    .map(relationAlias);
+
+  const fetchData = async (currentQuery = query) => {
     setLoading(true);
     setError('');
+    setSelected([]);
     try {
-      // Fetch schema
-      const schemaRes = await api.get(`/api/models/${modelName}`);
-      setSchema(schemaRes.data);
+      // Fetch schema (plus the other models, for relation labels)
+      const [schemaRes, modelsRes] = await Promise.all([
+        api.get(`/api/models/${modelName}`),
+        api.get('/api/models'),
+      ]);
+      setSchema(withoutHiddenFields(schemaRes.data, user));
+      setModels(modelsRes.data);
 
-      // Fetch data
-      const dataRes = await api.get(`/api/${modelName.toLowerCase()}`);
-      setData(dataRes.data);
+      const include = readableRelations(schemaRes.data.fields, modelsRes.data);
+
+      // Fetch one page of data (or of the trash)
+      const dataRes = await api.get(`/api/${modelName.toLowerCase()}${currentQuery.trash ? '/trash' : ''}`, {
+        params: buildParams(currentQuery, include),
+      });
+      setData(dataRes.data.data);
+      setPagination(dataRes.data.pagination);
+      setNewRecords(0);
     } catch (err) {
-      setError(`Failed to load data. ${err.response?.data || err.message}`);
+      setError(`Failed to load data. ${getErrorMessage(err)}`);
     }
     setLoading(false);
   };
+
+  const updateQuery = (changes) => {
+    const nextQuery = { ...query, ...changes };
+    setQuery(nextQuery);
+    setNotice('');
+    fetchData(nextQuery);
+  };
   
   useEffect(() => {
-    fetchData();
-  }, [modelName]);
+    const initialQuery = { page: 1, sort: '', filter: null, q: linkedSearch, trash: false };
+    setQuery(initialQuery);
+    setSearchDraft(linkedSearch);
+    setHistoryId(null);
+    setShowImport(false);
+    setNotice('');
+    fetchData(initialQuery);
+  }, [modelName, linkedSearch]);
+
+  const removeRow = (id) => {
+    setData((rows) => rows.filter((row) => row.id !== id));
+    setSelected((ids) => ids.filter((s) => s !== id));
+    setPagination((current) => current && { ...current, total: current.total - 1 });
+  };
+
+  // Re-reads one row of the page in place
+  const refreshRow = async (id) => {
+    try {
+      const include = readableRelations(schema.fields, models);
+      const res = await api.get(`/api/${modelName.toLowerCase()}/${id}`, {
+        params: include.length > 0 ? { include: include.join(',') } : {},
+      });
+      setData((rows) => rows.map((row) => (row.id === id ? res.data : row)));
+    } catch (err) {
+      // Deleted, or no longer visible to this user, in the meantime
+      if (err.response?.status === 404) removeRow(id);
+    }
+  };
+
+  // Changes made elsewhere: rows of this page are updated or removed in
+  // place; records that may belong on it are counted until the page reloads.
+  // A changed schema (of this model or a related one) reloads the page.
+  useLiveEvents((type, event) => {
+    if (!schema) return;
+    if (type === 'schema') {
+      const related = schema.fields.some((f) => RELATION_TYPES.includes(f.type) && f.model === event.model);
+      if (event.model === schema.name && event.action === 'deleted') {
+        setError(`${schema.name} was deleted by an administrator.`);
+      } else if (event.model === schema.name || related) {
+        setNotice(`${event.model} was changed by an administrator, so the page was reloaded.`);
+        fetchData();
+      }
+      return;
+    }
+    if (event.model !== schema.name) return;
+
+    const onPage = data.some((row) => row.id === event.id);
+    const removing = query.trash ? ['restore', 'purge'] : ['delete'];
+    const adding = query.trash ? ['delete'] : ['create', 'restore'];
+    if (onPage && event.action === 'update') {
+      refreshRow(event.id);
+    } else if (onPage && removing.includes(event.action)) {
+      removeRow(event.id);
+    } else if (adding.includes(event.action)) {
+      setNewRecords((count) => count + 1);
+    }
+  });
+
+  // Clicking a header sorts by it; clicking again flips the direction
+  const handleSort = (field) => {
+    if (schema.fields.some((f) => f.name === field && (f.type === 'manyToMany' || isComputed(f)))) return;
+    const sort = query.sort === field ? `-${field}` : field;
+    updateQuery({ sort, page: 1 });
+  };
+
+  const handleApplyFilter = (e) => {
+    e.preventDefault();
+    if (!filterDraft.field) return;
+    updateQuery({ filter: { ...filterDraft }, page: 1 });
+  };
+
+  const handleClearFilter = () => {
+    setFilterDraft({ field: '', op: 'eq', value: '' });
+    updateQuery({ filter: null, page: 1 });
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    updateQuery({ q: searchDraft.trim(), page: 1 });
+  };
+
+  const handleClearSearch = () => {
+    setSearchDraft('');
+    updateQuery({ q: '', page: 1 });
+  };
 
   const handleDelete = async (id) => {
-    if (window.confirm('Are you sure you want to delete this item?')) {
+    const question = schema.softDelete
+      ? 'Move this item to the trash?'
+      : 'Are you sure you want to delete this item?';
+    if (window.confirm(question)) {
       try {
         await api.delete(`/api/${modelName.toLowerCase()}/${id}`);
         fetchData(); // Refresh data
       } catch (err) {
-        alert(`Error: ${err.response?.data || err.message}`);
+        alert(`Error: ${getErrorMessage(err)}`);
       }
     }
   };
   
-  const handleOpenForm = (item = null) => {
-    setEditingItem(item);
-    setShowForm(true);
+  const handleRestore = async (id) => {
+    try {
+      await api.post(`/api/${modelName.toLowerCase()}/${id}/restore`);
+      fetchData();
+    } catch (err) {
+      alert(`Error: ${getErrorMessage(err)}`);
+    }
   };
-  
-  const handleCloseForm = () => {
-    setEditingItem(null);
-    setShowForm(false);
-    fetchData(); // Refresh data after form close
+
+  const handlePurge = async (id) => {
+    if (!window.confirm('Delete this item permanently? This cannot be undone.')) return;
+    try {
+      await api.delete(`/api/${modelName.toLowerCase()}/${id}/purge`);
+      fetchData();
+    } catch (err) {
+      alert(`Error: ${getErrorMessage(err)}`);
+    }
   };
 
-  if (loading) return <div>Loading...</div>;
-  if (error) return <div style={{ color: 'red' }}>{error}</div>;
-  if (!schema) return <div>Model schema not found.</div>;
+  const toggleSelected = (id) => {
+    setSelected(selected.includes(id) ? selected.filter((s) => s !== id) : [...selected, id]);
+  };
 
-  const headers = schema.fields.map((f) => f.name).concat(['createdAt', 'updatedAt', 'actions']);
+  const toggleAll = () => {
+    setSelected(selected.length === data.length ? [] : data.map((item) => item.id));
+  };
 
-  return (
-    <div className="page-data">
-      <h2>Manage {schema.name}</h2>
-      
-      {can('create') && !showForm && (
-        <button onClick={() => handleOpenForm()}>+ Add New</button>
-      )}
-      
-      {showForm && (
-        <DynamicForm 
-          schema={schema} 
-          item={editingItem} 
+  // Sends the operations as one bulk request; nothing is saved if any fails
+  const runBulk = async (operations) => {
+    try {
+      await api.post(`/api/${modelName.toLowerCase()}/bulk`, { operations });
+      setBulkEdit({ field: '', value: '' });
+      fetchData();
+    } catch (err) {
+      const failures = (err.response?.data?.results || []).filter((r) => r.status === 'error');
+      const details = failures.slice(0, 5).map((r) => `#${r.id ?? r.index}: ${r.error.message}`).join('\n');
+      alert(`Error: ${getErrorMessage(err)}${details ? `\n${details}` : ''}`);
+    }
+  };
+
+  const handleBulkDelete = async () => {
+    const question = schema.softDelete
+      ? `Move ${selected.length} selected items to the trash?`
+      : `Are you sure you want to delete ${selected.length} selected items?`;
+    if (!window.confirm(question)) return;
+    await runBulk(selected.map((id) => ({ action: 'delete', id })));
+  };
+
+  const handleBulkEdit = async () => {
+    const field = schema.fields.find((f) => f.name === bulkEdit.field);
+    let value;
+    try {
+      value = toFieldValue(field, bulkEdit.value);
+    } catch {
+      alert(`Error: ${field.name} is not valid JSON.`);
+      return;
+    }
+    await runBulk(selected.map((id) => ({ action: 'update', id, data: { [field.name]: value } })));
+  };
+
+  // Downloads every record matching the current filter, search and sort
+  const handleExport = async () => {
+    const params = { format: exportFormat };
+    if (query.sort) params.sort = query.sort;
+    if (query.filter) params[`${query.filter.field}[${query.filter.op}]`] = query.filter.value;
+    if (query.q) params.q = query.q;
+    try {
+      const res = await api.get(`/api/${modelName.toLowerCase()}/export`, { params, responseType: 'blob' });
+      const url = URL.createObjectURL(res.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${modelName.toLowerCase()}.${exportFormat}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      alert(`Error: ${getErrorMessage(err)}`);
+    }
+  };
+
+  const handleCloseImport = (imported) => {
+    setShowImport(false);
+    if (imported) fetchData();
+  };
+
+  const handleOpenForm = (item = null) => {
+    setEditingItem(item);
+    setShowForm(true);
+  };
+  
+  // `saved` is the record the form saved, if any. An edited row is refreshed
+  // in place; a new record may belong on any page, so the page is reloaded.
+  const handleCloseForm = (saved) => {
+    const wasEditing = !!editingItem;
+    setEditingItem(null);
+    setShowForm(false);
+    if (!saved) return;
+    if (wasEditing) {
+      refreshRow(saved.id);
+    } else {
+      fetchData();
+    }
+  };
+
+  if (loading) return <div>Loading...</div>;
+  if (error) return <div style={{ color: 'red' }}>{error}</div>;
+  if (!schema) return <div>Model schema not found.</div>;
+
+  const headers = schema.fields.map((f) => f.name).concat(['createdAt', 'updatedAt'], query.trash ? ['deletedAt'] : []);
+  // Roles that may delete (even only their own records) may see and restore the trash
+  const canUseTrash = schema.softDelete && (can('delete') || !!schema.rbac[user.role]?.includes('delete:own'));
+  // Bulk actions are offered for any update/delete permission; the server applies ':own' limits per row
+  const canAny = (action) => can(action) || !!schema.rbac[user.role]?.includes(`${action}:own`);
+  const canBulk = !query.trash && (canAny('update') || canAny('delete'));
+  const bulkField = schema.fields.find((f) => f.name === bulkEdit.field);
+  const filterFieldRawType = schema.fields.find((f) => f.name === filterDraft.field)?.type || 'string';
+  const filterFieldType = FILTER_TYPES[filterFieldRawType] || filterFieldRawType;
+  const filterableFields = schema.fields.filter((f) => f.type !== 'manyToMany' && f.type !== 'json' && !isComputed(f));
+  const schemaOf = (name) => models.find((m) => m.name === name);
+
+  // Related records are shown by label when they were included, else by id
+  const renderValue = (field, item) => {
+    if (field.type === 'boolean') return String(item[field.name]);
+    if (field.type === 'json') return item[field.name] == null ? '' : JSON.stringify(item[field.name]);
+    if (field.type === 'reference') {
+      const related = item[relationAlias(field)];
+      return related ? recordLabel(related, schemaOf(field.model)) : item[field.name];
+    }
+    if (field.type === 'manyToMany') {
+      return (item[field.name] || []).map((r) => recordLabel(r, schemaOf(field.model))).join(', ');
+    }
+    return item[field.name];
+  };
+
+  return (
+    <div className="page-data">
+      <h2>Manage {schema.name}{query.trash && ' (Trash)'}</h2>
+      {notice && <p>{notice}</p>}
+      {!showForm && newRecords > 0 && (
+        <p>
+          {newRecords === 1 ? '1 record was' : `${newRecords} records were`}
+          {query.trash ? ' moved to the trash' : ' added'} since the page was loaded.{' '}
+          <button className="secondary" onClick={() => fetchData()}>Reload</button>
+        </p>
+      )}
+      
+      {can('create') && !showForm && !query.trash && (
+        <button onClick={() => handleOpenForm()}>+ Add New</button>
+      )}
+      {' '}
+      {canUseTrash && !showForm && (
+        <button className="secondary" onClick={() => updateQuery({ trash: !query.trash, page: 1 })}>
+          {query.trash ? 'Back to records' : 'Trash'}
+        </button>
+      )}
+      {' '}
+      {can('create') && !showForm && !query.trash && (
+        <button className="secondary" onClick={() => setShowImport(!showImport)}>Import</button>
+      )}
+      {' '}
+      {!showForm && !query.trash && (
+        <>
+          <select value={exportFormat} onChange={(e) => setExportFormat(e.target.value)}>
+            {EXPORT_FORMATS.map((format) => <option key={format} value={format}>{format.toUpperCase()}</option>)}
+          </select>
+          {' '}
+          <button className="secondary" onClick={handleExport}>Export</button>
+        </>
+      )}
+
+      {!showForm && showImport && (
+        <ImportPanel schema={schema} onClose={handleCloseImport} />
+      )}
+      
+      {showForm && (
+        <DynamicForm 
+          schema={schema} 
+          models={models}
+          item={editingItem} 
           onClose={handleCloseForm}
         />
       )}
       
+      {!showForm && (
+        <form onSubmit={handleApplyFilter} style={{ display: 'flex', gap: '10px', alignItems: 'center', marginTop: '1rem' }}>
+          <select
+            value={filterDraft.field}
+            onChange={(e) => setFilterDraft({ field: e.target.value, op: 'eq', value: '' })}
+          >
+            <option value="">Filter by...</option>
+            {filterableFields.map((f) => <option key={f.name} value={f.name}>{f.name}</option>)}
+          </select>
+          <select
+            value={filterDraft.op}
+            onChange={(e) => setFilterDraft({ ...filterDraft, op: e.target.value })}
+          >
+            {(FILTER_OPERATORS[filterFieldType] || FILTER_OPERATORS.string).map((op) => (
+              <option key={op} value={op}>{op}</option>
+            ))}
+          </select>
+          <input
+            type={filterFieldType === 'date' ? 'date' : 'text'}
+            value={filterDraft.value}
+            onChange={(e) => setFilterDraft({ ...filterDraft, value: e.target.value })}
+            placeholder={filterFieldType === 'boolean' ? 'true / false' : 'Value'}
+          />
+          <button type="submit" className="secondary">Apply</button>
+          {query.filter && <button type="button" className="secondary" onClick={handleClearFilter}>Clear</button>}
+        </form>
+      )}
+
+      {!showForm && schema.fields.some((f) => f.searchable) && (
+        <form onSubmit={handleSearch} style={{ display: 'flex', gap: '10px', alignItems: 'center', marginTop: '1rem' }}>
+          <input
+            type="search"
+            value={searchDraft}
+            onChange={(e) => setSearchDraft(e.target.value)}
+            placeholder={`Search ${schema.fields.filter((f) => f.searchable).map((f) => f.name).join(', ')}`}
+            maxLength={100}
+          />
+          <button type="submit" className="secondary">Search</button>
+          {query.q && <button type="button" className="secondary" onClick={handleClearSearch}>Clear</button>}
+        </form>
+      )}
+
+      {!showForm && historyId && (
+        <RecordHistory modelName={schema.name} recordId={historyId} onClose={() => setHistoryId(null)} />
+      )}
+
+      {!showForm && canBulk && selected.length > 0 && (
+        <div style={{ display: 'flex', gap: '10px', alignItems: 'center', marginTop: '1rem' }}>
+          <span>{selected.length} selected</span>
+          {canAny('update') && (
+            <>
+              <select
+                value={bulkEdit.field}
+                onChange={(e) => setBulkEdit({ field: e.target.value, value: '' })}
+              >
+                <option value="">Set field...</option>
+                {schema.fields
+                  .filter((f) => f.type !== 'manyToMany' && !isComputed(f) && fieldAccess(f, user) === 'write')
+                  .map((f) => <option key={f.name} value={f.name}>{f.name}</option>)}
+              </select>
+              {bulkField && (bulkField.type === 'boolean' || bulkField.values ? (
+                <select
+                  value={bulkEdit.value}
+                  onChange={(e) => setBulkEdit({ ...bulkEdit, value: e.target.value })}
+                >
+                  <option value="">(none)</option>
+                  {(bulkField.values || ['true', 'false']).map((v) => <option key={v} value={v}>{v}</option>)}
+                </select>
+              ) : (
+                <input
+                  type={INPUT_TYPES[bulkField.type] || 'text'}
+                  value={bulkEdit.value}
+                  onChange={(e) => setBulkEdit({ ...bulkEdit, value: e.target.value })}
+                  placeholder="New value"
+                />
+              ))}
+              <button className="secondary" disabled={!bulkField} onClick={handleBulkEdit}>
+                Apply to selected
+              </button>
+            </>
+          )}
+          {canAny('delete') && (
+            <button className="danger" onClick={handleBulkDelete}>Delete selected</button>
+          )}
+        </div>
+      )}
+
       {!showForm && (
         <table>
           <thead>
             <tr>
-              {headers.map((h) => <th key={h}>{h}</th>)}
+              {canBulk && (
+                <th>
+                  <input
+                    type="checkbox"
+                    checked={data.length > 0 && selected.length === data.length}
+                    onChange={toggleAll}
+                  />
+                </th>
+              )}
+              {headers.map((h) => (
+                <th key={h} onClick={() => handleSort(h)} style={{ cursor: 'pointer' }}>
+                  {h}
+                  {query.sort === h && ' ▲'}
+                  {query.sort === `-${h}` && ' ▼'}
+                </th>
+              ))}
+              <th>actions</th>
             </tr>
           </thead>
           <tbody>
             {data.map((item) => (
-              <tr key={item.id}>
-                {schema.fields.map((field) => (
-                  <td key={field.name}>
-                    {field.type === 'boolean' ? String(item[field.name]) : item[field.name]}
+              <tr key={item.id} style={item.id === linkedRecordId ? { background: '#fff3cd' } : undefined}>
+                {canBulk && (
+                  <td>
+                    <input
+                      type="checkbox"
+                      checked={selected.includes(item.id)}
+                      onChange={() => toggleSelected(item.id)}
+                    />
                   </td>
+                )}
+                {schema.fields.map((field) => (
+                  <td key={field.name}>{renderValue(field, item)}</td>
                 ))}
                 <td>{new Date(item.createdAt).toLocaleString()}</td>
                 <td>{new Date(item.updatedAt).toLocaleString()}</td>
+                {query.trash && <td>{new Date(item.deletedAt).toLocaleString()}</td>}
                 <td>
-                  {can('update') && (
-                    <button className="secondary" onClick={() => handleOpenForm(item)}>Edit</button>
-                  )}
+                  <button className="secondary" onClick={() => setHistoryId(item.id)}>History</button>
                   {' '}
-                  {can('delete') && (
-                    <button className="danger" onClick={() => handleDelete(item.id)}>Delete</button>
+                  {query.trash ? (
+                    <>
+                      {canOn('delete', item) && (
+                        <button className="secondary" onClick={() => handleRestore(item.id)}>Restore</button>
+                      )}
+                      {' '}
+                      {can('purge') && (
+                        <button className="danger" onClick={() => handlePurge(item.id)}>Purge</button>
+                      )}
+                    </>
+                  ) : (
+                    <>
+                      {canOn('update', item) && (
+                        <button className="secondary" onClick={() => handleOpenForm(item)}>Edit</button>
+                      )}
+                      {' '}
+                      {canOn('delete', item) && (
+                        <button className="danger" onClick={() => handleDelete(item.id)}>Delete</button>
+                      )}
+                    </>
                   )}
                 </td>
               </tr>
@@ -539,33 +2029,262 @@ const DataManagementPage = () => {
           </tbody>
         </table>
       )}
+
+      {!showForm && pagination && (
+        <div style={{ display: 'flex', gap: '1rem', alignItems: 'center', marginTop: '1rem' }}>
+          <button
+            className="secondary"
+            disabled={pagination.page <= 1}
+            onClick={() => updateQuery({ page: pagination.page - 1 })}
+          >
+            Previous
+          </button>
+          <span>
+            Page {pagination.page} of {pagination.totalPages} ({pagination.total} records)
+          </span>
+          <button
+            className="secondary"
+            disabled={!pagination.nextPage}
+            onClick={() => updateQuery({ page: pagination.nextPage })}
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const EXPORT_FORMATS = ['csv', 'json', 'ndjson'];
+
+// --- Import Panel ---
+// Uploads a file as a dry run first, so the column mapping and any row errors
+// can be reviewed (and the mapping adjusted) before importing for real.
+const ImportPanel = ({ schema, onClose }) => {
+  const [file, setFile] = useState(null);
+  const [mapping, setMapping] = useState(null);
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const { user } = useAuth();
+  const importableFields = schema.fields.filter((f) => (
+    f.type !== 'manyToMany' && !isComputed(f) && fieldAccess(f, user) === 'write'
+  ));
+
+  const upload = async (dryRun) => {
+    const form = new FormData();
+    form.append('file', file);
+    if (mapping) form.append('mapping', JSON.stringify(mapping));
+    setBusy(true);
+    setError('');
+    try {
+      const res = await api.post(`/api/${schema.name.toLowerCase()}/import`, form, {
+        params: dryRun ? { dryRun: true } : {},
+      });
+      if (!dryRun) {
+        alert(`Imported ${res.data.imported} records.`);
+        onClose(true);
+        return;
+      }
+      setReport(res.data);
+      setMapping(res.data.mapping);
+    } catch (err) {
+      setError(getErrorMessage(err));
+      setReport(err.response?.data?.rowErrors ? err.response.data : null);
+    }
+    setBusy(false);
+  };
+
+  const handleFileChange = (e) => {
+    setFile(e.target.files[0] || null);
+    setMapping(null);
+    setReport(null);
+    setError('');
+  };
+
+  // A changed mapping has to be checked again before importing
+  const handleMappingChange = (column, field) => {
+    setMapping({ ...mapping, [column]: field || null });
+    setReport(null);
+  };
+
+  return (
+    <div style={{ border: '1px solid #ccc', padding: '1rem', marginTop: '1rem', borderRadius: '8px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <h3>Import {schema.name} records</h3>
+        <button className="secondary" onClick={() => onClose(false)}>Close</button>
+      </div>
+      <div style={{ display: 'flex', gap: '10px', alignItems: 'center' }}>
+        <input type="file" accept=".csv,.json,.ndjson" onChange={handleFileChange} />
+        <button className="secondary" disabled={!file || busy} onClick={() => upload(true)}>
+          Check file
+        </button>
+        <button disabled={!report || report.rowErrors.length > 0 || busy} onClick={() => upload(false)}>
+          Import {report ? `${report.total} rows` : ''}
+        </button>
+      </div>
+      {error && <p style={{ color: 'red' }}>{error}</p>}
+
+      {mapping && (
+        <table>
+          <thead>
+            <tr><th>column in file</th><th>field</th></tr>
+          </thead>
+          <tbody>
+            {Object.entries(mapping).map(([column, field]) => (
+              <tr key={column}>
+                <td>{column}</td>
+                <td>
+                  <select value={field || ''} onChange={(e) => handleMappingChange(column, e.target.value)}>
+                    <option value="">(ignore)</option>
+                    {importableFields.map((f) => <option key={f.name} value={f.name}>{f.name}</option>)}
+                  </select>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {report && (
+        <p>
+          {report.valid} of {report.total} rows are valid.
+          {report.rowErrors.length === 0 && ' Nothing has been saved yet.'}
+        </p>
+      )}
+      {report && report.rowErrors.length > 0 && (
+        <table>
+          <thead>
+            <tr><th>row</th><th>problem</th></tr>
+          </thead>
+          <tbody>
+            {report.rowErrors.map((rowError) => (
+              <tr key={rowError.row}>
+                <td>{rowError.row}</td>
+                <td style={{ color: '#a00' }}>{rowError.message}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+// Shows an audited value compactly (objects and arrays as JSON)
+const formatAuditValue = (value) => {
+  if (value === null || value === undefined) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+// --- Record History Panel ---
+const RecordHistory = ({ modelName, recordId, onClose }) => {
+  const [entries, setEntries] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchHistory = async () => {
+      try {
+        const res = await api.get(`/api/${modelName.toLowerCase()}/${recordId}/history`);
+        setEntries(res.data);
+      } catch (err) {
+        setError(getErrorMessage(err));
+      }
+    };
+    fetchHistory();
+  }, [modelName, recordId]);
+
+  return (
+    <div style={{ border: '1px solid #ccc', padding: '1rem', marginTop: '1rem', borderRadius: '8px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <h3>History of {modelName} #{recordId}</h3>
+        <button className="secondary" onClick={onClose}>Close</button>
+      </div>
+      {error && <p style={{ color: 'red' }}>{error}</p>}
+      {entries && entries.length === 0 && <p>No changes recorded.</p>}
+      {entries && entries.map((entry) => (
+        <div key={entry.id} style={{ marginBottom: '1rem' }}>
+          <strong>{entry.action}</strong> by {entry.username || 'unknown'} on {new Date(entry.createdAt).toLocaleString()}
+          <table>
+            <thead>
+              <tr><th>field</th><th>before</th><th>after</th></tr>
+            </thead>
+            <tbody>
+              {Object.entries(entry.changes).map(([field, change]) => (
+                <tr key={field}>
+                  <td>{field}</td>
+                  <td style={{ color: '#a00' }}>{formatAuditValue(change.before)}</td>
+                  <td style={{ color: '#070' }}>{formatAuditValue(change.after)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ))}
     </div>
   );
 };
 
 // --- Dynamic Form Component ---
-const DynamicForm = ({ schema, item, onClose }) => {
+const DynamicForm = ({ schema, models = [], item, onClose }) => {
   const [formData, setFormData] = useState({});
   const [error, setError] = useState('');
+  // Server messages per field name, shown next to the inputs
+  const [fieldErrors, setFieldErrors] = useState({});
+  // Selectable records for each relation field
+  const [relationOptions, setRelationOptions] = useState({});
+  const { user } = useAuth();
+  // Computed fields are shown in the table, not edited; read-only fields
+  // are shown but not sent
+  const inputFields = schema.fields.filter((f) => !isComputed(f));
+  const isWritable = (field) => fieldAccess(field, user) === 'write';
 
   useEffect(() => {
     // Pre-fill form if we are editing
     if (item) {
       const initialData = {};
-      schema.fields.forEach(field => {
-        initialData[field.name] = item[field.name] ?? '';
+      schema.fields.filter((f) => !isComputed(f)).forEach(field => {
+        if (field.type === 'manyToMany') {
+          // null = links weren't loaded, so leave them untouched on save
+          initialData[field.name] = item[field.name] ? item[field.name].map((r) => String(r.id)) : null;
+        } else if (field.type === 'json') {
+          initialData[field.name] = item[field.name] == null ? '' : JSON.stringify(item[field.name], null, 2);
+        } else {
+          initialData[field.name] = item[field.name] ?? '';
+        }
       });
       setFormData(initialData);
     } else {
       // Set defaults for new item
       const initialData = {};
-      schema.fields.forEach(field => {
-        initialData[field.name] = field.default ?? (field.type === 'boolean' ? false : '');
+      schema.fields.filter((f) => !isComputed(f)).forEach(field => {
+        if (field.type === 'manyToMany') {
+          initialData[field.name] = [];
+        } else {
+          initialData[field.name] = field.default ?? (field.type === 'boolean' ? false : '');
+        }
       });
       setFormData(initialData);
     }
   }, [schema, item]);
 
+  useEffect(() => {
+    const fetchOptions = async () => {
+      const options = {};
+      for (const field of schema.fields.filter((f) => RELATION_TYPES.includes(f.type))) {
+        try {
+          const res = await api.get(`/api/${field.model.toLowerCase()}`, { params: { limit: 100 } });
+          options[field.name] = res.data.data;
+        } catch {
+          // Without read access to the related model the id is typed in by hand
+        }
+      }
+      setRelationOptions(options);
+    };
+    fetchOptions();
+  }, [schema]);
+
   const handleChange = (e) => {
     const { name, value, type, checked } = e.target;
     setFormData(prev => ({
@@ -573,30 +2292,138 @@ const DynamicForm = ({ schema, item, onClose }) => {
       [name]: type === 'checkbox' ? checked : value
     }));
   };
+
+  const handleMultiChange = (e) => {
+    const { name, selectedOptions } = e.target;
+    setFormData(prev => ({ ...prev, [name]: Array.from(selectedOptions, (o) => o.value) }));
+  };
+
+  const renderInput = (field) => {
+    const options = relationOptions[field.name];
+    const targetSchema = models.find((m) => m.name === field.model);
+
+    if (field.type === 'boolean') {
+      return (
+        <input
+          name={field.name}
+          type="checkbox"
+          checked={!!formData[field.name]}
+          onChange={handleChange}
+        />
+      );
+    }
+    if (field.type === 'manyToMany') {
+      if (formData[field.name] === null) return <em>Links not loaded</em>;
+      return (
+        <select
+          name={field.name}
+          multiple
+          value={formData[field.name] || []}
+          onChange={handleMultiChange}
+        >
+          {(options || []).map((r) => (
+            <option key={r.id} value={String(r.id)}>{recordLabel(r, targetSchema)}</option>
+          ))}
+        </select>
+      );
+    }
+    if (field.type === 'reference' && options) {
+      return (
+        <select
+          name={field.name}
+          value={formData[field.name] ?? ''}
+          onChange={handleChange}
+          required={field.required}
+        >
+          <option value="">(none)</option>
+          {options.map((r) => (
+            <option key={r.id} value={r.id}>{recordLabel(r, targetSchema)}</option>
+          ))}
+        </select>
+      );
+    }
+    if (field.values) {
+      return (
+        <select
+          name={field.name}
+          value={formData[field.name] ?? ''}
+          onChange={handleChange}
+          required={field.required}
+        >
+          <option value="">(none)</option>
+          {field.values.map((v) => <option key={v} value={v}>{v}</option>)}
+        </select>
+      );
+    }
+    if (field.type === 'text' || field.type === 'json') {
+      return (
+        <textarea
+          name={field.name}
+          value={formData[field.name] ?? ''}
+          onChange={handleChange}
+          required={field.required}
+          minLength={field.minLength}
+          maxLength={field.maxLength}
+          placeholder={field.type === 'json' ? '{ "key": "value" }' : ''}
+          rows={4}
+        />
+      );
+    }
+    return (
+      <input
+        name={field.name}
+        type={INPUT_TYPES[field.type] || 'text'}
+        step={inputStep(field)}
+        value={formData[field.name] ?? ''}
+        onChange={handleChange}
+        required={field.required}
+        min={field.min}
+        max={field.max}
+        minLength={field.minLength}
+        maxLength={field.maxLength}
+        pattern={field.pattern}
+      />
+    );
+  };
   
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
+    setFieldErrors({});
     
-    // Convert numbers
     const payload = { ...formData };
-    schema.fields.forEach(field => {
-      if (field.type === 'number' && payload[field.name] !== '') {
-        payload[field.name] = parseFloat(payload[field.name]);
+    for (const field of inputFields) {
+      if (!isWritable(field)) {
+        delete payload[field.name];
+        continue;
+      }
+      if (field.type === 'manyToMany') {
+        if (payload[field.name] === null) {
+          delete payload[field.name];
+        } else {
+          payload[field.name] = payload[field.name].map(Number);
+        }
+        continue;
+      }
+      try {
+        payload[field.name] = toFieldValue(field, payload[field.name]);
+      } catch {
+        setFieldErrors({ [field.name]: 'Not valid JSON.' });
+        return;
       }
-    });
+    }
 
     try {
-      if (item) {
-        // Update
-        await api.put(`/api/${schema.name.toLowerCase()}/${item.id}`, payload);
-      } else {
-        // Create
-        await api.post(`/api/${schema.name.toLowerCase()}`, payload);
-      }
-      onClose(); // Close form and trigger refresh
+      const res = item
+        ? await api.put(`/api/${schema.name.toLowerCase()}/${item.id}`, payload) // Update
+        : await api.post(`/api/${schema.name.toLowerCase()}`, payload); // Create
+      onClose(res.data); // Close form and show the saved record
     } catch (err) {
-      setError(`Error: ${err.response?.data || err.message}`);
+      const errors = err.response?.data?.errors || {};
+      setFieldErrors(errors);
+      // Errors of fields in the form are shown inline, anything else here
+      const shownInline = schema.fields.some((f) => errors[f.name]);
+      setError(shownInline ? '' : `Error: ${getErrorMessage(err)}`);
     }
   };
 
@@ -604,37 +2431,981 @@ const DynamicForm = ({ schema, item, onClose }) => {
     <div style={{ border: '1px solid #ccc', padding: '1rem', marginTop: '1rem', borderRadius: '8px' }}>
       <h3>{item ? `Edit ${schema.name}` : `New ${schema.name}`}</h3>
       <form onSubmit={handleSubmit} className="form-grid">
-        {schema.fields.map(field => (
+        {inputFields.map(field => (
           <div className="form-group" key={field.name}>
-            <label>{field.name} {field.required && '*'}</label>
-            {field.type === 'boolean' ? (
-              <input
-                name={field.name}
-                type="checkbox"
-                checked={!!formData[field.name]}
-                onChange={handleChange}
-              />
-            ) : (
-              <input
-                name={field.name}
-                type={field.type === 'number' ? 'number' : 'text'}
-                value={formData[field.name] ?? ''}
-                onChange={handleChange}
-                required={field.required}
-              />
-            )}
+            <label>{field.name} {field.required && isWritable(field) && '*'}</label>
+            <fieldset disabled={!isWritable(field)} style={{ border: 'none', margin: 0, padding: 0 }}>
+              {renderInput(field)}
+            </fieldset>
+            {fieldErrors[field.name] && <small style={{ color: 'red' }}>{fieldErrors[field.name]}</small>}
           </div>
         ))}
         {error && <p style={{ color: 'red' }}>{error}</p>}
         <div style={{ display: 'flex', gap: '1rem' }}>
           <button type="submit">{item ? 'Update' : 'Create'}</button>
-          <button type="button" className="secondary" onClick={onClose}>Cancel</button>
+          <button type="button" className="secondary" onClick={() => onClose(null)}>Cancel</button>
         </div>
       </form>
     </div>
   );
 };
 
+// --- Webhooks Page (Admin) ---
+const WEBHOOK_EVENTS = ['created', 'updated', 'deleted'];
+const EMPTY_WEBHOOK = { modelName: '', events: [...WEBHOOK_EVENTS], url: '', secret: '', description: '' };
+
+const WebhooksPage = () => {
+  const [webhooks, setWebhooks] = useState([]);
+  const [models, setModels] = useState([]);
+  const [draft, setDraft] = useState(EMPTY_WEBHOOK);
+  const [draftErrors, setDraftErrors] = useState({});
+  // The webhook whose delivery log is open
+  const [logWebhook, setLogWebhook] = useState(null);
+
+  const fetchWebhooks = async () => {
+    try {
+      const res = await api.get('/api/webhooks');
+      setWebhooks(res.data);
+    } catch (error) {
+      console.error('Failed to fetch webhooks', error);
+    }
+  };
+
+  useEffect(() => {
+    const fetchModels = async () => {
+      try {
+        const res = await api.get('/api/models');
+        setModels(res.data);
+      } catch (error) {
+        console.error('Failed to fetch models', error);
+      }
+    };
+    fetchModels();
+    fetchWebhooks();
+  }, []);
+
+  const handleDraftEvent = (event, isChecked) => {
+    const events = isChecked ? [...draft.events, event] : draft.events.filter((e) => e !== event);
+    setDraft({ ...draft, events });
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    // An empty secret lets the server generate one
+    const { secret, ...rest } = draft;
+    try {
+      await api.post('/api/webhooks', secret ? draft : rest);
+      setDraft(EMPTY_WEBHOOK);
+      setDraftErrors({});
+      fetchWebhooks();
+    } catch (error) {
+      setDraftErrors(error.response?.data?.errors || {});
+      if (!error.response?.data?.errors) alert(`Error: ${getErrorMessage(error)}`);
+    }
+  };
+
+  const handleToggle = async (webhook) => {
+    try {
+      await api.put(`/api/webhooks/${webhook.id}`, { active: !webhook.active });
+      fetchWebhooks();
+    } catch (error) {
+      alert(`Error: ${getErrorMessage(error)}`);
+    }
+  };
+
+  const handlePing = async (webhook) => {
+    try {
+      await api.post(`/api/webhooks/${webhook.id}/ping`);
+      setLogWebhook(webhook);
+    } catch (error) {
+      alert(`Error: ${getErrorMessage(error)}`);
+    }
+  };
+
+  const handleDelete = async (webhook) => {
+    if (!window.confirm(`Delete the webhook to ${webhook.url} and its delivery log?`)) return;
+    try {
+      await api.delete(`/api/webhooks/${webhook.id}`);
+      if (logWebhook?.id === webhook.id) setLogWebhook(null);
+      fetchWebhooks();
+    } catch (error) {
+      alert(`Error: ${getErrorMessage(error)}`);
+    }
+  };
+
+  return (
+    <div>
+      <h2>Webhooks</h2>
+      <p>Each webhook is POSTed the chosen record events of a model, signed with its secret.</p>
+
+      <form onSubmit={handleCreate} className="form-grid">
+        <div className="form-group">
+          <label>Model</label>
+          <select value={draft.modelName} onChange={(e) => setDraft({ ...draft, modelName: e.target.value })}>
+            <option value="">Choose a model...</option>
+            {models.map((m) => <option key={m.name} value={m.name}>{m.name}</option>)}
+          </select>
+          {draftErrors.modelName && <small style={{ color: 'red' }}>{draftErrors.modelName}</small>}
+        </div>
+        <div className="form-group">
+          <label>URL</label>
+          <input
+            type="url"
+            value={draft.url}
+            onChange={(e) => setDraft({ ...draft, url: e.target.value })}
+            placeholder="https://example.com/hooks/orders"
+          />
+          {draftErrors.url && <small style={{ color: 'red' }}>{draftErrors.url}</small>}
+        </div>
+        <div className="form-group">
+          <label>Events</label>
+          <div style={{ display: 'flex', gap: '10px' }}>
+            {WEBHOOK_EVENTS.map((event) => (
+              <label key={event}>
+                <input
+                  type="checkbox"
+                  checked={draft.events.includes(event)}
+                  onChange={(e) => handleDraftEvent(event, e.target.checked)}
+                />
+                {' '}{event}
+              </label>
+            ))}
+          </div>
+          {draftErrors.events && <small style={{ color: 'red' }}>{draftErrors.events}</small>}
+        </div>
+        <div className="form-group">
+          <label>Secret</label>
+          <input
+            value={draft.secret}
+            onChange={(e) => setDraft({ ...draft, secret: e.target.value })}
+            placeholder="Leave empty to generate one"
+          />
+          {draftErrors.secret && <small style={{ color: 'red' }}>{draftErrors.secret}</small>}
+        </div>
+        <div className="form-group">
+          <label>Description</label>
+          <input value={draft.description} onChange={(e) => setDraft({ ...draft, description: e.target.value })} />
+        </div>
+        <button type="submit">Add Webhook</button>
+      </form>
+
+      <table>
+        <thead>
+          <tr>
+            <th>Model</th>
+            <th>Events</th>
+            <th>URL</th>
+            <th>Secret</th>
+            <th>Active</th>
+            <th>actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          {webhooks.map((webhook) => (
+            <tr key={webhook.id}>
+              <td>{webhook.modelName}</td>
+              <td>{webhook.events.join(', ')}</td>
+              <td>{webhook.url}{webhook.description && <><br /><small>{webhook.description}</small></>}</td>
+              <td><code>{webhook.secret}</code></td>
+              <td>{webhook.active ? 'yes' : 'no'}</td>
+              <td>
+                <button className="secondary" onClick={() => setLogWebhook(webhook)}>Deliveries</button>
+                {' '}
+                <button className="secondary" onClick={() => handlePing(webhook)}>Ping</button>
+                {' '}
+                <button className="secondary" onClick={() => handleToggle(webhook)}>
+                  {webhook.active ? 'Disable' : 'Enable'}
+                </button>
+                {' '}
+                <button className="danger" onClick={() => handleDelete(webhook)}>Delete</button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {logWebhook && (
+        <WebhookDeliveries key={logWebhook.id} webhook={logWebhook} onClose={() => setLogWebhook(null)} />
+      )}
+    </div>
+  );
+};
+
+// --- Webhook Delivery Log ---
+const WebhookDeliveries = ({ webhook, onClose }) => {
+  const [deliveries, setDeliveries] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [query, setQuery] = useState({ page: 1, status: '' });
+  // Bumped to fetch the current page again
+  const [reloads, setReloads] = useState(0);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchDeliveries = async () => {
+      setError('');
+      try {
+        const params = { page: query.page, limit: PAGE_SIZE };
+        if (query.status) params.status = query.status;
+        const res = await api.get(`/api/webhooks/${webhook.id}/deliveries`, { params });
+        setDeliveries(res.data.data);
+        setPagination(res.data.pagination);
+      } catch (err) {
+        setError(getErrorMessage(err));
+      }
+    };
+    fetchDeliveries();
+  }, [webhook.id, query, reloads]);
+
+  const updateQuery = (changes) => setQuery({ ...query, ...changes });
+
+  const handleRedeliver = async (delivery) => {
+    try {
+      await api.post(`/api/webhooks/${webhook.id}/deliveries/${delivery.id}/redeliver`);
+      setReloads(reloads + 1);
+    } catch (err) {
+      alert(`Error: ${getErrorMessage(err)}`);
+    }
+  };
+
+  return (
+    <div style={{ border: '1px solid #ccc', padding: '1rem', marginTop: '1rem', borderRadius: '8px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <h3>Deliveries to {webhook.url}</h3>
+        <div style={{ display: 'flex', gap: '10px' }}>
+          <select value={query.status} onChange={(e) => updateQuery({ status: e.target.value, page: 1 })}>
+            <option value="">All statuses</option>
+            <option value="pending">pending</option>
+            <option value="succeeded">succeeded</option>
+            <option value="failed">failed</option>
+          </select>
+          <button className="secondary" onClick={() => setReloads(reloads + 1)}>Refresh</button>
+          <button className="secondary" onClick={onClose}>Close</button>
+        </div>
+      </div>
+      {error && <p style={{ color: 'red' }}>{error}</p>}
+      <table>
+        <thead>
+          <tr>
+            <th>queued</th>
+            <th>event</th>
+            <th>record</th>
+            <th>status</th>
+            <th>attempts</th>
+            <th>response</th>
+            <th>actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          {deliveries.map((delivery) => (
+            <tr key={delivery.id}>
+              <td>{new Date(delivery.createdAt).toLocaleString()}</td>
+              <td>{delivery.event}</td>
+              <td>{delivery.recordId ?? ''}</td>
+              <td>
+                {delivery.status}
+                {delivery.status === 'pending' && delivery.attempts > 0 && (
+                  <><br /><small>retry at {new Date(delivery.nextAttemptAt).toLocaleTimeString()}</small></>
+                )}
+              </td>
+              <td>{delivery.attempts}</td>
+              <td>
+                {delivery.responseStatus ?? ''}
+                {delivery.error && <><br /><small style={{ color: '#a00' }}>{delivery.error}</small></>}
+              </td>
+              <td>
+                {delivery.status !== 'pending' && (
+                  <button className="secondary" onClick={() => handleRedeliver(delivery)}>Redeliver</button>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {pagination && pagination.totalPages > 1 && (
+        <div style={{ display: 'flex', gap: '1rem', alignItems: 'center', marginTop: '1rem' }}>
+          <button
+            className="secondary"
+            disabled={pagination.page <= 1}
+            onClick={() => updateQuery({ page: pagination.page - 1 })}
+          >
+            Previous
+          </button>
+          <span>Page {pagination.page} of {pagination.totalPages}</span>
+          <button
+            className="secondary"
+            disabled={!pagination.nextPage}
+            onClick={() => updateQuery({ page: pagination.nextPage })}
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// --- Roles Page (Admin) ---
+const EMPTY_ROLE = { name: '', description: '' };
+
+const RolesPage = () => {
+  const [roles, setRoles] = useState([]);
+  const [draft, setDraft] = useState(EMPTY_ROLE);
+  const [draftErrors, setDraftErrors] = useState({});
+  // The role being renamed or described: { id, name, description }
+  const [editing, setEditing] = useState(null);
+
+  const fetchRoles = async () => {
+    try {
+      const res = await api.get('/api/roles');
+      setRoles(res.data);
+    } catch (error) {
+      console.error('Failed to fetch roles', error);
+    }
+  };
+
+  useEffect(() => {
+    fetchRoles();
+  }, []);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      await api.post('/api/roles', draft);
+      setDraft(EMPTY_ROLE);
+      setDraftErrors({});
+      fetchRoles();
+    } catch (error) {
+      setDraftErrors(error.response?.data?.errors || {});
+      if (!error.response?.data?.errors) alert(`Error: ${getErrorMessage(error)}`);
+    }
+  };
+
+  // Renaming also renames the role for its users and in every model's RBAC
+  const handleSave = async () => {
+    const role = roles.find((r) => r.id === editing.id);
+    if (editing.name !== role.name && role.models.length > 0
+      && !window.confirm(`Rename "${role.name}" to "${editing.name}"? ${role.models.join(', ')} will be republished with the new name.`)) return;
+    try {
+      await api.put(`/api/roles/${editing.id}`, { name: editing.name, description: editing.description });
+      setEditing(null);
+      fetchRoles();
+    } catch (error) {
+      alert(`Error: ${getErrorMessage(error)}`);
+    }
+  };
+
+  const handleDelete = async (role) => {
+    if (!window.confirm(`Delete the role "${role.name}"?`)) return;
+    try {
+      await api.delete(`/api/roles/${role.id}`);
+      fetchRoles();
+    } catch (error) {
+      alert(`Error: ${getErrorMessage(error)}`);
+    }
+  };
+
+  return (
+    <div>
+      <h2>Roles</h2>
+      <p>Every role shows up in the RBAC settings of each model. Roles still held by users or service accounts, granted by open invitations or used by a model can't be deleted.</p>
+
+      <form onSubmit={handleCreate} className="form-grid">
+        <div className="form-group">
+          <label>Name</label>
+          <input value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} required />
+          {draftErrors.name && <small style={{ color: 'red' }}>{draftErrors.name}</small>}
+        </div>
+        <div className="form-group">
+          <label>Description</label>
+          <input value={draft.description} onChange={(e) => setDraft({ ...draft, description: e.target.value })} />
+          {draftErrors.description && <small style={{ color: 'red' }}>{draftErrors.description}</small>}
+        </div>
+        <button type="submit">Add Role</button>
+      </form>
+
+      <table>
+        <thead>
+          <tr>
+            <th>Name</th>
+            <th>Description</th>
+            <th>Users</th>
+            <th>Models</th>
+            <th>actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          {roles.map((role) => (editing?.id === role.id ? (
+            <tr key={role.id}>
+              <td>
+                <input
+                  value={editing.name}
+                  onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                  disabled={role.protected}
+                />
+              </td>
+              <td>
+                <input
+                  value={editing.description}
+                  onChange={(e) => setEditing({ ...editing, description: e.target.value })}
+                />
+              </td>
+              <td>{role.users}</td>
+              <td>{role.models.join(', ')}</td>
+              <td>
+                <button onClick={handleSave}>Save</button>
+                {' '}
+                <button className="secondary" onClick={() => setEditing(null)}>Cancel</button>
+              </td>
+            </tr>
+          ) : (
+            <tr key={role.id}>
+              <td>{role.name}</td>
+              <td>{role.description}</td>
+              <td>{role.users}</td>
+              <td>{role.models.join(', ')}</td>
+              <td>
+                <button
+                  className="secondary"
+                  onClick={() => setEditing({ id: role.id, name: role.name, description: role.description || '' })}
+                >
+                  Edit
+                </button>
+                {!role.protected && (
+                  <>
+                    {' '}
+                    <button className="danger" onClick={() => handleDelete(role)}>Delete</button>
+                  </>
+                )}
+              </td>
+            </tr>
+          )))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+// --- Users Page (Admin) ---
+const EMPTY_INVITATION = { role: 'Viewer', note: '', expiresInDays: 7 };
+
+// Where an invitation stands: accepted, expired or open
+const invitationState = (invitation) => {
+  if (invitation.acceptedAt) return `accepted by ${invitation.acceptedBy}`;
+  if (new Date(invitation.expiresAt) <= new Date()) return 'expired';
+  return 'open';
+};
+
+const UsersPage = () => {
+  const { user: currentUser } = useAuth();
+  const [users, setUsers] = useState([]);
+  const [roles, setRoles] = useState([]);
+  const [invitations, setInvitations] = useState([]);
+  const [draft, setDraft] = useState(EMPTY_INVITATION);
+  const [draftErrors, setDraftErrors] = useState({});
+  // The link of the invitation just created; the server can't show it again
+  const [invitationLink, setInvitationLink] = useState('');
+  // { username, link } of the password reset just issued, shown once too
+  const [reset, setReset] = useState(null);
+
+  const fetchData = async () => {
+    try {
+      const [usersRes, rolesRes, invitationsRes] = await Promise.all([
+        api.get('/api/users'),
+        api.get('/api/roles'),
+        api.get('/api/invitations'),
+      ]);
+      setUsers(usersRes.data);
+      setRoles(rolesRes.data.map((role) => role.name));
+      setInvitations(invitationsRes.data);
+    } catch (error) {
+      console.error('Failed to fetch users', error);
+    }
+  };
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  const handleUpdate = async (user, changes) => {
+    try {
+      await api.put(`/api/users/${user.id}`, changes);
+      fetchData();
+    } catch (error) {
+      alert(`Error: ${getErrorMessage(error)}`);
+    }
+  };
+
+  const handleDelete = async (user) => {
+    const action = user.status === 'pending' ? 'Reject the signup of' : 'Delete the account of';
+    if (!window.confirm(`${action} "${user.username}"?`)) return;
+    try {
+      await api.delete(`/api/users/${user.id}`);
+      fetchData();
+    } catch (error) {
+      alert(`Error: ${getErrorMessage(error)}`);
+    }
+  };
+
+  // Also logs the user out everywhere
+  const handleResetPassword = async (user) => {
+    if (!window.confirm(`Reset the password of "${user.username}"? They'll be logged out until they set a new one.`)) return;
+    try {
+      const res = await api.post(`/api/users/${user.id}/password-reset`);
+      setReset({
+        username: user.username,
+        link: `${window.location.origin}/reset-password?token=${encodeURIComponent(res.data.token)}`,
+      });
+    } catch (error) {
+      alert(`Error: ${getErrorMessage(error)}`);
+    }
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    try {
+      const res = await api.post('/api/invitations', {
+        role: draft.role,
+        note: draft.note || null,
+        expiresInDays: Number(draft.expiresInDays),
+      });
+      setInvitationLink(`${window.location.origin}/signup?invite=${encodeURIComponent(res.data.token)}`);
+      setDraft(EMPTY_INVITATION);
+      setDraftErrors({});
+      fetchData();
+    } catch (error) {
+      setDraftErrors(error.response?.data?.errors || {});
+      if (!error.response?.data?.errors) alert(`Error: ${getErrorMessage(error)}`);
+    }
+  };
+
+  const handleRevoke = async (invitation) => {
+    if (!window.confirm(`Revoke the ${invitation.role} invitation${invitation.note ? ` (${invitation.note})` : ''}?`)) return;
+    try {
+      await api.delete(`/api/invitations/${invitation.id}`);
+      fetchData();
+    } catch (error) {
+      alert(`Error: ${getErrorMessage(error)}`);
+    }
+  };
+
+  const pending = users.filter((user) => user.status === 'pending');
+
+  return (
+    <div>
+      <h2>Users</h2>
+
+      {pending.length > 0 && (
+        <>
+          <h3>Waiting for Approval</h3>
+          <table>
+            <thead>
+              <tr>
+                <th>Username</th>
+                <th>Signed up</th>
+                <th>actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {pending.map((user) => (
+                <tr key={user.id}>
+                  <td>{user.username}</td>
+                  <td>{new Date(user.createdAt).toLocaleString()}</td>
+                  <td>
+                    <button onClick={() => handleUpdate(user, { status: 'active' })}>Approve</button>
+                    {' '}
+                    <button className="danger" onClick={() => handleDelete(user)}>Reject</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+
+      <h3>Accounts</h3>
+      <table>
+        <thead>
+          <tr>
+            <th>Username</th>
+            <th>Role</th>
+            <th>Status</th>
+            <th>actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          {users.filter((user) => user.status !== 'pending').map((user) => (
+            <tr key={user.id}>
+              <td>{user.username}</td>
+              <td>
+                <select
+                  value={user.role}
+                  onChange={(e) => handleUpdate(user, { role: e.target.value })}
+                  disabled={user.id === currentUser.id}
+                >
+                  {roles.map((name) => <option key={name} value={name}>{name}</option>)}
+                </select>
+              </td>
+              <td>{user.status}</td>
+              <td>
+                {user.id !== currentUser.id && (
+                  <>
+                    <button className="secondary" onClick={() => handleResetPassword(user)}>Reset Password</button>
+                    {' '}
+                    <button className="danger" onClick={() => handleDelete(user)}>Delete</button>
+                  </>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {reset && (
+        <div className="form-group">
+          <label>Password reset link for {reset.username} (valid for 24 hours, copy it now, it won't be shown again)</label>
+          <input value={reset.link} readOnly onFocus={(e) => e.target.select()} />
+        </div>
+      )}
+
+      <h3>Invitations</h3>
+      <p>An invitation link lets one person sign up with its role, without waiting for approval.</p>
+      <form onSubmit={handleInvite} className="form-grid">
+        <div className="form-group">
+          <label>Role</label>
+          <select value={draft.role} onChange={(e) => setDraft({ ...draft, role: e.target.value })}>
+            {roles.map((name) => <option key={name} value={name}>{name}</option>)}
+          </select>
+          {draftErrors.role && <small style={{ color: 'red' }}>{draftErrors.role}</small>}
+        </div>
+        <div className="form-group">
+          <label>Note</label>
+          <input
+            value={draft.note}
+            onChange={(e) => setDraft({ ...draft, note: e.target.value })}
+            placeholder="Who it's for"
+          />
+          {draftErrors.note && <small style={{ color: 'red' }}>{draftErrors.note}</small>}
+        </div>
+        <div className="form-group">
+          <label>Expires in (days)</label>
+          <input
+            type="number"
+            min="1"
+            value={draft.expiresInDays}
+            onChange={(e) => setDraft({ ...draft, expiresInDays: e.target.value })}
+          />
+          {draftErrors.expiresInDays && <small style={{ color: 'red' }}>{draftErrors.expiresInDays}</small>}
+        </div>
+        <button type="submit">Create Invitation</button>
+      </form>
+
+      {invitationLink && (
+        <div className="form-group">
+          <label>Invitation link (copy it now, it won't be shown again)</label>
+          <input value={invitationLink} readOnly onFocus={(e) => e.target.select()} />
+        </div>
+      )}
+
+      <table>
+        <thead>
+          <tr>
+            <th>Role</th>
+            <th>Note</th>
+            <th>Invited by</th>
+            <th>Expires</th>
+            <th>State</th>
+            <th>actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          {invitations.map((invitation) => (
+            <tr key={invitation.id}>
+              <td>{invitation.role}</td>
+              <td>{invitation.note}</td>
+              <td>{invitation.invitedBy}</td>
+              <td>{new Date(invitation.expiresAt).toLocaleString()}</td>
+              <td>{invitationState(invitation)}</td>
+              <td>
+                {invitationState(invitation) === 'open' && (
+                  <button className="danger" onClick={() => handleRevoke(invitation)}>Revoke</button>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+// --- Service Accounts Page (Admin) ---
+const EMPTY_SERVICE_ACCOUNT = { name: '', role: 'Viewer', description: '' };
+const SCOPE_ACTIONS = ['read', 'create', 'update', 'delete', 'purge'];
+
+// Where an API key stands: revoked, expired or active
+const apiKeyState = (apiKey) => {
+  if (apiKey.revokedAt) return 'revoked';
+  if (apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date()) return 'expired';
+  return 'active';
+};
+
+// Scopes as text: "Product: read, create; *: read"
+const formatScopes = (scopes) => Object.entries(scopes)
+  .map(([model, actions]) => `${model === '*' ? 'All models' : model}: ${actions.join(', ')}`)
+  .join('; ');
+
+const ServiceAccountsPage = () => {
+  const [accounts, setAccounts] = useState([]);
+  const [roles, setRoles] = useState([]);
+  const [modelNames, setModelNames] = useState([]);
+  const [draft, setDraft] = useState(EMPTY_SERVICE_ACCOUNT);
+  const [draftErrors, setDraftErrors] = useState({});
+  // The key being created: { accountId, name, scopes, expiresInDays }
+  const [keyDraft, setKeyDraft] = useState(null);
+  const [keyErrors, setKeyErrors] = useState({});
+  // { accountName, key } of the key just created or rotated; shown once
+  const [newKey, setNewKey] = useState(null);
+
+  const fetchAccounts = async () => {
+    try {
+      const [accountsRes, rolesRes, modelsRes] = await Promise.all([
+        api.get('/api/service-accounts'),
+        api.get('/api/roles'),
+        api.get('/api/models'),
+      ]);
+      setAccounts(accountsRes.data);
+      setRoles(rolesRes.data.map((role) => role.name));
+      setModelNames(modelsRes.data.map((model) => model.name));
+    } catch (error) {
+      console.error('Failed to fetch service accounts', error);
+    }
+  };
+
+  useEffect(() => {
+    fetchAccounts();
+  }, []);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      await api.post('/api/service-accounts', draft);
+      setDraft(EMPTY_SERVICE_ACCOUNT);
+      setDraftErrors({});
+      fetchAccounts();
+    } catch (error) {
+      setDraftErrors(error.response?.data?.errors || {});
+      if (!error.response?.data?.errors) alert(`Error: ${getErrorMessage(error)}`);
+    }
+  };
+
+  const handleRoleChange = async (account, role) => {
+    try {
+      await api.put(`/api/service-accounts/${account.id}`, { role });
+      fetchAccounts();
+    } catch (error) {
+      alert(`Error: ${getErrorMessage(error)}`);
+    }
+  };
+
+  const handleDelete = async (account) => {
+    if (!window.confirm(`Delete the service account "${account.name}" and all its keys?`)) return;
+    try {
+      await api.delete(`/api/service-accounts/${account.id}`);
+      fetchAccounts();
+    } catch (error) {
+      alert(`Error: ${getErrorMessage(error)}`);
+    }
+  };
+
+  const toggleScope = (model, action) => {
+    const actions = keyDraft.scopes[model] || [];
+    const next = actions.includes(action) ? actions.filter((a) => a !== action) : [...actions, action];
+    const scopes = { ...keyDraft.scopes, [model]: next };
+    if (next.length === 0) delete scopes[model];
+    setKeyDraft({ ...keyDraft, scopes });
+  };
+
+  const handleCreateKey = async (e, account) => {
+    e.preventDefault();
+    try {
+      const res = await api.post(`/api/service-accounts/${account.id}/keys`, {
+        name: keyDraft.name,
+        scopes: keyDraft.scopes,
+        expiresInDays: keyDraft.expiresInDays === '' ? null : Number(keyDraft.expiresInDays),
+      });
+      setNewKey({ accountName: account.name, key: res.data.key });
+      setKeyDraft(null);
+      setKeyErrors({});
+      fetchAccounts();
+    } catch (error) {
+      setKeyErrors(error.response?.data?.errors || {});
+      if (!error.response?.data?.errors) alert(`Error: ${getErrorMessage(error)}`);
+    }
+  };
+
+  const handleRotate = async (account, apiKey) => {
+    const answer = window.prompt(`Rotate "${apiKey.name}"? Hours the old key keeps working (0 stops it now):`, '0');
+    if (answer === null) return;
+    try {
+      const res = await api.post(`/api/service-accounts/${account.id}/keys/${apiKey.id}/rotate`, { graceHours: Number(answer) });
+      setNewKey({ accountName: account.name, key: res.data.key });
+      fetchAccounts();
+    } catch (error) {
+      alert(`Error: ${getErrorMessage(error)}`);
+    }
+  };
+
+  const handleRevoke = async (account, apiKey) => {
+    if (!window.confirm(`Revoke the key "${apiKey.name}" (${apiKey.prefix}…)? It stops working right away.`)) return;
+    try {
+      await api.delete(`/api/service-accounts/${account.id}/keys/${apiKey.id}`);
+      fetchAccounts();
+    } catch (error) {
+      alert(`Error: ${getErrorMessage(error)}`);
+    }
+  };
+
+  return (
+    <div>
+      <h2>Service Accounts</h2>
+      <p>
+        Service accounts call the model APIs with an API key in the <code>X-API-Key</code> header. They act with
+        their role, limited to each key's scopes.
+      </p>
+
+      <form onSubmit={handleCreate} className="form-grid">
+        <div className="form-group">
+          <label>Name</label>
+          <input value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} required />
+          {draftErrors.name && <small style={{ color: 'red' }}>{draftErrors.name}</small>}
+        </div>
+        <div className="form-group">
+          <label>Role</label>
+          <select value={draft.role} onChange={(e) => setDraft({ ...draft, role: e.target.value })}>
+            {roles.map((name) => <option key={name} value={name}>{name}</option>)}
+          </select>
+          {draftErrors.role && <small style={{ color: 'red' }}>{draftErrors.role}</small>}
+        </div>
+        <div className="form-group">
+          <label>Description</label>
+          <input value={draft.description} onChange={(e) => setDraft({ ...draft, description: e.target.value })} />
+          {draftErrors.description && <small style={{ color: 'red' }}>{draftErrors.description}</small>}
+        </div>
+        <button type="submit">Add Service Account</button>
+      </form>
+
+      {newKey && (
+        <div className="form-group">
+          <label>New API key for {newKey.accountName} (copy it now, it won't be shown again)</label>
+          <input value={newKey.key} readOnly onFocus={(e) => e.target.select()} />
+        </div>
+      )}
+
+      {accounts.map((account) => (
+        <div key={account.id}>
+          <h3>{account.name}</h3>
+          {account.description && <p>{account.description}</p>}
+          <p>
+            Role:{' '}
+            <select value={account.role} onChange={(e) => handleRoleChange(account, e.target.value)}>
+              {roles.map((name) => <option key={name} value={name}>{name}</option>)}
+            </select>
+            {' '}
+            <button className="secondary" onClick={() => setKeyDraft({ accountId: account.id, name: '', scopes: {}, expiresInDays: '' })}>
+              New Key
+            </button>
+            {' '}
+            <button className="danger" onClick={() => handleDelete(account)}>Delete</button>
+          </p>
+
+          {keyDraft?.accountId === account.id && (
+            <form onSubmit={(e) => handleCreateKey(e, account)} className="form-grid">
+              <div className="form-group">
+                <label>Key Name</label>
+                <input value={keyDraft.name} onChange={(e) => setKeyDraft({ ...keyDraft, name: e.target.value })} required />
+                {keyErrors.name && <small style={{ color: 'red' }}>{keyErrors.name}</small>}
+              </div>
+              <div className="form-group">
+                <label>Expires in (days, empty for never)</label>
+                <input
+                  type="number"
+                  min="1"
+                  value={keyDraft.expiresInDays}
+                  onChange={(e) => setKeyDraft({ ...keyDraft, expiresInDays: e.target.value })}
+                />
+                {keyErrors.expiresInDays && <small style={{ color: 'red' }}>{keyErrors.expiresInDays}</small>}
+              </div>
+              <table>
+                <thead>
+                  <tr>
+                    <th>Scope</th>
+                    {SCOPE_ACTIONS.map((action) => <th key={action}>{action}</th>)}
+                  </tr>
+                </thead>
+                <tbody>
+                  {['*', ...modelNames].map((model) => (
+                    <tr key={model}>
+                      <td>{model === '*' ? 'All models' : model}</td>
+                      {SCOPE_ACTIONS.map((action) => (
+                        <td key={action}>
+                          <input
+                            type="checkbox"
+                            checked={!!keyDraft.scopes[model]?.includes(action)}
+                            onChange={() => toggleScope(model, action)}
+                          />
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {keyErrors.scopes && <small style={{ color: 'red' }}>{keyErrors.scopes}</small>}
+              <button type="submit">Create Key</button>
+              {' '}
+              <button type="button" className="secondary" onClick={() => setKeyDraft(null)}>Cancel</button>
+            </form>
+          )}
+
+          <table>
+            <thead>
+              <tr>
+                <th>Key</th>
+                <th>Name</th>
+                <th>Scopes</th>
+                <th>Expires</th>
+                <th>Last used</th>
+                <th>State</th>
+                <th>actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {account.keys.map((apiKey) => (
+                <tr key={apiKey.id}>
+                  <td><code>{apiKey.prefix}…</code></td>
+                  <td>{apiKey.name}</td>
+                  <td>{formatScopes(apiKey.scopes)}</td>
+                  <td>{apiKey.expiresAt ? new Date(apiKey.expiresAt).toLocaleString() : 'never'}</td>
+                  <td>{apiKey.lastUsedAt ? new Date(apiKey.lastUsedAt).toLocaleString() : 'never'}</td>
+                  <td>{apiKeyState(apiKey)}</td>
+                  <td>
+                    {apiKeyState(apiKey) === 'active' && (
+                      <>
+                        <button className="secondary" onClick={() => handleRotate(account, apiKey)}>Rotate</button>
+                        {' '}
+                        <button className="danger" onClick={() => handleRevoke(account, apiKey)}>Revoke</button>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ))}
+    </div>
+  );
+};
+
 // --- Main App Component ---
 function App() {
   return (
@@ -1,15 +1,122 @@
+const path = require('path');
 const { Sequelize } = require('sequelize');
 require('dotenv').config();
 
-const sequelize = new Sequelize(
-  process.env.DB_NAME,
-  process.env.DB_USER,
-  process.env.DB_PASS,
-  {
-    host: process.env.DB_HOST,
-    dialect: 'postgres',
-    logging: false, // Set to console.log to see SQL queries
+// DB_DIALECT picks the database. SQLite needs no server: DB_STORAGE is its
+// file, or ':memory:' for a throwaway database. SQLite and MySQL use the
+// optional sqlite3 and mysql2 packages.
+const DIALECTS = ['postgres', 'mysql', 'sqlite'];
+
+/**
+ * Creates the Sequelize instance the DB_* variables describe.
+ */
+function createSequelize() {
+  const dialect = process.env.DB_DIALECT || 'postgres';
+  if (!DIALECTS.includes(dialect)) {
+    throw new Error(`DB_DIALECT must be one of: ${DIALECTS.join(', ')} (got '${dialect}').`);
+  }
+
+  if (dialect === 'sqlite') {
+    return new Sequelize({
+      dialect,
+      storage: process.env.DB_STORAGE || path.join(__dirname, 'database.sqlite'),
+      logging: false, // Set to console.log to see SQL queries
+    });
   }
-);
+  return new Sequelize(
+    process.env.DB_NAME,
+    process.env.DB_USER,
+    process.env.DB_PASS,
+    {
+      host: process.env.DB_HOST,
+      port: process.env.DB_PORT,
+      dialect,
+      logging: false, // Set to console.log to see SQL queries
+    }
+  );
+}
+
+/**
+ * Makes the transactions of an in-memory SQLite database wait for each
+ * other. It runs on a single connection, which holds one transaction at a
+ * time, so concurrent requests would otherwise fail with "cannot start a
+ * transaction within a transaction". Savepoints (transactions given a
+ * parent `transaction`) run inside their parent as usual.
+ */
+function queueMemoryTransactions(instance) {
+  const storage = instance.options.storage ?? instance.options.host ?? ':memory:';
+  if (instance.getDialect() !== 'sqlite' || storage !== ':memory:') return instance;
+
+  const begin = instance.transaction.bind(instance);
+  let queue = Promise.resolve();
+  instance.transaction = async (options, autoCallback) => {
+    if (typeof options === 'function') return instance.transaction({}, options);
+    if (options && options.transaction) return begin(options, autoCallback);
+
+    const previous = queue;
+    let release;
+    queue = new Promise((resolve) => { release = resolve; });
+    await previous;
+
+    if (autoCallback) {
+      try {
+        return await begin(options, autoCallback);
+      } finally {
+        release();
+      }
+    }
+    let transaction;
+    try {
+      transaction = await begin(options);
+    } catch (error) {
+      release();
+      throw error;
+    }
+    // Without a callback, the transaction holds the queue until it ends
+    for (const method of ['commit', 'rollback']) {
+      const end = transaction[method].bind(transaction);
+      transaction[method] = async () => {
+        try {
+          return await end();
+        } finally {
+          release();
+        }
+      };
+    }
+    return transaction;
+  };
+  return instance;
+}
+
+// Created on first use, so an embedding app can hand in its own instance first
+let sequelize = null;
+
+/**
+ * Makes the models use the given Sequelize instance instead of the
+ * configured one. Only possible before anything used the database.
+ */
+function useSequelize(instance) {
+  if (sequelize && sequelize !== instance) {
+    throw new Error('The database is already in use; pass the Sequelize instance to the first createEngine call.');
+  }
+  if (!sequelize) sequelize = queueMemoryTransactions(instance);
+}
+
+/**
+ * Returns the outermost transaction, the one whose commit makes a change visible.
+ */
+function rootTransaction(transaction) {
+  let root = transaction;
+  while (root.parent) root = root.parent;
+  return root;
+}
 
-module.exports = { sequelize, Sequelize };
\ No newline at end of file
+module.exports = {
+  get sequelize() {
+    if (!sequelize) sequelize = queueMemoryTransactions(createSequelize());
+    return sequelize;
+  },
+  Sequelize,
+  rootTransaction,
+  useSequelize,
+};
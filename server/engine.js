@@ -0,0 +1,2271 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+const path = require('path');
+const swaggerUiDist = require('swagger-ui-dist');
+const { createHandler } = require('graphql-http/lib/use/express');
+const { sequelize, Sequelize } = require('./db');
+const User = require('./models/User');
+const Role = require('./models/Role');
+const RoleRename = require('./models/RoleRename');
+const Invitation = require('./models/Invitation');
+const Session = require('./models/Session');
+const ServiceAccount = require('./models/ServiceAccount');
+const ApiKey = require('./models/ApiKey');
+const SchemaMigration = require('./models/SchemaMigration');
+const ModelVersion = require('./models/ModelVersion');
+const AuditLog = require('./models/AuditLog');
+const Webhook = require('./models/Webhook');
+const WebhookDelivery = require('./models/WebhookDelivery');
+const { parseListQuery, parsePagination, parseSearchText, toPage } = require('./lib/listQuery');
+const { ApiError, toApiError, sendError } = require('./lib/errors');
+const {
+  getTableName,
+  getColumnDefinitions,
+  toAttribute,
+  getValidators,
+  validateFields,
+} = require('./lib/fieldTypes');
+const { planMigration, applyMigration } = require('./lib/migrations');
+const { diffModelConfigs } = require('./lib/configDiff');
+const { diffRecords, recordChange, parseAuditQuery } = require('./lib/audit');
+const {
+  EXPORT_FORMATS,
+  getExportColumns,
+  streamExport,
+  receiveUpload,
+  detectFormat,
+  parseUpload,
+  buildColumnMapping,
+  coerceRow,
+} = require('./lib/dataTransfer');
+const { validateModelLogic, getComputedAttributes, compileHooks } = require('./lib/modelLogic');
+const { buildOpenApiDocument, renderDocsPage } = require('./lib/openapi');
+const {
+  validateFieldAccess,
+  getFieldAccess,
+  getVisibleConfig,
+  hideFields,
+  dropReadOnlyFields,
+  getAccess,
+  forbidden,
+  scopeToOwner,
+} = require('./lib/permissions');
+const { buildGraphQLSchema, checkGraphQLSchema } = require('./lib/graphql');
+const {
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUSES,
+  generateSecret,
+  checkWebhook,
+  createWebhookQueue,
+} = require('./lib/webhooks');
+const {
+  PROTECTED_ROLES,
+  checkRole,
+  getConfigRoles,
+  renameRoleInConfig,
+  applyRoleRenames,
+  findModelsUsingRole,
+  countUsersByRole,
+  upgradeRoleColumn,
+  seedRoles,
+} = require('./lib/roles');
+const {
+  USER_STATUSES,
+  UUID_PATTERN,
+  getSignupMode,
+  accountPending,
+  checkPassword,
+  checkCredentials,
+  checkInvitation,
+  createInvitation,
+  openInvitation,
+  findOpenInvitation,
+  acceptInvitation,
+  createPasswordReset,
+  findPasswordReset,
+  isSetupNeeded,
+  bootstrapAdmin,
+} = require('./lib/accounts');
+const { createSession, refreshSession, endSession, revokeSessions, isSessionLive } = require('./lib/sessions');
+const {
+  API_KEY_HEADER,
+  checkServiceAccount,
+  checkApiKey,
+  createApiKey,
+  rotateApiKey,
+  authenticateApiKey,
+  getApiKeyRole,
+} = require('./lib/apiKeys');
+const { createLiveUpdates } = require('./lib/liveUpdates');
+const {
+  validateRelations,
+  findReferencingModels,
+  sortByDependencies,
+  setupAssociations,
+  parseInclude,
+  getJoinTables,
+} = require('./lib/relations');
+const { createFileStorage } = require('./lib/configStorage');
+const { DEFAULT_HITS_PER_MODEL, MAX_HITS_PER_MODEL, searchModels } = require('./lib/search');
+
+// Where model configs are kept unless createEngine gets a storage or configDir
+const DEFAULT_CONFIG_DIR = path.join(__dirname, 'models-config');
+
+// Acts as the author of changes made through the programmatic API without a user
+const SYSTEM_USER = { id: null, username: null };
+
+/**
+ * Creates the model engine: the registry of published models with their
+ * generated REST, GraphQL and event routes, the model definition and admin
+ * APIs and, unless `authenticate` is given, the account routes.
+ *
+ * Options:
+ * - `storage`: where model configs are kept ({ load, save, remove }, see
+ *   lib/configStorage.js). Defaults to JSON files in `configDir`
+ *   (models-config by default).
+ * - `authenticate(req)`: resolves the user of a request ({ id, username,
+ *   role }) or null. Replaces the built-in JWT sessions, whose routes are
+ *   then left out.
+ * - `prefix`: path the routes are served under ('' by default).
+ *
+ * Returns { router, start, stop, plan, publish, unpublish, getModel }. The
+ * router only serves models once start() has resolved.
+ */
+function createEngine(options = {}) {
+  const {
+    storage = createFileStorage(options.configDir || DEFAULT_CONFIG_DIR),
+    authenticate = null,
+    prefix = '',
+  } = options;
+
+  const router = express.Router();
+  router.use(express.json({ limit: '5mb' })); // Bulk requests carry many records
+
+  // Signup, login, sessions, users and invitations. Hosts that authenticate
+  // users themselves don't get them.
+  const accountRouter = express.Router();
+  if (!authenticate) router.use(accountRouter);
+
+  const JWT_SECRET = process.env.JWT_SECRET;
+
+  // This map will hold our dynamically registered models and their configs
+  const dynamicModels = {};
+
+  // The OpenAPI document and GraphQL schema are built on first request and
+  // dropped whenever a model is registered or removed
+  let openApiDocument = null;
+  let graphqlSchema = null;
+
+  // Open event streams and queued webhook deliveries belong to the engine
+  const liveUpdates = createLiveUpdates();
+  const { openEventStream, publishEvent, publishAfterCommit, checkSubscribers } = liveUpdates;
+  const webhookQueue = createWebhookQueue();
+  const { invalidateWebhooks, enqueueWebhooks, enqueuePing, redeliver, startWebhookWorker } = webhookQueue;
+
+  // Resolves the config of a registered model (used for relation fields)
+  const lookupConfig = (modelName) => dynamicModels[modelName] && dynamicModels[modelName].config;
+
+  // =================================================================
+  // 1. AUTHENTICATION MIDDLEWARE & ROUTES
+  // =================================================================
+
+  const tokenAuthMiddleware = async (req, res, next) => {
+    const token = req.headers['authorization']?.split(' ')[1];
+    if (!token && req.get(API_KEY_HEADER)) {
+      return sendError(res, new ApiError(403, 'FORBIDDEN', 'API keys only work with the model APIs.'));
+    }
+    if (!token) return sendError(res, new ApiError(401, 'UNAUTHORIZED', 'Access denied. No token provided.'));
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, JWT_SECRET);
+    } catch (ex) {
+      if (ex instanceof jwt.TokenExpiredError) {
+        return sendError(res, new ApiError(401, 'TOKEN_EXPIRED', 'Token expired. Refresh it with POST /auth/refresh.'));
+      }
+      return sendError(res, new ApiError(400, 'INVALID_TOKEN', 'Invalid token.'));
+    }
+
+    try {
+      // The role is read from the database rather than the token, so renamed
+      // roles apply to tokens issued before the rename
+      const [user, live] = await Promise.all([
+        User.findByPk(decoded.id, { attributes: ['id', 'username', 'role', 'status'] }),
+        isSessionLive(decoded.sid, decoded.id),
+      ]);
+      if (!user) return sendError(res, new ApiError(401, 'UNAUTHORIZED', 'This account no longer exists.'));
+      if (!live) return sendError(res, new ApiError(401, 'SESSION_ENDED', 'This session has ended. Log in again.'));
+      if (user.status !== 'active') return sendError(res, accountPending());
+      req.user = { ...decoded, username: user.username, role: user.role };
+    } catch (error) {
+      return sendError(res, error);
+    }
+    next();
+  };
+
+  // With the `authenticate` option the host app decides who the user is
+  const hostAuthMiddleware = async (req, res, next) => {
+    try {
+      req.user = await authenticate(req);
+    } catch (error) {
+      return sendError(res, error);
+    }
+    if (!req.user) return sendError(res, new ApiError(401, 'UNAUTHORIZED', 'Access denied. Not signed in.'));
+    next();
+  };
+
+  const authMiddleware = authenticate ? hostAuthMiddleware : tokenAuthMiddleware;
+
+  // For the model APIs: also lets service accounts in with an API key (the
+  // X-API-Key header). Everything else takes user tokens only.
+  const modelAuthMiddleware = async (req, res, next) => {
+    const key = req.get(API_KEY_HEADER);
+    if (!key) return authMiddleware(req, res, next);
+
+    try {
+      req.user = await authenticateApiKey(key);
+    } catch (error) {
+      return sendError(res, error);
+    }
+    next();
+  };
+
+  /**
+   * Resolves to the current role of a request user who is still signed in,
+   * or to null: the session of a user token must be live and its account
+   * active, an API key neither revoked nor expired. Users of the host app
+   * (the authenticate option) are the host's to sign out and keep their role.
+   */
+  async function getCurrentRole(user) {
+    if (user.apiKeyId) return getApiKeyRole(user.apiKeyId);
+    if (authenticate) return user.role;
+    const [account, live] = await Promise.all([
+      User.findByPk(user.id, { attributes: ['role', 'status'] }),
+      isSessionLive(user.sid, user.id),
+    ]);
+    return account && live && account.status === 'active' ? account.role : null;
+  }
+
+  const adminOnly = (req, res, next) => {
+    if (req.user.role !== 'Admin') {
+      return sendError(res, new ApiError(403, 'FORBIDDEN', 'Forbidden. Admin access required.'));
+    }
+    next();
+  };
+
+
+  // Signup Route. With an invitation token the account gets the invitation's
+  // role; otherwise it's a Viewer, pending or active depending on SIGNUP_MODE.
+  accountRouter.post('/auth/signup', async (req, res) => {
+    console.log('--- SIGNUP ATTEMPT ---'); 
+    try {
+      const { username, password, invitation: token } = req.body;
+      console.log('1. Received data:', { username, invited: Boolean(token) }); 
+
+      const problem = checkCredentials(req.body);
+      if (problem) return sendError(res, problem);
+
+      let user;
+      if (token) {
+        user = await sequelize.transaction(async (transaction) => {
+          const invitation = await findOpenInvitation(token, transaction);
+          await acceptInvitation(invitation, username, transaction);
+          return User.create({ username, password, role: invitation.role, status: 'active' }, { transaction });
+        });
+      } else {
+        const mode = getSignupMode();
+        if (mode === 'closed') {
+          return sendError(res, new ApiError(403, 'SIGNUP_DISABLED', 'Signing up requires an invitation.'));
+        }
+        user = await User.create({ username, password, role: 'Viewer', status: mode === 'open' ? 'active' : 'pending' });
+      }
+      console.log('3. User.create SUCCEEDED. User ID:', user.id); 
+
+      res.status(201).send({ id: user.id, username: user.username, role: user.role, status: user.status });
+
+    } catch (error) {
+      console.log('4. Error during signup:', error.message); 
+      sendError(res, error);
+    }
+  });
+
+
+  // Login Route
+  accountRouter.post('/auth/login', async (req, res) => {
+    console.log('--- LOGIN ATTEMPT ---'); // <-- ADD THIS
+    try {
+      const { username, password } = req.body;
+      console.log('1. Received data:', { username }); // <-- ADD THIS
+
+      const user = await User.findOne({ where: { username } });
+      if (!user) {
+        console.log('2. Error: User not found in database.'); // <-- ADD THIS
+        return sendError(res, new ApiError(400, 'INVALID_CREDENTIALS', 'Invalid username or password.'));
+      }
+
+      console.log('3. User found. Checking password...'); // <-- ADD THIS
+      const validPassword = await user.isValidPassword(password);
+
+      if (!validPassword) {
+        console.log('4. Error: Password comparison failed.'); // <-- ADD THIS
+        return sendError(res, new ApiError(400, 'INVALID_CREDENTIALS', 'Invalid username or password.'));
+      }
+      if (user.status !== 'active') {
+        return sendError(res, accountPending());
+      }
+
+      console.log('5. Login SUCCEEDED.'); // <-- ADD THIS
+      res.send(await createSession(user, req.get('user-agent')));
+
+    } catch (error) {
+      console.log('6. Error during login:', error.message); // <-- ADD THIS
+      sendError(res, error);
+    }
+  });
+
+  // Trades a refresh token for a new token pair; the old refresh token stops working
+  accountRouter.post('/auth/refresh', async (req, res) => {
+    try {
+      res.send(await refreshSession(req.body.refreshToken));
+    } catch (e) {
+      sendError(res, e);
+    }
+  });
+
+  // Ends the session of a refresh token. Works with an expired access token,
+  // so it takes the refresh token instead.
+  accountRouter.post('/auth/logout', async (req, res) => {
+    try {
+      await endSession(req.body.refreshToken);
+      res.status(204).send();
+    } catch (e) {
+      sendError(res, e);
+    }
+  });
+
+  // Ends every session of the signed-in user, on all devices
+  accountRouter.post('/auth/logout-all', authMiddleware, async (req, res) => {
+    try {
+      await revokeSessions({ userId: req.user.id });
+      res.status(204).send();
+    } catch (e) {
+      sendError(res, e);
+    }
+  });
+
+  // Changes the signed-in user's password and ends their other sessions
+  accountRouter.put('/auth/password', authMiddleware, async (req, res) => {
+    try {
+      const { currentPassword, newPassword } = req.body;
+      const user = await User.findByPk(req.user.id);
+      if (typeof currentPassword !== 'string' || !(await user.isValidPassword(currentPassword))) {
+        return sendError(res, new ApiError(400, 'INVALID_CREDENTIALS', 'The current password is wrong.', {
+          currentPassword: 'Wrong password.',
+        }));
+      }
+      const problem = checkPassword(newPassword, 'newPassword');
+      if (problem) return sendError(res, problem);
+
+      await user.update({ password: newPassword, resetTokenHash: null, resetExpiresAt: null });
+      await revokeSessions({ userId: user.id, id: { [Sequelize.Op.ne]: req.user.sid } });
+      res.status(204).send();
+    } catch (e) {
+      sendError(res, e);
+    }
+  });
+
+  // Sets a new password with a reset token from an admin and ends every session
+  accountRouter.post('/auth/reset-password', async (req, res) => {
+    try {
+      const { token, password } = req.body;
+      const user = await findPasswordReset(token);
+      const problem = checkPassword(password);
+      if (problem) return sendError(res, problem);
+
+      await user.update({ password, resetTokenHash: null, resetExpiresAt: null });
+      await revokeSessions({ userId: user.id });
+      res.status(204).send();
+    } catch (e) {
+      sendError(res, e);
+    }
+  });
+
+  // The signed-in user as the server sees it now (the token's role may be
+  // out of date after a rename)
+  accountRouter.get('/auth/me', authMiddleware, (req, res) => {
+    const { id, username, role } = req.user;
+    res.send({ id, username, role });
+  });
+
+  // What the signup and login pages need to know: whether the first admin
+  // still has to be created and how public signup works
+  accountRouter.get('/auth/setup', async (req, res) => {
+    try {
+      res.send({ needed: await isSetupNeeded(), signupMode: getSignupMode() });
+    } catch (e) {
+      sendError(res, e);
+    }
+  });
+
+  // First-run setup: creates the first admin. Closed once an active Admin exists.
+  let settingUp = false;
+  accountRouter.post('/auth/setup', async (req, res) => {
+    if (settingUp) return sendError(res, new ApiError(409, 'SETUP_DONE', 'The first administrator already exists.'));
+    settingUp = true;
+    try {
+      if (!(await isSetupNeeded())) {
+        return sendError(res, new ApiError(409, 'SETUP_DONE', 'The first administrator already exists.'));
+      }
+      const problem = checkCredentials(req.body);
+      if (problem) return sendError(res, problem);
+
+      const { username, password } = req.body;
+      const user = await User.create({ username, password, role: 'Admin', status: 'active' });
+      res.status(201).send({ id: user.id, username: user.username, role: user.role, status: user.status });
+    } catch (error) {
+      sendError(res, error);
+    } finally {
+      settingUp = false;
+    }
+  });
+
+  // The role an invitation grants, for the signup form
+  accountRouter.get('/auth/invitations/:token', async (req, res) => {
+    try {
+      const invitation = await findOpenInvitation(req.params.token);
+      res.send({ role: invitation.role, expiresAt: invitation.expiresAt });
+    } catch (e) {
+      sendError(res, e);
+    }
+  });
+
+  // =================================================================
+  // 2. DYNAMIC MODEL & ROUTE GENERATION (THE "MAGIC")
+  // =================================================================
+
+  // This router will hold all our dynamically generated CRUD routes
+  const dynamicApiRouter = express.Router();
+  router.use('/api', dynamicApiRouter); // Plug it into our app
+
+  // Model names become file names and route segments, so keep them simple
+  const MODEL_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+  // Bulk requests: the actions they may contain and how many per request
+  const BULK_ACTIONS = ['create', 'update', 'delete'];
+  const BULK_LIMIT = 1000;
+
+  // Route segments already used by the model definition and admin APIs
+  const RESERVED_ROUTE_SLUGS = ['models', 'migrations', 'audit', 'docs', 'webhooks', 'events', 'roles', 'users', 'invitations', 'search'];
+
+  /**
+   * Returns the /api/<slug> route segment for a model name.
+   */
+  function routeSlug(modelName) {
+    return modelName.toLowerCase();
+  }
+
+  // Each model owns an express.Router. Instead of stacking routes on
+  // dynamicApiRouter (which can't be removed again), we dispatch to the router
+  // of whatever model is registered right now, so a republish swaps handlers in
+  // one step. The in-flight counter lets publishModel and unregisterModel wait
+  // for running requests before touching the table; requests arriving while a
+  // model's table is migrated wait for the new definition.
+  dynamicApiRouter.use('/:modelSlug', async (req, res, next) => {
+    const slug = req.params.modelSlug.toLowerCase();
+    const findEntry = () => Object.values(dynamicModels).find((m) => m.slug === slug);
+    let entry = findEntry();
+    while (entry && entry.migrating) {
+      await entry.migrating;
+      entry = findEntry();
+    }
+    if (!entry) return next();
+
+    holdEntry(entry, res);
+    entry.router(req, res, next);
+  });
+
+  /**
+   * Counts a request as running against a model entry until its response
+   * finishes or closes.
+   */
+  function holdEntry(entry, res) {
+    entry.inFlight++;
+    let released = false;
+    const release = () => {
+      if (released) return;
+      released = true;
+      entry.inFlight--;
+    };
+    res.on('finish', release);
+    res.on('close', release);
+  }
+
+  // A GraphQL request may read or write any model, so it waits for every
+  // running migration and counts as running against all models until answered
+  const holdAllModels = async (req, res, next) => {
+    let migrating = Object.values(dynamicModels).find((entry) => entry.migrating);
+    while (migrating) {
+      await migrating.migrating;
+      migrating = Object.values(dynamicModels).find((entry) => entry.migrating);
+    }
+    for (const entry of Object.values(dynamicModels)) holdEntry(entry, res);
+    next();
+  };
+
+  /**
+   * Resolves once no requests are running against a model entry (or after the timeout).
+   */
+  async function waitForIdle(entry, timeoutMs = 10000) {
+    const deadline = Date.now() + timeoutMs;
+    while (entry.inFlight > 0 && Date.now() < deadline) {
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+  }
+
+  // Schema changes (publishing, rolling back and removing models) run one at
+  // a time, so a migration is always planned against the table it's applied to
+  let schemaChanges = Promise.resolve();
+
+  /**
+   * Runs `task` once the schema changes started before it are done.
+   * Resolves or rejects with its result.
+   */
+  function withSchemaLock(task) {
+    const run = schemaChanges.then(task);
+    schemaChanges = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Creates a dynamic RBAC middleware for a specific model and action.
+   * Roles that only hold the '<action>:own' variant are let through with
+   * req.ownedOnly set, so the handler limits them to rows they own.
+   */
+  function createRbacMiddleware(modelConfig, action) {
+    return (req, res, next) => {
+      const access = getAccess(modelConfig, req.user, action); // req.user from authMiddleware
+      if (!access) return sendError(res, forbidden(modelConfig, req.user, action));
+
+      req.ownedOnly = access.ownedOnly;
+      next();
+    };
+  }
+
+  /**
+   * Checks whether a user may read every record of a model (used to decide
+   * which related records ?include= may return).
+   */
+  function canReadModel(user, modelName) {
+    const entry = dynamicModels[modelName];
+    const access = entry && getAccess(entry.config, user, 'read');
+    return !!access && !access.ownedOnly;
+  }
+
+  /**
+   * Converts a record to JSON without the fields the user's role may not see,
+   * in the related records it was loaded with too.
+   */
+  function toVisibleRecord(modelName, user, record) {
+    const values = typeof record.toJSON === 'function' ? record.toJSON() : record;
+    const entry = dynamicModels[modelName];
+    if (!entry) return values;
+
+    const visible = hideFields(entry.config, user, values);
+    for (const [as, association] of Object.entries(entry.model.associations)) {
+      const related = visible[as];
+      if (!related) continue;
+      const target = association.target.name;
+      visible[as] = Array.isArray(related)
+        ? related.map((r) => toVisibleRecord(target, user, r))
+        : toVisibleRecord(target, user, related);
+    }
+    return visible;
+  }
+
+  /**
+   * Registers a model with Sequelize and generates its CRUD routes. The table
+   * itself is created or altered by the migration steps, not here.
+   */
+  function registerModel(modelConfig) {
+    const modelName = modelConfig.name;
+    const tableName = getTableName(modelConfig);
+    const { ownerField } = modelConfig;
+
+    // 1. Convert JSON fields to Sequelize schema
+    const schema = {};
+    for (const [column, definition] of Object.entries(getColumnDefinitions(modelConfig, lookupConfig))) {
+      schema[column] = toAttribute(definition);
+    }
+    // Field rules are enforced by Sequelize validators on create and update
+    for (const field of modelConfig.fields) {
+      const validate = getValidators(field);
+      if (schema[field.name] && validate) schema[field.name].validate = validate;
+    }
+    // Computed fields are virtual attributes, evaluated when a record is read
+    Object.assign(schema, getComputedAttributes(modelConfig));
+    // The config's beforeCreate/beforeUpdate rules, run on every write
+    const runHooks = compileHooks(modelConfig);
+
+    // 2. Define the model with Sequelize (this replaces a previous definition
+    // in Sequelize's registry, but the old class stays usable by its handlers)
+    const DynamicModel = sequelize.define(modelName, schema, {
+      tableName,
+      paranoid: !!modelConfig.softDelete, // destroy() only sets deletedAt
+    });
+
+    // Many-to-many values arrive as id arrays in the body but live in join tables
+    const manyToManyFields = modelConfig.fields.filter((f) => f.type === 'manyToMany');
+
+    const splitLinks = (body) => {
+      const data = { ...body };
+      const links = {};
+      for (const field of manyToManyFields) {
+        if (field.name in data) {
+          links[field.name] = data[field.name];
+          delete data[field.name];
+        }
+      }
+      return { data, links };
+    };
+
+    const saveLinks = async (item, links, transaction) => {
+      for (const [as, ids] of Object.entries(links)) {
+        if (!Array.isArray(ids)) {
+          throw new ApiError(400, 'VALIDATION_ERROR', `'${as}' must be an array of ids.`, { [as]: 'Must be an array of ids.' });
+        }
+        await item[DynamicModel.associations[as].accessors.set](ids, { transaction });
+      }
+    };
+
+    // Many-to-many relations whose target model is registered
+    const linkedAliases = () => manyToManyFields.map((f) => f.name).filter((as) => DynamicModel.associations[as]);
+
+    // Plain copy of a record for the audit log, with the ids it links to
+    const snapshot = async (item, aliases, transaction) => {
+      const values = item.get({ plain: true, clone: true });
+      for (const as of aliases) {
+        const related = await item[DynamicModel.associations[as].accessors.get]({
+          transaction,
+          attributes: ['id'],
+          joinTableAttributes: [],
+        });
+        values[as] = related.map((r) => r.id).sort((a, b) => a - b);
+      }
+      return values;
+    };
+
+    const audit = (req, action, recordId, before, after, transaction) => recordChange({
+      modelName,
+      action,
+      recordId,
+      user: req.user,
+      before,
+      after,
+    }, transaction);
+
+    // Queues the model's webhooks for a record event, in the change's transaction
+    const notify = (event, recordId, record, previous, transaction) => enqueueWebhooks({
+      modelName,
+      event,
+      recordId,
+      record,
+      previous,
+    }, transaction);
+
+    // Sends a record change to the live event streams of users who may read
+    // the record (without the fields they can't see), once the change's
+    // transaction commits
+    const announce = (action, record, transaction) => publishAfterCommit(transaction, 'record', (user) => ({
+      model: modelName,
+      action,
+      id: record.id,
+      record: hideFields(modelConfig, user, record),
+    }), (user) => {
+      const access = getAccess(modelConfig, user, 'read');
+      return !!access && (!access.ownedOnly || record[ownerField] === user.id);
+    });
+
+    // The model's records as the request's user may see them
+    const present = (req, record) => toVisibleRecord(modelName, req.user, record);
+
+    // Re-reads a record with the links that were just written
+    const reloadWithLinks = (item, links) => {
+      const aliases = Object.keys(links);
+      if (aliases.length === 0) return item;
+      return DynamicModel.findByPk(item.id, {
+        include: aliases.map((as) => ({ association: as, through: { attributes: [] } })),
+      });
+    };
+
+    // Record writes shared by the single-record routes and /bulk. `req` is the
+    // request (or { user, ownedOnly } for a bulk operation); each write is
+    // audited, queued for webhooks and announced in the given transaction. They resolve
+    // to { item, links }.
+    const createRecord = async (req, body, transaction) => {
+      const { data, links } = splitLinks(dropReadOnlyFields(modelConfig, req.user, body));
+      // Only an Admin may assign a record to someone else
+      if (ownerField && !(req.user.role === 'Admin' && data[ownerField])) {
+        data[ownerField] = req.user.id;
+      }
+      const item = await DynamicModel.create(runHooks('beforeCreate', data), { transaction });
+      await saveLinks(item, links, transaction);
+      const after = await snapshot(item, Object.keys(links), transaction);
+      await audit(req, 'create', item.id, null, after, transaction);
+      await notify('created', item.id, after, null, transaction);
+      announce('create', after, transaction);
+      return { item, links };
+    };
+
+    const updateRecord = async (req, id, body, transaction) => {
+      const item = await DynamicModel.findOne({ where: scopeToOwner(modelConfig, req, { id }), transaction });
+      if (!item) throw new ApiError(404, 'NOT_FOUND', 'Not found');
+
+      const { data, links } = splitLinks(dropReadOnlyFields(modelConfig, req.user, body));
+      if (ownerField && req.user.role !== 'Admin') {
+        delete data[ownerField]; // Ownership cannot be handed over by non-admins
+      }
+      const before = await snapshot(item, Object.keys(links), transaction);
+      // Rules see the whole record with the changes applied
+      await item.update(runHooks('beforeUpdate', { ...item.get({ plain: true }), ...data }), { transaction });
+      await saveLinks(item, links, transaction);
+      const after = await snapshot(item, Object.keys(links), transaction);
+      await audit(req, 'update', item.id, before, after, transaction);
+      if (Object.keys(diffRecords(before, after)).length > 0) {
+        await notify('updated', item.id, after, before, transaction);
+        announce('update', after, transaction);
+      }
+      return { item, links };
+    };
+
+    const deleteRecord = async (req, id, transaction) => {
+      const item = await DynamicModel.findOne({ where: scopeToOwner(modelConfig, req, { id }), transaction });
+      if (!item) throw new ApiError(404, 'NOT_FOUND', 'Not found');
+
+      const linked = linkedAliases();
+      const before = await snapshot(item, linked, transaction);
+      try {
+        await item.destroy({ transaction });
+      } catch (e) {
+        // Raised by relations configured with onDelete 'restrict'
+        if (e instanceof Sequelize.ForeignKeyConstraintError) {
+          throw new ApiError(409, 'FOREIGN_KEY_VIOLATION', 'Cannot delete this record while other records reference it.');
+        }
+        throw e;
+      }
+      // A trashed record still exists; the log shows it gaining a deletedAt
+      const after = modelConfig.softDelete ? await snapshot(item, linked, transaction) : null;
+      await audit(req, 'delete', item.id, before, after, transaction);
+      await notify('deleted', item.id, before, null, transaction);
+      announce('delete', before, transaction);
+      return { item, links: {} };
+    };
+
+    // Runs one operation of a bulk request, checking its permission like the
+    // single-record route would
+    const runBulkOperation = async (req, operation, transaction) => {
+      const { action, id, data } = operation || {};
+      if (!BULK_ACTIONS.includes(action)) {
+        throw new ApiError(400, 'VALIDATION_ERROR', "action must be one of 'create', 'update' or 'delete'.", {
+          action: 'Must be create, update or delete.',
+        });
+      }
+      const access = getAccess(modelConfig, req.user, action);
+      if (!access) throw forbidden(modelConfig, req.user, action);
+
+      const scope = { user: req.user, ownedOnly: access.ownedOnly };
+      if (action === 'create') return createRecord(scope, data || {}, transaction);
+      if (id === undefined) {
+        throw new ApiError(400, 'VALIDATION_ERROR', `${action} needs the record id.`, { id: 'Required.' });
+      }
+      return action === 'update'
+        ? updateRecord(scope, id, data || {}, transaction)
+        : deleteRecord(scope, id, transaction);
+    };
+
+    // 3. Generate dynamic CRUD routes on the model's own router
+    const router = express.Router();
+
+    // CREATE
+    router.post(
+      '/',
+      modelAuthMiddleware,
+      createRbacMiddleware(modelConfig, 'create'),
+      async (req, res) => {
+        try {
+          const { item, links } = await sequelize.transaction((transaction) => createRecord(req, req.body, transaction));
+          res.status(201).send(present(req, await reloadWithLinks(item, links)));
+        } catch (e) { sendError(res, e); }
+      }
+    );
+
+    // READ (List) - supports ?page=&limit=, ?sort=field,-other, field filters
+    // and ?include=<relation>
+    router.get(
+      '/',
+      modelAuthMiddleware,
+      createRbacMiddleware(modelConfig, 'read'),
+      async (req, res) => {
+        try {
+          const { where, order, limit, offset, page } = parseListQuery(getVisibleConfig(modelConfig, req.user), req.query);
+          const include = parseInclude(req.query.include, DynamicModel, (name) => canReadModel(req.user, name));
+          const { rows, count } = await DynamicModel.findAndCountAll({
+            where: scopeToOwner(modelConfig, req, where),
+            include,
+            distinct: include.length > 0, // Count records, not joined rows
+            order,
+            limit,
+            offset,
+          });
+          res.send(toPage(rows.map((row) => present(req, row)), count, { page, limit }));
+        } catch (e) { sendError(res, e); }
+      }
+    );
+
+    // EXPORT - streams the records matching the list filters and sort as
+    // ?format=csv (default), json or ndjson
+    router.get(
+      '/export',
+      modelAuthMiddleware,
+      createRbacMiddleware(modelConfig, 'read'),
+      async (req, res) => {
+        try {
+          const { format = 'csv', ...filters } = req.query;
+          if (!EXPORT_FORMATS[format]) {
+            throw new ApiError(400, 'INVALID_QUERY', `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}.`);
+          }
+          const visibleConfig = getVisibleConfig(modelConfig, req.user);
+          const { where, order } = parseListQuery(visibleConfig, filters);
+          // A unique tiebreaker keeps the batches from overlapping
+          if (!order.some(([column]) => column === 'id')) order.push(['id', 'ASC']);
+
+          await streamExport(res, {
+            format,
+            filename: routeSlug(modelName),
+            columns: getExportColumns(visibleConfig),
+            fetchBatch: (offset, limit) => DynamicModel.findAll({
+              where: scopeToOwner(modelConfig, req, where),
+              order,
+              offset,
+              limit,
+            }),
+          });
+        } catch (e) {
+          // Once streaming has started the status is sent; cut the download short instead
+          if (res.headersSent) return res.destroy(e);
+          sendError(res, e);
+        }
+      }
+    );
+
+    // IMPORT - multipart upload of a CSV, JSON or NDJSON `file`, with an
+    // optional `mapping` ({ column: field }) and `format`. Rows are created in
+    // one transaction; any row error (or ?dryRun=true) rolls all of them back
+    // and the report lists the errors by row.
+    router.post(
+      '/import',
+      modelAuthMiddleware,
+      createRbacMiddleware(modelConfig, 'create'),
+      async (req, res) => {
+        try {
+          await receiveUpload(req, res);
+          if (!req.file) {
+            throw new ApiError(400, 'INVALID_FILE', "Upload the file to import in the 'file' field.");
+          }
+          const format = detectFormat(req.file, req.body.format);
+          const { columns, rows } = parseUpload(req.file, format);
+
+          let explicitMapping = {};
+          if (req.body.mapping) {
+            try {
+              explicitMapping = JSON.parse(req.body.mapping);
+            } catch {
+              throw new ApiError(400, 'VALIDATION_ERROR', 'mapping must be a JSON object.', { mapping: 'Not valid JSON.' });
+            }
+          }
+          // Columns can only fill fields the user may write
+          const writableConfig = {
+            ...modelConfig,
+            fields: modelConfig.fields.filter((field) => getFieldAccess(field, req.user) === 'write'),
+          };
+          const mapping = buildColumnMapping(columns, writableConfig, explicitMapping);
+          const dryRun = req.query.dryRun === 'true' || req.body.dryRun === 'true';
+
+          const rowErrors = [];
+          const transaction = await sequelize.transaction();
+          try {
+            for (const [index, row] of rows.entries()) {
+              const { data, errors } = coerceRow(row, mapping, writableConfig);
+              if (Object.keys(errors).length > 0) {
+                rowErrors.push({ row: index + 1, message: Object.values(errors).join(' '), errors });
+                continue;
+              }
+              try {
+                await sequelize.transaction({ transaction }, (savepoint) => createRecord(req, data, savepoint));
+              } catch (e) {
+                const error = toApiError(e);
+                if (error.status >= 500) throw e;
+                rowErrors.push({ row: index + 1, message: error.message, errors: error.errors });
+              }
+            }
+            if (dryRun || rowErrors.length > 0) {
+              await transaction.rollback();
+            } else {
+              await transaction.commit();
+            }
+          } catch (e) {
+            await transaction.rollback();
+            throw e;
+          }
+
+          const report = {
+            dryRun,
+            format,
+            columns,
+            mapping,
+            total: rows.length,
+            valid: rows.length - rowErrors.length,
+            imported: dryRun || rowErrors.length > 0 ? 0 : rows.length,
+            rowErrors,
+          };
+          if (!dryRun && rowErrors.length > 0) {
+            return res.status(400).send({
+              code: 'IMPORT_FAILED',
+              message: `${rowErrors.length} of ${rows.length} rows have errors; nothing was imported.`,
+              errors: {},
+              ...report,
+            });
+          }
+          res.status(dryRun ? 200 : 201).send(report);
+        } catch (e) { sendError(res, e); }
+      }
+    );
+
+    if (modelConfig.softDelete) {
+      // Trashed records of the current user's scope, by id
+      const findTrashed = (req) => DynamicModel.findOne({
+        where: scopeToOwner(modelConfig, req, { id: req.params.id, deletedAt: { [Sequelize.Op.ne]: null } }),
+        paranoid: false,
+      });
+
+      // TRASH - lists soft-deleted records, with the same query options as the list
+      router.get(
+        '/trash',
+        modelAuthMiddleware,
+        createRbacMiddleware(modelConfig, 'delete'),
+        async (req, res) => {
+          try {
+            const { where, order, limit, offset, page } = parseListQuery(getVisibleConfig(modelConfig, req.user), req.query);
+            const include = parseInclude(req.query.include, DynamicModel, (name) => canReadModel(req.user, name));
+            const { rows, count } = await DynamicModel.findAndCountAll({
+              where: scopeToOwner(modelConfig, req, { ...where, deletedAt: { [Sequelize.Op.ne]: null } }),
+              include,
+              distinct: include.length > 0,
+              order,
+              limit,
+              offset,
+              paranoid: false,
+            });
+            res.send(toPage(rows.map((row) => present(req, row)), count, { page, limit }));
+          } catch (e) { sendError(res, e); }
+        }
+      );
+
+      // RESTORE - takes a record back out of the trash
+      router.post(
+        '/:id/restore',
+        modelAuthMiddleware,
+        createRbacMiddleware(modelConfig, 'delete'),
+        async (req, res) => {
+          try {
+            const item = await findTrashed(req);
+            if (!item) return sendError(res, new ApiError(404, 'NOT_FOUND', 'Not found in trash'));
+
+            await sequelize.transaction(async (transaction) => {
+              const before = item.get({ plain: true, clone: true });
+              await item.restore({ transaction });
+              const after = item.get({ plain: true, clone: true });
+              await audit(req, 'restore', item.id, before, after, transaction);
+              // For webhook receivers the record comes back into existence
+              await notify('created', item.id, after, null, transaction);
+              announce('restore', after, transaction);
+            });
+            res.send(present(req, item));
+          } catch (e) { sendError(res, e); }
+        }
+      );
+
+      // PURGE - deletes a trashed record for good
+      router.delete(
+        '/:id/purge',
+        modelAuthMiddleware,
+        createRbacMiddleware(modelConfig, 'purge'),
+        async (req, res) => {
+          try {
+            const item = await findTrashed(req);
+            if (!item) return sendError(res, new ApiError(404, 'NOT_FOUND', 'Not found in trash'));
+
+            await sequelize.transaction(async (transaction) => {
+              const linked = linkedAliases();
+              const before = await snapshot(item, linked, transaction);
+              await item.destroy({ transaction, force: true });
+              await audit(req, 'purge', item.id, before, null, transaction);
+              announce('purge', before, transaction);
+            });
+            res.status(204).send();
+          } catch (e) {
+            if (e instanceof Sequelize.ForeignKeyConstraintError) {
+              return sendError(res, new ApiError(409, 'FOREIGN_KEY_VIOLATION', 'Cannot purge this record while other records reference it.'));
+            }
+            sendError(res, e);
+          }
+        }
+      );
+    }
+
+    // READ (One)
+    router.get(
+      '/:id',
+      modelAuthMiddleware,
+      createRbacMiddleware(modelConfig, 'read'),
+      async (req, res) => {
+        try {
+          const include = parseInclude(req.query.include, DynamicModel, (name) => canReadModel(req.user, name));
+          const item = await DynamicModel.findOne({
+            where: scopeToOwner(modelConfig, req, { id: req.params.id }),
+            include,
+          });
+          if (!item) return sendError(res, new ApiError(404, 'NOT_FOUND', 'Not found'));
+          res.send(present(req, item));
+        } catch (e) { sendError(res, e); }
+      }
+    );
+
+    // HISTORY - audit entries of one record, newest first
+    router.get(
+      '/:id/history',
+      modelAuthMiddleware,
+      createRbacMiddleware(modelConfig, 'read'),
+      async (req, res) => {
+        try {
+          // Users limited to their own records only see the history of records they still own
+          if (req.ownedOnly) {
+            const item = await DynamicModel.findOne({
+              where: scopeToOwner(modelConfig, req, { id: req.params.id }),
+              paranoid: false, // Trashed records keep their history
+            });
+            if (!item) return sendError(res, new ApiError(404, 'NOT_FOUND', 'Not found'));
+          }
+          const entries = await AuditLog.findAll({
+            where: { modelName, recordId: req.params.id },
+            order: [['createdAt', 'DESC'], ['id', 'DESC']],
+          });
+          // Changes of hidden fields are left out, and so are updates that only changed those
+          const visible = entries
+            .map((entry) => ({ ...entry.toJSON(), changes: hideFields(modelConfig, req.user, entry.changes) }))
+            .filter((entry) => entry.action !== 'update' || Object.keys(entry.changes).length > 0);
+          res.send(visible);
+        } catch (e) { sendError(res, e); }
+      }
+    );
+
+    // UPDATE
+    router.put(
+      '/:id',
+      modelAuthMiddleware,
+      createRbacMiddleware(modelConfig, 'update'),
+      async (req, res) => {
+        try {
+          const { item, links } = await sequelize.transaction((transaction) => (
+            updateRecord(req, req.params.id, req.body, transaction)
+          ));
+          res.send(present(req, await reloadWithLinks(item, links)));
+        } catch (e) { sendError(res, e); }
+      }
+    );
+
+    // DELETE
+    router.delete(
+      '/:id',
+      modelAuthMiddleware,
+      createRbacMiddleware(modelConfig, 'delete'),
+      async (req, res) => {
+        try {
+          await sequelize.transaction((transaction) => deleteRecord(req, req.params.id, transaction));
+          res.status(204).send();
+        } catch (e) { sendError(res, e); }
+      }
+    );
+
+    // BULK - { operations: [{ action: 'create', data }, { action: 'update', id, data },
+    // { action: 'delete', id }] } in one transaction. Every operation runs in its
+    // own savepoint so all of them report their errors, but if any fails the
+    // whole batch is rolled back.
+    router.post(
+      '/bulk',
+      modelAuthMiddleware,
+      async (req, res) => {
+        const { operations } = req.body || {};
+        if (!Array.isArray(operations) || operations.length === 0) {
+          return sendError(res, new ApiError(400, 'VALIDATION_ERROR', 'operations must be a non-empty list.'));
+        }
+        if (operations.length > BULK_LIMIT) {
+          return sendError(res, new ApiError(400, 'VALIDATION_ERROR', `At most ${BULK_LIMIT} operations per request.`));
+        }
+
+        const results = [];
+        try {
+          await sequelize.transaction(async (transaction) => {
+            for (const [index, operation] of operations.entries()) {
+              const action = operation && operation.action;
+              try {
+                const { item } = await sequelize.transaction({ transaction }, (savepoint) => (
+                  runBulkOperation(req, operation, savepoint)
+                ));
+                results.push({ index, action, id: item.id, status: 'ok', record: action === 'delete' ? undefined : present(req, item) });
+              } catch (e) {
+                const error = toApiError(e);
+                results.push({ index, action, id: operation && operation.id, status: 'error', error });
+              }
+            }
+
+            const failed = results.filter((r) => r.status === 'error').length;
+            if (failed > 0) {
+              throw new ApiError(400, 'BULK_FAILED', `${failed} of ${operations.length} operations failed; nothing was saved.`);
+            }
+          });
+          res.send({ results });
+        } catch (e) {
+          const error = toApiError(e);
+          if (error.code !== 'BULK_FAILED') return sendError(res, e);
+          // Successful operations were rolled back with the rest
+          const rolledBack = results.map((r) => (r.status === 'ok' ? { ...r, status: 'rolledBack', record: undefined } : r));
+          res.status(400).send({ ...error.toJSON(), results: rolledBack });
+        }
+      }
+    );
+
+    // 4. Swap the new definition in. Requests already dispatched to the old
+    // router finish against the old model; new requests get this one.
+    dynamicModels[modelName] = {
+      model: DynamicModel,
+      config: modelConfig,
+      router,
+      slug: routeSlug(modelName),
+      inFlight: 0,
+      // Record writers, shared with the GraphQL resolvers
+      writers: { createRecord, updateRecord, deleteRecord },
+    };
+    openApiDocument = null;
+    graphqlSchema = null;
+
+    console.log(`Registered routes for model: ${modelName}`);
+    return DynamicModel;
+  }
+
+  /**
+   * Removes a model's routes and config file. The table is kept by default;
+   * `table: 'drop'` deletes it and `table: 'archive'` renames it out of the way.
+   */
+  async function unregisterModel(modelName, { table = 'keep', appliedBy = null } = {}) {
+    const entry = dynamicModels[modelName];
+
+    // Stop routing new requests to the model, then let running ones finish
+    delete dynamicModels[modelName];
+    openApiDocument = null;
+    graphqlSchema = null;
+    await waitForIdle(entry);
+
+    // Its webhooks stay for their delivery log but stop firing, also if the
+    // model is published again later
+    await Webhook.update({ active: false }, { where: { modelName } });
+    invalidateWebhooks();
+
+    if (sequelize.models[modelName] === entry.model) {
+      sequelize.modelManager.removeModel(entry.model);
+    }
+    await storage.remove(modelName);
+
+    setupAssociations(sequelize, dynamicModels);
+
+    const tableName = getTableName(entry.config);
+    let archivedAs = null;
+    const steps = [];
+    if (table === 'drop') {
+      // Join tables of many-to-many fields reference the table, so they go first
+      for (const joinTable of Object.keys(getJoinTables(entry.config, lookupConfig))) {
+        steps.push({ action: 'dropTable', table: joinTable, destructive: true, description: `Drop join table "${joinTable}"` });
+      }
+      steps.push({ action: 'dropTable', table: tableName, destructive: true, description: `Drop table "${tableName}"` });
+    } else if (table === 'archive') {
+      archivedAs = `${tableName}_archived_${Date.now()}`;
+      steps.push({ action: 'renameTable', from: tableName, to: archivedAs, destructive: false, description: `Archive table "${tableName}" as "${archivedAs}"` });
+    }
+    if (steps.length > 0) {
+      await applyMigration(sequelize, steps);
+      await SchemaMigration.create({ modelName, steps, appliedBy });
+    }
+
+    publishEvent('schema', { model: modelName, action: 'deleted' });
+    console.log(`Unregistered model: ${modelName} (table: ${table})`);
+    return { table, archivedAs };
+  }
+
+  /**
+   * Loads all model definitions from the config storage on startup.
+   */
+  async function loadStoredModels() {
+    try {
+      const configs = await storage.load();
+
+      // Creates missing tables the way publishing does (with named unique
+      // constraints), never alters them. The steps are recorded like those of
+      // a publish, so the stored history can rebuild the schema from scratch.
+      const queryInterface = sequelize.getQueryInterface();
+      const createMissing = async (config, action) => {
+        const { steps } = planMigration(null, config, lookupConfig);
+        const missing = [];
+        for (const step of steps) {
+          if (step.action === action && !(await queryInterface.tableExists(step.table))) missing.push(step);
+        }
+        if (missing.length === 0) return;
+        await applyMigration(sequelize, missing);
+        await SchemaMigration.create({ modelName: config.name, steps: missing });
+      };
+
+      // Referenced models first, so their tables exist before foreign keys point at them
+      for (const config of sortByDependencies(configs)) {
+        registerModel(config);
+        await createMissing(config, 'createTable');
+
+        // Models that predate version history start with their stored config as revision 1
+        const versions = await ModelVersion.count({ where: { modelName: config.name } });
+        if (versions === 0) {
+          await ModelVersion.create({ modelName: config.name, version: 1, config });
+        }
+      }
+
+      // Join tables once every table they point at exists
+      for (const config of configs) {
+        await createMissing(config, 'createJoinTable');
+      }
+      setupAssociations(sequelize, dynamicModels);
+    } catch (error) {
+      console.error('Error loading models:', error);
+    }
+  }
+
+  // =================================================================
+  // 3. MODEL DEFINITION API (for the Admin UI)
+  // =================================================================
+
+  /**
+   * Checks a submitted model config. Resolves to an ApiError describing the
+   * problem, or null if it can be published.
+   */
+  async function checkModelConfig(modelConfig) {
+    const modelName = modelConfig.name;
+    if (!modelName || !modelConfig.fields || !modelConfig.rbac) {
+      return new ApiError(400, 'INVALID_MODEL', 'Invalid model configuration.');
+    }
+    if (!MODEL_NAME_PATTERN.test(modelName)) {
+      return new ApiError(400, 'INVALID_MODEL', 'Model name must start with a letter and contain only letters, digits and underscores.');
+    }
+
+    const slug = routeSlug(modelName);
+    const clash = Object.values(dynamicModels).find((m) => m.slug === slug && m.config.name !== modelName);
+    if (RESERVED_ROUTE_SLUGS.includes(slug) || clash) {
+      return new ApiError(409, 'ROUTE_TAKEN', `Route /api/${slug} is already taken.`);
+    }
+
+    const fieldProblem = validateFields(modelConfig);
+    if (fieldProblem) {
+      return new ApiError(400, 'INVALID_MODEL', fieldProblem);
+    }
+
+    const relationProblem = validateRelations(modelConfig, lookupConfig);
+    if (relationProblem) {
+      return new ApiError(400, 'INVALID_MODEL', relationProblem);
+    }
+
+    const logicProblem = validateModelLogic(modelConfig);
+    if (logicProblem) {
+      return new ApiError(400, 'INVALID_MODEL', logicProblem);
+    }
+
+    const accessProblem = validateFieldAccess(modelConfig);
+    if (accessProblem) {
+      return new ApiError(400, 'INVALID_MODEL', accessProblem);
+    }
+
+    // rbac and field access may only name existing roles
+    const roles = new Set((await Role.findAll({ attributes: ['name'] })).map((role) => role.name));
+    const unknownRoles = [...new Set(getConfigRoles(modelConfig))].filter((role) => !roles.has(role));
+    if (unknownRoles.length > 0) {
+      return new ApiError(400, 'INVALID_MODEL', `Unknown role(s): ${unknownRoles.join(', ')}.`);
+    }
+
+    // The model's GraphQL types must not clash with the other models' or the shared ones
+    const otherConfigs = Object.values(dynamicModels).map((m) => m.config).filter((c) => c.name !== modelName);
+    const graphqlProblem = checkGraphQLSchema([...otherConfigs, modelConfig]);
+    if (graphqlProblem) {
+      return new ApiError(400, 'INVALID_MODEL', graphqlProblem);
+    }
+    return null;
+  }
+
+  /**
+   * Publishes a (new or changed) model config: plans and applies the
+   * migration, swaps in the new routes, writes the config file and records a
+   * revision. Changing an existing model needs `confirm` to match the plan's
+   * id; otherwise nothing is applied and { published: false, plan } is returned.
+   * Callers hold the schema lock (see withSchemaLock).
+   */
+  async function publishModel(modelConfig, { user, confirm }) {
+    const modelName = modelConfig.name;
+
+    // 1. Plan the schema change against the previously stored config
+    const previous = dynamicModels[modelName];
+    const plan = planMigration(previous && previous.config, modelConfig, lookupConfig);
+    if (previous && plan.steps.length > 0 && confirm !== plan.planId) {
+      return { published: false, plan };
+    }
+
+    // Rename hints only matter for this migration
+    const storedConfig = {
+      ...modelConfig,
+      fields: modelConfig.fields.map(({ renamedFrom, ...field }) => field),
+    };
+
+    // New requests for the model wait while its table changes, and the
+    // running ones finish on the old definition first
+    let resume = () => {};
+    if (previous && plan.steps.length > 0) {
+      previous.migrating = new Promise((resolve) => { resume = resolve; });
+      await waitForIdle(previous);
+    }
+
+    try {
+      // 2. Apply and record the migration
+      if (plan.steps.length > 0) {
+        await applyMigration(sequelize, plan.steps);
+        await SchemaMigration.create({ modelName, steps: plan.steps, appliedBy: user.username });
+      }
+
+      // 3. Register the model (and its routes). A republish swaps the old
+      // definition out only once the new one is ready.
+      if (previous) {
+        console.log(`Hot-reloading model: ${modelName}`);
+      }
+      registerModel(storedConfig);
+      setupAssociations(sequelize, dynamicModels);
+    } finally {
+      // Waiting requests go to the new definition, or the old one if the migration failed
+      if (previous) delete previous.migrating;
+      resume();
+    }
+
+    // 4. Store the model definition (a file in models-config by default)
+    await storage.save(storedConfig);
+
+    // 5. Keep the revision so it can be diffed and rolled back to later
+    const latest = await ModelVersion.max('version', { where: { modelName } });
+    const version = await ModelVersion.create({
+      modelName,
+      version: (latest || 0) + 1,
+      config: storedConfig,
+      authorId: user.id,
+      author: user.username,
+    });
+
+    // Open data pages reload the model's schema
+    publishEvent('schema', { model: modelName, action: 'published', version: version.version });
+    return { published: true, plan, version: version.version };
+  }
+
+  /**
+   * Checks a model config and publishes it (see publishModel) once no other
+   * schema change runs. Throws an ApiError if it can't be published.
+   */
+  function checkAndPublishModel(modelConfig, options) {
+    return withSchemaLock(async () => {
+      const problem = await checkModelConfig(modelConfig);
+      if (problem) throw problem;
+      return publishModel(modelConfig, options);
+    });
+  }
+
+  /**
+   * Sends the result of publishModel in the shape the publish endpoints share.
+   */
+  function sendPublishResult(res, modelName, result) {
+    if (!result.published) {
+      return res.status(409).send({
+        code: 'CONFIRMATION_REQUIRED',
+        message: 'This change needs a confirmed migration.',
+        errors: {},
+        plan: result.plan,
+      });
+    }
+    res.status(201).send({
+      message: `Model ${modelName} published successfully.`,
+      plan: result.plan,
+      version: result.version,
+    });
+  }
+
+  /**
+   * Checks a model config and returns the migration publishing it would
+   * run. Throws an ApiError if it can't be published.
+   */
+  async function planModel(modelConfig) {
+    const problem = await checkModelConfig(modelConfig);
+    if (problem) throw problem;
+
+    const previous = dynamicModels[modelConfig.name];
+    return planMigration(previous && previous.config, modelConfig, lookupConfig);
+  }
+
+  // Endpoint for the UI to preview the migration a publish would run
+  router.post('/api/models/plan', authMiddleware, adminOnly, async (req, res) => {
+    try {
+      res.send(await planModel(req.body));
+    } catch (e) {
+      sendError(res, e);
+    }
+  });
+
+  // Endpoint for the UI to publish a new model. Changing an existing model
+  // responds 409 with the migration plan until it is confirmed with
+  // ?confirm=<planId>.
+  router.post('/api/models/publish', authMiddleware, adminOnly, async (req, res) => {
+    try {
+      const modelConfig = req.body;
+      const result = await checkAndPublishModel(modelConfig, { user: req.user, confirm: req.query.confirm });
+      sendPublishResult(res, modelConfig.name, result);
+    } catch (error) {
+      console.error('Error publishing model:', error);
+      sendError(res, error);
+    }
+  });
+
+  // Endpoint for the Model Builder's revision list (newest first)
+  router.get('/api/models/:modelName/versions', authMiddleware, adminOnly, async (req, res) => {
+    try {
+      const versions = await ModelVersion.findAll({
+        where: { modelName: req.params.modelName },
+        order: [['version', 'DESC']],
+      });
+      res.send(versions);
+    } catch (e) {
+      sendError(res, e);
+    }
+  });
+
+  // Endpoint comparing two revisions: ?from=<version>&to=<version>
+  router.get('/api/models/:modelName/diff', authMiddleware, adminOnly, async (req, res) => {
+    try {
+      const { modelName } = req.params;
+      const [from, to] = await Promise.all([
+        ModelVersion.findOne({ where: { modelName, version: Number(req.query.from) || 0 } }),
+        ModelVersion.findOne({ where: { modelName, version: Number(req.query.to) || 0 } }),
+      ]);
+      if (!from || !to) {
+        return sendError(res, new ApiError(404, 'NOT_FOUND', 'Version not found.'));
+      }
+
+      res.send({
+        from,
+        to,
+        changes: diffModelConfigs(from.config, to.config),
+        steps: planMigration(from.config, to.config, lookupConfig).steps,
+      });
+    } catch (e) {
+      sendError(res, e);
+    }
+  });
+
+  // Endpoint republishing an older revision (same confirmation flow as publish)
+  router.post('/api/models/:modelName/versions/:version/rollback', authMiddleware, adminOnly, async (req, res) => {
+    try {
+      const { modelName } = req.params;
+      const target = await ModelVersion.findOne({
+        where: { modelName, version: Number(req.params.version) || 0 },
+      });
+      if (!target) {
+        return sendError(res, new ApiError(404, 'NOT_FOUND', 'Version not found.'));
+      }
+
+      // Roles renamed since the revision keep their permissions
+      const config = await applyRoleRenames(target.config, target.createdAt);
+      const result = await checkAndPublishModel(config, { user: req.user, confirm: req.query.confirm });
+      sendPublishResult(res, modelName, result);
+    } catch (error) {
+      console.error('Error rolling back model:', error);
+      sendError(res, error);
+    }
+  });
+
+  // Endpoint for the admin UI to read the applied migration history
+  router.get('/api/migrations', authMiddleware, adminOnly, async (req, res) => {
+    try {
+      const where = req.query.modelName ? { modelName: req.query.modelName } : {};
+      const migrations = await SchemaMigration.findAll({ where, order: [['id', 'ASC']] });
+      res.send(migrations);
+    } catch (e) {
+      sendError(res, e);
+    }
+  });
+
+  // Endpoint for admins to query the audit log across models:
+  // ?modelName=&recordId=&userId=&username=&action=&from=&to=&page=&limit=
+  router.get('/api/audit', authMiddleware, adminOnly, async (req, res) => {
+    try {
+      const { page, limit, offset } = parsePagination(req.query);
+      const { rows, count } = await AuditLog.findAndCountAll({
+        where: parseAuditQuery(req.query),
+        order: [['createdAt', 'DESC'], ['id', 'DESC']],
+        limit,
+        offset,
+      });
+      res.send(toPage(rows, count, { page, limit }));
+    } catch (e) {
+      sendError(res, e);
+    }
+  });
+
+  // Webhooks: admins register URLs that are POSTed a model's record events
+  // (created, updated, deleted). Deliveries are queued, signed and retried by
+  // lib/webhooks.js; their log can be read and single deliveries resent.
+
+  /**
+   * Finds a webhook by the :id route parameter, or throws a 404.
+   */
+  async function findWebhook(id) {
+    const webhook = await Webhook.findByPk(Number(id) || 0);
+    if (!webhook) throw new ApiError(404, 'NOT_FOUND', 'Webhook not found.');
+    return webhook;
+  }
+
+  router.get('/api/webhooks', authMiddleware, adminOnly, async (req, res) => {
+    try {
+      const where = req.query.modelName ? { modelName: req.query.modelName } : {};
+      res.send(await Webhook.findAll({ where, order: [['id', 'ASC']] }));
+    } catch (e) {
+      sendError(res, e);
+    }
+  });
+
+  router.post('/api/webhooks', authMiddleware, adminOnly, async (req, res) => {
+    try {
+      const { modelName, events, url, secret = generateSecret(), active = true, description = null } = req.body;
+      const data = { modelName, events, url, secret, active, description };
+      const problem = checkWebhook(data, lookupConfig);
+      if (problem) return sendError(res, problem);
+
+      const webhook = await Webhook.create(data);
+      invalidateWebhooks();
+      res.status(201).send(webhook);
+    } catch (e) {
+      sendError(res, e);
+    }
+  });
+
+  router.put('/api/webhooks/:id', authMiddleware, adminOnly, async (req, res) => {
+    try {
+      const webhook = await findWebhook(req.params.id);
+      const data = {};
+      for (const key of ['modelName', 'events', 'url', 'secret', 'active', 'description']) {
+        data[key] = key in req.body ? req.body[key] : webhook[key];
+      }
+      const problem = checkWebhook(data, lookupConfig);
+      if (problem) return sendError(res, problem);
+
+      await webhook.update(data);
+      invalidateWebhooks();
+      res.send(webhook);
+    } catch (e) {
+      sendError(res, e);
+    }
+  });
+
+  router.delete('/api/webhooks/:id', authMiddleware, adminOnly, async (req, res) => {
+    try {
+      const webhook = await findWebhook(req.params.id);
+      await sequelize.transaction(async (transaction) => {
+        await WebhookDelivery.destroy({ where: { webhookId: webhook.id }, transaction });
+        await webhook.destroy({ transaction });
+      });
+      invalidateWebhooks();
+      res.status(204).send();
+    } catch (e) {
+      sendError(res, e);
+    }
+  });
+
+  // Sends a test `ping` delivery to check that the receiver is reachable
+  router.post('/api/webhooks/:id/ping', authMiddleware, adminOnly, async (req, res) => {
+    try {
+      const webhook = await findWebhook(req.params.id);
+      res.status(202).send(await enqueuePing(webhook));
+    } catch (e) {
+      sendError(res, e);
+    }
+  });
+
+  // Delivery log of a webhook, newest first: ?status=&event=&page=&limit=
+  router.get('/api/webhooks/:id/deliveries', authMiddleware, adminOnly, async (req, res) => {
+    try {
+      const webhook = await findWebhook(req.params.id);
+      const where = { webhookId: webhook.id };
+      if (req.query.status) {
+        if (!DELIVERY_STATUSES.includes(req.query.status)) {
+          throw new ApiError(400, 'INVALID_QUERY', `status must be one of ${DELIVERY_STATUSES.join(', ')}.`);
+        }
+        where.status = req.query.status;
+      }
+      if (req.query.event) {
+        if (![...WEBHOOK_EVENTS, 'ping'].includes(req.query.event)) {
+          throw new ApiError(400, 'INVALID_QUERY', `event must be one of ${WEBHOOK_EVENTS.join(', ')} or ping.`);
+        }
+        where.event = req.query.event;
+      }
+      const { page, limit, offset } = parsePagination(req.query);
+      const { rows, count } = await WebhookDelivery.findAndCountAll({
+        where,
+        order: [['createdAt', 'DESC'], ['id', 'DESC']],
+        limit,
+        offset,
+      });
+      res.send(toPage(rows, count, { page, limit }));
+    } catch (e) {
+      sendError(res, e);
+    }
+  });
+
+  // Queues a logged delivery again (its payload is sent unchanged)
+  router.post('/api/webhooks/:id/deliveries/:deliveryId/redeliver', authMiddleware, adminOnly, async (req, res) => {
+    try {
+      const webhook = await findWebhook(req.params.id);
+      const delivery = await WebhookDelivery.findOne({
+        where: { id: Number(req.params.deliveryId) || 0, webhookId: webhook.id },
+      });
+      if (!delivery) throw new ApiError(404, 'NOT_FOUND', 'Delivery not found.');
+      res.status(202).send(await redeliver(delivery));
+    } catch (e) {
+      sendError(res, e);
+    }
+  });
+
+  // Roles: users hold one and model configs grant them permissions (in `rbac`
+  // and the fields' `access`). Renaming a role renames it for its users,
+  // service accounts and invitations and in every model config (as a new revision); a role still in
+  // use can't be deleted.
+
+  /**
+   * Finds a role by the :id route parameter, or throws a 404.
+   */
+  async function findRole(id) {
+    const role = await Role.findByPk(Number(id) || 0);
+    if (!role) throw new ApiError(404, 'NOT_FOUND', 'Role not found.');
+    return role;
+  }
+
+  /**
+   * Returns a role with what uses it: the number of users holding it and the
+   * models whose config names it.
+   */
+  function describeRole(role, userCounts) {
+    const configs = Object.values(dynamicModels).map((m) => m.config);
+    return {
+      ...role.toJSON(),
+      protected: PROTECTED_ROLES.includes(role.name),
+      users: userCounts[role.name] || 0,
+      models: findModelsUsingRole(role.name, configs),
+    };
+  }
+
+  /**
+   * Saves a role's new name and description. A rename also applies to the
+   * users, invitations and service accounts holding the role and to every
+   * model config naming it (as a new revision); if a model can't be
+   * republished, all of it is undone. Callers hold the schema lock.
+   */
+  async function changeRole(role, changes, user) {
+    const previous = { name: role.name, description: role.description };
+    const from = role.name;
+    const to = changes.name;
+    const renameHolders = async (oldName, newName, transaction) => {
+      await User.update({ role: newName }, { where: { role: oldName }, transaction });
+      await Invitation.update({ role: newName }, { where: { role: oldName }, transaction });
+      await ServiceAccount.update({ role: newName }, { where: { role: oldName }, transaction });
+    };
+
+    let rename = null;
+    await sequelize.transaction(async (transaction) => {
+      await role.update(changes, { transaction });
+      if (to === from) return;
+      await renameHolders(from, to, transaction);
+      // Lets older revisions be rolled back with the new name
+      rename = await RoleRename.create({ from, to }, { transaction });
+    });
+    if (to === from) return;
+
+    const configs = Object.values(dynamicModels).map((m) => m.config).filter((c) => getConfigRoles(c).includes(from));
+    const republished = [];
+    try {
+      for (const config of configs) {
+        republished.push(config);
+        const result = await publishModel(renameRoleInConfig(config, from, to), { user });
+        if (!result.published) {
+          throw new ApiError(409, 'ROLE_RENAME_FAILED', `Model ${config.name} can't be republished with the new role name.`);
+        }
+      }
+    } catch (error) {
+      await sequelize.transaction(async (transaction) => {
+        await role.update(previous, { transaction });
+        await renameHolders(to, from, transaction);
+        await rename.destroy({ transaction });
+      });
+      for (const config of republished) {
+        try {
+          await publishModel(config, { user });
+        } catch (undoError) {
+          console.error(`Error restoring model ${config.name} after a failed role rename:`, undoError);
+        }
+      }
+      throw error;
+    }
+  }
+
+  router.get('/api/roles', authMiddleware, adminOnly, async (req, res) => {
+    try {
+      const [roles, userCounts] = await Promise.all([
+        Role.findAll({ order: [['name', 'ASC']] }),
+        countUsersByRole(),
+      ]);
+      res.send(roles.map((role) => describeRole(role, userCounts)));
+    } catch (e) {
+      sendError(res, e);
+    }
+  });
+
+  router.post('/api/roles', authMiddleware, adminOnly, async (req, res) => {
+    try {
+      const role = { name: req.body.name, description: req.body.description || null };
+      const problem = checkRole(role, await Role.findAll());
+      if (problem) return sendError(res, problem);
+
+      const created = await Role.create(role);
+      res.status(201).send(describeRole(created, {}));
+    } catch (e) {
+      sendError(res, e);
+    }
+  });
+
+  router.put('/api/roles/:id', authMiddleware, adminOnly, async (req, res) => {
+    try {
+      const role = await findRole(req.params.id);
+      const changes = {
+        name: req.body.name === undefined ? role.name : req.body.name,
+        description: req.body.description === undefined ? role.description : req.body.description || null,
+      };
+      const problem = checkRole(changes, await Role.findAll(), role);
+      if (problem) return sendError(res, problem);
+
+      await withSchemaLock(() => changeRole(role, changes, req.user));
+      // Streams of the role's holders get its new name now
+      checkSubscribers();
+      res.send(describeRole(role, await countUsersByRole()));
+    } catch (error) {
+      console.error('Error changing role:', error);
+      sendError(res, error);
+    }
+  });
+
+  router.delete('/api/roles/:id', authMiddleware, adminOnly, async (req, res) => {
+    try {
+      const role = await findRole(req.params.id);
+      if (PROTECTED_ROLES.includes(role.name)) {
+        return sendError(res, new ApiError(409, 'ROLE_PROTECTED', `Role ${role.name} can't be deleted.`));
+      }
+
+      const { users, models } = describeRole(role, await countUsersByRole());
+      const invitations = await Invitation.count({ where: { role: role.name, ...openInvitation() } });
+      const serviceAccounts = await ServiceAccount.count({ where: { role: role.name } });
+      if (users > 0 || serviceAccounts > 0 || invitations > 0 || models.length > 0) {
+        const uses = [];
+        if (users > 0) uses.push(`held by ${users} user(s)`);
+        if (serviceAccounts > 0) uses.push(`held by ${serviceAccounts} service account(s)`);
+        if (invitations > 0) uses.push(`granted by ${invitations} open invitation(s)`);
+        if (models.length > 0) uses.push(`used by the models: ${models.join(', ')}`);
+        return sendError(res, new ApiError(409, 'ROLE_IN_USE', `Role ${role.name} is still ${uses.join(' and ')}.`));
+      }
+
+      await role.destroy();
+      res.status(204).send();
+    } catch (e) {
+      sendError(res, e);
+    }
+  });
+
+  // Users: admins approve pending signups, change roles and remove accounts.
+  // Admins can't change or remove their own account, so one always remains.
+
+  const USER_ATTRIBUTES = ['id', 'username', 'role', 'status', 'createdAt', 'updatedAt'];
+
+  /**
+   * Finds a user by the :id route parameter, or throws a 404.
+   */
+  async function findUser(id) {
+    const user = UUID_PATTERN.test(id) && await User.findByPk(id, { attributes: USER_ATTRIBUTES });
+    if (!user) throw new ApiError(404, 'NOT_FOUND', 'User not found.');
+    return user;
+  }
+
+  /**
+   * Throws if an admin tries to change or remove their own account.
+   */
+  function assertNotSelf(user, req) {
+    if (user.id === req.user.id) {
+      throw new ApiError(409, 'OWN_ACCOUNT', "You can't change or remove your own account here.");
+    }
+  }
+
+  // Lists the users, optionally only those with ?status=active|pending
+  accountRouter.get('/api/users', authMiddleware, adminOnly, async (req, res) => {
+    try {
+      const { status } = req.query;
+      if (status !== undefined && !USER_STATUSES.includes(status)) {
+        return sendError(res, new ApiError(400, 'INVALID_QUERY', `status must be one of: ${USER_STATUSES.join(', ')}.`));
+      }
+      const users = await User.findAll({
+        attributes: USER_ATTRIBUTES,
+        where: status ? { status } : {},
+        order: [['username', 'ASC']],
+      });
+      res.send(users);
+    } catch (e) {
+      sendError(res, e);
+    }
+  });
+
+  // Changes a user's role and/or status; { status: 'active' } approves a pending signup
+  accountRouter.put('/api/users/:id', authMiddleware, adminOnly, async (req, res) => {
+    try {
+      const user = await findUser(req.params.id);
+      assertNotSelf(user, req);
+
+      const { role = user.role, status = user.status } = req.body;
+      const errors = {};
+      if (typeof role !== 'string' || !(await Role.findOne({ where: { name: role } }))) {
+        errors.role = 'Choose one of the existing roles.';
+      }
+      if (!USER_STATUSES.includes(status)) errors.status = `Must be one of: ${USER_STATUSES.join(', ')}.`;
+      if (Object.keys(errors).length > 0) {
+        return sendError(res, new ApiError(400, 'VALIDATION_ERROR', Object.values(errors).join(' '), errors));
+      }
+
+      await user.update({ role, status });
+      // The user's open event streams get the new role (or end) now, not at the next heartbeat
+      checkSubscribers();
+      res.send(user);
+    } catch (e) {
+      sendError(res, e);
+    }
+  });
+
+  // Removes an account (also how a pending signup is rejected)
+  accountRouter.delete('/api/users/:id', authMiddleware, adminOnly, async (req, res) => {
+    try {
+      const user = await findUser(req.params.id);
+      assertNotSelf(user, req);
+      await user.destroy();
+      await Session.destroy({ where: { userId: user.id } });
+      checkSubscribers();
+      res.status(204).send();
+    } catch (e) {
+      sendError(res, e);
+    }
+  });
+
+  // Issues a password reset link for a user who can't log in, ending their
+  // sessions. The token is returned once.
+  accountRouter.post('/api/users/:id/password-reset', authMiddleware, adminOnly, async (req, res) => {
+    try {
+      const user = await findUser(req.params.id);
+      assertNotSelf(user, req);
+      const reset = await createPasswordReset(user);
+      await revokeSessions({ userId: user.id });
+      res.status(201).send(reset);
+    } catch (e) {
+      sendError(res, e);
+    }
+  });
+
+  // Invitations: single-use signup links that carry a role. Only a hash of
+  // the token is stored, so it's returned once, when the invitation is created.
+
+  accountRouter.get('/api/invitations', authMiddleware, adminOnly, async (req, res) => {
+    try {
+      res.send(await Invitation.findAll({ order: [['createdAt', 'DESC'], ['id', 'DESC']] }));
+    } catch (e) {
+      sendError(res, e);
+    }
+  });
+
+  accountRouter.post('/api/invitations', authMiddleware, adminOnly, async (req, res) => {
+    try {
+      const roles = await Role.findAll({ attributes: ['name'] });
+      const problem = checkInvitation(req.body, roles.map((role) => role.name));
+      if (problem) return sendError(res, problem);
+
+      const { invitation, token } = await createInvitation(req.body, req.user);
+      res.status(201).send({ ...invitation.toJSON(), token });
+    } catch (e) {
+      sendError(res, e);
+    }
+  });
+
+  // Revokes an invitation
+  accountRouter.delete('/api/invitations/:id', authMiddleware, adminOnly, async (req, res) => {
+    try {
+      const invitation = await Invitation.findByPk(Number(req.params.id) || 0);
+      if (!invitation) throw new ApiError(404, 'NOT_FOUND', 'Invitation not found.');
+      await invitation.destroy();
+      res.status(204).send();
+    } catch (e) {
+      sendError(res, e);
+    }
+  });
+
+  // Service accounts: machine callers of the model APIs. Each holds a role and
+  // authenticates with API keys, which narrow the role's permissions to their
+  // scopes. A key is returned once, when it's created or rotated.
+
+  /**
+   * Finds a service account by the :id route parameter, or throws a 404.
+   */
+  async function findServiceAccount(id) {
+    const account = UUID_PATTERN.test(id) && await ServiceAccount.findByPk(id);
+    if (!account) throw new ApiError(404, 'NOT_FOUND', 'Service account not found.');
+    return account;
+  }
+
+  /**
+   * Finds a key of a service account by the :keyId route parameter, or throws a 404.
+   */
+  async function findApiKey(account, keyId) {
+    const apiKey = await ApiKey.findOne({ where: { id: Number(keyId) || 0, serviceAccountId: account.id } });
+    if (!apiKey) throw new ApiError(404, 'NOT_FOUND', 'API key not found.');
+    return apiKey;
+  }
+
+  /**
+   * Reads a service account definition from a request body, keeping the
+   * values of `current` for the properties the body leaves out.
+   */
+  function readServiceAccount(body, current = {}) {
+    return {
+      name: body.name === undefined ? current.name : body.name,
+      description: body.description === undefined ? current.description || null : body.description || null,
+      role: body.role === undefined ? current.role : body.role,
+    };
+  }
+
+  router.get('/api/service-accounts', authMiddleware, adminOnly, async (req, res) => {
+    try {
+      const [accounts, keys] = await Promise.all([
+        ServiceAccount.findAll({ order: [['name', 'ASC']] }),
+        ApiKey.findAll({ order: [['createdAt', 'DESC'], ['id', 'DESC']] }),
+      ]);
+      res.send(accounts.map((account) => ({
+        ...account.toJSON(),
+        keys: keys.filter((key) => key.serviceAccountId === account.id),
+      })));
+    } catch (e) {
+      sendError(res, e);
+    }
+  });
+
+  router.post('/api/service-accounts', authMiddleware, adminOnly, async (req, res) => {
+    try {
+      const account = readServiceAccount(req.body);
+      const roles = await Role.findAll({ attributes: ['name'] });
+      const problem = checkServiceAccount(account, await ServiceAccount.findAll(), roles.map((role) => role.name));
+      if (problem) return sendError(res, problem);
+
+      const created = await ServiceAccount.create(account);
+      res.status(201).send({ ...created.toJSON(), keys: [] });
+    } catch (e) {
+      sendError(res, e);
+    }
+  });
+
+  router.put('/api/service-accounts/:id', authMiddleware, adminOnly, async (req, res) => {
+    try {
+      const account = await findServiceAccount(req.params.id);
+      const changes = readServiceAccount(req.body, account);
+      const roles = await Role.findAll({ attributes: ['name'] });
+      const problem = checkServiceAccount(changes, await ServiceAccount.findAll(), roles.map((role) => role.name), account);
+      if (problem) return sendError(res, problem);
+
+      await account.update(changes);
+      // Streams opened with the account's keys get its new role now
+      checkSubscribers();
+      res.send(account);
+    } catch (e) {
+      sendError(res, e);
+    }
+  });
+
+  // Deletes a service account with all its keys
+  router.delete('/api/service-accounts/:id', authMiddleware, adminOnly, async (req, res) => {
+    try {
+      const account = await findServiceAccount(req.params.id);
+      await sequelize.transaction(async (transaction) => {
+        await ApiKey.destroy({ where: { serviceAccountId: account.id }, transaction });
+        await account.destroy({ transaction });
+      });
+      res.status(204).send();
+    } catch (e) {
+      sendError(res, e);
+    }
+  });
+
+  // Creates a key: { name, scopes: { <model or '*'>: [actions] }, expiresInDays? }
+  router.post('/api/service-accounts/:id/keys', authMiddleware, adminOnly, async (req, res) => {
+    try {
+      const account = await findServiceAccount(req.params.id);
+      const problem = checkApiKey(req.body, Object.keys(dynamicModels));
+      if (problem) return sendError(res, problem);
+
+      const { name, scopes, expiresInDays = null } = req.body;
+      const expiresAt = expiresInDays === null ? null : new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000);
+      const { apiKey, key } = await createApiKey(account, { name, scopes, expiresAt });
+      res.status(201).send({ ...apiKey.toJSON(), key });
+    } catch (e) {
+      sendError(res, e);
+    }
+  });
+
+  // Replaces a key with a new one; { graceHours } keeps the old one working for a while
+  router.post('/api/service-accounts/:id/keys/:keyId/rotate', authMiddleware, adminOnly, async (req, res) => {
+    try {
+      const account = await findServiceAccount(req.params.id);
+      const apiKey = await findApiKey(account, req.params.keyId);
+      if (apiKey.revokedAt) throw new ApiError(409, 'KEY_REVOKED', 'This API key was revoked.');
+
+      const { graceHours = 0 } = req.body;
+      if (!Number.isInteger(graceHours) || graceHours < 0 || graceHours > 168) {
+        return sendError(res, new ApiError(400, 'VALIDATION_ERROR', 'graceHours must be a whole number from 0 to 168.', {
+          graceHours: 'Must be a whole number from 0 to 168.',
+        }));
+      }
+
+      const { apiKey: created, key } = await rotateApiKey(account, apiKey, graceHours);
+      res.status(201).send({ ...created.toJSON(), key });
+    } catch (e) {
+      sendError(res, e);
+    }
+  });
+
+  // Revokes a key (it stays listed)
+  router.delete('/api/service-accounts/:id/keys/:keyId', authMiddleware, adminOnly, async (req, res) => {
+    try {
+      const account = await findServiceAccount(req.params.id);
+      const apiKey = await findApiKey(account, req.params.keyId);
+      if (!apiKey.revokedAt) await apiKey.update({ revokedAt: new Date() });
+      res.status(204).send();
+    } catch (e) {
+      sendError(res, e);
+    }
+  });
+
+  /**
+   * Removes a published model that no other model references, once no
+   * other schema change runs. Throws an ApiError otherwise; see
+   * unregisterModel for `table`.
+   */
+  function unpublishModel(modelName, { table = 'keep', user }) {
+    return withSchemaLock(async () => {
+      if (!['keep', 'drop', 'archive'].includes(table)) {
+        throw new ApiError(400, 'INVALID_QUERY', "table must be one of 'keep', 'drop' or 'archive'.");
+      }
+      if (!dynamicModels[modelName]) {
+        throw new ApiError(404, 'NOT_FOUND', 'Model schema not found.');
+      }
+      const referencedBy = findReferencingModels(modelName, dynamicModels);
+      if (referencedBy.length > 0) {
+        throw new ApiError(409, 'MODEL_IN_USE', `Model ${modelName} is still referenced by: ${referencedBy.join(', ')}.`);
+      }
+
+      return unregisterModel(modelName, { table, appliedBy: user.username });
+    });
+  }
+
+  // Endpoint for the UI to remove a model. ?table=keep|drop|archive decides
+  // what happens to its data (kept by default).
+  router.delete('/api/models/:modelName', authMiddleware, adminOnly, async (req, res) => {
+    try {
+      const { modelName } = req.params;
+      const result = await unpublishModel(modelName, { table: req.query.table, user: req.user });
+      res.send({ message: `Model ${modelName} deleted.`, ...result });
+    } catch (error) {
+      console.error('Error deleting model:', error);
+      sendError(res, error);
+    }
+  });
+
+  // Endpoint for the UI to get all model schemas
+  router.get('/api/models', modelAuthMiddleware, async (req, res) => {
+    try {
+      const models = Object.values(dynamicModels).map(m => m.config);
+      res.send(models);
+    } catch (e) {
+      sendError(res, e);
+    }
+  });
+
+  // Endpoint for the UI to get a single model schema
+  router.get('/api/models/:modelName', modelAuthMiddleware, (req, res) => {
+    const modelData = dynamicModels[req.params.modelName];
+    if (!modelData) {
+      return sendError(res, new ApiError(404, 'NOT_FOUND', 'Model schema not found.'));
+    }
+    res.send(modelData.config);
+  });
+
+  // Searches every model the user can read: ?q=<text>&limit=<hits per model>.
+  // Hits are grouped by model, with the matches in each searchable field.
+  router.get('/api/search', modelAuthMiddleware, async (req, res) => {
+    try {
+      const text = parseSearchText(req.query.q);
+      const limit = req.query.limit === undefined ? DEFAULT_HITS_PER_MODEL : Number(req.query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_HITS_PER_MODEL) {
+        throw new ApiError(400, 'INVALID_QUERY', `limit must be a whole number from 1 to ${MAX_HITS_PER_MODEL}.`);
+      }
+      res.send({ q: text, results: await searchModels(Object.values(dynamicModels), req.user, text, limit) });
+    } catch (e) {
+      sendError(res, e);
+    }
+  });
+
+  // OpenAPI document of the whole API, generated from the published models.
+  // It's public like the page below: it lists routes and roles, not data.
+  router.get('/api/openapi.json', (req, res) => {
+    if (!openApiDocument) {
+      openApiDocument = buildOpenApiDocument(Object.values(dynamicModels), prefix);
+    }
+    res.send(openApiDocument);
+  });
+
+  // API explorer (Swagger UI) for the document above
+  router.use('/api/docs/assets', express.static(swaggerUiDist.getAbsoluteFSPath()));
+  router.get('/api/docs', (req, res) => {
+    res.type('html').send(renderDocsPage(`${prefix}/api/openapi.json`, `${prefix}/api/docs/assets`));
+  });
+
+  // GraphQL endpoint over the same models, RBAC and record writers as the
+  // generated REST routes
+  router.all(
+    '/graphql',
+    modelAuthMiddleware,
+    holdAllModels,
+    createHandler({
+      schema: () => {
+        if (!graphqlSchema) {
+          graphqlSchema = buildGraphQLSchema(Object.values(dynamicModels));
+        }
+        return graphqlSchema;
+      },
+      context: (req) => ({ user: req.raw.user }),
+    })
+  );
+
+  // Live updates as server-sent events: `record` events ({ model, action, id,
+  // record }) for committed changes the user may read, and `schema` events
+  // ({ model, action }) when a model is published or deleted. EventSource
+  // can't send headers, so the token may also come as ?token=.
+  router.get(
+    '/api/events',
+    (req, res, next) => {
+      if (!req.headers.authorization && req.query.token) {
+        req.headers.authorization = `Bearer ${req.query.token}`;
+      }
+      next();
+    },
+    modelAuthMiddleware,
+    (req, res) => openEventStream(req, res, getCurrentRole)
+  );
+
+  // =================================================================
+  // 4. LIFECYCLE & PROGRAMMATIC API
+  // =================================================================
+
+  let stopWebhookWorker = null;
+
+  /**
+   * Prepares the database (system tables, stored models, roles and the
+   * first admin) and starts sending webhook deliveries.
+   */
+  async function start() {
+    // Sync the static 'User' model (its role column was an enum before roles had a table)
+    await upgradeRoleColumn();
+    await User.sync({ alter: true });
+    await Role.sync();
+    await RoleRename.sync();
+    await Invitation.sync();
+    await Session.sync();
+    await ServiceAccount.sync();
+    await ApiKey.sync();
+    await SchemaMigration.sync();
+    await ModelVersion.sync();
+    await AuditLog.sync();
+    await Webhook.sync();
+    await WebhookDelivery.sync();
+
+    // Load all dynamic models from the config storage
+    await loadStoredModels();
+
+    // Create the default roles and any role users or models already refer to
+    await seedRoles(Object.values(dynamicModels).map((m) => m.config));
+
+    // Create the first admin from ADMIN_USERNAME/ADMIN_PASSWORD if there is none.
+    // An account promoted to it loses the sessions it had before.
+    if (!authenticate) {
+      const promoted = await bootstrapAdmin();
+      if (promoted) await revokeSessions({ userId: promoted.id });
+    }
+
+    // Send queued webhook deliveries, including any left from before a restart
+    stopWebhookWorker = startWebhookWorker();
+  }
+
+  /**
+   * Stops sending webhook deliveries. The database connection belongs to
+   * the caller.
+   */
+  function stop() {
+    if (stopWebhookWorker) stopWebhookWorker();
+    stopWebhookWorker = null;
+  }
+
+  return {
+    router: prefix ? express.Router().use(prefix, router) : router,
+    start,
+    stop,
+    // The model definition endpoints as functions; they throw the ApiError
+    // the endpoint would respond with
+    plan: (modelConfig) => planModel(modelConfig),
+    publish: (modelConfig, { user = SYSTEM_USER, confirm } = {}) => checkAndPublishModel(modelConfig, { user, confirm }),
+    unpublish: (modelName, { table, user = SYSTEM_USER } = {}) => unpublishModel(modelName, { table, user }),
+    getModel: (modelName) => dynamicModels[modelName] && dynamicModels[modelName].model,
+    // The engine's event streams and webhook queue, e.g. to ping the streams
+    // (liveUpdates.checkSubscribers) or send due deliveries
+    // (webhookQueue.processDueDeliveries) without waiting for their timers
+    liveUpdates,
+    webhookQueue,
+  };
+}
+
+module.exports = { createEngine };
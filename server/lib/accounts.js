@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const User = require('../models/User');
+const Invitation = require('../models/Invitation');
+const { ApiError } = require('./errors');
+
+// How public signup works (SIGNUP_MODE): 'approval' creates Viewers that
+// wait for an admin's approval, 'open' creates active Viewers and 'closed'
+// only lets invited users sign up
+const SIGNUP_MODES = ['approval', 'open', 'closed'];
+const USER_STATUSES = ['active', 'pending'];
+
+const DEFAULT_INVITATION_DAYS = 7;
+const MAX_INVITATION_DAYS = 90;
+const RESET_TOKEN_HOURS = 24;
+const MIN_PASSWORD_LENGTH = 8;
+
+// User and session ids are UUIDs; anything else can't match one (and Postgres rejects it)
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Returns the configured signup mode; unknown values fall back to 'approval'.
+ */
+function getSignupMode() {
+  const mode = process.env.SIGNUP_MODE || 'approval';
+  return SIGNUP_MODES.includes(mode) ? mode : 'approval';
+}
+
+/**
+ * Hashes an invitation, reset or refresh token for storage and lookup.
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+const accountPending = () => new ApiError(403, 'ACCOUNT_PENDING', 'This account is waiting for an administrator\'s approval.');
+
+/**
+ * Returns what's wrong with a new password, or null.
+ */
+function getPasswordProblem(password) {
+  if (typeof password !== 'string' || password === '') return 'Required.';
+  if (password.length < MIN_PASSWORD_LENGTH) return `Must be at least ${MIN_PASSWORD_LENGTH} characters.`;
+  return null;
+}
+
+/**
+ * Checks a new password, reporting it under `name`. Returns an ApiError, or null.
+ */
+function checkPassword(password, name = 'password') {
+  const problem = getPasswordProblem(password);
+  return problem && new ApiError(400, 'VALIDATION_ERROR', `Password: ${problem}`, { [name]: problem });
+}
+
+/**
+ * Checks the username and password of a new account. Returns an ApiError
+ * describing the problems, or null.
+ */
+function checkCredentials({ username, password }) {
+  const errors = {};
+  if (typeof username !== 'string' || username.trim() === '') errors.username = 'Required.';
+  const passwordProblem = getPasswordProblem(password);
+  if (passwordProblem) errors.password = passwordProblem;
+
+  if (Object.keys(errors).length === 0) return null;
+  const message = Object.entries(errors).map(([name, problem]) => `${name}: ${problem}`).join(' ');
+  return new ApiError(400, 'VALIDATION_ERROR', message, errors);
+}
+
+/**
+ * Checks an invitation request ({ role, note, expiresInDays }) against the
+ * existing role names. Returns an ApiError describing the problems, or null.
+ */
+function checkInvitation({ role, note, expiresInDays = DEFAULT_INVITATION_DAYS }, roleNames) {
+  const errors = {};
+  if (!roleNames.includes(role)) errors.role = 'Choose one of the existing roles.';
+  if (note != null && (typeof note !== 'string' || note.length > 255)) {
+    errors.note = 'Must be a text of at most 255 characters.';
+  }
+  if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_INVITATION_DAYS) {
+    errors.expiresInDays = `Must be a whole number of days from 1 to ${MAX_INVITATION_DAYS}.`;
+  }
+
+  if (Object.keys(errors).length === 0) return null;
+  return new ApiError(400, 'VALIDATION_ERROR', Object.values(errors).join(' '), errors);
+}
+
+/**
+ * Creates an invitation. Resolves to { invitation, token }; the token is
+ * only available here.
+ */
+async function createInvitation({ role, note = null, expiresInDays = DEFAULT_INVITATION_DAYS }, user) {
+  const token = crypto.randomBytes(24).toString('base64url');
+  const invitation = await Invitation.create({
+    tokenHash: hashToken(token),
+    role,
+    note,
+    invitedBy: user.username,
+    expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+  });
+  return { invitation: await Invitation.findByPk(invitation.id), token };
+}
+
+// Conditions of invitations that can still be used
+const openInvitation = () => ({ acceptedAt: null, expiresAt: { [Op.gt]: new Date() } });
+
+/**
+ * Finds the unused, unexpired invitation of a token, or throws.
+ */
+async function findOpenInvitation(token, transaction) {
+  const invitation = typeof token === 'string' && await Invitation.findOne({
+    where: { tokenHash: hashToken(token), ...openInvitation() },
+    transaction,
+  });
+  if (!invitation) {
+    throw new ApiError(400, 'INVALID_INVITATION', 'This invitation is invalid, used or expired.');
+  }
+  return invitation;
+}
+
+/**
+ * Marks an invitation as used by a new account. Throws if another signup
+ * used it first.
+ */
+async function acceptInvitation(invitation, username, transaction) {
+  const [updated] = await Invitation.update(
+    { acceptedAt: new Date(), acceptedBy: username },
+    { where: { id: invitation.id, ...openInvitation() }, transaction }
+  );
+  if (updated !== 1) {
+    throw new ApiError(400, 'INVALID_INVITATION', 'This invitation is invalid, used or expired.');
+  }
+}
+
+/**
+ * Issues a password reset token for a user, replacing any earlier one.
+ * Resolves to { token, expiresAt }; the token is only available here.
+ */
+async function createPasswordReset(user) {
+  const token = crypto.randomBytes(24).toString('base64url');
+  const expiresAt = new Date(Date.now() + RESET_TOKEN_HOURS * 60 * 60 * 1000);
+  await User.update({ resetTokenHash: hashToken(token), resetExpiresAt: expiresAt }, { where: { id: user.id } });
+  return { token, expiresAt };
+}
+
+/**
+ * Finds the user of an unexpired password reset token, or throws.
+ */
+async function findPasswordReset(token) {
+  const user = typeof token === 'string' && await User.findOne({
+    where: { resetTokenHash: hashToken(token), resetExpiresAt: { [Op.gt]: new Date() } },
+  });
+  if (!user) {
+    throw new ApiError(400, 'INVALID_RESET_TOKEN', 'This password reset link is invalid, used or expired.');
+  }
+  return user;
+}
+
+/**
+ * Tells whether the first-run setup is still open: no active Admin exists.
+ */
+async function isSetupNeeded() {
+  return (await User.count({ where: { role: 'Admin', status: 'active' } })) === 0;
+}
+
+/**
+ * Creates the first admin from ADMIN_USERNAME and ADMIN_PASSWORD when both
+ * are set and no active Admin exists yet. An existing account of that name
+ * (say, a pending signup) is promoted and gets ADMIN_PASSWORD, so whoever
+ * chose its password can't log in as the admin. Resolves to the promoted
+ * user, whose earlier sessions the caller should end, or null.
+ */
+async function bootstrapAdmin() {
+  const { ADMIN_USERNAME: username, ADMIN_PASSWORD: password } = process.env;
+  if (!username || !password || !(await isSetupNeeded())) return null;
+
+  const existing = await User.findOne({ where: { username } });
+  if (existing) {
+    await existing.update({ password, role: 'Admin', status: 'active' });
+    console.log(`Made ${username} the first admin, with ADMIN_PASSWORD as the password`);
+    return existing;
+  }
+  await User.create({ username, password, role: 'Admin', status: 'active' });
+  console.log(`Created the first admin: ${username}`);
+  return null;
+}
+
+module.exports = {
+  SIGNUP_MODES,
+  USER_STATUSES,
+  UUID_PATTERN,
+  getSignupMode,
+  hashToken,
+  accountPending,
+  checkPassword,
+  checkCredentials,
+  checkInvitation,
+  createInvitation,
+  openInvitation,
+  findOpenInvitation,
+  acceptInvitation,
+  createPasswordReset,
+  findPasswordReset,
+  isSetupNeeded,
+  bootstrapAdmin,
+};
@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const ApiKey = require('../models/ApiKey');
+const ServiceAccount = require('../models/ServiceAccount');
+const { ApiError } = require('./errors');
+const { hashToken } = require('./accounts');
+
+// Header service accounts send their key in
+const API_KEY_HEADER = 'X-API-Key';
+
+// Actions a key's scopes can grant per model ('*' stands for every model)
+const SCOPE_ACTIONS = ['create', 'read', 'update', 'delete', 'purge', 'all'];
+
+// Service account names show up in audit entries as 'service:<name>'
+const SERVICE_ACCOUNT_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_-]{0,49}$/;
+
+const MAX_KEY_DAYS = 3650;
+
+// lastUsedAt is written at most this often per key, not on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Checks a service account definition against the existing accounts and
+ * roles. `current` is the account being changed (null when creating one).
+ * Returns an ApiError describing the problems, or null.
+ */
+function checkServiceAccount(account, accounts, roleNames, current = null) {
+  const errors = {};
+  if (typeof account.name !== 'string' || !SERVICE_ACCOUNT_NAME_PATTERN.test(account.name)) {
+    errors.name = 'Must start with a letter and contain only letters, digits, _ and - (at most 50 characters).';
+  } else if (accounts.some((a) => (!current || a.id !== current.id) && a.name.toLowerCase() === account.name.toLowerCase())) {
+    errors.name = `Service account '${account.name}' already exists.`;
+  }
+  if (!roleNames.includes(account.role)) errors.role = 'Choose one of the existing roles.';
+  if (account.description != null && (typeof account.description !== 'string' || account.description.length > 255)) {
+    errors.description = 'Must be a text of at most 255 characters.';
+  }
+
+  if (Object.keys(errors).length === 0) return null;
+  return new ApiError(400, 'VALIDATION_ERROR', Object.values(errors).join(' '), errors);
+}
+
+/**
+ * Checks a key request ({ name, scopes, expiresInDays }) against the
+ * published model names. Returns an ApiError describing the problems, or null.
+ */
+function checkApiKey({ name, scopes, expiresInDays = null }, modelNames) {
+  const errors = {};
+  if (typeof name !== 'string' || name.trim() === '' || name.length > 255) {
+    errors.name = 'Required, at most 255 characters.';
+  }
+
+  if (!scopes || typeof scopes !== 'object' || Array.isArray(scopes) || Object.keys(scopes).length === 0) {
+    errors.scopes = "Must map model names (or '*') to the actions the key may perform.";
+  } else {
+    for (const [model, actions] of Object.entries(scopes)) {
+      if (model !== '*' && !modelNames.includes(model)) {
+        errors.scopes = `Unknown model: ${model}.`;
+      } else if (!Array.isArray(actions) || actions.length === 0 || actions.some((a) => !SCOPE_ACTIONS.includes(a))) {
+        errors.scopes = `Actions of ${model} must be a non-empty list of: ${SCOPE_ACTIONS.join(', ')}.`;
+      }
+      if (errors.scopes) break;
+    }
+  }
+
+  if (expiresInDays !== null && (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_KEY_DAYS)) {
+    errors.expiresInDays = `Must be a whole number of days from 1 to ${MAX_KEY_DAYS}, or null for no expiry.`;
+  }
+
+  if (Object.keys(errors).length === 0) return null;
+  return new ApiError(400, 'VALIDATION_ERROR', Object.values(errors).join(' '), errors);
+}
+
+/**
+ * Creates a key for a service account. Resolves to { apiKey, key }; the key
+ * is only available here.
+ */
+async function createApiKey(account, { name, scopes, expiresAt = null }) {
+  const key = `sk_${crypto.randomBytes(32).toString('base64url')}`;
+  const apiKey = await ApiKey.create({
+    serviceAccountId: account.id,
+    name,
+    prefix: key.slice(0, 11),
+    keyHash: hashToken(key),
+    scopes,
+    expiresAt,
+  });
+  return { apiKey: await ApiKey.findByPk(apiKey.id), key };
+}
+
+/**
+ * Replaces a key with a new one with the same name, scopes and expiry. The
+ * old key keeps working for `graceHours` (0: stops right away). Resolves to
+ * { apiKey, key } of the new key.
+ */
+async function rotateApiKey(account, apiKey, graceHours = 0) {
+  const { name, scopes, expiresAt } = apiKey;
+  const created = await createApiKey(account, { name, scopes, expiresAt });
+  const cutoff = new Date(Date.now() + graceHours * 60 * 60 * 1000);
+  if (graceHours === 0) {
+    await apiKey.update({ revokedAt: cutoff });
+  } else if (!apiKey.expiresAt || apiKey.expiresAt > cutoff) {
+    await apiKey.update({ expiresAt: cutoff });
+  }
+  return created;
+}
+
+// Keys that are neither revoked nor expired
+const liveKeys = () => ({
+  revokedAt: null,
+  [Op.or]: [{ expiresAt: null }, { expiresAt: { [Op.gt]: new Date() } }],
+});
+
+/**
+ * Resolves an API key to the request user it acts as: its service
+ * account's id and role, limited to the key's scopes. Throws if the key is
+ * unknown, revoked or expired.
+ */
+async function authenticateApiKey(key) {
+  const apiKey = typeof key === 'string' && await ApiKey.findOne({
+    where: { keyHash: hashToken(key), ...liveKeys() },
+  });
+  const account = apiKey && await ServiceAccount.findByPk(apiKey.serviceAccountId);
+  if (!account) throw new ApiError(401, 'INVALID_API_KEY', 'Invalid, revoked or expired API key.');
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+    await apiKey.update({ lastUsedAt: new Date() });
+  }
+  return {
+    id: account.id,
+    username: `service:${account.name}`,
+    role: account.role,
+    apiKeyId: apiKey.id,
+    scopes: apiKey.scopes,
+  };
+}
+
+/**
+ * Resolves to the current role of the service account of a key (by id), or
+ * to null if the key no longer works: it's revoked or expired. Deleting a
+ * service account deletes its keys.
+ */
+async function getApiKeyRole(apiKeyId) {
+  const apiKey = await ApiKey.findOne({ where: { id: apiKeyId, ...liveKeys() } });
+  const account = apiKey && await ServiceAccount.findByPk(apiKey.serviceAccountId, { attributes: ['role'] });
+  return account ? account.role : null;
+}
+
+module.exports = {
+  API_KEY_HEADER,
+  SCOPE_ACTIONS,
+  checkServiceAccount,
+  checkApiKey,
+  createApiKey,
+  rotateApiKey,
+  authenticateApiKey,
+  getApiKeyRole,
+};
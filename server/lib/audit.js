@@ -0,0 +1,90 @@
+const { Op } = require('sequelize');
+const AuditLog = require('../models/AuditLog');
+const { QueryError } = require('./listQuery');
+
+// Columns that change on every write and would only add noise to a diff
+const IGNORED_COLUMNS = ['id', 'createdAt', 'updatedAt'];
+
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore', 'purge'];
+
+/**
+ * Compares two plain record snapshots (either may be null) and returns
+ * { field: { before, after } } for every field whose value changed.
+ */
+function diffRecords(before, after) {
+  const changes = {};
+  const columns = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const column of columns) {
+    if (IGNORED_COLUMNS.includes(column)) continue;
+    const from = before ? before[column] ?? null : null;
+    const to = after ? after[column] ?? null : null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[column] = { before: from, after: to };
+    }
+  }
+  return changes;
+}
+
+/**
+ * Writes the audit entry of one record change, inside the transaction of
+ * the change itself so the log can't miss or invent writes. Updates that
+ * change nothing are not logged.
+ */
+async function recordChange({ modelName, action, recordId, user, before, after }, transaction) {
+  const changes = diffRecords(before, after);
+  if (action === 'update' && Object.keys(changes).length === 0) return null;
+  return AuditLog.create({
+    modelName,
+    recordId,
+    action,
+    userId: user.id,
+    username: user.username,
+    changes,
+  }, { transaction });
+}
+
+/**
+ * Parses a date filter of the audit query.
+ */
+function parseDate(raw, name) {
+  if (typeof raw !== 'string') throw new QueryError(`Invalid value for '${name}'.`);
+  const value = new Date(raw);
+  if (Number.isNaN(value.getTime())) {
+    throw new QueryError(`'${name}' expects a date, got '${raw}'.`);
+  }
+  return value;
+}
+
+/**
+ * Turns the filters of the admin audit query (?modelName=, ?recordId=,
+ * ?userId=, ?username=, ?action=, ?from=, ?to=) into a where clause.
+ */
+function parseAuditQuery(query) {
+  const where = {};
+  for (const key of ['modelName', 'userId', 'username']) {
+    if (query[key] !== undefined) where[key] = String(query[key]);
+  }
+  if (query.recordId !== undefined) {
+    const recordId = Number(query.recordId);
+    if (!Number.isInteger(recordId)) throw new QueryError("'recordId' must be an integer.");
+    where.recordId = recordId;
+  }
+  if (query.action !== undefined) {
+    if (!AUDIT_ACTIONS.includes(query.action)) {
+      throw new QueryError(`'action' must be one of ${AUDIT_ACTIONS.join(', ')}.`);
+    }
+    where.action = query.action;
+  }
+  if (query.from !== undefined || query.to !== undefined) {
+    where.createdAt = {};
+    if (query.from !== undefined) where.createdAt[Op.gte] = parseDate(query.from, 'from');
+    if (query.to !== undefined) where.createdAt[Op.lte] = parseDate(query.to, 'to');
+  }
+  return where;
+}
+
+module.exports = {
+  diffRecords,
+  recordChange,
+  parseAuditQuery,
+};
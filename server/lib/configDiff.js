@@ -0,0 +1,61 @@
+/**
+ * Compares two values structurally.
+ */
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Lists the properties that differ between two plain objects as
+ * { property: { from, to } }.
+ */
+function diffProperties(from = {}, to = {}, ignore = []) {
+  const changes = {};
+  const keys = new Set([...Object.keys(from), ...Object.keys(to)]);
+  for (const key of keys) {
+    if (ignore.includes(key)) continue;
+    if (!isEqual(from[key], to[key])) {
+      changes[key] = { from: from[key], to: to[key] };
+    }
+  }
+  return changes;
+}
+
+/**
+ * Summarises what changed between two model configs: fields added, removed
+ * or changed, permissions granted or revoked per role, and other top-level
+ * settings (ownerField, tableName, ...).
+ */
+function diffModelConfigs(from, to) {
+  const fromFields = Object.fromEntries(from.fields.map((f) => [f.name, f]));
+  const toFields = Object.fromEntries(to.fields.map((f) => [f.name, f]));
+
+  const fields = {
+    added: Object.keys(toFields).filter((name) => !fromFields[name]),
+    removed: Object.keys(fromFields).filter((name) => !toFields[name]),
+    changed: [],
+  };
+  for (const name of Object.keys(toFields)) {
+    if (!fromFields[name]) continue;
+    const changes = diffProperties(fromFields[name], toFields[name]);
+    if (Object.keys(changes).length > 0) fields.changed.push({ name, changes });
+  }
+
+  const rbac = {};
+  const roles = new Set([...Object.keys(from.rbac || {}), ...Object.keys(to.rbac || {})]);
+  for (const role of roles) {
+    const before = (from.rbac && from.rbac[role]) || [];
+    const after = (to.rbac && to.rbac[role]) || [];
+    const granted = after.filter((action) => !before.includes(action));
+    const revoked = before.filter((action) => !after.includes(action));
+    if (granted.length || revoked.length) rbac[role] = { granted, revoked };
+  }
+
+  return {
+    fields,
+    rbac,
+    settings: diffProperties(from, to, ['fields', 'rbac']),
+  };
+}
+
+module.exports = { diffModelConfigs };
@@ -0,0 +1,55 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// A config storage keeps the published model configs between restarts:
+//   load()          resolves to every stored config
+//   save(config)    stores a config, replacing the one with the same name
+//   remove(name)    deletes the config of a model (if there is one)
+// createEngine takes any object with these methods as its `storage`.
+
+/**
+ * Creates the default storage: one `{ModelName}.json` file per model in `dir`.
+ */
+function createFileStorage(dir) {
+  const fileOf = (modelName) => path.join(dir, `${modelName}.json`);
+
+  return {
+    async load() {
+      await fs.ensureDir(dir);
+      const files = (await fs.readdir(dir)).filter((file) => file.endsWith('.json'));
+      return Promise.all(files.map((file) => fs.readJson(path.join(dir, file))));
+    },
+    async save(config) {
+      await fs.ensureDir(dir);
+      await fs.writeJson(fileOf(config.name), config, { spaces: 2 });
+    },
+    async remove(modelName) {
+      await fs.remove(fileOf(modelName));
+    },
+  };
+}
+
+/**
+ * Creates a storage that only keeps configs in memory, e.g. for tests. It
+ * starts with `configs`.
+ */
+function createMemoryStorage(configs = []) {
+  const stored = new Map(configs.map((config) => [config.name, config]));
+
+  return {
+    async load() {
+      return [...stored.values()];
+    },
+    async save(config) {
+      stored.set(config.name, config);
+    },
+    async remove(modelName) {
+      stored.delete(modelName);
+    },
+  };
+}
+
+module.exports = {
+  createFileStorage,
+  createMemoryStorage,
+};
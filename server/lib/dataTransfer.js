@@ -0,0 +1,283 @@
+const multer = require('multer');
+const { parse } = require('csv-parse/sync');
+const { stringify } = require('csv-stringify');
+const { ApiError } = require('./errors');
+const { isComputed } = require('./fieldTypes');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv', extension: 'csv' },
+  json: { contentType: 'application/json', extension: 'json' },
+  ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' },
+};
+
+// Rows read from the database per query while exporting
+const EXPORT_BATCH_SIZE = 500;
+
+const MAX_IMPORT_BYTES = 10 * 1024 * 1024;
+const MAX_IMPORT_ROWS = 10000;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_BYTES, files: 1 },
+}).single('file');
+
+/**
+ * Lists the columns exported for a model: id, its field columns (many-to-many
+ * links are left out, computed fields are included) and the timestamps.
+ */
+function getExportColumns(modelConfig) {
+  const columns = ['id'];
+  for (const field of modelConfig.fields) {
+    if (field.type !== 'manyToMany') columns.push(field.name);
+  }
+  if (modelConfig.ownerField && !columns.includes(modelConfig.ownerField)) {
+    columns.push(modelConfig.ownerField);
+  }
+  return columns.concat('createdAt', 'updatedAt');
+}
+
+/**
+ * Writes a chunk, waiting for the client to catch up when its buffer is full
+ * or for `closed` (the response going away), whichever comes first.
+ */
+async function write(stream, chunk, closed) {
+  if (!stream.write(chunk)) {
+    await Promise.race([new Promise((resolve) => stream.once('drain', resolve)), closed]);
+  }
+}
+
+/**
+ * Streams records to the response as CSV, a JSON array or NDJSON.
+ * `fetchBatch(offset, limit)` returns the next rows, so the whole table is
+ * never held in memory. Stops early if the client goes away.
+ */
+async function streamExport(res, { format, filename, columns, fetchBatch }) {
+  // A response closing before the end means the client left or the
+  // connection failed: nothing will drain it any more
+  let gone = false;
+  const closed = new Promise((resolve) => {
+    res.once('close', resolve);
+    res.once('error', resolve);
+  }).then(() => { gone = true; });
+
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  res.setHeader('Content-Type', `${contentType}; charset=utf-8`);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${extension}"`);
+
+  let output = res;
+  if (format === 'csv') {
+    output = stringify({
+      header: true,
+      columns,
+      cast: {
+        date: (value) => value.toISOString(),
+        boolean: (value) => String(value),
+        object: (value) => JSON.stringify(value),
+      },
+    });
+    output.pipe(res, { end: false });
+  } else if (format === 'json') {
+    res.write('[');
+  }
+
+  let offset = 0;
+  let first = true;
+  while (!gone) {
+    const rows = await fetchBatch(offset, EXPORT_BATCH_SIZE);
+    for (const row of rows) {
+      if (gone) break;
+      const record = {};
+      for (const column of columns) record[column] = row.get(column) ?? null;
+
+      if (format === 'csv') {
+        await write(output, record, closed);
+      } else if (format === 'json') {
+        await write(res, `${first ? '' : ','}\n${JSON.stringify(record)}`, closed);
+      } else {
+        await write(res, `${JSON.stringify(record)}\n`, closed);
+      }
+      first = false;
+    }
+    if (rows.length < EXPORT_BATCH_SIZE) break;
+    offset += rows.length;
+  }
+  if (gone) {
+    if (output !== res) output.destroy();
+    return;
+  }
+
+  if (format === 'csv') {
+    await new Promise((resolve) => {
+      output.on('end', resolve);
+      output.end();
+    });
+  } else if (format === 'json') {
+    res.write('\n]\n');
+  }
+  res.end();
+}
+
+/**
+ * Receives the multipart upload of an import request (the file in `file`,
+ * other form fields in req.body).
+ */
+function receiveUpload(req, res) {
+  return new Promise((resolve, reject) => {
+    upload(req, res, (error) => {
+      if (!error) return resolve();
+      if (error instanceof multer.MulterError) {
+        const message = error.code === 'LIMIT_FILE_SIZE'
+          ? `The file is larger than ${MAX_IMPORT_BYTES / 1024 / 1024} MB.`
+          : error.message;
+        return reject(new ApiError(400, 'INVALID_FILE', message));
+      }
+      reject(error);
+    });
+  });
+}
+
+/**
+ * Works out the format of an uploaded file from an explicit `format` or the
+ * file name.
+ */
+function detectFormat(file, format) {
+  if (format) {
+    if (!EXPORT_FORMATS[format]) {
+      throw new ApiError(400, 'INVALID_FILE', `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}.`);
+    }
+    return format;
+  }
+  const extension = (file.originalname.split('.').pop() || '').toLowerCase();
+  return EXPORT_FORMATS[extension] ? extension : 'csv';
+}
+
+/**
+ * Parses an uploaded CSV, JSON (array of objects) or NDJSON file into
+ * { columns, rows }, where rows are plain objects keyed by column.
+ */
+function parseUpload(file, format) {
+  const text = file.buffer.toString('utf8').replace(/^\uFEFF/, ''); // Spreadsheets like to add a BOM
+
+  let rows;
+  try {
+    if (format === 'csv') {
+      rows = parse(text, { columns: true, skip_empty_lines: true, trim: true });
+    } else if (format === 'json') {
+      rows = JSON.parse(text);
+    } else {
+      rows = text.split(/\r?\n/).filter((line) => line.trim()).map((line) => JSON.parse(line));
+    }
+  } catch (error) {
+    throw new ApiError(400, 'INVALID_FILE', `Could not read the ${format.toUpperCase()} file: ${error.message}`);
+  }
+
+  if (!Array.isArray(rows) || rows.some((row) => !row || typeof row !== 'object' || Array.isArray(row))) {
+    throw new ApiError(400, 'INVALID_FILE', 'The file must contain a list of records.');
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new ApiError(400, 'INVALID_FILE', `At most ${MAX_IMPORT_ROWS} rows can be imported at once.`);
+  }
+
+  const columns = [];
+  for (const row of rows) {
+    for (const column of Object.keys(row)) {
+      if (!columns.includes(column)) columns.push(column);
+    }
+  }
+  return { columns, rows };
+}
+
+/**
+ * Maps file columns to model fields. An explicit mapping ({ column: field },
+ * null to skip a column) wins; other columns are matched to a field of the
+ * same name, ignoring case. Many-to-many and computed fields can't be imported.
+ */
+function buildColumnMapping(columns, modelConfig, explicit = {}) {
+  const importable = modelConfig.fields
+    .filter((f) => f.type !== 'manyToMany' && !isComputed(f))
+    .map((f) => f.name);
+  const mapping = {};
+  for (const column of columns) {
+    if (column in explicit) {
+      const field = explicit[column];
+      if (field !== null && !importable.includes(field)) {
+        throw new ApiError(400, 'VALIDATION_ERROR', `Column '${column}' is mapped to unknown field '${field}'.`, {
+          mapping: `Unknown field '${field}'.`,
+        });
+      }
+      mapping[column] = field;
+    } else {
+      mapping[column] = importable.find((name) => name.toLowerCase() === column.trim().toLowerCase()) || null;
+    }
+  }
+  return mapping;
+}
+
+/**
+ * Converts one imported value to the field's type. Empty cells become null.
+ * Throws a message when the value can't be converted.
+ */
+function coerceValue(field, raw) {
+  if (raw === null || raw === undefined || raw === '') return null;
+  if (typeof raw !== 'string') return raw; // JSON files already carry typed values
+
+  switch (field.type) {
+    case 'number':
+    case 'integer':
+    case 'decimal':
+    case 'reference': {
+      const value = Number(raw);
+      if (Number.isNaN(value)) throw new Error(`'${raw}' is not a number.`);
+      return value;
+    }
+    case 'boolean': {
+      const value = raw.toLowerCase();
+      if (['true', '1', 'yes'].includes(value)) return true;
+      if (['false', '0', 'no'].includes(value)) return false;
+      throw new Error(`'${raw}' is not true or false.`);
+    }
+    case 'date': {
+      const value = new Date(raw);
+      if (Number.isNaN(value.getTime())) throw new Error(`'${raw}' is not a date.`);
+      return value;
+    }
+    case 'json':
+      try {
+        return JSON.parse(raw);
+      } catch {
+        throw new Error('Not valid JSON.');
+      }
+    default:
+      return raw;
+  }
+}
+
+/**
+ * Turns one file row into record data. Returns { data, errors }, where
+ * errors maps field names to conversion problems.
+ */
+function coerceRow(row, mapping, modelConfig) {
+  const data = {};
+  const errors = {};
+  for (const [column, fieldName] of Object.entries(mapping)) {
+    if (!fieldName) continue;
+    const field = modelConfig.fields.find((f) => f.name === fieldName);
+    try {
+      data[fieldName] = coerceValue(field, row[column]);
+    } catch (error) {
+      errors[fieldName] = error.message;
+    }
+  }
+  return { data, errors };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  getExportColumns,
+  streamExport,
+  receiveUpload,
+  detectFormat,
+  parseUpload,
+  buildColumnMapping,
+  coerceRow,
+};
@@ -0,0 +1,112 @@
+const { Sequelize } = require('../db');
+const { QueryError } = require('./listQuery');
+
+/**
+ * An error with the HTTP status, machine-readable code and per-field
+ * messages sent to the client. Every error response has the shape
+ * { code, message, errors }, where `errors` maps field names to messages.
+ */
+class ApiError extends Error {
+  constructor(status, code, message, errors = {}) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.errors = errors;
+  }
+
+  toJSON() {
+    return { code: this.code, message: this.message, errors: this.errors };
+  }
+}
+
+/**
+ * Collects the first message per field of a Sequelize validation error.
+ */
+function getFieldErrors(error) {
+  const errors = {};
+  for (const item of error.errors || []) {
+    if (!item.path || errors[item.path]) continue;
+    if (item.type === 'notNull Violation') {
+      errors[item.path] = `${item.path} is required.`;
+    } else if (item.type === 'unique violation') {
+      errors[item.path] = `${item.path} must be unique; this value is already taken.`;
+    } else {
+      errors[item.path] = item.message;
+    }
+  }
+  return errors;
+}
+
+/**
+ * Returns the column of a foreign key violation caused by writing a missing
+ * id, or null. Postgres names it in the error detail and MySQL in the
+ * message; SQLite doesn't say.
+ */
+function getMissingReference(parent) {
+  if (parent.detail && parent.detail.includes('is not present')) {
+    const match = /Key \((.+?)\)=/.exec(parent.detail);
+    return match && match[1];
+  }
+  if (parent.code === 'ER_NO_REFERENCED_ROW_2') {
+    const match = /FOREIGN KEY \(`(.+?)`\)/.exec(parent.message || '');
+    return match && match[1];
+  }
+  return null;
+}
+
+/**
+ * Converts a foreign key violation: writing a missing id is the client's
+ * fault (400), deleting a referenced record is a conflict (409).
+ */
+function fromForeignKeyError(error) {
+  const column = getMissingReference(error.parent || {});
+  if (column) {
+    return new ApiError(400, 'FOREIGN_KEY_VIOLATION', `${column} refers to a record that does not exist.`, {
+      [column]: 'Refers to a record that does not exist.',
+    });
+  }
+  return new ApiError(409, 'FOREIGN_KEY_VIOLATION', 'A related record is missing or still references this record.');
+}
+
+/**
+ * Maps any error thrown by a route to an ApiError. Errors that aren't
+ * recognised become a 500.
+ */
+function toApiError(error) {
+  if (error instanceof ApiError) return error;
+  if (error instanceof QueryError) return new ApiError(400, 'INVALID_QUERY', error.message);
+
+  // UniqueConstraintError is a ValidationError, so it has to be checked first
+  if (error instanceof Sequelize.UniqueConstraintError) {
+    const errors = getFieldErrors(error);
+    return new ApiError(409, 'UNIQUE_VIOLATION', Object.values(errors).join(' ') || 'A value must be unique.', errors);
+  }
+  if (error instanceof Sequelize.ValidationError) {
+    const errors = getFieldErrors(error);
+    return new ApiError(400, 'VALIDATION_ERROR', Object.values(errors).join(' ') || error.message, errors);
+  }
+  if (error instanceof Sequelize.ForeignKeyConstraintError) return fromForeignKeyError(error);
+
+  // SQLSTATE class 22 (data exception): value too long, out of range,
+  // malformed. MySQL has its own error codes and keeps the SQLSTATE apart.
+  const sqlState = error.parent && (error.parent.sqlState || error.parent.code);
+  if (error instanceof Sequelize.DatabaseError && typeof sqlState === 'string' && sqlState.startsWith('22')) {
+    return new ApiError(400, 'INVALID_VALUE', error.message);
+  }
+  return new ApiError(500, 'INTERNAL_ERROR', error.message);
+}
+
+/**
+ * Sends an error in the shared JSON format.
+ */
+function sendError(res, error) {
+  const apiError = toApiError(error);
+  if (apiError.status >= 500) console.error(error);
+  return res.status(apiError.status).send(apiError);
+}
+
+module.exports = {
+  ApiError,
+  toApiError,
+  sendError,
+};
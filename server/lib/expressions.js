@@ -0,0 +1,356 @@
+// A small expression language for computed fields and lifecycle rules in
+// model configs, e.g. `price * quantity` or `slugify(name)`. Expressions are
+// parsed into a tree and interpreted; they can only read the record's fields
+// and call the functions below, never reach JavaScript itself.
+
+const MAX_LENGTH = 1000;
+const MAX_DEPTH = 50;
+
+/**
+ * Raised for expressions that can't be parsed. `position` is the offset of
+ * the offending character.
+ */
+class ExpressionError extends Error {
+  constructor(message, position) {
+    super(position === undefined ? message : `${message} at character ${position + 1}`);
+    this.position = position;
+  }
+}
+
+// --- Values ---
+
+const isEmpty = (value) => value === null || value === undefined || value === ''
+  || (Array.isArray(value) && value.length === 0);
+
+// Numbers for arithmetic: dates count in milliseconds, decimals may arrive as strings
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = value instanceof Date ? value.getTime() : Number(value);
+  return Number.isNaN(number) ? null : number;
+}
+
+const toText = (value) => (value instanceof Date ? value.toISOString() : String(value));
+
+// Values compared with ==, <, ...: dates by time, everything else as is
+const comparable = (value) => (value instanceof Date ? value.getTime() : value);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Milliseconds of a date, or of a date string
+const toTime = (value) => (isEmpty(value) ? null : toNumber(value instanceof Date ? value : new Date(value)));
+
+/**
+ * Turns text into a URL-friendly slug: "Crème Brûlée!" -> "creme-brulee".
+ */
+function slugify(value) {
+  return toText(value)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // Accents split off by NFKD
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// Callable functions: [min arguments, max arguments, implementation].
+// Functions of one value return null for a missing value.
+const FUNCTIONS = {
+  lower: [1, 1, (s) => (isEmpty(s) ? s ?? null : toText(s).toLowerCase())],
+  upper: [1, 1, (s) => (isEmpty(s) ? s ?? null : toText(s).toUpperCase())],
+  trim: [1, 1, (s) => (isEmpty(s) ? s ?? null : toText(s).trim())],
+  slugify: [1, 1, (s) => (isEmpty(s) ? s ?? null : slugify(s))],
+  length: [1, 1, (s) => {
+    if (s === null || s === undefined) return null;
+    return Array.isArray(s) ? s.length : toText(s).length;
+  }],
+  concat: [1, Infinity, (...parts) => parts.map((p) => (p === null || p === undefined ? '' : toText(p))).join('')],
+  round: [1, 2, (n, digits = 0) => {
+    const value = toNumber(n);
+    if (value === null) return null;
+    const factor = 10 ** (toNumber(digits) || 0);
+    return Math.round(value * factor) / factor;
+  }],
+  floor: [1, 1, (n) => (toNumber(n) === null ? null : Math.floor(toNumber(n)))],
+  ceil: [1, 1, (n) => (toNumber(n) === null ? null : Math.ceil(toNumber(n)))],
+  abs: [1, 1, (n) => (toNumber(n) === null ? null : Math.abs(toNumber(n)))],
+  min: [1, Infinity, (...values) => {
+    const numbers = values.map(toNumber).filter((v) => v !== null);
+    return numbers.length > 0 ? Math.min(...numbers) : null;
+  }],
+  max: [1, Infinity, (...values) => {
+    const numbers = values.map(toNumber).filter((v) => v !== null);
+    return numbers.length > 0 ? Math.max(...numbers) : null;
+  }],
+  coalesce: [1, Infinity, (...values) => values.find((v) => !isEmpty(v)) ?? null],
+  isEmpty: [1, 1, isEmpty],
+  now: [0, 0, () => new Date()],
+  daysBetween: [2, 2, (from, to) => {
+    const start = toTime(from);
+    const end = toTime(to);
+    return start === null || end === null ? null : Math.floor((end - start) / DAY_MS);
+  }],
+};
+
+// --- Parsing ---
+
+const PUNCTUATION = ['&&', '||', '==', '!=', '<=', '>=', '<', '>', '+', '-', '*', '/', '%', '!', '?', ':', '(', ')', ','];
+const KEYWORDS = { true: true, false: false, null: null };
+
+/**
+ * Splits an expression into tokens: { type, value, position, text }.
+ */
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+  while (i < source.length) {
+    const char = source[i];
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    const start = i;
+    if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(source[i + 1]))) {
+      const match = /^[0-9]*\.?[0-9]+(?:[eE][+-]?[0-9]+)?/.exec(source.slice(i));
+      tokens.push({ type: 'literal', value: Number(match[0]), position: start, text: match[0] });
+      i += match[0].length;
+    } else if (/[A-Za-z_]/.test(char)) {
+      const [word] = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(i));
+      // Own properties only: `constructor` or `toString` is a name, not a keyword
+      const type = Object.hasOwn(KEYWORDS, word) ? 'literal' : 'name';
+      tokens.push({ type, value: type === 'literal' ? KEYWORDS[word] : word, position: start, text: word });
+      i += word.length;
+    } else if (char === "'" || char === '"') {
+      let value = '';
+      i++;
+      while (source[i] !== char) {
+        if (i >= source.length) throw new ExpressionError('Unterminated string', start);
+        if (source[i] === '\\') {
+          i++;
+          value += source[i] === 'n' ? '\n' : source[i] ?? '';
+        } else {
+          value += source[i];
+        }
+        i++;
+      }
+      i++;
+      tokens.push({ type: 'literal', value, position: start, text: source.slice(start, i) });
+    } else {
+      const symbol = PUNCTUATION.find((p) => source.startsWith(p, i));
+      if (!symbol) throw new ExpressionError(`Unexpected '${char}'`, start);
+      tokens.push({ type: 'symbol', value: symbol, position: start, text: symbol });
+      i += symbol.length;
+    }
+  }
+  tokens.push({ type: 'end', position: source.length });
+  return tokens;
+}
+
+// Binary operators by precedence, loosest first
+const BINARY_LEVELS = [['||'], ['&&'], ['==', '!='], ['<', '<=', '>', '>='], ['+', '-'], ['*', '/', '%']];
+
+/**
+ * Parses an expression into a tree of nodes:
+ * { type: 'literal', value }, { type: 'field', name },
+ * { type: 'call', name, args }, { type: 'unary', operator, operand },
+ * { type: 'binary', operator, left, right } and
+ * { type: 'conditional', test, then, otherwise }.
+ * Throws an ExpressionError for invalid syntax.
+ */
+function parseExpression(source) {
+  if (typeof source !== 'string' || source.trim() === '') throw new ExpressionError('The expression is empty');
+  if (source.length > MAX_LENGTH) throw new ExpressionError(`The expression is longer than ${MAX_LENGTH} characters`);
+
+  const tokens = tokenize(source);
+  let index = 0;
+  let depth = 0;
+
+  const peek = () => tokens[index];
+  const isSymbol = (...symbols) => peek().type === 'symbol' && symbols.includes(peek().value);
+  const describe = (token) => (token.type === 'end' ? 'end of expression' : `'${token.text}'`);
+  const expect = (symbol) => {
+    if (!isSymbol(symbol)) throw new ExpressionError(`Expected '${symbol}' but found ${describe(peek())}`, peek().position);
+    index++;
+  };
+
+  const parseConditional = () => {
+    if (++depth > MAX_DEPTH) throw new ExpressionError('The expression is nested too deeply', peek().position);
+    const test = parseBinary(0);
+    let node = test;
+    if (isSymbol('?')) {
+      index++;
+      const then = parseConditional();
+      expect(':');
+      node = { type: 'conditional', test, then, otherwise: parseConditional() };
+    }
+    depth--;
+    return node;
+  };
+
+  const parseBinary = (level) => {
+    if (level === BINARY_LEVELS.length) return parseUnary();
+    let node = parseBinary(level + 1);
+    while (isSymbol(...BINARY_LEVELS[level])) {
+      const operator = tokens[index++].value;
+      node = { type: 'binary', operator, left: node, right: parseBinary(level + 1) };
+    }
+    return node;
+  };
+
+  const parseUnary = () => {
+    if (isSymbol('!', '-')) {
+      const operator = tokens[index++].value;
+      if (++depth > MAX_DEPTH) throw new ExpressionError('The expression is nested too deeply', peek().position);
+      const node = { type: 'unary', operator, operand: parseUnary() };
+      depth--;
+      return node;
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (token.type === 'literal') {
+      index++;
+      return { type: 'literal', value: token.value };
+    }
+    if (token.type === 'name') {
+      index++;
+      if (!isSymbol('(')) return { type: 'field', name: token.value, position: token.position };
+      index++;
+      const args = [];
+      if (!isSymbol(')')) {
+        args.push(parseConditional());
+        while (isSymbol(',')) {
+          index++;
+          args.push(parseConditional());
+        }
+      }
+      expect(')');
+      return { type: 'call', name: token.value, args, position: token.position };
+    }
+    if (isSymbol('(')) {
+      index++;
+      const node = parseConditional();
+      expect(')');
+      return node;
+    }
+    throw new ExpressionError(`Unexpected ${describe(token)}`, token.position);
+  };
+
+  const tree = parseConditional();
+  if (peek().type !== 'end') throw new ExpressionError(`Unexpected ${describe(peek())}`, peek().position);
+  return tree;
+}
+
+/**
+ * Lists the field names an expression reads.
+ */
+function getFieldNames(node, names = new Set()) {
+  if (node.type === 'field') names.add(node.name);
+  for (const child of [node.left, node.right, node.operand, node.test, node.then, node.otherwise, ...(node.args || [])]) {
+    if (child) getFieldNames(child, names);
+  }
+  return [...names];
+}
+
+/**
+ * Parses an expression and checks it only reads the `allowedFields` and
+ * calls known functions with the right number of arguments. Returns the
+ * tree; throws an ExpressionError describing the first problem.
+ */
+function compileExpression(source, allowedFields) {
+  const tree = parseExpression(source);
+  const check = (node) => {
+    if (node.type === 'field' && !allowedFields.includes(node.name)) {
+      throw new ExpressionError(`Unknown field '${node.name}'`, node.position);
+    }
+    if (node.type === 'call') {
+      if (!Object.hasOwn(FUNCTIONS, node.name)) throw new ExpressionError(`Unknown function '${node.name}'`, node.position);
+      const [min, max] = FUNCTIONS[node.name];
+      if (node.args.length < min || node.args.length > max) {
+        const expected = min === max ? `${min}` : `${min} to ${max === Infinity ? 'any number of' : max}`;
+        throw new ExpressionError(`${node.name}() takes ${expected} argument${max === 1 ? '' : 's'}`, node.position);
+      }
+    }
+    for (const child of [node.left, node.right, node.operand, node.test, node.then, node.otherwise, ...(node.args || [])]) {
+      if (child) check(child);
+    }
+  };
+  check(tree);
+  return tree;
+}
+
+// --- Evaluation ---
+
+function arithmetic(operator, left, right) {
+  // Text joins with +; otherwise a missing value makes the result missing
+  if (operator === '+' && (typeof left === 'string' || typeof right === 'string')) {
+    if (left === null || left === undefined || right === null || right === undefined) return null;
+    return toText(left) + toText(right);
+  }
+  const a = toNumber(left);
+  const b = toNumber(right);
+  if (a === null || b === null) return null;
+  if ((operator === '/' || operator === '%') && b === 0) return null;
+  switch (operator) {
+    case '+': return a + b;
+    case '-': return a - b;
+    case '*': return a * b;
+    case '/': return a / b;
+    default: return a % b;
+  }
+}
+
+function compare(operator, left, right) {
+  const a = comparable(left ?? null);
+  const b = comparable(right ?? null);
+  if (operator === '==') return a === b;
+  if (operator === '!=') return a !== b;
+  if (a === null || b === null) return false;
+  switch (operator) {
+    case '<': return a < b;
+    case '<=': return a <= b;
+    case '>': return a > b;
+    default: return a >= b;
+  }
+}
+
+/**
+ * Evaluates a parsed expression. `lookup(name)` returns a field's value.
+ * Missing values propagate as null instead of failing.
+ */
+function evaluate(node, lookup) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'field':
+      return lookup(node.name) ?? null;
+    case 'call':
+      return FUNCTIONS[node.name][2](...node.args.map((arg) => evaluate(arg, lookup)));
+    case 'unary': {
+      const value = evaluate(node.operand, lookup);
+      if (node.operator === '!') return !value;
+      return toNumber(value) === null ? null : -toNumber(value);
+    }
+    case 'conditional':
+      return evaluate(node.test, lookup) ? evaluate(node.then, lookup) : evaluate(node.otherwise, lookup);
+    default: {
+      if (node.operator === '&&') return !!evaluate(node.left, lookup) && !!evaluate(node.right, lookup);
+      if (node.operator === '||') return !!evaluate(node.left, lookup) || !!evaluate(node.right, lookup);
+      const left = evaluate(node.left, lookup);
+      const right = evaluate(node.right, lookup);
+      if (['+', '-', '*', '/', '%'].includes(node.operator)) return arithmetic(node.operator, left, right);
+      return compare(node.operator, left, right);
+    }
+  }
+}
+
+module.exports = {
+  FUNCTIONS,
+  isEmpty,
+  ExpressionError,
+  parseExpression,
+  compileExpression,
+  getFieldNames,
+  evaluate,
+};
@@ -0,0 +1,320 @@
+const { sequelize, Sequelize } = require('../db');
+
+// Field types a model config can use
+const FIELD_TYPES = [
+  'string', 'text', 'number', 'integer', 'decimal', 'boolean', 'date',
+  'enum', 'email', 'url', 'uuid', 'json', 'reference', 'manyToMany',
+];
+
+// Types stored in the same column as another type; only their validation differs
+const STORAGE_TYPES = { enum: 'string', email: 'string', url: 'string' };
+
+const NUMERIC_TYPES = ['number', 'integer', 'decimal'];
+const LENGTH_TYPES = ['string', 'text', 'email', 'url'];
+// Text types a search (?q=) can look in when the field is marked `searchable`
+const SEARCHABLE_TYPES = ['string', 'text', 'enum', 'email', 'url'];
+
+// Field types each validation rule applies to
+const RULE_TYPES = {
+  min: NUMERIC_TYPES,
+  max: NUMERIC_TYPES,
+  minLength: LENGTH_TYPES,
+  maxLength: LENGTH_TYPES,
+  pattern: LENGTH_TYPES,
+  values: ['enum', 'string', 'number', 'integer'],
+  precision: ['decimal'],
+  scale: ['decimal'],
+};
+
+const DEFAULT_PRECISION = 10;
+const DEFAULT_SCALE = 2;
+
+/**
+ * Checks whether a field is computed from an expression instead of stored.
+ */
+function isComputed(field) {
+  return field.computed !== undefined;
+}
+
+/**
+ * Converts a JSON column definition's type to a Sequelize data type.
+ */
+function getSequelizeType(definition) {
+  switch (definition.type) {
+    case 'string':
+      return Sequelize.STRING;
+    case 'text':
+      return Sequelize.TEXT;
+    case 'number':
+      return Sequelize.DOUBLE; // 64-bit on every dialect (MySQL's FLOAT is 32-bit)
+    case 'integer':
+      return Sequelize.INTEGER;
+    case 'decimal':
+      return Sequelize.DECIMAL(definition.precision, definition.scale);
+    case 'boolean':
+      return Sequelize.BOOLEAN;
+    case 'date':
+      return Sequelize.DATE;
+    case 'uuid':
+      return Sequelize.UUID;
+    case 'json':
+      return Sequelize.JSON;
+    case 'reference':
+      return Sequelize.INTEGER; // Dynamic models use integer primary keys
+    default:
+      return Sequelize.STRING;
+  }
+}
+
+// Referential actions allowed per relation type, the first one is the default
+const ON_DELETE_ACTIONS = {
+  reference: ['set null', 'restrict', 'cascade'],
+  manyToMany: ['cascade', 'restrict'],
+};
+
+const ON_DELETE_SQL = {
+  restrict: 'RESTRICT',
+  cascade: 'CASCADE',
+  'set null': 'SET NULL',
+};
+
+/**
+ * Returns the default table name of a model config.
+ */
+function getTableName(modelConfig) {
+  return modelConfig.tableName || `${modelConfig.name.toLowerCase()}s`;
+}
+
+/**
+ * Returns the referential action of a relation field. Required references
+ * can't be nulled, so they default to 'restrict'.
+ */
+function getOnDelete(field) {
+  if (field.onDelete) return field.onDelete;
+  if (field.type === 'reference' && field.required) return 'restrict';
+  return ON_DELETE_ACTIONS[field.type][0];
+}
+
+/**
+ * Returns the config of the model a relation field points to.
+ * `lookup(name)` returns the config of a registered model.
+ */
+function getTargetConfig(modelConfig, field, lookup) {
+  return field.model === modelConfig.name ? modelConfig : lookup(field.model);
+}
+
+/**
+ * Returns the name of the table a relation field points to.
+ */
+function getReferencedTable(modelConfig, field, lookup) {
+  const target = getTargetConfig(modelConfig, field, lookup);
+  return getTableName(target || { name: field.model });
+}
+
+/**
+ * Describes the columns a model config needs as plain JSON
+ * ({ type, allowNull, unique, defaultValue } per column, plus precision and
+ * scale for decimals), so the same
+ * description can be diffed, stored in migration history and replayed.
+ * Many-to-many fields live in join tables and computed fields aren't
+ * stored, so neither has a column here.
+ */
+function getColumnDefinitions(modelConfig, lookup = () => undefined) {
+  const columns = {};
+  for (const field of modelConfig.fields) {
+    if (field.type === 'manyToMany' || isComputed(field)) continue;
+    columns[field.name] = {
+      type: STORAGE_TYPES[field.type] || field.type,
+      allowNull: !field.required,
+      unique: !!field.unique,
+      defaultValue: field.default ?? null,
+    };
+    if (field.type === 'decimal') {
+      columns[field.name].precision = field.precision ?? DEFAULT_PRECISION;
+      columns[field.name].scale = field.scale ?? DEFAULT_SCALE;
+    }
+    if (field.type === 'reference') {
+      columns[field.name].references = {
+        table: getReferencedTable(modelConfig, field, lookup),
+        onDelete: getOnDelete(field),
+      };
+    }
+  }
+
+  // The owner column holds the creating user's id unless the model declares it as a field
+  const { ownerField } = modelConfig;
+  if (ownerField && !columns[ownerField]) {
+    columns[ownerField] = { type: 'uuid', allowNull: true, unique: false, defaultValue: null };
+  }
+  // Soft-deleted (trashed) records get a deletion time instead of being removed
+  if (modelConfig.softDelete) {
+    columns.deletedAt = { type: 'date', allowNull: true, unique: false, defaultValue: null };
+  }
+  return columns;
+}
+
+/**
+ * Turns a JSON column definition into a Sequelize attribute.
+ */
+function toAttribute(definition) {
+  const attribute = {
+    type: getSequelizeType(definition),
+    allowNull: definition.allowNull,
+    unique: definition.unique,
+  };
+  if (definition.defaultValue !== null && definition.defaultValue !== undefined) {
+    attribute.defaultValue = definition.defaultValue;
+  }
+  if (definition.references) {
+    attribute.references = { model: definition.references.table, key: 'id' };
+    attribute.onDelete = ON_DELETE_SQL[definition.references.onDelete];
+    attribute.onUpdate = 'CASCADE';
+  }
+  return attribute;
+}
+
+/**
+ * Builds the Sequelize validators enforcing a field's rules on create and
+ * update. Returns undefined for fields without rules.
+ */
+function getValidators(field) {
+  const validate = {};
+  const { name } = field;
+
+  if (field.type === 'integer') validate.isInt = { msg: `${name} must be a whole number.` };
+  if (field.type === 'number' || field.type === 'decimal') {
+    validate.isNumeric = { msg: `${name} must be a number.` };
+  }
+  if (field.type === 'email') validate.isEmail = { msg: `${name} must be a valid email address.` };
+  if (field.type === 'url') validate.isUrl = { msg: `${name} must be a valid URL.` };
+  if (field.type === 'uuid') validate.isUUID = { args: 'all', msg: `${name} must be a UUID.` };
+
+  if (field.min !== undefined) validate.min = { args: [field.min], msg: `${name} must be at least ${field.min}.` };
+  if (field.max !== undefined) validate.max = { args: [field.max], msg: `${name} must be at most ${field.max}.` };
+  if (field.minLength !== undefined || field.maxLength !== undefined) {
+    const { minLength = 0, maxLength } = field;
+    let msg = `${name} must be at least ${minLength} characters long.`;
+    if (maxLength !== undefined) {
+      msg = field.minLength === undefined
+        ? `${name} must be at most ${maxLength} characters long.`
+        : `${name} must be between ${minLength} and ${maxLength} characters long.`;
+    }
+    validate.len = { args: [minLength, maxLength], msg };
+  }
+  if (field.pattern) validate.is = { args: [field.pattern], msg: `${name} has an invalid format.` };
+  if (field.values) {
+    validate.isIn = { args: [field.values.map(String)], msg: `${name} must be one of: ${field.values.join(', ')}.` };
+  }
+
+  return Object.keys(validate).length > 0 ? validate : undefined;
+}
+
+/**
+ * Checks a rule holds a number (an integer if `integer` is set) of at least `min`.
+ */
+function isNumberRule(value, { integer = false, min = -Infinity } = {}) {
+  return typeof value === 'number' && Number.isFinite(value)
+    && (!integer || Number.isInteger(value)) && value >= min;
+}
+
+/**
+ * Checks the types and validation rules of a model config's fields.
+ * Returns an error message, or null if they are valid.
+ */
+function validateFields(modelConfig) {
+  if (!Array.isArray(modelConfig.fields)) return 'Fields must be a list.';
+
+  const reserved = ['id', 'createdAt', 'updatedAt'];
+  if (modelConfig.softDelete) reserved.push('deletedAt');
+
+  const seen = new Set();
+  for (const field of modelConfig.fields) {
+    const { name } = field;
+    if (typeof name !== 'string' || !/^[A-Za-z][A-Za-z0-9_]*$/.test(name)) {
+      return `Invalid field name '${name}': use letters, digits and underscores, starting with a letter.`;
+    }
+    if (reserved.includes(name)) return `Field name '${name}' is reserved.`;
+    if (seen.has(name)) return `Field '${name}' is defined twice.`;
+    seen.add(name);
+
+    if (!FIELD_TYPES.includes(field.type)) {
+      return `Field '${name}' has unknown type '${field.type}'.`;
+    }
+    if (field.unique && ['text', 'json'].includes(field.type) && sequelize.getDialect() === 'mysql') {
+      return `Field '${name}' can't be unique: MySQL can't index ${field.type} columns.`;
+    }
+    if (field.searchable !== undefined && typeof field.searchable !== 'boolean') {
+      return `'searchable' of field '${name}' must be true or false.`;
+    }
+    if (field.searchable && (!SEARCHABLE_TYPES.includes(field.type) || isComputed(field))) {
+      return `Field '${name}' can't be searchable: only stored ${SEARCHABLE_TYPES.join(', ')} fields are.`;
+    }
+    for (const [rule, types] of Object.entries(RULE_TYPES)) {
+      if (field[rule] !== undefined && !types.includes(field.type)) {
+        return `Rule '${rule}' of field '${name}' doesn't apply to ${field.type} fields.`;
+      }
+    }
+
+    for (const rule of ['min', 'max']) {
+      if (field[rule] !== undefined && !isNumberRule(field[rule])) return `'${rule}' of field '${name}' must be a number.`;
+    }
+    if (field.min !== undefined && field.max !== undefined && field.min > field.max) {
+      return `'min' of field '${name}' is greater than its 'max'.`;
+    }
+    for (const rule of ['minLength', 'maxLength']) {
+      if (field[rule] !== undefined && !isNumberRule(field[rule], { integer: true, min: 0 })) {
+        return `'${rule}' of field '${name}' must be a non-negative whole number.`;
+      }
+    }
+    if (field.minLength !== undefined && field.maxLength !== undefined && field.minLength > field.maxLength) {
+      return `'minLength' of field '${name}' is greater than its 'maxLength'.`;
+    }
+    if (field.pattern !== undefined) {
+      try {
+        new RegExp(field.pattern);
+      } catch {
+        return `'pattern' of field '${name}' is not a valid regular expression.`;
+      }
+    }
+
+    if (field.type === 'enum' && field.values === undefined) return `Enum field '${name}' needs a list of 'values'.`;
+    if (field.values !== undefined) {
+      const valueType = NUMERIC_TYPES.includes(field.type) ? 'number' : 'string';
+      if (!Array.isArray(field.values) || field.values.length === 0
+        || field.values.some((v) => typeof v !== valueType)) {
+        return `'values' of field '${name}' must be a non-empty list of ${valueType}s.`;
+      }
+    }
+
+    if (field.precision !== undefined && !isNumberRule(field.precision, { integer: true, min: 1 })) {
+      return `'precision' of field '${name}' must be a positive whole number.`;
+    }
+    const precision = field.precision ?? DEFAULT_PRECISION;
+    if (field.scale !== undefined && !(isNumberRule(field.scale, { integer: true, min: 0 }) && field.scale <= precision)) {
+      return `'scale' of field '${name}' must be a whole number between 0 and its precision (${precision}).`;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  FIELD_TYPES,
+  NUMERIC_TYPES,
+  LENGTH_TYPES,
+  SEARCHABLE_TYPES,
+  RULE_TYPES,
+  DEFAULT_PRECISION,
+  DEFAULT_SCALE,
+  ON_DELETE_ACTIONS,
+  ON_DELETE_SQL,
+  isComputed,
+  getSequelizeType,
+  getTableName,
+  getOnDelete,
+  getTargetConfig,
+  getReferencedTable,
+  getColumnDefinitions,
+  toAttribute,
+  getValidators,
+  validateFields,
+};
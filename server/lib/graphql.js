@@ -0,0 +1,405 @@
+const {
+  GraphQLSchema,
+  GraphQLObjectType,
+  GraphQLInputObjectType,
+  GraphQLScalarType,
+  GraphQLList,
+  GraphQLNonNull,
+  GraphQLInt,
+  GraphQLFloat,
+  GraphQLString,
+  GraphQLBoolean,
+  GraphQLError,
+  Kind,
+  validateSchema,
+  valueFromASTUntyped,
+} = require('graphql');
+const { sequelize } = require('../db');
+const { OPERATORS_BY_TYPE, getQueryableFields, parseListQuery, toPage } = require('./listQuery');
+const { isComputed } = require('./fieldTypes');
+const { getReferenceAlias } = require('./relations');
+const {
+  getFieldAccess,
+  getVisibleConfig,
+  getAccess,
+  forbidden,
+  scopeToOwner,
+} = require('./permissions');
+const { ApiError, toApiError } = require('./errors');
+
+const DateTime = new GraphQLScalarType({
+  name: 'DateTime',
+  description: 'An ISO 8601 date and time.',
+  serialize: (value) => (value instanceof Date ? value.toISOString() : value),
+  parseValue: (value) => {
+    const date = new Date(value);
+    if (typeof value !== 'string' || Number.isNaN(date.getTime())) {
+      throw new GraphQLError(`'${value}' is not a date.`);
+    }
+    return date;
+  },
+  parseLiteral: (ast) => {
+    if (ast.kind !== Kind.STRING) throw new GraphQLError('Dates must be strings.');
+    return DateTime.parseValue(ast.value);
+  },
+});
+
+const JSONScalar = new GraphQLScalarType({
+  name: 'JSON',
+  description: 'Any JSON value.',
+  serialize: (value) => value,
+  parseValue: (value) => value,
+  parseLiteral: (ast, variables) => valueFromASTUntyped(ast, variables),
+});
+
+// GraphQL type of each field type's values
+const SCALAR_TYPES = {
+  string: GraphQLString,
+  text: GraphQLString,
+  enum: GraphQLString,
+  email: GraphQLString,
+  url: GraphQLString,
+  uuid: GraphQLString,
+  number: GraphQLFloat,
+  decimal: GraphQLFloat,
+  integer: GraphQLInt,
+  reference: GraphQLInt,
+  boolean: GraphQLBoolean,
+  date: DateTime,
+  json: JSONScalar,
+};
+
+// Filter inputs per list query type, with the operators of the REST filters
+// (StringFilter { eq, ne, in, contains, ... }, NumberFilter, ...)
+const FILTER_SCALARS = {
+  string: GraphQLString,
+  number: GraphQLFloat,
+  date: DateTime,
+  boolean: GraphQLBoolean,
+  uuid: GraphQLString,
+};
+const FILTER_INPUTS = {};
+for (const [type, operators] of Object.entries(OPERATORS_BY_TYPE)) {
+  const scalar = FILTER_SCALARS[type];
+  FILTER_INPUTS[type] = new GraphQLInputObjectType({
+    name: `${type.charAt(0).toUpperCase()}${type.slice(1)}Filter`,
+    fields: Object.fromEntries(operators.map((op) => [
+      op,
+      { type: op === 'in' ? new GraphQLList(new GraphQLNonNull(scalar)) : scalar },
+    ])),
+  });
+}
+
+const Pagination = new GraphQLObjectType({
+  name: 'Pagination',
+  fields: {
+    page: { type: new GraphQLNonNull(GraphQLInt) },
+    limit: { type: new GraphQLNonNull(GraphQLInt) },
+    total: { type: new GraphQLNonNull(GraphQLInt) },
+    totalPages: { type: new GraphQLNonNull(GraphQLInt) },
+    nextPage: { type: GraphQLInt },
+  },
+});
+
+const CurrentUser = new GraphQLObjectType({
+  name: 'CurrentUser',
+  fields: {
+    id: { type: new GraphQLNonNull(GraphQLString) },
+    username: { type: new GraphQLNonNull(GraphQLString) },
+    role: { type: new GraphQLNonNull(GraphQLString) },
+  },
+});
+
+/**
+ * Lower-cases the first letter of a model name (OrderItem -> orderItem).
+ */
+function lowerFirst(name) {
+  return name.charAt(0).toLowerCase() + name.slice(1);
+}
+
+/**
+ * Wraps a resolver so errors reach the client like REST errors do: the
+ * message, plus the error code and per-field messages as extensions.
+ */
+function guarded(resolve) {
+  return async (...args) => {
+    try {
+      return await resolve(...args);
+    } catch (error) {
+      const apiError = toApiError(error);
+      if (apiError.status >= 500) console.error(error);
+      throw new GraphQLError(apiError.message, {
+        extensions: { code: apiError.code, errors: apiError.errors },
+      });
+    }
+  };
+}
+
+/**
+ * Checks a user's permission for an action, returning the { user, ownedOnly }
+ * scope the shared record writers take.
+ */
+function authorize(modelConfig, user, action) {
+  const access = getAccess(modelConfig, user, action);
+  if (!access) throw forbidden(modelConfig, user, action);
+  return { user, ownedOnly: access.ownedOnly };
+}
+
+/**
+ * Throws if a field is hidden from the user's role.
+ */
+function assertVisible(config, field, user) {
+  if (getFieldAccess(field, user) === 'hidden') {
+    throw new ApiError(403, 'FORBIDDEN', `Forbidden: Role '${user.role}' cannot read field '${field.name}' of ${config.name}.`);
+  }
+}
+
+/**
+ * Turns the filter, sort and paging arguments of a list query into the
+ * query-string shape parseListQuery reads (`{ price: { gte: '10' } }`), so
+ * GraphQL and REST lists validate and filter the same way.
+ */
+function toListQuery({ filter, search, sort, page, limit }) {
+  const toParam = (value) => (value instanceof Date ? value.toISOString() : String(value));
+  const query = {};
+  for (const [field, conditions] of Object.entries(filter || {})) {
+    if (!conditions) continue;
+    query[field] = {};
+    for (const [op, value] of Object.entries(conditions)) {
+      if (value === null || value === undefined) continue;
+      query[field][op] = op === 'in' ? value.map(toParam).join(',') : toParam(value);
+    }
+  }
+  if (search !== undefined && search !== null) query.q = search;
+  if (sort) query.sort = sort;
+  if (page !== undefined && page !== null) query.page = String(page);
+  if (limit !== undefined && limit !== null) query.limit = String(limit);
+  return query;
+}
+
+/**
+ * Builds the fields of a model's object type. Reference fields add the
+ * related record under their relation name and many-to-many fields return
+ * the linked records; both need read access to the related model. Fields
+ * hidden from some role are nullable and resolve to an error for it.
+ */
+function getObjectFields(entry, registry, objectTypes) {
+  const { config } = entry;
+  const fields = { id: { type: new GraphQLNonNull(GraphQLInt) } };
+
+  for (const field of config.fields) {
+    const target = registry[field.model];
+    if (field.type === 'manyToMany') {
+      if (!target) continue;
+      fields[field.name] = {
+        // Nullable, so a forbidden relation only blanks this field
+        type: new GraphQLList(new GraphQLNonNull(objectTypes[field.model])),
+        resolve: guarded((item, args, { user }) => {
+          assertVisible(config, field, user);
+          const scope = authorize(target.config, user, 'read');
+          const association = entry.model.associations[field.name];
+          if (!association) return [];
+          return item[association.accessors.get]({
+            where: scopeToOwner(target.config, scope),
+            joinTableAttributes: [],
+          });
+        }),
+      };
+      continue;
+    }
+
+    const type = SCALAR_TYPES[field.type] || GraphQLString;
+    const mayHide = !!field.access && Object.values(field.access).includes('hidden');
+    fields[field.name] = { type: field.required && !mayHide ? new GraphQLNonNull(type) : type };
+    if (isComputed(field)) fields[field.name].description = `Computed: ${field.computed}`;
+    if (mayHide) {
+      fields[field.name].resolve = guarded((item, args, { user }) => {
+        assertVisible(config, field, user);
+        return item[field.name];
+      });
+    }
+
+    if (field.type === 'reference' && target) {
+      fields[getReferenceAlias(field)] = {
+        type: objectTypes[field.model],
+        resolve: guarded((item, args, { user }) => {
+          assertVisible(config, field, user);
+          const id = item[field.name];
+          if (id === null || id === undefined) return null;
+          const scope = authorize(target.config, user, 'read');
+          return target.model.findOne({ where: scopeToOwner(target.config, scope, { id }) });
+        }),
+      };
+    }
+  }
+
+  if (config.ownerField && !fields[config.ownerField]) {
+    fields[config.ownerField] = { type: GraphQLString };
+  }
+  fields.createdAt = { type: new GraphQLNonNull(DateTime) };
+  fields.updatedAt = { type: new GraphQLNonNull(DateTime) };
+  if (config.softDelete) fields.deletedAt = { type: DateTime };
+  return fields;
+}
+
+/**
+ * Builds the input type of create/update mutations. Every field is
+ * optional here; required fields are enforced by the model like on REST.
+ * Computed fields can't be written.
+ */
+function getInputType(config) {
+  const fields = {};
+  for (const field of config.fields) {
+    if (isComputed(field)) continue;
+    fields[field.name] = {
+      type: field.type === 'manyToMany'
+        ? new GraphQLList(new GraphQLNonNull(GraphQLInt))
+        : SCALAR_TYPES[field.type] || GraphQLString,
+    };
+  }
+  if (config.ownerField && !fields[config.ownerField]) {
+    fields[config.ownerField] = { type: GraphQLString };
+  }
+  return new GraphQLInputObjectType({ name: `${config.name}Input`, fields });
+}
+
+/**
+ * Builds the queries and mutations of one model:
+ * `order(id)`, `orderList(filter, sort, page, limit)`,
+ * `createOrder(data)`, `updateOrder(id, data)` and `deleteOrder(id)`.
+ */
+function getModelOperations(entry, objectType) {
+  const { config } = entry;
+  const name = lowerFirst(config.name);
+  const idArg = { id: { type: new GraphQLNonNull(GraphQLInt) } };
+  const inputType = getInputType(config);
+
+  const filterType = new GraphQLInputObjectType({
+    name: `${config.name}Filter`,
+    fields: Object.fromEntries(Object.entries(getQueryableFields(config)).map(([column, type]) => [
+      column,
+      { type: FILTER_INPUTS[type] },
+    ])),
+  });
+  const pageType = new GraphQLObjectType({
+    name: `${config.name}Page`,
+    fields: {
+      data: { type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(objectType))) },
+      pagination: { type: new GraphQLNonNull(Pagination) },
+    },
+  });
+
+  const queries = {
+    [name]: {
+      type: objectType,
+      args: idArg,
+      resolve: guarded((root, { id }, { user }) => {
+        const scope = authorize(config, user, 'read');
+        return entry.model.findOne({ where: scopeToOwner(config, scope, { id }) });
+      }),
+    },
+    [`${name}List`]: {
+      type: new GraphQLNonNull(pageType),
+      args: {
+        filter: { type: filterType },
+        search: { type: GraphQLString, description: 'Text to look for in the searchable fields, ignoring case.' },
+        sort: { type: GraphQLString, description: 'Columns separated by commas, - for descending.' },
+        page: { type: GraphQLInt },
+        limit: { type: GraphQLInt },
+      },
+      resolve: guarded(async (root, args, { user }) => {
+        const scope = authorize(config, user, 'read');
+        const { where, order, limit, offset, page } = parseListQuery(getVisibleConfig(config, user), toListQuery(args));
+        const { rows, count } = await entry.model.findAndCountAll({
+          where: scopeToOwner(config, scope, where),
+          order,
+          limit,
+          offset,
+        });
+        return toPage(rows, count, { page, limit });
+      }),
+    },
+  };
+
+  const mutations = {
+    [`create${config.name}`]: {
+      type: new GraphQLNonNull(objectType),
+      args: { data: { type: new GraphQLNonNull(inputType) } },
+      resolve: guarded(async (root, { data }, { user }) => {
+        const scope = authorize(config, user, 'create');
+        const { item } = await sequelize.transaction((t) => entry.writers.createRecord(scope, { ...data }, t));
+        return item;
+      }),
+    },
+    [`update${config.name}`]: {
+      type: new GraphQLNonNull(objectType),
+      args: { ...idArg, data: { type: new GraphQLNonNull(inputType) } },
+      resolve: guarded(async (root, { id, data }, { user }) => {
+        const scope = authorize(config, user, 'update');
+        const { item } = await sequelize.transaction((t) => entry.writers.updateRecord(scope, id, { ...data }, t));
+        return item;
+      }),
+    },
+    [`delete${config.name}`]: {
+      type: new GraphQLNonNull(GraphQLBoolean),
+      args: idArg,
+      resolve: guarded(async (root, { id }, { user }) => {
+        const scope = authorize(config, user, 'delete');
+        await sequelize.transaction((t) => entry.writers.deleteRecord(scope, id, t));
+        return true;
+      }),
+    },
+  };
+  return { queries, mutations };
+}
+
+/**
+ * Generates the GraphQL schema of the registered models. `models` is a list
+ * of registry entries ({ config, model, writers }); resolvers check the
+ * models' RBAC with the context's `user`.
+ */
+function buildGraphQLSchema(models) {
+  const registry = Object.fromEntries(models.map((entry) => [entry.config.name, entry]));
+  const objectTypes = {};
+  for (const entry of models) {
+    objectTypes[entry.config.name] = new GraphQLObjectType({
+      name: entry.config.name,
+      fields: () => getObjectFields(entry, registry, objectTypes),
+    });
+  }
+
+  const queries = {
+    me: { type: new GraphQLNonNull(CurrentUser), resolve: (root, args, { user }) => user },
+  };
+  const mutations = {};
+  for (const entry of models) {
+    const operations = getModelOperations(entry, objectTypes[entry.config.name]);
+    Object.assign(queries, operations.queries);
+    Object.assign(mutations, operations.mutations);
+  }
+
+  return new GraphQLSchema({
+    query: new GraphQLObjectType({ name: 'Query', fields: queries }),
+    mutation: Object.keys(mutations).length > 0
+      ? new GraphQLObjectType({ name: 'Mutation', fields: mutations })
+      : undefined,
+  });
+}
+
+/**
+ * Checks that a set of model configs produce a valid GraphQL schema (type
+ * and field names can't clash). Returns an error message, or null.
+ */
+function checkGraphQLSchema(configs) {
+  try {
+    const errors = validateSchema(buildGraphQLSchema(configs.map((config) => ({ config }))));
+    return errors.length > 0 ? `GraphQL schema: ${errors[0].message}` : null;
+  } catch (error) {
+    return `GraphQL schema: ${error.message}`;
+  }
+}
+
+module.exports = {
+  buildGraphQLSchema,
+  checkGraphQLSchema,
+};
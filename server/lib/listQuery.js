@@ -0,0 +1,272 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../db');
+const { isComputed } = require('./fieldTypes');
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+const MAX_SEARCH_LENGTH = 100;
+
+// Query parameters that control paging/sorting/searching rather than filter a field
+const RESERVED_PARAMS = ['page', 'limit', 'sort', 'include', 'q'];
+
+// Columns every dynamic model gets from Sequelize
+const SYSTEM_FIELDS = { id: 'number', createdAt: 'date', updatedAt: 'date' };
+
+const OPERATORS = {
+  eq: Op.eq,
+  ne: Op.ne,
+  gt: Op.gt,
+  gte: Op.gte,
+  lt: Op.lt,
+  lte: Op.lte,
+  in: Op.in,
+};
+
+// Text operators, as the LIKE pattern they match a value with
+const LIKE_PATTERNS = {
+  contains: (text) => `%${text}%`,
+  startsWith: (text) => `${text}%`,
+  endsWith: (text) => `%${text}`,
+};
+
+// Escapes LIKE wildcards in user input, so `%` and `_` match themselves.
+// Not a backslash: MySQL and Postgres string literals treat that differently.
+const LIKE_ESCAPE = '!';
+
+const OPERATORS_BY_TYPE = {
+  string: ['eq', 'ne', 'in', 'contains', 'startsWith', 'endsWith'],
+  number: ['eq', 'ne', 'in', 'gt', 'gte', 'lt', 'lte'],
+  date: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte'],
+  boolean: ['eq', 'ne'],
+  uuid: ['eq', 'ne', 'in'],
+};
+
+// Which operator set each field type is filtered with
+const QUERY_TYPES = {
+  string: 'string',
+  text: 'string',
+  enum: 'string',
+  email: 'string',
+  url: 'string',
+  number: 'number',
+  integer: 'number',
+  decimal: 'number',
+  reference: 'number',
+  boolean: 'boolean',
+  date: 'date',
+  uuid: 'uuid',
+};
+
+/**
+ * Raised for list query parameters that don't match the model.
+ */
+class QueryError extends Error {}
+
+/**
+ * Returns a map of filterable/sortable column name -> field type for a model.
+ */
+function getQueryableFields(modelConfig) {
+  const fields = { ...SYSTEM_FIELDS };
+  if (modelConfig.ownerField) fields[modelConfig.ownerField] = 'uuid';
+  if (modelConfig.softDelete) fields.deletedAt = 'date';
+  for (const field of modelConfig.fields) {
+    if (field.type === 'manyToMany' || field.type === 'json') continue; // Nothing to compare against
+    if (isComputed(field)) continue; // Not stored, so the database can't filter or sort by it
+    fields[field.name] = QUERY_TYPES[field.type] || 'string';
+  }
+  return fields;
+}
+
+/**
+ * Converts a raw query string value to the field's type.
+ */
+function coerceValue(raw, type, fieldName) {
+  if (typeof raw !== 'string') {
+    throw new QueryError(`Invalid value for '${fieldName}'.`);
+  }
+  switch (type) {
+    case 'number': {
+      const value = Number(raw);
+      if (raw.trim() === '' || Number.isNaN(value)) {
+        throw new QueryError(`'${fieldName}' expects a number, got '${raw}'.`);
+      }
+      return value;
+    }
+    case 'boolean':
+      if (raw !== 'true' && raw !== 'false') {
+        throw new QueryError(`'${fieldName}' expects true or false, got '${raw}'.`);
+      }
+      return raw === 'true';
+    case 'date': {
+      const value = new Date(raw);
+      if (Number.isNaN(value.getTime())) {
+        throw new QueryError(`'${fieldName}' expects a date, got '${raw}'.`);
+      }
+      return value;
+    }
+    default:
+      return raw;
+  }
+}
+
+/**
+ * Returns the value of a LIKE condition that matches a text literally
+ * within `pattern` (one of LIKE_PATTERNS), with its ESCAPE clause.
+ */
+function toLikeValue(pattern, text) {
+  const escaped = text.replace(/[!%_]/g, (char) => `${LIKE_ESCAPE}${char}`);
+  return sequelize.literal(`${sequelize.escape(pattern(escaped))} ESCAPE '${LIKE_ESCAPE}'`);
+}
+
+/**
+ * Builds the Sequelize condition for one filtered field. Accepts either a
+ * plain value (`inStock=true`) or an operator map (`price[gte]=10`).
+ */
+function parseFieldFilter(fieldName, type, raw) {
+  const conditions = typeof raw === 'object' && !Array.isArray(raw) ? raw : { eq: raw };
+  const allowed = OPERATORS_BY_TYPE[type];
+  const condition = {};
+
+  for (const [operator, value] of Object.entries(conditions)) {
+    if (!allowed.includes(operator)) {
+      throw new QueryError(`Operator '${operator}' is not supported for ${type} field '${fieldName}'.`);
+    }
+    if (LIKE_PATTERNS[operator]) {
+      // All text operators are LIKE conditions, so they're combined with AND
+      const like = { [Op.like]: toLikeValue(LIKE_PATTERNS[operator], coerceValue(value, type, fieldName)) };
+      condition[Op.and] = [...(condition[Op.and] || []), like];
+      continue;
+    }
+    condition[OPERATORS[operator]] = operator === 'in'
+      ? String(value).split(',').map((v) => coerceValue(v, type, fieldName))
+      : coerceValue(value, type, fieldName);
+  }
+  return condition;
+}
+
+/**
+ * Parses `sort=field,-otherField` into a Sequelize order clause.
+ */
+function parseSort(sort, queryableFields) {
+  if (!sort) return [['id', 'ASC']];
+  if (typeof sort !== 'string') throw new QueryError('Invalid sort parameter.');
+
+  return sort.split(',').filter(Boolean).map((part) => {
+    const descending = part.startsWith('-');
+    const fieldName = descending ? part.slice(1) : part;
+    if (!queryableFields[fieldName]) {
+      throw new QueryError(`Cannot sort by unknown field '${fieldName}'.`);
+    }
+    return [fieldName, descending ? 'DESC' : 'ASC'];
+  });
+}
+
+/**
+ * Parses a positive integer query parameter, falling back to a default.
+ */
+function parsePositiveInt(raw, name, fallback) {
+  if (raw === undefined || raw === '') return fallback;
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < 1) {
+    throw new QueryError(`'${name}' must be a positive integer.`);
+  }
+  return value;
+}
+
+/**
+ * Parses ?page= and ?limit= (capped at MAX_LIMIT) into paging options.
+ */
+function parsePagination(query) {
+  const page = parsePositiveInt(query.page, 'page', 1);
+  const limit = Math.min(parsePositiveInt(query.limit, 'limit', DEFAULT_LIMIT), MAX_LIMIT);
+  return { page, limit, offset: (page - 1) * limit };
+}
+
+/**
+ * Returns the fields of a model a search looks in (those marked `searchable`).
+ */
+function getSearchableFields(modelConfig) {
+  return modelConfig.fields.filter((field) => field.searchable);
+}
+
+/**
+ * Checks a search text (?q=) and returns it trimmed.
+ */
+function parseSearchText(raw) {
+  const text = typeof raw === 'string' ? raw.trim() : '';
+  if (text === '' || text.length > MAX_SEARCH_LENGTH) {
+    throw new QueryError(`'q' must be a text of 1 to ${MAX_SEARCH_LENGTH} characters.`);
+  }
+  return text;
+}
+
+/**
+ * Builds the condition of a search: records with the text in any searchable
+ * field, ignoring case (Postgres' LIKE is case-sensitive, so it gets ILIKE).
+ * Like the text filters, it matches % and _ literally.
+ */
+function parseSearch(modelConfig, raw) {
+  const text = parseSearchText(raw);
+  const fields = getSearchableFields(modelConfig);
+  if (fields.length === 0) {
+    throw new QueryError(`${modelConfig.name} has no searchable fields.`);
+  }
+  const like = sequelize.getDialect() === 'postgres' ? Op.iLike : Op.like;
+  return { [Op.or]: fields.map((field) => ({ [field.name]: { [like]: toLikeValue(LIKE_PATTERNS.contains, text) } })) };
+}
+
+/**
+ * Turns the query string of a generated list route into findAndCountAll
+ * options. Every filtered or sorted column is checked against the model's
+ * fields so unknown columns are rejected.
+ */
+function parseListQuery(modelConfig, query) {
+  const queryableFields = getQueryableFields(modelConfig);
+  const where = {};
+
+  for (const [key, raw] of Object.entries(query)) {
+    if (RESERVED_PARAMS.includes(key)) continue;
+    const type = queryableFields[key];
+    if (!type) {
+      throw new QueryError(`Unknown filter field '${key}'.`);
+    }
+    where[key] = parseFieldFilter(key, type, raw);
+  }
+  if (query.q !== undefined) Object.assign(where, parseSearch(modelConfig, query.q));
+
+  return {
+    where,
+    order: parseSort(query.sort, queryableFields),
+    ...parsePagination(query),
+  };
+}
+
+/**
+ * Wraps a page of rows in the response envelope shared by all list routes.
+ */
+function toPage(rows, total, { page, limit }) {
+  const totalPages = Math.max(1, Math.ceil(total / limit));
+  return {
+    data: rows,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages,
+      nextPage: page < totalPages ? page + 1 : null,
+    },
+  };
+}
+
+module.exports = {
+  QueryError,
+  RESERVED_PARAMS,
+  OPERATORS_BY_TYPE,
+  getQueryableFields,
+  parsePagination,
+  getSearchableFields,
+  parseSearchText,
+  parseSearch,
+  parseListQuery,
+  toPage,
+};
@@ -0,0 +1,110 @@
+const { rootTransaction } = require('../db');
+
+// Comment lines sent to idle streams so proxies don't close them
+const HEARTBEAT_MS = 25 * 1000;
+// How long a disconnected EventSource waits before reconnecting
+const RECONNECT_MS = 5 * 1000;
+
+/**
+ * Creates the live updates of an engine: its open event streams, their
+ * heartbeat and the event ids. Each engine has its own, so engines in the
+ * same process don't send each other's events.
+ */
+function createLiveUpdates() {
+  // Open event streams: { res, user, getCurrentRole, end }
+  const subscribers = new Set();
+  let heartbeat = null;
+  let lastEventId = 0;
+
+  /**
+   * Writes one server-sent event.
+   */
+  function writeEvent(res, event, data) {
+    res.write(`id: ${++lastEventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  /**
+   * Ends the streams whose user is no longer signed in (a session that was
+   * logged out, a revoked or expired API key), gives the others the current
+   * role of their user (who may have been demoted since) and pings them.
+   */
+  async function checkSubscribers() {
+    await Promise.all([...subscribers].map(async (subscriber) => {
+      try {
+        const role = await subscriber.getCurrentRole(subscriber.user);
+        if (!role) return subscriber.end();
+        if (role !== subscriber.user.role) subscriber.user = { ...subscriber.user, role };
+      } catch (error) {
+        console.error('Checking an event stream failed:', error);
+      }
+      // It may have closed in the meantime
+      if (subscribers.has(subscriber)) subscriber.res.write(': ping\n\n');
+    }));
+  }
+
+  /**
+   * Turns a request into an event stream for its (authenticated) user. The
+   * stream ends when the user's token expires, or at the next heartbeat after
+   * `getCurrentRole(user)` resolves to null; the client reconnects with a
+   * fresh token. Until then each heartbeat updates the user's role to the one
+   * it resolves to.
+   */
+  function openEventStream(req, res, getCurrentRole = async (user) => user.role) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no', // Keep nginx from buffering the stream
+    });
+    res.write(`retry: ${RECONNECT_MS}\n\n`);
+    writeEvent(res, 'ready', { user: req.user.username });
+
+    let expiry = null;
+    // Stops sending to the stream (before ending it, so nothing is written after the end)
+    const end = () => {
+      clearTimeout(expiry);
+      if (!subscribers.delete(subscriber)) return;
+      if (subscribers.size === 0) {
+        clearInterval(heartbeat);
+        heartbeat = null;
+      }
+      res.end();
+    };
+    const subscriber = { res, user: req.user, getCurrentRole, end };
+    subscribers.add(subscriber);
+    if (!heartbeat) {
+      heartbeat = setInterval(checkSubscribers, HEARTBEAT_MS).unref();
+    }
+
+    if (req.user.exp) expiry = setTimeout(end, req.user.exp * 1000 - Date.now());
+    res.on('close', end);
+  }
+
+  /**
+   * Sends an event to every open stream whose user passes `canReceive(user)`.
+   * `data` may also be a function of the user, for events whose content
+   * depends on who receives them.
+   */
+  function publishEvent(event, data, canReceive = () => true) {
+    for (const { res, user } of subscribers) {
+      if (canReceive(user)) writeEvent(res, event, typeof data === 'function' ? data(user) : data);
+    }
+  }
+
+  /**
+   * Sends an event once the transaction of the change commits; a rolled back
+   * change sends nothing.
+   */
+  function publishAfterCommit(transaction, event, data, canReceive) {
+    rootTransaction(transaction).afterCommit(() => publishEvent(event, data, canReceive));
+  }
+
+  return {
+    checkSubscribers,
+    openEventStream,
+    publishEvent,
+    publishAfterCommit,
+  };
+}
+
+module.exports = { createLiveUpdates };
@@ -0,0 +1,355 @@
+const crypto = require('crypto');
+const { Sequelize } = require('../db');
+const { getTableName, getColumnDefinitions, toAttribute } = require('./fieldTypes');
+const { getJoinTables, getJoinTableAttributes } = require('./relations');
+
+/**
+ * Describes a column's type for plan descriptions, e.g. decimal(10,2).
+ */
+function describeType(definition) {
+  return definition.type === 'decimal'
+    ? `decimal(${definition.precision},${definition.scale})`
+    : definition.type;
+}
+
+/**
+ * Compares two JSON column definitions, ignoring uniqueness (handled as
+ * separate constraint steps).
+ */
+function sameColumnShape(a, b) {
+  return describeType(a) === describeType(b)
+    && a.allowNull === b.allowNull
+    && JSON.stringify(a.defaultValue) === JSON.stringify(b.defaultValue)
+    && JSON.stringify(a.references) === JSON.stringify(b.references);
+}
+
+/**
+ * Plans the steps that turn one existing column into its new definition.
+ */
+function diffColumn(table, column, from, to) {
+  const steps = [];
+
+  if (!sameColumnShape(from, to)) {
+    const typeChanged = describeType(from) !== describeType(to);
+    const step = {
+      action: 'changeColumn',
+      table,
+      column,
+      from,
+      to,
+      destructive: typeChanged,
+      description: `Change column "${column}"`,
+    };
+    if (typeChanged) {
+      step.description += ` type from ${describeType(from)} to ${describeType(to)} (existing values are converted and may be lost)`;
+    } else if (JSON.stringify(from.references) !== JSON.stringify(to.references)) {
+      step.description += ` reference to ${to.references.table} (on delete ${to.references.onDelete})`;
+    } else if (from.allowNull !== to.allowNull) {
+      step.description += to.allowNull ? ' to allow empty values' : ' to be required';
+    } else {
+      step.description += ' default value';
+    }
+    if (from.allowNull && !to.allowNull) {
+      step.warning = 'Fails if existing rows have no value for this column.';
+    }
+    steps.push(step);
+  }
+
+  if (!from.unique && to.unique) {
+    steps.push({
+      action: 'addUnique',
+      table,
+      column,
+      destructive: false,
+      description: `Make column "${column}" unique`,
+      warning: 'Fails if existing rows contain duplicate values.',
+    });
+  } else if (from.unique && !to.unique) {
+    steps.push({
+      action: 'removeUnique',
+      table,
+      column,
+      destructive: false,
+      description: `Drop the unique constraint on "${column}"`,
+    });
+  }
+
+  return steps;
+}
+
+/**
+ * Plans creating and dropping the join tables of many-to-many fields.
+ */
+function diffJoinTables(previousJoinTables, nextJoinTables) {
+  const steps = [];
+  for (const [table, joinTable] of Object.entries(nextJoinTables)) {
+    if (previousJoinTables[table]) continue;
+    steps.push({
+      action: 'createJoinTable',
+      ...joinTable,
+      destructive: false,
+      description: `Create join table "${table}" (${joinTable.sourceTable} <-> ${joinTable.targetTable})`,
+    });
+  }
+  for (const table of Object.keys(previousJoinTables)) {
+    if (nextJoinTables[table]) continue;
+    steps.push({
+      action: 'dropTable',
+      table,
+      destructive: true,
+      description: `Drop join table "${table}" and all of its links`,
+    });
+  }
+  return steps;
+}
+
+/**
+ * Computes the migration plan from a model's previously stored config to a
+ * new one. Fields can carry `renamedFrom: '<old name>'` so a rename keeps its
+ * data instead of becoming a drop plus an add. Destructive steps (dropping a
+ * column, converting a column's type) are flagged so the admin can review
+ * them before confirming. `lookup(name)` resolves the configs of other
+ * models for relation fields.
+ */
+function planMigration(previousConfig, nextConfig, lookup = () => undefined) {
+  const table = getTableName(nextConfig);
+  const nextColumns = getColumnDefinitions(nextConfig, lookup);
+  const steps = [];
+
+  if (!previousConfig) {
+    steps.push({
+      action: 'createTable',
+      table,
+      columns: nextColumns,
+      destructive: false,
+      description: `Create table "${table}"`,
+    });
+  } else {
+    const previousTable = getTableName(previousConfig);
+    if (previousTable !== table) {
+      steps.push({
+        action: 'renameTable',
+        from: previousTable,
+        to: table,
+        destructive: false,
+        description: `Rename table "${previousTable}" to "${table}"`,
+      });
+    }
+
+    const previousColumns = getColumnDefinitions(previousConfig, lookup);
+    const renamedFrom = {};
+    for (const field of nextConfig.fields) {
+      if (field.renamedFrom) renamedFrom[field.name] = field.renamedFrom;
+    }
+
+    const kept = new Set();
+    for (const [column, definition] of Object.entries(nextColumns)) {
+      let source = null;
+      if (previousColumns[column]) {
+        source = column;
+      } else if (
+        renamedFrom[column]
+        && previousColumns[renamedFrom[column]]
+        && !nextColumns[renamedFrom[column]]
+      ) {
+        source = renamedFrom[column];
+      }
+
+      if (!source) {
+        const step = {
+          action: 'addColumn',
+          table,
+          column,
+          definition,
+          destructive: false,
+          description: `Add column "${column}" (${describeType(definition)})`,
+        };
+        if (!definition.allowNull && definition.defaultValue === null) {
+          step.warning = 'Required column without a default: fails if the table already has rows.';
+        }
+        steps.push(step);
+        continue;
+      }
+
+      kept.add(source);
+      if (source !== column) {
+        steps.push({
+          action: 'renameColumn',
+          table,
+          from: source,
+          to: column,
+          destructive: false,
+          description: `Rename column "${source}" to "${column}"`,
+        });
+      }
+      steps.push(...diffColumn(table, column, previousColumns[source], definition));
+    }
+
+    for (const column of Object.keys(previousColumns)) {
+      if (kept.has(column)) continue;
+      const step = {
+        action: 'removeColumn',
+        table,
+        column,
+        destructive: true,
+        description: `Drop column "${column}" and all of its data`,
+      };
+      if (column === 'deletedAt' && previousConfig.softDelete && !nextConfig.softDelete) {
+        step.warning = 'Turns soft delete off: records in the trash become visible again.';
+      }
+      steps.push(step);
+    }
+  }
+
+  steps.push(...diffJoinTables(
+    previousConfig ? getJoinTables(previousConfig, lookup) : {},
+    getJoinTables(nextConfig, lookup)
+  ));
+
+  const planId = crypto.createHash('sha1').update(JSON.stringify(steps)).digest('hex').slice(0, 12);
+  return {
+    modelName: nextConfig.name,
+    planId,
+    steps,
+    destructive: steps.some((step) => step.destructive),
+  };
+}
+
+/**
+ * Returns the name of a column's unique constraint. It's the name Postgres
+ * gives inline UNIQUE constraints, so tables created by older versions
+ * match it too.
+ */
+function getUniqueConstraintName(table, column) {
+  return `${table}_${column}_key`;
+}
+
+/**
+ * Adds a column's unique constraint. Constraints are always added by name,
+ * never inline, since SQLite can only drop constraints that have one.
+ */
+function addUniqueConstraint(queryInterface, table, column, transaction) {
+  return queryInterface.addConstraint(table, {
+    fields: [column],
+    type: 'unique',
+    name: getUniqueConstraintName(table, column),
+    transaction,
+  });
+}
+
+/**
+ * Converts a column definition to an attribute without its uniqueness
+ * (added separately with addUniqueConstraint).
+ */
+function toPlainAttribute(definition) {
+  const attribute = toAttribute(definition);
+  delete attribute.unique;
+  return attribute;
+}
+
+/**
+ * Applies a single migration step through Sequelize's QueryInterface. Steps
+ * only contain plain JSON, so stored history can be replayed on another
+ * database with this same function.
+ */
+async function applyStep(queryInterface, step, transaction) {
+  const options = { transaction };
+  const { queryGenerator } = queryInterface;
+
+  switch (step.action) {
+    case 'createTable': {
+      const attributes = {
+        id: { type: Sequelize.INTEGER, autoIncrement: true, primaryKey: true, allowNull: false },
+      };
+      for (const [column, definition] of Object.entries(step.columns)) {
+        attributes[column] = toPlainAttribute(definition);
+      }
+      attributes.createdAt = { type: Sequelize.DATE, allowNull: false };
+      attributes.updatedAt = { type: Sequelize.DATE, allowNull: false };
+      await queryInterface.createTable(step.table, attributes, options);
+      for (const [column, definition] of Object.entries(step.columns)) {
+        if (definition.unique) await addUniqueConstraint(queryInterface, step.table, column, transaction);
+      }
+      return undefined;
+    }
+    case 'createJoinTable':
+      return queryInterface.createTable(step.table, getJoinTableAttributes(step), options);
+    case 'renameTable':
+      return queryInterface.renameTable(step.from, step.to, options);
+    case 'dropTable':
+      return queryInterface.dropTable(step.table, options);
+    case 'addColumn':
+      await queryInterface.addColumn(step.table, step.column, toPlainAttribute(step.definition), options);
+      if (step.definition.unique) await addUniqueConstraint(queryInterface, step.table, step.column, transaction);
+      return undefined;
+    case 'removeColumn':
+      return queryInterface.removeColumn(step.table, step.column, options);
+    case 'renameColumn':
+      return queryInterface.renameColumn(step.table, step.from, step.to, options);
+    case 'changeColumn': {
+      // Uniqueness is handled by the addUnique/removeUnique steps
+      const attribute = toPlainAttribute(step.to);
+      if (queryInterface.sequelize.getDialect() === 'postgres' && describeType(step.from) !== describeType(step.to)) {
+        // Postgres refuses most type changes without an explicit cast
+        const sqlType = queryGenerator.attributesToSQL(
+          { [step.column]: queryInterface.sequelize.normalizeAttribute({ type: attribute.type }) },
+          { context: 'changeColumn', table: step.table }
+        )[step.column];
+        const column = queryGenerator.quoteIdentifier(step.column);
+        await queryInterface.sequelize.query(
+          `ALTER TABLE ${queryGenerator.quoteTable(step.table)} ALTER COLUMN ${column} TYPE ${sqlType} USING ${column}::${sqlType}`,
+          options
+        );
+      }
+      return queryInterface.changeColumn(step.table, step.column, attribute, options);
+    }
+    case 'addUnique':
+      return addUniqueConstraint(queryInterface, step.table, step.column, transaction);
+    case 'removeUnique':
+      return queryInterface.removeConstraint(step.table, getUniqueConstraintName(step.table, step.column), options);
+    default:
+      throw new Error(`Unknown migration step '${step.action}'.`);
+  }
+}
+
+/**
+ * Applies migration steps in order inside one transaction.
+ *
+ * SQLite changes a column or constraint by copying the table and dropping
+ * the old one, and that drop would run the ON DELETE actions of the tables
+ * referencing it. Foreign keys are therefore off during the steps there
+ * (SQLite ignores the switch inside a transaction, so the one Sequelize
+ * began is restarted) and checked before the commit instead.
+ */
+async function applyMigration(sequelize, steps) {
+  const queryInterface = sequelize.getQueryInterface();
+  const sqlite = sequelize.getDialect() === 'sqlite';
+  try {
+    await sequelize.transaction(async (transaction) => {
+      if (sqlite) {
+        await sequelize.query('COMMIT', { transaction });
+        await sequelize.query('PRAGMA foreign_keys = OFF', { transaction });
+        await sequelize.query('BEGIN', { transaction });
+      }
+      for (const step of steps) {
+        await applyStep(queryInterface, step, transaction);
+      }
+      if (sqlite) {
+        const violations = await sequelize.query('PRAGMA foreign_key_check', { type: Sequelize.QueryTypes.SELECT, transaction });
+        if (violations.length > 0) {
+          const tables = [...new Set(violations.map((violation) => violation.table))];
+          throw new Error(`The migration would leave broken references in: ${tables.join(', ')}.`);
+        }
+      }
+    });
+  } finally {
+    // An in-memory database keeps using the transaction's connection
+    if (sqlite) await sequelize.query('PRAGMA foreign_keys = ON');
+  }
+}
+
+module.exports = {
+  planMigration,
+  applyStep,
+  applyMigration,
+};
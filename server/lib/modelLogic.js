@@ -0,0 +1,293 @@
+const { Sequelize } = require('../db');
+const {
+  NUMERIC_TYPES,
+  LENGTH_TYPES,
+  RULE_TYPES,
+  DEFAULT_SCALE,
+  isComputed,
+  getSequelizeType,
+} = require('./fieldTypes');
+const { isEmpty, compileExpression, getFieldNames, evaluate } = require('./expressions');
+const { ApiError } = require('./errors');
+const { getFieldAccess } = require('./permissions');
+
+// Lifecycle hooks a model config may declare, and the kinds of rules they hold:
+// { set: field, to: expr }, { default: field, to: expr },
+// { normalize: field, to: 'lower' | 'upper' | 'trim' (or a list) } and
+// { reject: expr, message, field? }
+const HOOK_EVENTS = ['beforeCreate', 'beforeUpdate'];
+const RULE_KINDS = ['set', 'default', 'normalize', 'reject'];
+
+const NORMALIZERS = {
+  lower: (value) => value.toLowerCase(),
+  upper: (value) => value.toUpperCase(),
+  trim: (value) => value.trim(),
+};
+
+// Computed fields hold plain values, not relations or a fixed set of values
+const NOT_COMPUTABLE = ['enum', 'reference', 'manyToMany'];
+// Field options that only make sense for stored values
+const STORAGE_OPTIONS = ['required', 'unique', 'default', ...Object.keys(RULE_TYPES)];
+
+/**
+ * Lists the stored fields a rule may write: the model's fields except
+ * many-to-many and computed ones, plus the owner field.
+ */
+function getWritableFields(modelConfig) {
+  const names = modelConfig.fields
+    .filter((f) => f.type !== 'manyToMany' && !isComputed(f))
+    .map((f) => f.name);
+  if (modelConfig.ownerField && !names.includes(modelConfig.ownerField)) names.push(modelConfig.ownerField);
+  return names;
+}
+
+/**
+ * Lists the stored columns an expression may read: the writable fields plus
+ * id and the timestamps.
+ */
+function getStoredFields(modelConfig) {
+  const names = ['id', ...getWritableFields(modelConfig), 'createdAt', 'updatedAt'];
+  if (modelConfig.softDelete) names.push('deletedAt');
+  return names;
+}
+
+/**
+ * Returns a field's value as expressions see it (decimals are read from the
+ * database as strings).
+ */
+function toExpressionValue(field, value) {
+  if (field && NUMERIC_TYPES.includes(field.type) && typeof value === 'string' && value !== '') {
+    return Number(value);
+  }
+  return value;
+}
+
+/**
+ * Converts an expression's result to a field's type. Results that don't
+ * fit the type become null.
+ */
+function toFieldType(field, value) {
+  if (value === null || value === undefined) return null;
+  switch (field.type) {
+    case 'number':
+    case 'integer':
+    case 'decimal': {
+      const number = Number(value instanceof Date ? value.getTime() : value);
+      if (!Number.isFinite(number)) return null;
+      if (field.type === 'integer') return Math.round(number);
+      if (field.type === 'decimal') return Number(number.toFixed(field.scale ?? DEFAULT_SCALE));
+      return number;
+    }
+    case 'boolean':
+      return !!value;
+    case 'date': {
+      const date = value instanceof Date ? value : new Date(value);
+      return Number.isNaN(date.getTime()) ? null : date;
+    }
+    case 'json':
+      return value;
+    default:
+      return value instanceof Date ? value.toISOString() : String(value);
+  }
+}
+
+/**
+ * Finds a chain of computed fields that depends on itself, e.g.
+ * ['a', 'b', 'a']. `dependencies` maps each computed field to the fields
+ * its expression reads.
+ */
+function findCycle(dependencies) {
+  const done = new Set();
+  const visit = (name, path) => {
+    if (path.includes(name)) return [...path.slice(path.indexOf(name)), name];
+    if (done.has(name) || !dependencies[name]) return null;
+    for (const next of dependencies[name]) {
+      const cycle = visit(next, [...path, name]);
+      if (cycle) return cycle;
+    }
+    done.add(name);
+    return null;
+  };
+  for (const name of Object.keys(dependencies)) {
+    const cycle = visit(name, []);
+    if (cycle) return cycle;
+  }
+  return null;
+}
+
+/**
+ * Checks one lifecycle rule. Returns an error message, or null.
+ */
+function checkRule(modelConfig, rule) {
+  const kinds = RULE_KINDS.filter((kind) => rule && typeof rule === 'object' && rule[kind] !== undefined);
+  if (kinds.length !== 1) return `use exactly one of ${RULE_KINDS.map((k) => `'${k}'`).join(', ')}.`;
+  const [kind] = kinds;
+  const fieldNames = modelConfig.fields.map((f) => f.name);
+  const stored = getStoredFields(modelConfig);
+
+  if (kind === 'reject') {
+    try {
+      compileExpression(rule.reject, stored);
+    } catch (error) {
+      return `${error.message}.`;
+    }
+    if (typeof rule.message !== 'string' || rule.message.trim() === '') return "a 'reject' rule needs a 'message'.";
+    if (rule.field !== undefined && !fieldNames.includes(rule.field)) return `unknown field '${rule.field}'.`;
+    return null;
+  }
+
+  const target = rule[kind];
+  if (!getWritableFields(modelConfig).includes(target) || target === modelConfig.ownerField) {
+    return `'${target}' is not a stored field the rule can change.`;
+  }
+  if (kind === 'normalize') {
+    const field = modelConfig.fields.find((f) => f.name === target);
+    if (![...LENGTH_TYPES, 'enum'].includes(field.type)) return `'${target}' is not a text field.`;
+    const steps = [].concat(rule.to);
+    if (steps.length === 0 || steps.some((step) => !Object.hasOwn(NORMALIZERS, step))) {
+      return `'to' must be ${Object.keys(NORMALIZERS).join(', ')} or a list of them.`;
+    }
+    return null;
+  }
+  if (rule.to === undefined) return `a '${kind}' rule needs a 'to' expression.`;
+  try {
+    compileExpression(rule.to, stored);
+  } catch (error) {
+    return `${error.message}.`;
+  }
+  return null;
+}
+
+/**
+ * Checks the computed fields and lifecycle hooks of a model config,
+ * including their expressions. Returns an error message, or null if they
+ * are valid.
+ */
+function validateModelLogic(modelConfig) {
+  const stored = getStoredFields(modelConfig);
+  const computed = modelConfig.fields.filter(isComputed);
+  const readable = [...stored, ...computed.map((f) => f.name)];
+
+  const dependencies = {};
+  for (const field of computed) {
+    const label = `Computed field '${field.name}'`;
+    if (NOT_COMPUTABLE.includes(field.type)) return `${label} can't be of type ${field.type}.`;
+    if (field.name === modelConfig.ownerField) return `${label} can't be the owner field.`;
+    const option = STORAGE_OPTIONS.find((o) => field[o] !== undefined && field[o] !== null && field[o] !== false);
+    if (option) return `${label} can't have '${option}', since it isn't stored.`;
+    try {
+      dependencies[field.name] = getFieldNames(compileExpression(field.computed, readable));
+    } catch (error) {
+      return `${label}: ${error.message}.`;
+    }
+  }
+  const cycle = findCycle(dependencies);
+  if (cycle) return `Computed field '${cycle[0]}' depends on itself (${cycle.join(' -> ')}).`;
+
+  // A computed field would give away the values it reads to roles that can't see them
+  for (const field of computed) {
+    for (const name of dependencies[field.name]) {
+      const dependency = modelConfig.fields.find((f) => f.name === name);
+      const roles = Object.keys(dependency.access || {}).filter((role) => getFieldAccess(dependency, { role }) === 'hidden');
+      const exposed = roles.find((role) => getFieldAccess(field, { role }) !== 'hidden');
+      if (exposed) {
+        return `Computed field '${field.name}' reads '${name}', which is hidden from ${exposed}: hide it from ${exposed} too.`;
+      }
+    }
+  }
+
+  const { hooks } = modelConfig;
+  if (hooks === undefined) return null;
+  if (!hooks || typeof hooks !== 'object' || Array.isArray(hooks)) return "'hooks' must be an object.";
+  for (const [event, rules] of Object.entries(hooks)) {
+    if (!HOOK_EVENTS.includes(event)) return `Unknown hook '${event}': use ${HOOK_EVENTS.join(' or ')}.`;
+    if (!Array.isArray(rules)) return `Hook '${event}' must be a list of rules.`;
+    for (const [index, rule] of rules.entries()) {
+      const problem = checkRule(modelConfig, rule);
+      if (problem) return `Rule ${index + 1} of ${event}: ${problem}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Builds the Sequelize attributes of a model's computed fields: virtual
+ * attributes evaluated whenever they are read. Writes to them are ignored.
+ */
+function getComputedAttributes(modelConfig) {
+  const fieldsByName = Object.fromEntries(modelConfig.fields.map((f) => [f.name, f]));
+  const stored = getStoredFields(modelConfig);
+  const readable = [...stored, ...modelConfig.fields.filter(isComputed).map((f) => f.name)];
+
+  const attributes = {};
+  for (const field of modelConfig.fields.filter(isComputed)) {
+    const expression = compileExpression(field.computed, readable);
+    attributes[field.name] = {
+      // The stored columns listed here are loaded whenever the field is selected
+      type: Sequelize.VIRTUAL(getSequelizeType(field), getFieldNames(expression).filter((n) => stored.includes(n))),
+      get() {
+        return toFieldType(field, evaluate(expression, (name) => toExpressionValue(fieldsByName[name], this.get(name))));
+      },
+      set() {},
+    };
+  }
+  return attributes;
+}
+
+/**
+ * Compiles a model's lifecycle rules into a function
+ * `(event, values) => values` that applies the event's rules in order. It
+ * returns the writable field values to save and throws a VALIDATION_ERROR
+ * for a matching 'reject' rule. On update, `values` should be the stored
+ * record merged with the changes, so rules see the whole record.
+ */
+function compileHooks(modelConfig) {
+  const fieldsByName = Object.fromEntries(modelConfig.fields.map((f) => [f.name, f]));
+  const stored = getStoredFields(modelConfig);
+  const writable = getWritableFields(modelConfig);
+
+  const rulesByEvent = {};
+  for (const event of HOOK_EVENTS) {
+    rulesByEvent[event] = ((modelConfig.hooks || {})[event] || []).map((rule) => {
+      const kind = RULE_KINDS.find((k) => rule[k] !== undefined);
+      let expression = null;
+      if (kind === 'reject') expression = compileExpression(rule.reject, stored);
+      if (kind === 'set' || kind === 'default') expression = compileExpression(rule.to, stored);
+      return { ...rule, kind, expression };
+    });
+  }
+
+  return (event, values) => {
+    const result = { ...values };
+    const lookup = (name) => toExpressionValue(fieldsByName[name], result[name]);
+
+    for (const rule of rulesByEvent[event]) {
+      if (rule.kind === 'set') {
+        result[rule.set] = toFieldType(fieldsByName[rule.set], evaluate(rule.expression, lookup));
+      } else if (rule.kind === 'default') {
+        if (isEmpty(result[rule.default])) {
+          result[rule.default] = toFieldType(fieldsByName[rule.default], evaluate(rule.expression, lookup));
+        }
+      } else if (rule.kind === 'normalize') {
+        if (typeof result[rule.normalize] === 'string') {
+          for (const step of [].concat(rule.to)) result[rule.normalize] = NORMALIZERS[step](result[rule.normalize]);
+        }
+      } else if (evaluate(rule.expression, lookup)) {
+        throw new ApiError(400, 'VALIDATION_ERROR', rule.message, rule.field ? { [rule.field]: rule.message } : {});
+      }
+    }
+
+    const data = {};
+    for (const name of writable) {
+      if (name in result) data[name] = result[name];
+    }
+    return data;
+  };
+}
+
+module.exports = {
+  HOOK_EVENTS,
+  validateModelLogic,
+  getComputedAttributes,
+  compileHooks,
+};
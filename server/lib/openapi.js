@@ -0,0 +1,848 @@
+const { DEFAULT_PRECISION, DEFAULT_SCALE, isComputed } = require('./fieldTypes');
+const { OPERATORS_BY_TYPE, getQueryableFields, getSearchableFields } = require('./listQuery');
+const { getReferenceAlias } = require('./relations');
+const { EXPORT_FORMATS } = require('./dataTransfer');
+
+// Actions a model's rbac can grant per role
+const ROUTE_ACTIONS = ['create', 'read', 'update', 'delete', 'purge'];
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const errorResponse = (description) => ({
+  description,
+  content: { 'application/json': { schema: ref('Error') } },
+});
+const jsonBody = (schema, description) => ({
+  description,
+  content: { 'application/json': { schema } },
+});
+
+// Errors every authenticated route can answer with
+const COMMON_RESPONSES = {
+  401: { $ref: '#/components/responses/Unauthorized' },
+  403: { $ref: '#/components/responses/Forbidden' },
+};
+
+/**
+ * Returns the JSON schema of a field's values, including its validation rules.
+ */
+function getFieldSchema(field) {
+  let schema;
+  switch (field.type) {
+    case 'number':
+      schema = { type: 'number' };
+      break;
+    case 'integer':
+      schema = { type: 'integer' };
+      break;
+    case 'decimal':
+      // Postgres returns decimals as strings so no precision is lost
+      schema = {
+        type: ['number', 'string'],
+        format: 'decimal',
+        description: `Decimal(${field.precision ?? DEFAULT_PRECISION}, ${field.scale ?? DEFAULT_SCALE}).`,
+      };
+      break;
+    case 'boolean':
+      schema = { type: 'boolean' };
+      break;
+    case 'date':
+      schema = { type: 'string', format: 'date-time' };
+      break;
+    case 'email':
+      schema = { type: 'string', format: 'email' };
+      break;
+    case 'url':
+      schema = { type: 'string', format: 'uri' };
+      break;
+    case 'uuid':
+      schema = { type: 'string', format: 'uuid' };
+      break;
+    case 'json':
+      schema = { description: 'Any JSON value.' };
+      break;
+    case 'reference':
+      schema = { type: 'integer', description: `Id of a ${field.model} record.` };
+      break;
+    case 'manyToMany':
+      schema = { type: 'array', items: { type: 'integer' }, description: `Ids of the linked ${field.model} records.` };
+      break;
+    default:
+      schema = { type: 'string' };
+  }
+
+  if (field.values) schema.enum = field.values;
+  if (field.min !== undefined) schema.minimum = field.min;
+  if (field.max !== undefined) schema.maximum = field.max;
+  if (field.minLength !== undefined) schema.minLength = field.minLength;
+  if (field.maxLength !== undefined) schema.maxLength = field.maxLength;
+  if (field.pattern) schema.pattern = field.pattern;
+  if (field.default !== undefined && field.default !== null) schema.default = field.default;
+  if (field.unique) schema.description = `${schema.description || ''} Unique.`.trim();
+  return schema;
+}
+
+/**
+ * Allows null for an optional field's schema.
+ */
+function nullable(schema) {
+  if (!schema.type) return schema;
+  const result = { ...schema, type: [].concat(schema.type, 'null') };
+  if (schema.enum) result.enum = [...schema.enum, null];
+  return result;
+}
+
+/**
+ * Describes which roles can't see or change a field, or returns null.
+ */
+function describeFieldAccess(field) {
+  const byLevel = { hidden: [], read: [] };
+  for (const [role, level] of Object.entries(field.access || {})) {
+    if (byLevel[level]) byLevel[level].push(role);
+  }
+  const notes = [];
+  if (byLevel.hidden.length > 0) notes.push(`Hidden from: ${byLevel.hidden.join(', ')}.`);
+  if (byLevel.read.length > 0) notes.push(`Read-only for: ${byLevel.read.join(', ')}.`);
+  return notes.length > 0 ? notes.join(' ') : null;
+}
+
+/**
+ * Builds the schemas of a model: `<Name>` for records as returned and
+ * `<Name>Input` for create/update bodies.
+ */
+function getModelSchemas(modelConfig, configs) {
+  const properties = { id: { type: 'integer', readOnly: true } };
+  const input = {};
+  const required = [];
+
+  for (const field of modelConfig.fields) {
+    const schema = getFieldSchema(field);
+    if (isComputed(field)) {
+      properties[field.name] = { ...nullable(schema), readOnly: true, description: `Computed: ${field.computed}` };
+      continue;
+    }
+    input[field.name] = schema;
+    if (field.required && field.type !== 'manyToMany') required.push(field.name);
+
+    const target = field.model && configs.find((c) => c.name === field.model);
+    if (field.type === 'reference') {
+      properties[field.name] = field.required ? schema : nullable(schema);
+      if (target) {
+        const alias = getReferenceAlias(field);
+        properties[alias] = { ...ref(target.name), description: `Returned with ?include=${alias}.` };
+      }
+    } else if (field.type === 'manyToMany') {
+      if (target) {
+        properties[field.name] = {
+          type: 'array',
+          items: ref(target.name),
+          description: `Returned with ?include=${field.name}.`,
+        };
+      }
+    } else {
+      properties[field.name] = field.required ? schema : nullable(schema);
+    }
+  }
+
+  // Field access per role only shows in the descriptions; the schemas are shared by all roles
+  for (const field of modelConfig.fields) {
+    const note = describeFieldAccess(field);
+    if (!note) continue;
+    const property = properties[field.name];
+    if (property) {
+      properties[field.name] = { ...property, description: property.description ? `${property.description} ${note}` : note };
+    }
+    if (input[field.name]) input[field.name] = { ...input[field.name], description: `Ignored for roles that can't write it. ${note}` };
+  }
+
+  if (modelConfig.ownerField && !properties[modelConfig.ownerField]) {
+    properties[modelConfig.ownerField] = {
+      type: ['string', 'null'],
+      format: 'uuid',
+      description: 'Id of the user owning the record. Set to the creating user unless an Admin sends it.',
+    };
+    input[modelConfig.ownerField] = { type: 'string', format: 'uuid', description: 'Only honoured for Admins.' };
+  }
+  properties.createdAt = { type: 'string', format: 'date-time', readOnly: true };
+  properties.updatedAt = { type: 'string', format: 'date-time', readOnly: true };
+  if (modelConfig.softDelete) {
+    properties.deletedAt = { type: ['string', 'null'], format: 'date-time', readOnly: true };
+  }
+
+  return {
+    [modelConfig.name]: { type: 'object', properties },
+    [`${modelConfig.name}Input`]: { type: 'object', properties: input, required },
+  };
+}
+
+/**
+ * Lists the roles allowed to perform any of the actions on a model:
+ * { roles, ownOnly }, where ownOnly are the roles limited to records they own.
+ */
+function getRolesFor(modelConfig, actions) {
+  const roles = [];
+  const ownOnly = [];
+  for (const [role, permissions] of Object.entries(modelConfig.rbac || {})) {
+    if (permissions.includes('all') || actions.some((action) => permissions.includes(action))) {
+      roles.push(role);
+    } else if (modelConfig.ownerField && actions.some((action) => permissions.includes(`${action}:own`))) {
+      roles.push(role);
+      if (role !== 'Admin') ownOnly.push(role);
+    }
+  }
+  return { roles, ownOnly };
+}
+
+/**
+ * Builds the operation object shared by a model's routes. The bearer
+ * security requirement lists the roles allowed by the model's RBAC (OpenAPI
+ * 3.1 allows role names there), and the description repeats them.
+ */
+function modelOperation(modelConfig, action, { summary, description, ...rest }) {
+  const actions = [].concat(action);
+  const { roles, ownOnly } = getRolesFor(modelConfig, actions);
+  const quoted = actions.map((a) => `'${a}'`);
+  const permission = quoted.length > 1 ? `${quoted.slice(0, -1).join(', ')} or ${quoted.at(-1)}` : quoted[0];
+  let access = `Requires the ${permission} permission (roles: ${roles.join(', ') || 'none'}).`;
+  if (ownOnly.length > 0) access += ` ${ownOnly.join(', ')} only reach records they own.`;
+  access += ' API keys also need a scope granting it.';
+
+  return {
+    tags: [modelConfig.name],
+    summary,
+    description: description ? `${description}\n\n${access}` : access,
+    security: [{ bearerAuth: roles }, { apiKeyAuth: [] }],
+    ...rest,
+    responses: { ...rest.responses, ...COMMON_RESPONSES },
+  };
+}
+
+/**
+ * Describes the filter parameters of a model's list route: one deepObject
+ * parameter per queryable column (`price[gte]=10`; `price=10` means eq),
+ * plus `q` if the model has searchable fields.
+ */
+function getFilterParameters(modelConfig) {
+  const searchable = getSearchableFields(modelConfig).map((field) => field.name);
+  const search = searchable.length === 0 ? [] : [{
+    name: 'q',
+    in: 'query',
+    description: `Text to look for in ${searchable.join(', ')}, ignoring case.`,
+    schema: { type: 'string', maxLength: 100 },
+  }];
+  return search.concat(Object.entries(getQueryableFields(modelConfig)).map(([name, type]) => ({
+    name,
+    in: 'query',
+    style: 'deepObject',
+    explode: true,
+    description: `Filter on ${name}. Operators: ${OPERATORS_BY_TYPE[type].join(', ')} (\`in\` takes a comma-separated list).`,
+    schema: {
+      type: 'object',
+      properties: Object.fromEntries(OPERATORS_BY_TYPE[type].map((op) => [op, { type: 'string' }])),
+    },
+  })));
+}
+
+/**
+ * Builds the paths of one model's generated routes.
+ */
+function getModelPaths(modelConfig, slug) {
+  const name = modelConfig.name;
+  const base = `/api/${slug}`;
+  const idParameter = { name: 'id', in: 'path', required: true, schema: { type: 'integer' } };
+  const listParameters = [
+    { $ref: '#/components/parameters/page' },
+    { $ref: '#/components/parameters/limit' },
+    { $ref: '#/components/parameters/sort' },
+    { $ref: '#/components/parameters/include' },
+    ...getFilterParameters(modelConfig),
+  ];
+  const record = jsonBody(ref(name), `The ${name} record.`);
+  const page = jsonBody({
+    type: 'object',
+    properties: { data: { type: 'array', items: ref(name) }, pagination: ref('Pagination') },
+  }, `A page of ${name} records.`);
+  const inputBody = { required: true, content: { 'application/json': { schema: ref(`${name}Input`) } } };
+
+  const paths = {
+    [base]: {
+      get: modelOperation(modelConfig, 'read', {
+        summary: `List ${name} records`,
+        parameters: listParameters,
+        responses: { 200: page, 400: { $ref: '#/components/responses/BadRequest' } },
+      }),
+      post: modelOperation(modelConfig, 'create', {
+        summary: `Create a ${name}`,
+        requestBody: inputBody,
+        responses: {
+          201: record,
+          400: { $ref: '#/components/responses/BadRequest' },
+          409: { $ref: '#/components/responses/Conflict' },
+        },
+      }),
+    },
+    [`${base}/{id}`]: {
+      parameters: [idParameter],
+      get: modelOperation(modelConfig, 'read', {
+        summary: `Get a ${name}`,
+        parameters: [{ $ref: '#/components/parameters/include' }],
+        responses: { 200: record, 404: { $ref: '#/components/responses/NotFound' } },
+      }),
+      put: modelOperation(modelConfig, 'update', {
+        summary: `Update a ${name}`,
+        description: 'Only the fields sent are changed.',
+        requestBody: inputBody,
+        responses: {
+          200: record,
+          400: { $ref: '#/components/responses/BadRequest' },
+          404: { $ref: '#/components/responses/NotFound' },
+          409: { $ref: '#/components/responses/Conflict' },
+        },
+      }),
+      delete: modelOperation(modelConfig, 'delete', {
+        summary: modelConfig.softDelete ? `Move a ${name} to the trash` : `Delete a ${name}`,
+        responses: {
+          204: { description: 'Deleted.' },
+          404: { $ref: '#/components/responses/NotFound' },
+          409: { $ref: '#/components/responses/Conflict' },
+        },
+      }),
+    },
+    [`${base}/{id}/history`]: {
+      parameters: [idParameter],
+      get: modelOperation(modelConfig, 'read', {
+        summary: `Get the change history of a ${name}`,
+        responses: {
+          200: jsonBody({ type: 'array', items: ref('AuditLogEntry') }, 'Audit log entries, newest first.'),
+          404: { $ref: '#/components/responses/NotFound' },
+        },
+      }),
+    },
+    [`${base}/bulk`]: {
+      post: modelOperation(modelConfig, ['create', 'update', 'delete'], {
+        summary: `Create, update and delete ${name} records in one transaction`,
+        description: 'Each operation needs the permission of its own action; nothing is saved if any operation fails.',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['operations'],
+                properties: {
+                  operations: {
+                    type: 'array',
+                    maxItems: 1000,
+                    items: {
+                      type: 'object',
+                      required: ['action'],
+                      properties: {
+                        action: { type: 'string', enum: ['create', 'update', 'delete'] },
+                        id: { type: 'integer' },
+                        data: ref(`${name}Input`),
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          200: jsonBody({ type: 'object', properties: { results: { type: 'array', items: { type: 'object' } } } }, 'One result per operation.'),
+          400: { $ref: '#/components/responses/BadRequest' },
+        },
+      }),
+    },
+    [`${base}/export`]: {
+      get: modelOperation(modelConfig, 'read', {
+        summary: `Export ${name} records`,
+        description: 'Streams every matching record; takes the list filters and sort.',
+        parameters: [
+          { name: 'format', in: 'query', schema: { type: 'string', enum: Object.keys(EXPORT_FORMATS), default: 'csv' } },
+          { $ref: '#/components/parameters/sort' },
+          ...getFilterParameters(modelConfig),
+        ],
+        responses: {
+          200: {
+            description: 'The exported file.',
+            content: Object.fromEntries(Object.values(EXPORT_FORMATS).map(({ contentType }) => [contentType, {}])),
+          },
+          400: { $ref: '#/components/responses/BadRequest' },
+        },
+      }),
+    },
+    [`${base}/import`]: {
+      post: modelOperation(modelConfig, 'create', {
+        summary: `Import ${name} records from a CSV, JSON or NDJSON file`,
+        description: 'All rows are created in one transaction; any row error rolls the import back.',
+        parameters: [{ name: 'dryRun', in: 'query', schema: { type: 'boolean' }, description: 'Only check the file.' }],
+        requestBody: {
+          required: true,
+          content: {
+            'multipart/form-data': {
+              schema: {
+                type: 'object',
+                required: ['file'],
+                properties: {
+                  file: { type: 'string', format: 'binary' },
+                  format: { type: 'string', enum: Object.keys(EXPORT_FORMATS) },
+                  mapping: { type: 'string', description: 'JSON object mapping file columns to fields (null skips a column).' },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          200: jsonBody(ref('ImportReport'), 'Dry run report.'),
+          201: jsonBody(ref('ImportReport'), 'Imported.'),
+          400: { $ref: '#/components/responses/BadRequest' },
+        },
+      }),
+    },
+  };
+
+  if (modelConfig.softDelete) {
+    paths[`${base}/trash`] = {
+      get: modelOperation(modelConfig, 'delete', {
+        summary: `List trashed ${name} records`,
+        parameters: listParameters,
+        responses: { 200: page, 400: { $ref: '#/components/responses/BadRequest' } },
+      }),
+    };
+    paths[`${base}/{id}/restore`] = {
+      parameters: [idParameter],
+      post: modelOperation(modelConfig, 'delete', {
+        summary: `Restore a trashed ${name}`,
+        responses: { 200: record, 404: { $ref: '#/components/responses/NotFound' } },
+      }),
+    };
+    paths[`${base}/{id}/purge`] = {
+      parameters: [idParameter],
+      delete: modelOperation(modelConfig, 'purge', {
+        summary: `Delete a trashed ${name} for good`,
+        responses: {
+          204: { description: 'Purged.' },
+          404: { $ref: '#/components/responses/NotFound' },
+        },
+      }),
+    };
+  }
+  return paths;
+}
+
+/**
+ * Builds an admin-only operation of the model definition API.
+ */
+function adminOperation(summary, responses, rest = {}) {
+  return {
+    tags: ['Model definitions'],
+    summary,
+    security: [{ bearerAuth: ['Admin'] }],
+    ...rest,
+    responses: { ...responses, ...COMMON_RESPONSES },
+  };
+}
+
+// Routes that exist whatever models are published
+const STATIC_PATHS = {
+  '/auth/signup': {
+    post: {
+      tags: ['Auth'],
+      summary: 'Create a user',
+      description: 'With an invitation the user gets its role. Without one the user is a Viewer, '
+        + "pending an admin's approval unless SIGNUP_MODE is 'open' (or refused when it's 'closed').",
+      security: [],
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              required: ['username', 'password'],
+              properties: {
+                username: { type: 'string' },
+                password: { type: 'string', format: 'password' },
+                invitation: { type: 'string', description: 'An invitation token from an admin.' },
+              },
+            },
+          },
+        },
+      },
+      responses: {
+        201: jsonBody({
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            username: { type: 'string' },
+            role: { type: 'string' },
+            status: { type: 'string', enum: ['active', 'pending'] },
+          },
+        }, 'The new user.'),
+        400: { $ref: '#/components/responses/BadRequest' },
+        403: errorResponse('Signup without an invitation is disabled.'),
+      },
+    },
+  },
+  '/auth/login': {
+    post: {
+      tags: ['Auth'],
+      summary: 'Log in and get a token',
+      description: 'Send the token as `Authorization: Bearer <token>`. It expires after 15 minutes (ACCESS_TOKEN_TTL); '
+        + 'trade the refresh token for a new pair with POST /auth/refresh. Each refresh token works once.',
+      security: [],
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              required: ['username', 'password'],
+              properties: { username: { type: 'string' }, password: { type: 'string', format: 'password' } },
+            },
+          },
+        },
+      },
+      responses: {
+        200: jsonBody({
+          type: 'object',
+          properties: { token: { type: 'string' }, refreshToken: { type: 'string' } },
+        }, 'A JWT and a refresh token.'),
+        400: { $ref: '#/components/responses/BadRequest' },
+        403: errorResponse('The account is waiting for approval.'),
+      },
+    },
+  },
+  '/api/models': {
+    get: {
+      tags: ['Model definitions'],
+      summary: 'List the published model configs',
+      security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+      responses: { 200: jsonBody({ type: 'array', items: ref('ModelConfig') }, 'Model configs.'), ...COMMON_RESPONSES },
+    },
+  },
+  '/api/search': {
+    get: {
+      tags: ['Search'],
+      summary: 'Search every model the caller can read',
+      description: 'Looks for the text in the searchable fields of each model. Hits are grouped by model; '
+        + '`matches` are the [start, end) offsets of the text within each highlight.',
+      security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+      parameters: [
+        { name: 'q', in: 'query', required: true, schema: { type: 'string', maxLength: 100 } },
+        { name: 'limit', in: 'query', description: 'Hits per model.', schema: { type: 'integer', minimum: 1, maximum: 20, default: 5 } },
+      ],
+      responses: {
+        200: jsonBody(ref('SearchResults'), 'Matching records by model.'),
+        400: { $ref: '#/components/responses/BadRequest' },
+        ...COMMON_RESPONSES,
+      },
+    },
+  },
+  '/api/models/plan': {
+    post: adminOperation('Preview the migration a publish would run', {
+      200: jsonBody(ref('MigrationPlan'), 'The migration plan.'),
+      400: { $ref: '#/components/responses/BadRequest' },
+      409: { $ref: '#/components/responses/Conflict' },
+    }, { requestBody: { required: true, content: { 'application/json': { schema: ref('ModelConfig') } } } }),
+  },
+  '/api/models/publish': {
+    post: adminOperation('Publish a new or changed model', {
+      201: jsonBody({
+        type: 'object',
+        properties: { message: { type: 'string' }, plan: ref('MigrationPlan'), version: { type: 'integer' } },
+      }, 'Published.'),
+      400: { $ref: '#/components/responses/BadRequest' },
+      409: { $ref: '#/components/responses/Conflict' },
+    }, {
+      description: 'Changing an existing model answers 409 CONFIRMATION_REQUIRED with the plan until it is confirmed with ?confirm=<planId>.',
+      parameters: [{ name: 'confirm', in: 'query', schema: { type: 'string' } }],
+      requestBody: { required: true, content: { 'application/json': { schema: ref('ModelConfig') } } },
+    }),
+  },
+  '/api/models/{modelName}': {
+    parameters: [{ name: 'modelName', in: 'path', required: true, schema: { type: 'string' } }],
+    get: {
+      tags: ['Model definitions'],
+      summary: 'Get a model config',
+      security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+      responses: {
+        200: jsonBody(ref('ModelConfig'), 'The model config.'),
+        404: { $ref: '#/components/responses/NotFound' },
+        ...COMMON_RESPONSES,
+      },
+    },
+    delete: adminOperation('Delete a model', {
+      200: jsonBody({ type: 'object', properties: { message: { type: 'string' } } }, 'Deleted.'),
+      404: { $ref: '#/components/responses/NotFound' },
+      409: { $ref: '#/components/responses/Conflict' },
+    }, {
+      parameters: [{ name: 'table', in: 'query', schema: { type: 'string', enum: ['keep', 'drop', 'archive'], default: 'keep' } }],
+    }),
+  },
+  '/api/models/{modelName}/versions': {
+    parameters: [{ name: 'modelName', in: 'path', required: true, schema: { type: 'string' } }],
+    get: adminOperation('List the revisions of a model, newest first', {
+      200: jsonBody({ type: 'array', items: { type: 'object' } }, 'Revisions.'),
+    }),
+  },
+  '/api/models/{modelName}/diff': {
+    parameters: [{ name: 'modelName', in: 'path', required: true, schema: { type: 'string' } }],
+    get: adminOperation('Compare two revisions of a model', {
+      200: jsonBody({ type: 'object' }, 'The changes and the migration steps between them.'),
+      404: { $ref: '#/components/responses/NotFound' },
+    }, {
+      parameters: [
+        { name: 'from', in: 'query', required: true, schema: { type: 'integer' } },
+        { name: 'to', in: 'query', required: true, schema: { type: 'integer' } },
+      ],
+    }),
+  },
+  '/api/models/{modelName}/versions/{version}/rollback': {
+    parameters: [
+      { name: 'modelName', in: 'path', required: true, schema: { type: 'string' } },
+      { name: 'version', in: 'path', required: true, schema: { type: 'integer' } },
+    ],
+    post: adminOperation('Republish an older revision', {
+      201: jsonBody({ type: 'object' }, 'Published.'),
+      404: { $ref: '#/components/responses/NotFound' },
+      409: { $ref: '#/components/responses/Conflict' },
+    }, { parameters: [{ name: 'confirm', in: 'query', schema: { type: 'string' } }] }),
+  },
+  '/api/migrations': {
+    get: adminOperation('List applied schema migrations', {
+      200: jsonBody({ type: 'array', items: { type: 'object' } }, 'Migrations, oldest first.'),
+    }, { parameters: [{ name: 'modelName', in: 'query', schema: { type: 'string' } }] }),
+  },
+  '/api/audit': {
+    get: adminOperation('Query the audit log', {
+      200: jsonBody({
+        type: 'object',
+        properties: { data: { type: 'array', items: ref('AuditLogEntry') }, pagination: ref('Pagination') },
+      }, 'A page of entries, newest first.'),
+      400: { $ref: '#/components/responses/BadRequest' },
+    }, {
+      tags: ['Audit'],
+      parameters: [
+        { $ref: '#/components/parameters/page' },
+        { $ref: '#/components/parameters/limit' },
+        ...['modelName', 'recordId', 'userId', 'username', 'action'].map((name) => ({ name, in: 'query', schema: { type: 'string' } })),
+        { name: 'from', in: 'query', schema: { type: 'string', format: 'date-time' } },
+        { name: 'to', in: 'query', schema: { type: 'string', format: 'date-time' } },
+      ],
+    }),
+  },
+};
+
+// Schemas shared by every document
+const STATIC_SCHEMAS = {
+  Error: {
+    type: 'object',
+    properties: {
+      code: { type: 'string', example: 'VALIDATION_ERROR' },
+      message: { type: 'string' },
+      errors: { type: 'object', additionalProperties: { type: 'string' }, description: 'Messages by field name.' },
+    },
+  },
+  Pagination: {
+    type: 'object',
+    properties: {
+      page: { type: 'integer' },
+      limit: { type: 'integer' },
+      total: { type: 'integer' },
+      totalPages: { type: 'integer' },
+      nextPage: { type: ['integer', 'null'] },
+    },
+  },
+  AuditLogEntry: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      modelName: { type: 'string' },
+      recordId: { type: 'integer' },
+      action: { type: 'string', enum: ['create', 'update', 'delete', 'restore', 'purge'] },
+      userId: { type: ['string', 'null'], format: 'uuid' },
+      username: { type: ['string', 'null'] },
+      changes: { type: 'object', description: '{ field: { before, after } } for each changed field.' },
+      createdAt: { type: 'string', format: 'date-time' },
+    },
+  },
+  ImportReport: {
+    type: 'object',
+    properties: {
+      dryRun: { type: 'boolean' },
+      format: { type: 'string' },
+      columns: { type: 'array', items: { type: 'string' } },
+      mapping: { type: 'object', additionalProperties: { type: ['string', 'null'] } },
+      total: { type: 'integer' },
+      valid: { type: 'integer' },
+      imported: { type: 'integer' },
+      rowErrors: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { row: { type: 'integer' }, message: { type: 'string' }, errors: { type: 'object' } },
+        },
+      },
+    },
+  },
+  ModelConfig: {
+    type: 'object',
+    required: ['name', 'fields', 'rbac'],
+    properties: {
+      name: { type: 'string', pattern: '^[A-Za-z][A-Za-z0-9_]*$' },
+      tableName: { type: 'string' },
+      ownerField: { type: 'string' },
+      softDelete: { type: 'boolean' },
+      fields: { type: 'array', items: { type: 'object', required: ['name', 'type'] } },
+      rbac: {
+        type: 'object',
+        additionalProperties: { type: 'array', items: { type: 'string' } },
+        description: `Permissions by role: ${ROUTE_ACTIONS.join(', ')}, all, or '<action>:own'.`,
+      },
+    },
+  },
+  MigrationPlan: {
+    type: 'object',
+    properties: {
+      planId: { type: 'string' },
+      steps: { type: 'array', items: { type: 'object' } },
+      warnings: { type: 'array', items: { type: 'string' } },
+    },
+  },
+  SearchResults: {
+    type: 'object',
+    properties: {
+      q: { type: 'string' },
+      results: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            model: { type: 'string' },
+            slug: { type: 'string' },
+            total: { type: 'integer', description: 'All matching records, also those beyond the limit.' },
+            hits: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'integer' },
+                  label: { type: 'string' },
+                  highlights: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        field: { type: 'string' },
+                        text: { type: 'string' },
+                        matches: { type: 'array', items: { type: 'array', items: { type: 'integer' } } },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Generates the OpenAPI 3.1 document of the whole API from the registered
+ * models. `models` is a list of { config, slug }; `prefix` is the path the
+ * API is served under.
+ */
+function buildOpenApiDocument(models, prefix = '') {
+  const configs = models.map((m) => m.config);
+  const paths = { ...STATIC_PATHS };
+  const schemas = { ...STATIC_SCHEMAS };
+
+  const sorted = [...models].sort((a, b) => a.config.name.localeCompare(b.config.name));
+  for (const { config, slug } of sorted) {
+    Object.assign(paths, getModelPaths(config, slug));
+    Object.assign(schemas, getModelSchemas(config, configs));
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Dynamic CRUD API',
+      version: '1.0.0',
+      description: 'Generated from the published models; it changes whenever a model is published or deleted.',
+    },
+    servers: [{ url: prefix || '/' }],
+    tags: [
+      { name: 'Auth' },
+      { name: 'Model definitions' },
+      { name: 'Audit' },
+      { name: 'Search' },
+      ...sorted.map(({ config }) => ({ name: config.name })),
+    ],
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+        apiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description: 'A service account key. Acts with the account\'s role, limited to the key\'s scopes.',
+        },
+      },
+      parameters: {
+        page: { name: 'page', in: 'query', schema: { type: 'integer', minimum: 1, default: 1 } },
+        limit: { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 100, default: 25 } },
+        sort: {
+          name: 'sort',
+          in: 'query',
+          description: 'Comma-separated columns; prefix with - for descending (`-createdAt,name`).',
+          schema: { type: 'string' },
+        },
+        include: {
+          name: 'include',
+          in: 'query',
+          description: 'Comma-separated relations to return with each record.',
+          schema: { type: 'string' },
+        },
+      },
+      responses: {
+        BadRequest: errorResponse('Invalid input (VALIDATION_ERROR, INVALID_QUERY, ...).'),
+        Unauthorized: errorResponse('Missing token.'),
+        Forbidden: errorResponse('The role lacks the permission.'),
+        NotFound: errorResponse('Not found.'),
+        Conflict: errorResponse('Conflicts with existing data (UNIQUE_VIOLATION, FOREIGN_KEY_VIOLATION, ...).'),
+      },
+      schemas,
+    },
+  };
+}
+
+/**
+ * Returns the HTML of the API explorer page, a Swagger UI loading the
+ * document from `specUrl` with its assets served under `assetsPath`.
+ */
+function renderDocsPage(specUrl, assetsPath) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>API Explorer</title>
+  <link rel="stylesheet" href="${assetsPath}/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${assetsPath}/swagger-ui-bundle.js"></script>
+  <script>
+    SwaggerUIBundle({ url: '${specUrl}', dom_id: '#swagger-ui', persistAuthorization: true });
+  </script>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  buildOpenApiDocument,
+  renderDocsPage,
+};
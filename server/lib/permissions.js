@@ -0,0 +1,138 @@
+const { ApiError } = require('./errors');
+const { getReferenceAlias } = require('./relations');
+
+// How a role may use a field. `field.access` maps roles to one of these;
+// roles it doesn't list get 'write' (as far as the model's rbac allows).
+const FIELD_ACCESS_LEVELS = ['hidden', 'read', 'write'];
+
+/**
+ * Checks whether a permission list grants an action (directly or via 'all').
+ */
+function hasPermission(permissions, action) {
+  return !!permissions && (permissions.includes(action) || permissions.includes('all'));
+}
+
+/**
+ * Decides whether a user may perform an action on a model. Returns
+ * { ownedOnly } (true when only the '<action>:own' variant applies), or
+ * null if the action is not allowed. Requests made with an API key
+ * (user.scopes) also need the key's scopes to grant the action.
+ */
+function getAccess(modelConfig, user, action) {
+  if (user.scopes) {
+    const scoped = [...(user.scopes[modelConfig.name] || []), ...(user.scopes['*'] || [])];
+    if (!hasPermission(scoped, action)) return null;
+  }
+  const permissions = modelConfig.rbac[user.role];
+
+  if (hasPermission(permissions, action)) {
+    return { ownedOnly: false };
+  }
+  if (modelConfig.ownerField && permissions && permissions.includes(`${action}:own`)) {
+    // Admin keeps full access even when configured with ':own' permissions
+    return { ownedOnly: user.role !== 'Admin' };
+  }
+  return null;
+}
+
+/**
+ * Returns the 403 error for an action a role (or API key) may not perform.
+ */
+function forbidden(modelConfig, user, action) {
+  const who = user.apiKeyId ? `API key of ${user.username} (role '${user.role}')` : `Role '${user.role}'`;
+  return new ApiError(403, 'FORBIDDEN', `Forbidden: ${who} cannot perform '${action}' on ${modelConfig.name}.`);
+}
+
+/**
+ * Adds the ownership condition to a where clause when the request (or any
+ * { user, ownedOnly } scope) is limited to the user's own rows.
+ */
+function scopeToOwner(modelConfig, req, where = {}) {
+  if (!req.ownedOnly) return where;
+  return { ...where, [modelConfig.ownerField]: req.user.id };
+}
+
+/**
+ * Checks the `access` settings of a model's fields. Returns a message
+ * describing the first problem, or null.
+ */
+function validateFieldAccess(modelConfig) {
+  for (const field of modelConfig.fields) {
+    if (field.access === undefined) continue;
+    if (!field.access || typeof field.access !== 'object' || Array.isArray(field.access)) {
+      return `'access' of field '${field.name}' must map roles to ${FIELD_ACCESS_LEVELS.join(', ')}.`;
+    }
+    for (const [role, level] of Object.entries(field.access)) {
+      if (!FIELD_ACCESS_LEVELS.includes(level)) {
+        return `Access of role '${role}' to field '${field.name}' must be one of: ${FIELD_ACCESS_LEVELS.join(', ')}.`;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Returns a user's access to a field: 'hidden', 'read' or 'write'.
+ */
+function getFieldAccess(field, user) {
+  return (field.access && field.access[user.role]) || 'write';
+}
+
+/**
+ * Returns the fields of a model the user may not see.
+ */
+function getHiddenFields(modelConfig, user) {
+  return modelConfig.fields.filter((field) => getFieldAccess(field, user) === 'hidden');
+}
+
+/**
+ * Returns the model config as the user sees it: without hidden fields, so
+ * list queries can't filter or sort by them and exports leave them out.
+ */
+function getVisibleConfig(modelConfig, user) {
+  const hidden = getHiddenFields(modelConfig, user);
+  if (hidden.length === 0) return modelConfig;
+  return { ...modelConfig, fields: modelConfig.fields.filter((field) => !hidden.includes(field)) };
+}
+
+/**
+ * Returns a copy of a record's values without the fields (and the related
+ * records of reference fields) the user may not see.
+ */
+function hideFields(modelConfig, user, values) {
+  const hidden = getHiddenFields(modelConfig, user);
+  if (hidden.length === 0) return values;
+  const visible = { ...values };
+  for (const field of hidden) {
+    delete visible[field.name];
+    if (field.type === 'reference') delete visible[getReferenceAlias(field)];
+  }
+  return visible;
+}
+
+/**
+ * Returns a copy of a request body without the fields the user may not
+ * write. Like the owner field, they are ignored rather than rejected, so a
+ * record read from the API can be sent back as it is.
+ */
+function dropReadOnlyFields(modelConfig, user, body) {
+  const data = { ...body };
+  for (const field of modelConfig.fields) {
+    if (getFieldAccess(field, user) !== 'write') delete data[field.name];
+  }
+  return data;
+}
+
+module.exports = {
+  FIELD_ACCESS_LEVELS,
+  validateFieldAccess,
+  getFieldAccess,
+  getHiddenFields,
+  getVisibleConfig,
+  hideFields,
+  dropReadOnlyFields,
+  hasPermission,
+  getAccess,
+  forbidden,
+  scopeToOwner,
+};
@@ -0,0 +1,249 @@
+const { Sequelize } = require('../db');
+const {
+  ON_DELETE_ACTIONS,
+  ON_DELETE_SQL,
+  getTableName,
+  getOnDelete,
+  getTargetConfig,
+  getReferencedTable,
+} = require('./fieldTypes');
+const { QueryError } = require('./listQuery');
+
+// Field types that link dynamic models instead of holding plain values
+const RELATION_TYPES = ['reference', 'manyToMany'];
+
+/**
+ * Lower-cases the first letter of a name (Customer -> customer).
+ */
+function lowerFirst(name) {
+  return name.charAt(0).toLowerCase() + name.slice(1);
+}
+
+/**
+ * Returns the association name of a reference field, used by ?include=.
+ * `customerId` becomes `customer` unless the field sets `as`.
+ */
+function getReferenceAlias(field) {
+  if (field.as) return field.as;
+  return field.name.endsWith('Id') ? field.name.slice(0, -2) : `${field.name}Record`;
+}
+
+/**
+ * Returns the association name on the other side of a relation field
+ * (Customer.orders for Order.customerId), unless the field sets `inverseAs`.
+ */
+function getInverseAlias(modelConfig, field) {
+  return field.inverseAs || `${lowerFirst(modelConfig.name)}s`;
+}
+
+/**
+ * Describes the join tables of a model's many-to-many fields as plain JSON,
+ * keyed by table name. Join tables always use sourceId/targetId columns so
+ * a model can relate to itself.
+ */
+function getJoinTables(modelConfig, lookup) {
+  const joinTables = {};
+  for (const field of modelConfig.fields) {
+    if (field.type !== 'manyToMany') continue;
+    const table = field.through || `${getTableName(modelConfig)}_${field.name}`;
+    joinTables[table] = {
+      table,
+      sourceTable: getTableName(modelConfig),
+      targetTable: getReferencedTable(modelConfig, field, lookup),
+      onDelete: getOnDelete(field),
+    };
+  }
+  return joinTables;
+}
+
+/**
+ * Sequelize attributes of a join table, shared by migrations and the
+ * through model so both agree on the constraints.
+ */
+function getJoinTableAttributes(joinTable) {
+  return {
+    sourceId: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      primaryKey: true,
+      references: { model: joinTable.sourceTable, key: 'id' },
+      onDelete: 'CASCADE',
+    },
+    targetId: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      primaryKey: true,
+      references: { model: joinTable.targetTable, key: 'id' },
+      onDelete: ON_DELETE_SQL[joinTable.onDelete],
+    },
+  };
+}
+
+/**
+ * Checks the relation fields of a model config. Returns an error message,
+ * or null if they are valid.
+ */
+function validateRelations(modelConfig, lookup) {
+  const fieldNames = new Set(modelConfig.fields.map((f) => f.name));
+
+  for (const field of modelConfig.fields) {
+    if (!RELATION_TYPES.includes(field.type)) continue;
+
+    if (!field.model || !getTargetConfig(modelConfig, field, lookup)) {
+      return `Field '${field.name}' references unknown model '${field.model}'.`;
+    }
+    const onDelete = getOnDelete(field);
+    if (!ON_DELETE_ACTIONS[field.type].includes(onDelete)) {
+      return `Field '${field.name}' has invalid onDelete '${onDelete}' (use ${ON_DELETE_ACTIONS[field.type].join(', ')}).`;
+    }
+    if (onDelete === 'set null' && field.required) {
+      return `Required field '${field.name}' can't use onDelete 'set null'.`;
+    }
+    if (field.type === 'reference' && fieldNames.has(getReferenceAlias(field))) {
+      return `Relation name '${getReferenceAlias(field)}' of field '${field.name}' clashes with a field; set 'as' to rename it.`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Lists the models (other than itself) whose relations point at a model.
+ */
+function findReferencingModels(modelName, registry) {
+  return Object.values(registry)
+    .filter(({ config }) => config.name !== modelName
+      && config.fields.some((f) => RELATION_TYPES.includes(f.type) && f.model === modelName))
+    .map(({ config }) => config.name);
+}
+
+/**
+ * Orders model configs so referenced models come before the models pointing
+ * at them (their tables must exist first). Cycles keep their original order.
+ */
+function sortByDependencies(configs) {
+  const byName = Object.fromEntries(configs.map((c) => [c.name, c]));
+  const sorted = [];
+  const visiting = new Set();
+  const done = new Set();
+
+  const visit = (config) => {
+    if (done.has(config.name) || visiting.has(config.name)) return;
+    visiting.add(config.name);
+    for (const field of config.fields) {
+      if (field.type === 'reference' && byName[field.model]) visit(byName[field.model]);
+    }
+    visiting.delete(config.name);
+    done.add(config.name);
+    sorted.push(config);
+  };
+
+  configs.forEach(visit);
+  return sorted;
+}
+
+/**
+ * (Re)builds the Sequelize associations between all registered models.
+ * Called whenever a model is registered or removed, because a republished
+ * model is a new class and the other side of each relation must point at it.
+ * Returns the join (through) models so their tables can be synced.
+ */
+function setupAssociations(sequelize, registry) {
+  const entries = Object.values(registry);
+  const lookup = (name) => registry[name] && registry[name].config;
+  const throughModels = [];
+
+  for (const { model } of entries) {
+    model.associations = {};
+  }
+
+  // The inverse side is a convenience; skip it instead of failing when two
+  // relations would give it the same name.
+  const addInverse = (model, as, associate) => {
+    if (model.associations[as] || model.rawAttributes[as]) {
+      console.warn(`Skipping inverse relation ${model.name}.${as}: name already in use.`);
+      return;
+    }
+    associate();
+  };
+
+  for (const { model, config } of entries) {
+    for (const field of config.fields) {
+      const target = registry[field.model];
+      if (!target) continue;
+
+      if (field.type === 'reference') {
+        model.belongsTo(target.model, {
+          as: getReferenceAlias(field),
+          foreignKey: field.name,
+          constraints: false, // The column definition carries the real constraint
+        });
+        const inverseAs = getInverseAlias(config, field);
+        addInverse(target.model, inverseAs, () => target.model.hasMany(model, {
+          as: inverseAs,
+          foreignKey: field.name,
+          constraints: false,
+        }));
+      } else if (field.type === 'manyToMany') {
+        const joinTable = Object.values(getJoinTables({ ...config, fields: [field] }, lookup))[0];
+        const through = sequelize.define(joinTable.table, getJoinTableAttributes(joinTable), {
+          tableName: joinTable.table,
+          timestamps: false,
+        });
+        throughModels.push(through);
+
+        model.belongsToMany(target.model, {
+          through,
+          as: field.name,
+          foreignKey: 'sourceId',
+          otherKey: 'targetId',
+          constraints: false,
+        });
+        const inverseAs = getInverseAlias(config, field);
+        if (target.model === model && inverseAs === field.name) continue;
+        addInverse(target.model, inverseAs, () => target.model.belongsToMany(model, {
+          through,
+          as: inverseAs,
+          foreignKey: 'targetId',
+          otherKey: 'sourceId',
+          constraints: false,
+        }));
+      }
+    }
+  }
+
+  return throughModels;
+}
+
+/**
+ * Parses `?include=customer,tags` into Sequelize include options.
+ * `canRead(modelName)` decides whether related records may be returned.
+ */
+function parseInclude(raw, model, canRead) {
+  if (!raw) return [];
+  if (typeof raw !== 'string') throw new QueryError('Invalid include parameter.');
+
+  return raw.split(',').filter(Boolean).map((as) => {
+    const association = model.associations[as];
+    if (!association) {
+      throw new QueryError(`Unknown relation '${as}'.`);
+    }
+    if (!canRead(association.target.name)) {
+      throw new QueryError(`Not allowed to read related ${association.target.name} records.`);
+    }
+    return association.through
+      ? { association: as, through: { attributes: [] } }
+      : { association: as };
+  });
+}
+
+module.exports = {
+  RELATION_TYPES,
+  getReferenceAlias,
+  getJoinTables,
+  getJoinTableAttributes,
+  validateRelations,
+  findReferencingModels,
+  sortByDependencies,
+  setupAssociations,
+  parseInclude,
+};
@@ -0,0 +1,160 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../db');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const RoleRename = require('../models/RoleRename');
+const { ApiError } = require('./errors');
+
+// The roles every install starts with
+const DEFAULT_ROLES = [
+  { name: 'Admin', description: 'Manages models, roles and webhooks.' },
+  { name: 'Manager', description: 'Reads and edits records.' },
+  { name: 'Viewer', description: 'Reads records.' },
+];
+
+// adminOnly checks for 'Admin' and new users default to 'Viewer', so these
+// can't be renamed or deleted
+const PROTECTED_ROLES = ['Admin', 'Viewer'];
+
+// Role names are rbac keys and show up in tokens and messages, so keep them simple
+const ROLE_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_-]{0,49}$/;
+
+/**
+ * Checks a role definition against the existing roles. `current` is the
+ * role being changed (null when creating one). Returns an ApiError
+ * describing the problems, or null.
+ */
+function checkRole(role, roles, current = null) {
+  const errors = {};
+  if (typeof role.name !== 'string' || !ROLE_NAME_PATTERN.test(role.name)) {
+    errors.name = 'Must start with a letter and contain only letters, digits, _ and - (at most 50 characters).';
+  } else if (roles.some((r) => (!current || r.id !== current.id) && r.name.toLowerCase() === role.name.toLowerCase())) {
+    errors.name = `Role '${role.name}' already exists.`;
+  } else if (current && current.name !== role.name && PROTECTED_ROLES.includes(current.name)) {
+    errors.name = `Role '${current.name}' can't be renamed.`;
+  }
+  if (role.description != null && (typeof role.description !== 'string' || role.description.length > 255)) {
+    errors.description = 'Must be a text of at most 255 characters.';
+  }
+
+  if (Object.keys(errors).length === 0) return null;
+  return new ApiError(400, 'VALIDATION_ERROR', Object.values(errors).join(' '), errors);
+}
+
+/**
+ * Lists the roles a model config names: the keys of its rbac and of its
+ * fields' access settings.
+ */
+function getConfigRoles(modelConfig) {
+  const roles = Object.keys(modelConfig.rbac || {});
+  for (const field of modelConfig.fields || []) {
+    roles.push(...Object.keys(field.access || {}));
+  }
+  return roles;
+}
+
+/**
+ * Returns a copy of an object with one key renamed, keeping the key order.
+ */
+function renameKey(object, from, to) {
+  return Object.fromEntries(Object.entries(object).map(([key, value]) => [key === from ? to : key, value]));
+}
+
+/**
+ * Returns a copy of a model config with a role renamed in its rbac and
+ * field access settings.
+ */
+function renameRoleInConfig(modelConfig, from, to) {
+  return {
+    ...modelConfig,
+    rbac: renameKey(modelConfig.rbac, from, to),
+    fields: modelConfig.fields.map((field) => (
+      field.access ? { ...field, access: renameKey(field.access, from, to) } : field
+    )),
+  };
+}
+
+/**
+ * Applies the role renames made after `since` to a model config saved
+ * then (e.g. an older revision), in the order they were made.
+ */
+async function applyRoleRenames(modelConfig, since) {
+  const renames = await RoleRename.findAll({ where: { createdAt: { [Op.gte]: since } }, order: [['id', 'ASC']] });
+  return renames.reduce((config, { from, to }) => (
+    getConfigRoles(config).includes(from) ? renameRoleInConfig(config, from, to) : config
+  ), modelConfig);
+}
+
+/**
+ * Returns the names of the model configs that name a role.
+ */
+function findModelsUsingRole(name, configs) {
+  return configs.filter((config) => getConfigRoles(config).includes(name)).map((config) => config.name);
+}
+
+/**
+ * Counts the users holding each role: { <role name>: count }.
+ */
+async function countUsersByRole() {
+  const rows = await User.findAll({
+    attributes: ['role', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+    group: ['role'],
+    raw: true,
+  });
+  return Object.fromEntries(rows.map((row) => [row.role, Number(row.count)]));
+}
+
+/**
+ * Turns the users.role column of databases created before roles were
+ * stored in a table from a Postgres enum into a string column. Runs before
+ * User.sync, which can't cast the enum values itself.
+ */
+async function upgradeRoleColumn() {
+  const queryInterface = sequelize.getQueryInterface();
+  if (sequelize.getDialect() !== 'postgres' || !(await queryInterface.tableExists('users'))) return;
+
+  const columns = await queryInterface.describeTable('users');
+  if (!columns.role || columns.role.type !== 'USER-DEFINED') return;
+
+  await sequelize.transaction(async (transaction) => {
+    await sequelize.query('ALTER TABLE "users" ALTER COLUMN "role" DROP DEFAULT', { transaction });
+    await sequelize.query('ALTER TABLE "users" ALTER COLUMN "role" TYPE VARCHAR(50) USING "role"::text', { transaction });
+    await sequelize.query('DROP TYPE IF EXISTS "enum_users_role"', { transaction });
+  });
+  console.log('Converted users.role to a string column.');
+}
+
+/**
+ * Creates the default roles and every role that users hold or model configs
+ * name but that has no row yet (roles of data that predates
+ * the roles table).
+ */
+async function seedRoles(configs) {
+  const existing = new Set((await Role.findAll({ attributes: ['name'] })).map((role) => role.name));
+  const userRoles = await User.findAll({ attributes: ['role'], group: ['role'], raw: true });
+
+  const missing = new Map();
+  const add = (name, description = null) => {
+    if (!existing.has(name) && !missing.has(name)) missing.set(name, { name, description });
+  };
+  DEFAULT_ROLES.forEach((role) => add(role.name, role.description));
+  userRoles.forEach((row) => add(row.role));
+  configs.forEach((config) => getConfigRoles(config).forEach((name) => add(name)));
+
+  if (missing.size > 0) {
+    await Role.bulkCreate([...missing.values()]);
+    console.log(`Created roles: ${[...missing.keys()].join(', ')}`);
+  }
+}
+
+module.exports = {
+  PROTECTED_ROLES,
+  checkRole,
+  getConfigRoles,
+  renameRoleInConfig,
+  applyRoleRenames,
+  findModelsUsingRole,
+  countUsersByRole,
+  upgradeRoleColumn,
+  seedRoles,
+};
@@ -0,0 +1,90 @@
+const { getSearchableFields, parseSearch } = require('./listQuery');
+const { getAccess, getVisibleConfig, hideFields, scopeToOwner } = require('./permissions');
+
+const DEFAULT_HITS_PER_MODEL = 5;
+const MAX_HITS_PER_MODEL = 20;
+
+// Characters of context kept on each side of the first match in a highlight
+const SNIPPET_CONTEXT = 40;
+
+/**
+ * Returns where a field value contains the search text (ignoring case) as
+ * { field, text, matches }: a snippet around the first match, with the
+ * [start, end) offsets of every match within it. Returns null if it doesn't.
+ */
+function getHighlight(field, value, text) {
+  if (typeof value !== 'string') return null;
+  const first = value.toLowerCase().indexOf(text.toLowerCase());
+  if (first === -1) return null;
+
+  const start = Math.max(0, first - SNIPPET_CONTEXT);
+  const end = Math.min(value.length, first + text.length + SNIPPET_CONTEXT);
+  const snippet = value.slice(start, end);
+
+  const matches = [];
+  const haystack = snippet.toLowerCase();
+  const needle = text.toLowerCase();
+  for (let at = haystack.indexOf(needle); at !== -1; at = haystack.indexOf(needle, at + needle.length)) {
+    matches.push([at, at + needle.length]);
+  }
+  return {
+    field,
+    text: `${start > 0 ? '…' : ''}${snippet}${end < value.length ? '…' : ''}`,
+    matches: start > 0 ? matches.map(([from, to]) => [from + 1, to + 1]) : matches,
+  };
+}
+
+/**
+ * Returns a record's label: its first visible text field, or its id.
+ */
+function getLabel(modelConfig, values) {
+  const field = modelConfig.fields.find((f) => f.type === 'string' && values[f.name]);
+  return field ? String(values[field.name]) : `#${values.id}`;
+}
+
+/**
+ * Searches every model the user may read and that has searchable fields
+ * they can see. `models` is a list of { config, model, slug }. Resolves to
+ * one group per model with hits: { model, slug, total, hits }, where each
+ * hit is { id, label, highlights }.
+ */
+async function searchModels(models, user, text, limit = DEFAULT_HITS_PER_MODEL) {
+  const sorted = [...models].sort((a, b) => a.config.name.localeCompare(b.config.name));
+  const groups = [];
+
+  for (const { config, model, slug } of sorted) {
+    const access = getAccess(config, user, 'read');
+    const visibleConfig = access && getVisibleConfig(config, user);
+    if (!visibleConfig || getSearchableFields(visibleConfig).length === 0) continue;
+
+    const { rows, count } = await model.findAndCountAll({
+      where: scopeToOwner(config, { user, ownedOnly: access.ownedOnly }, parseSearch(visibleConfig, text)),
+      order: [['updatedAt', 'DESC'], ['id', 'DESC']],
+      limit,
+    });
+    if (count === 0) continue;
+
+    const fields = getSearchableFields(visibleConfig);
+    groups.push({
+      model: config.name,
+      slug,
+      total: count,
+      hits: rows.map((row) => {
+        const values = hideFields(config, user, row.toJSON());
+        return {
+          id: values.id,
+          label: getLabel(visibleConfig, values),
+          highlights: fields.map((f) => getHighlight(f.name, values[f.name], text)).filter(Boolean),
+        };
+      }),
+    });
+  }
+  return groups;
+}
+
+module.exports = {
+  DEFAULT_HITS_PER_MODEL,
+  MAX_HITS_PER_MODEL,
+  getHighlight,
+  searchModels,
+};
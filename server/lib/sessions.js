@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { ApiError } = require('./errors');
+const { UUID_PATTERN, hashToken, accountPending } = require('./accounts');
+
+// Access tokens are short-lived JWTs (ACCESS_TOKEN_TTL, a jsonwebtoken
+// duration); the refresh token renews them for REFRESH_TOKEN_DAYS after its
+// last use
+const getAccessTokenTtl = () => process.env.ACCESS_TOKEN_TTL || '15m';
+const getRefreshTokenDays = () => Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+const refreshExpiry = () => new Date(Date.now() + getRefreshTokenDays() * 24 * 60 * 60 * 1000);
+
+const invalidRefreshToken = (message = 'Invalid or expired refresh token. Log in again.') => (
+  new ApiError(401, 'INVALID_REFRESH_TOKEN', message)
+);
+
+/**
+ * Signs an access token for a user and session, and makes a new refresh
+ * token secret. Returns { token, refreshToken, tokenHash }.
+ */
+function issueTokens(sessionId, user) {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const token = jwt.sign(
+    { id: user.id, username: user.username, role: user.role, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: getAccessTokenTtl() }
+  );
+  return { token, refreshToken: `${sessionId}.${secret}`, tokenHash: hashToken(secret) };
+}
+
+/**
+ * Starts a session for a user who just logged in. Resolves to
+ * { token, refreshToken }.
+ */
+async function createSession(user, userAgent = null) {
+  // Ended sessions are only kept until the user logs in again
+  await Session.destroy({
+    where: { userId: user.id, [Op.or]: [{ revokedAt: { [Op.ne]: null } }, { expiresAt: { [Op.lte]: new Date() } }] },
+  });
+
+  const id = crypto.randomUUID();
+  const { token, refreshToken, tokenHash } = issueTokens(id, user);
+  await Session.create({
+    id,
+    userId: user.id,
+    tokenHash,
+    userAgent: userAgent ? userAgent.slice(0, 255) : null,
+    expiresAt: refreshExpiry(),
+    lastUsedAt: new Date(),
+  });
+  return { token, refreshToken };
+}
+
+/**
+ * Finds the live session a refresh token belongs to, or null. Doesn't check
+ * the token's secret.
+ */
+async function findRefreshSession(refreshToken) {
+  const [id, secret] = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+  if (!UUID_PATTERN.test(id || '') || !secret) return null;
+
+  const session = await Session.findOne({
+    where: { id, revokedAt: null, expiresAt: { [Op.gt]: new Date() } },
+  });
+  return session && { session, secret };
+}
+
+/**
+ * Trades a refresh token for a new access token and refresh token. The old
+ * refresh token stops working; presenting it again ends the session, since
+ * someone else may hold a copy.
+ */
+async function refreshSession(refreshToken) {
+  const found = await findRefreshSession(refreshToken);
+  if (!found) throw invalidRefreshToken();
+  const { session, secret } = found;
+
+  const reused = () => invalidRefreshToken('This refresh token was already used, so its session has been ended. Log in again.');
+  if (hashToken(secret) !== session.tokenHash) {
+    await session.update({ revokedAt: new Date() });
+    throw reused();
+  }
+
+  const user = await User.findByPk(session.userId, { attributes: ['id', 'username', 'role', 'status'] });
+  if (!user) throw invalidRefreshToken();
+  if (user.status !== 'active') throw accountPending();
+
+  const { token, refreshToken: next, tokenHash } = issueTokens(session.id, user);
+  // Only the first of two concurrent refreshes with the same token wins
+  const [updated] = await Session.update(
+    { tokenHash, expiresAt: refreshExpiry(), lastUsedAt: new Date() },
+    { where: { id: session.id, tokenHash: session.tokenHash, revokedAt: null } }
+  );
+  if (updated !== 1) {
+    await revokeSessions({ id: session.id });
+    throw reused();
+  }
+  return { token, refreshToken: next };
+}
+
+/**
+ * Ends the session of a refresh token, if it's still live.
+ */
+async function endSession(refreshToken) {
+  const found = await findRefreshSession(refreshToken);
+  if (found && hashToken(found.secret) === found.session.tokenHash) {
+    await found.session.update({ revokedAt: new Date() });
+  }
+}
+
+/**
+ * Ends the live sessions matching a where clause (e.g. { userId }).
+ */
+async function revokeSessions(where) {
+  await Session.update({ revokedAt: new Date() }, { where: { ...where, revokedAt: null } });
+}
+
+/**
+ * Tells whether the session an access token was issued for is still live.
+ */
+async function isSessionLive(sessionId, userId) {
+  if (!UUID_PATTERN.test(sessionId || '')) return false;
+  return (await Session.count({ where: { id: sessionId, userId, revokedAt: null } })) > 0;
+}
+
+module.exports = {
+  createSession,
+  refreshSession,
+  endSession,
+  revokeSessions,
+  isSessionLive,
+};
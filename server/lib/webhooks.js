@@ -0,0 +1,301 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { rootTransaction } = require('../db');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { ApiError } = require('./errors');
+
+const WEBHOOK_EVENTS = ['created', 'updated', 'deleted'];
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+// Failed deliveries are retried after 30 s, 1 min, 2 min, ... (about 1 h
+// before the last attempt), then marked failed
+const MAX_ATTEMPTS = 8;
+const RETRY_BASE_MS = 30 * 1000;
+
+const POLL_INTERVAL_MS = 5 * 1000;
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+const DELIVERY_BATCH_SIZE = 20;
+const MAX_RESPONSE_BODY = 2000;
+// How long an engine reuses the active webhooks it loaded. Its own changes
+// drop them right away; those made elsewhere (another server or engine on
+// the database) apply after at most this long.
+const WEBHOOK_CACHE_MS = 5 * 1000;
+
+/**
+ * Generates a signing secret for a webhook that didn't bring its own.
+ */
+function generateSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Signs a delivery: HMAC-SHA256 of `<timestamp>.<body>` with the webhook's
+ * secret, hex encoded. Receivers recompute it to verify the sender and
+ * reject old timestamps to stop replays.
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Checks a webhook definition. Returns an ApiError describing the problems,
+ * or null. `lookupConfig(name)` returns the config of a registered model.
+ */
+function checkWebhook(webhook, lookupConfig) {
+  const errors = {};
+  if (typeof webhook.modelName !== 'string' || !lookupConfig(webhook.modelName)) {
+    errors.modelName = 'Choose a published model.';
+  }
+  if (!Array.isArray(webhook.events) || webhook.events.length === 0
+    || webhook.events.some((event) => !WEBHOOK_EVENTS.includes(event))) {
+    errors.events = `Choose one or more of: ${WEBHOOK_EVENTS.join(', ')}.`;
+  }
+  let url = null;
+  try {
+    url = new URL(webhook.url);
+  } catch {
+    // Reported below
+  }
+  if (!url || !['http:', 'https:'].includes(url.protocol)) {
+    errors.url = 'Must be an http or https URL.';
+  }
+  if (typeof webhook.secret !== 'string' || webhook.secret.length < 16) {
+    errors.secret = 'Must be at least 16 characters long.';
+  }
+  if (typeof webhook.active !== 'boolean') errors.active = 'Must be true or false.';
+
+  if (Object.keys(errors).length === 0) return null;
+  return new ApiError(400, 'VALIDATION_ERROR', Object.values(errors).join(' '), errors);
+}
+
+/**
+ * POSTs one delivery and records the outcome: succeeded on a 2xx answer,
+ * otherwise rescheduled with exponential backoff until MAX_ATTEMPTS.
+ */
+async function attemptDelivery(delivery, webhook) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  let responseStatus = null;
+  let responseBody = null;
+  let error = null;
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Dynamic-CRUD-Webhooks/1.0',
+        'X-Webhook-Id': delivery.eventId,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`,
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+    });
+    responseStatus = response.status;
+    responseBody = (await response.text()).slice(0, MAX_RESPONSE_BODY);
+    if (!response.ok) error = `The receiver answered ${response.status}.`;
+  } catch (e) {
+    error = e.cause ? `${e.message}: ${e.cause.message}` : e.message;
+  }
+
+  const attempts = delivery.attempts + 1;
+  const now = new Date();
+  let outcome;
+  if (!error) {
+    outcome = { status: 'succeeded', deliveredAt: now, nextAttemptAt: null };
+  } else if (attempts >= MAX_ATTEMPTS) {
+    outcome = { status: 'failed', nextAttemptAt: null };
+  } else {
+    outcome = { status: 'pending', nextAttemptAt: new Date(now.getTime() + RETRY_BASE_MS * 2 ** (attempts - 1)) };
+  }
+  await delivery.update({ ...outcome, attempts, lastAttemptAt: now, responseStatus, responseBody, error });
+}
+
+/**
+ * Claims a due delivery by moving its next attempt past the delivery
+ * timeout, so it's tried again if the process stops mid-attempt. Resolves
+ * to false if another engine (or server) going over the same queue claimed
+ * it first.
+ */
+async function claimDelivery(delivery) {
+  const [claimed] = await WebhookDelivery.update(
+    { nextAttemptAt: new Date(Date.now() + 2 * DELIVERY_TIMEOUT_MS) },
+    { where: { id: delivery.id, status: 'pending', nextAttemptAt: { [Op.lte]: new Date() } } }
+  );
+  return claimed === 1;
+}
+
+/**
+ * Sends every due delivery of an active webhook, a batch at a time.
+ */
+async function drainQueue() {
+  for (;;) {
+    const webhooks = await Webhook.findAll({ where: { active: true } });
+    if (webhooks.length === 0) return;
+    const byId = new Map(webhooks.map((w) => [w.id, w]));
+
+    const due = await WebhookDelivery.findAll({
+      where: {
+        status: 'pending',
+        nextAttemptAt: { [Op.lte]: new Date() },
+        webhookId: [...byId.keys()],
+      },
+      order: [['nextAttemptAt', 'ASC'], ['id', 'ASC']],
+      limit: DELIVERY_BATCH_SIZE,
+    });
+    for (const delivery of due) {
+      if (await claimDelivery(delivery)) await attemptDelivery(delivery, byId.get(delivery.webhookId));
+    }
+    if (due.length < DELIVERY_BATCH_SIZE) return;
+  }
+}
+
+/**
+ * Creates the webhook queue of an engine: it queues deliveries of record
+ * events and sends them. Each engine has its own cache of active webhooks
+ * and its own worker.
+ */
+function createWebhookQueue() {
+  // Active webhooks, loaded on first use and dropped whenever they change or
+  // WEBHOOK_CACHE_MS after loading
+  let activeWebhooks = null;
+  let loadedAt = 0;
+  // The running pass over the queue, if any
+  let draining = null;
+  let drainAgain = false;
+
+  /**
+   * Drops the cached webhooks after one was created, changed or deleted.
+   */
+  function invalidateWebhooks() {
+    activeWebhooks = null;
+  }
+
+  /**
+   * Queues the deliveries of a record event to every active webhook of the
+   * model that wants it, in the transaction of the change. Delivery starts
+   * once the transaction commits; a rolled back change sends nothing.
+   */
+  async function enqueueWebhooks({ modelName, event, recordId, record, previous }, transaction) {
+    if (!activeWebhooks || Date.now() - loadedAt > WEBHOOK_CACHE_MS) {
+      activeWebhooks = await Webhook.findAll({ where: { active: true }, transaction });
+      loadedAt = Date.now();
+    }
+    const webhooks = activeWebhooks.filter((w) => w.modelName === modelName && w.events.includes(event));
+    if (webhooks.length === 0) return;
+
+    const eventId = crypto.randomUUID();
+    const payload = {
+      id: eventId,
+      event,
+      model: modelName,
+      recordId,
+      occurredAt: new Date().toISOString(),
+      data: record,
+    };
+    if (previous) payload.previous = previous;
+
+    await WebhookDelivery.bulkCreate(webhooks.map((webhook) => ({
+      webhookId: webhook.id,
+      eventId,
+      event,
+      modelName,
+      recordId,
+      payload,
+      nextAttemptAt: new Date(),
+    })), { transaction });
+    // Not awaited: the change's commit (and response) shouldn't wait for the receivers
+    rootTransaction(transaction).afterCommit(() => {
+      processDueDeliveries();
+    });
+  }
+
+  /**
+   * Queues a `ping` delivery to one webhook, to check that its receiver works.
+   */
+  async function enqueuePing(webhook) {
+    const eventId = crypto.randomUUID();
+    const delivery = await WebhookDelivery.create({
+      webhookId: webhook.id,
+      eventId,
+      event: 'ping',
+      modelName: webhook.modelName,
+      recordId: null,
+      payload: { id: eventId, event: 'ping', model: webhook.modelName, occurredAt: new Date().toISOString() },
+      nextAttemptAt: new Date(),
+    });
+    processDueDeliveries();
+    return delivery;
+  }
+
+  /**
+   * Puts a delivery back in the queue with a fresh set of attempts.
+   */
+  async function redeliver(delivery) {
+    await delivery.update({
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: new Date(),
+      error: null,
+    });
+    processDueDeliveries();
+    return delivery;
+  }
+
+  /**
+   * Runs the delivery queue. Calls made while it runs make it go over the
+   * queue once more instead of running twice at the same time. Resolves when
+   * the queue has been gone over.
+   */
+  function processDueDeliveries() {
+    if (draining) {
+      drainAgain = true;
+      return draining;
+    }
+    draining = (async () => {
+      try {
+        do {
+          drainAgain = false;
+          await drainQueue();
+        } while (drainAgain);
+      } catch (error) {
+        console.error('Webhook delivery failed:', error);
+      } finally {
+        draining = null;
+      }
+    })();
+    return draining;
+  }
+
+  /**
+   * Starts polling the queue, which picks up retries and any deliveries left
+   * over from before a restart. Returns a function that stops polling.
+   */
+  function startWebhookWorker() {
+    const timer = setInterval(processDueDeliveries, POLL_INTERVAL_MS).unref();
+    processDueDeliveries();
+    return () => clearInterval(timer);
+  }
+
+  return {
+    invalidateWebhooks,
+    enqueueWebhooks,
+    enqueuePing,
+    redeliver,
+    processDueDeliveries,
+    startWebhookWorker,
+  };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUSES,
+  generateSecret,
+  signPayload,
+  checkWebhook,
+  createWebhookQueue,
+};
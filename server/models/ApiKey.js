@@ -0,0 +1,46 @@
+const { sequelize, Sequelize } = require('../db');
+
+// A key of a service account, sent as the X-API-Key header. Only a hash of
+// the key is kept; the key itself is shown once, when it's created.
+const ApiKey = sequelize.define('api_key', {
+  serviceAccountId: {
+    type: Sequelize.UUID,
+    allowNull: false,
+  },
+  name: {
+    type: Sequelize.STRING,
+    allowNull: false,
+  },
+  prefix: {
+    type: Sequelize.STRING(16),
+    allowNull: false, // The key's first characters, to tell keys apart
+  },
+  keyHash: {
+    type: Sequelize.STRING(64),
+    allowNull: false,
+    unique: true,
+  },
+  scopes: {
+    type: Sequelize.JSON,
+    allowNull: false, // { <model name or '*'>: [actions] }
+  },
+  expiresAt: {
+    type: Sequelize.DATE,
+    allowNull: true, // null: never expires
+  },
+  lastUsedAt: {
+    type: Sequelize.DATE,
+    allowNull: true,
+  },
+  revokedAt: {
+    type: Sequelize.DATE,
+    allowNull: true,
+  },
+}, {
+  indexes: [{ fields: ['serviceAccountId'] }],
+  defaultScope: {
+    attributes: { exclude: ['keyHash'] },
+  },
+});
+
+module.exports = ApiKey;
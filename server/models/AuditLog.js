@@ -0,0 +1,39 @@
+const { sequelize, Sequelize } = require('../db');
+
+// One row per create/update/delete done through the generated CRUD routes.
+// `changes` maps each changed field to { before, after }.
+const AuditLog = sequelize.define('audit_log', {
+  modelName: {
+    type: Sequelize.STRING,
+    allowNull: false,
+  },
+  recordId: {
+    type: Sequelize.INTEGER,
+    allowNull: false,
+  },
+  action: {
+    type: Sequelize.STRING,
+    allowNull: false,
+  },
+  userId: {
+    type: Sequelize.UUID,
+    allowNull: true,
+  },
+  username: {
+    type: Sequelize.STRING,
+    allowNull: true,
+  },
+  changes: {
+    type: Sequelize.JSON,
+    allowNull: false,
+  },
+}, {
+  updatedAt: false, // Entries are never changed
+  indexes: [
+    { fields: ['modelName', 'recordId'] },
+    { fields: ['userId'] },
+    { fields: ['createdAt'] },
+  ],
+});
+
+module.exports = AuditLog;
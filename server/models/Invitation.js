@@ -0,0 +1,41 @@
+const { sequelize, Sequelize } = require('../db');
+
+// An admin-issued, single-use signup link. Only a hash of its token is
+// kept; the token itself is shown once, when the invitation is created.
+const Invitation = sequelize.define('invitation', {
+  tokenHash: {
+    type: Sequelize.STRING(64),
+    allowNull: false,
+    unique: true,
+  },
+  role: {
+    type: Sequelize.STRING(50),
+    allowNull: false, // The role the new account gets
+  },
+  note: {
+    type: Sequelize.STRING,
+    allowNull: true,
+  },
+  invitedBy: {
+    type: Sequelize.STRING,
+    allowNull: true,
+  },
+  expiresAt: {
+    type: Sequelize.DATE,
+    allowNull: false,
+  },
+  acceptedAt: {
+    type: Sequelize.DATE,
+    allowNull: true,
+  },
+  acceptedBy: {
+    type: Sequelize.STRING,
+    allowNull: true, // Username of the account created with it
+  },
+}, {
+  defaultScope: {
+    attributes: { exclude: ['tokenHash'] },
+  },
+});
+
+module.exports = Invitation;
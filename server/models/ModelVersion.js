@@ -0,0 +1,29 @@
+const { sequelize, Sequelize } = require('../db');
+
+// Every published revision of a dynamic model's config
+const ModelVersion = sequelize.define('model_version', {
+  modelName: {
+    type: Sequelize.STRING,
+    allowNull: false,
+  },
+  version: {
+    type: Sequelize.INTEGER,
+    allowNull: false,
+  },
+  config: {
+    type: Sequelize.JSON,
+    allowNull: false,
+  },
+  authorId: {
+    type: Sequelize.UUID,
+    allowNull: true,
+  },
+  author: {
+    type: Sequelize.STRING,
+    allowNull: true, // null for revisions imported from models-config on startup
+  },
+}, {
+  indexes: [{ unique: true, fields: ['modelName', 'version'] }],
+});
+
+module.exports = ModelVersion;
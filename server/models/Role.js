@@ -0,0 +1,17 @@
+const { sequelize, Sequelize } = require('../db');
+
+// A role users hold and model configs grant permissions to (the keys of
+// `rbac`). Users and configs refer to it by name.
+const Role = sequelize.define('role', {
+  name: {
+    type: Sequelize.STRING(50),
+    allowNull: false,
+    unique: true,
+  },
+  description: {
+    type: Sequelize.STRING,
+    allowNull: true,
+  },
+});
+
+module.exports = Role;
@@ -0,0 +1,16 @@
+const { sequelize, Sequelize } = require('../db');
+
+// One row per role rename, so revisions of model configs saved before it
+// can be rolled back with the new name
+const RoleRename = sequelize.define('role_rename', {
+  from: {
+    type: Sequelize.STRING(50),
+    allowNull: false,
+  },
+  to: {
+    type: Sequelize.STRING(50),
+    allowNull: false,
+  },
+});
+
+module.exports = RoleRename;
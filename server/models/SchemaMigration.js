@@ -0,0 +1,21 @@
+const { sequelize, Sequelize } = require('../db');
+
+// One row per applied migration of a dynamic model. `steps` holds the plain
+// JSON steps from lib/migrations.js, so the history can be replayed in order
+// to rebuild the same schema on another database.
+const SchemaMigration = sequelize.define('schema_migration', {
+  modelName: {
+    type: Sequelize.STRING,
+    allowNull: false,
+  },
+  steps: {
+    type: Sequelize.JSON,
+    allowNull: false,
+  },
+  appliedBy: {
+    type: Sequelize.STRING,
+    allowNull: true,
+  },
+});
+
+module.exports = SchemaMigration;
@@ -0,0 +1,26 @@
+const { sequelize, Sequelize } = require('../db');
+
+// A non-human caller of the model APIs (a batch job, another service). It
+// holds a role like a user and authenticates with its API keys.
+const ServiceAccount = sequelize.define('service_account', {
+  id: {
+    type: Sequelize.UUID,
+    defaultValue: Sequelize.UUIDV4,
+    primaryKey: true, // Used as the owner of the records it creates
+  },
+  name: {
+    type: Sequelize.STRING(50),
+    allowNull: false,
+    unique: true,
+  },
+  description: {
+    type: Sequelize.STRING,
+    allowNull: true,
+  },
+  role: {
+    type: Sequelize.STRING(50),
+    allowNull: false, // Name of a row in the roles table
+  },
+});
+
+module.exports = ServiceAccount;
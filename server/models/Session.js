@@ -0,0 +1,38 @@
+const { sequelize, Sequelize } = require('../db');
+
+// A login: the refresh token that renews its access tokens. Refresh tokens
+// are '<session id>.<secret>' and only a hash of the latest secret is kept,
+// so an older one showing up again means it was copied.
+const Session = sequelize.define('session', {
+  id: {
+    type: Sequelize.UUID,
+    defaultValue: Sequelize.UUIDV4,
+    primaryKey: true,
+  },
+  userId: {
+    type: Sequelize.UUID,
+    allowNull: false,
+  },
+  tokenHash: {
+    type: Sequelize.STRING(64),
+    allowNull: false,
+  },
+  userAgent: {
+    type: Sequelize.STRING,
+    allowNull: true,
+  },
+  expiresAt: {
+    type: Sequelize.DATE,
+    allowNull: false, // Moves forward on every refresh
+  },
+  lastUsedAt: {
+    type: Sequelize.DATE,
+    allowNull: true,
+  },
+  revokedAt: {
+    type: Sequelize.DATE,
+    allowNull: true, // Set on logout, password changes and token reuse
+  },
+});
+
+module.exports = Session;
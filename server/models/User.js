@@ -17,10 +17,23 @@ const User = sequelize.define('user', {
     allowNull: false,
   },
   role: {
-    type: Sequelize.ENUM('Admin', 'Manager', 'Viewer'),
-    allowNull: false,
+    type: Sequelize.STRING(50),
+    allowNull: false, // Name of a row in the roles table
     defaultValue: 'Viewer',
   },
+  status: {
+    type: Sequelize.STRING(20),
+    allowNull: false,
+    defaultValue: 'active', // 'pending' until an admin approves a public signup
+  },
+  resetTokenHash: {
+    type: Sequelize.STRING(64),
+    allowNull: true, // Hash of the password reset token an admin issued
+  },
+  resetExpiresAt: {
+    type: Sequelize.DATE,
+    allowNull: true,
+  },
 });
 
 // Hash password before saving
@@ -30,6 +43,12 @@ User.beforeCreate(async (user) => {
   }
 });
 
+User.beforeUpdate(async (user) => {
+  if (user.changed('password')) {
+    user.password = await bcrypt.hash(user.password, 10);
+  }
+});
+
 // Method to compare password
 User.prototype.isValidPassword = async function (password) {
   return await bcrypt.compare(password, this.password);
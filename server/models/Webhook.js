@@ -0,0 +1,35 @@
+const { sequelize, Sequelize } = require('../db');
+
+// An admin-registered URL that is POSTed record events of one model.
+// `events` lists the events it wants (created, updated, deleted).
+const Webhook = sequelize.define('webhook', {
+  modelName: {
+    type: Sequelize.STRING,
+    allowNull: false,
+  },
+  events: {
+    type: Sequelize.JSON,
+    allowNull: false,
+  },
+  url: {
+    type: Sequelize.STRING(2048),
+    allowNull: false,
+  },
+  secret: {
+    type: Sequelize.STRING,
+    allowNull: false, // Signs every delivery (HMAC-SHA256)
+  },
+  active: {
+    type: Sequelize.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+  },
+  description: {
+    type: Sequelize.STRING,
+    allowNull: true,
+  },
+}, {
+  indexes: [{ fields: ['modelName'] }],
+});
+
+module.exports = Webhook;
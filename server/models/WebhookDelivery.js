@@ -0,0 +1,72 @@
+const { sequelize, Sequelize } = require('../db');
+
+// The delivery queue and log of webhooks: one row per event sent to a
+// webhook, kept after it succeeds or gives up. Rows are written in the
+// transaction of the record change, so a change always has its deliveries.
+const WebhookDelivery = sequelize.define('webhook_delivery', {
+  webhookId: {
+    type: Sequelize.INTEGER,
+    allowNull: false,
+  },
+  eventId: {
+    type: Sequelize.UUID,
+    allowNull: false, // Shared by the deliveries of one event to several webhooks
+  },
+  event: {
+    type: Sequelize.STRING,
+    allowNull: false,
+  },
+  modelName: {
+    type: Sequelize.STRING,
+    allowNull: false,
+  },
+  recordId: {
+    type: Sequelize.INTEGER,
+    allowNull: true, // null for pings
+  },
+  payload: {
+    type: Sequelize.JSON,
+    allowNull: false,
+  },
+  status: {
+    type: Sequelize.STRING,
+    allowNull: false,
+    defaultValue: 'pending', // pending, succeeded or failed
+  },
+  attempts: {
+    type: Sequelize.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  nextAttemptAt: {
+    type: Sequelize.DATE,
+    allowNull: true,
+  },
+  lastAttemptAt: {
+    type: Sequelize.DATE,
+    allowNull: true,
+  },
+  responseStatus: {
+    type: Sequelize.INTEGER,
+    allowNull: true,
+  },
+  responseBody: {
+    type: Sequelize.TEXT,
+    allowNull: true,
+  },
+  error: {
+    type: Sequelize.TEXT,
+    allowNull: true,
+  },
+  deliveredAt: {
+    type: Sequelize.DATE,
+    allowNull: true,
+  },
+}, {
+  indexes: [
+    { fields: ['status', 'nextAttemptAt'] },
+    { fields: ['webhookId', 'createdAt'] },
+  ],
+});
+
+module.exports = WebhookDelivery;
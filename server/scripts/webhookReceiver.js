@@ -0,0 +1,61 @@
+// A local webhook receiver for trying out deliveries. It logs every request,
+// checks its signature when WEBHOOK_SECRET is set, and answers 200 (or the
+// status in RESPOND_WITH, to test retries).
+//
+//   WEBHOOK_SECRET=<secret> node scripts/webhookReceiver.js
+//
+// then register http://localhost:4000/ as a webhook URL. The tests start it
+// through createReceiver.
+const http = require('http');
+const { signPayload } = require('../lib/webhooks');
+
+const MAX_AGE_SECONDS = 5 * 60;
+
+/**
+ * Checks a delivery's signature. Returns 'valid', 'valid but too old',
+ * 'INVALID' or, without a secret, 'not checked (no WEBHOOK_SECRET)'.
+ */
+function checkSignature(secret, headers, body) {
+  if (!secret) return 'not checked (no WEBHOOK_SECRET)';
+  const timestamp = headers['x-webhook-timestamp'];
+  const expected = `sha256=${signPayload(secret, timestamp, body)}`;
+  if (headers['x-webhook-signature'] !== expected) return 'INVALID';
+  const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+  return age > MAX_AGE_SECONDS ? 'valid but too old' : 'valid';
+}
+
+/**
+ * Creates the receiver's (not yet listening) HTTP server. Every request is
+ * passed to `onDelivery({ headers, body, verdict })` and answered with the
+ * status `respondWith()` returns.
+ */
+function createReceiver({ secret = null, respondWith = () => 200, onDelivery = () => {} } = {}) {
+  return http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      onDelivery({ headers: req.headers, body, verdict: checkSignature(secret, req.headers, body) });
+      const status = respondWith();
+      res.writeHead(status, { 'Content-Type': 'text/plain' });
+      res.end(status < 300 ? 'ok' : 'failing on purpose');
+    });
+  });
+}
+
+if (require.main === module) {
+  const PORT = process.env.RECEIVER_PORT || 4000;
+  const RESPOND_WITH = Number(process.env.RESPOND_WITH) || 200;
+
+  createReceiver({
+    secret: process.env.WEBHOOK_SECRET,
+    respondWith: () => RESPOND_WITH,
+    onDelivery: ({ headers, body, verdict }) => {
+      console.log(`${new Date().toISOString()} event=${headers['x-webhook-event']} signature ${verdict}`);
+      console.log(body);
+    },
+  }).listen(PORT, () => {
+    console.log(`Webhook receiver listening on http://localhost:${PORT}/ (answering ${RESPOND_WITH})`);
+  });
+}
+
+module.exports = { createReceiver, checkSignature };
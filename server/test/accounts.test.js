@@ -0,0 +1,140 @@
+const { test, describe, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, login } = require('./helpers');
+const User = require('../models/User');
+
+describe('first admin from the environment', () => {
+  let server;
+
+  afterEach(async () => {
+    await server.close();
+    delete process.env.ADMIN_USERNAME;
+    delete process.env.ADMIN_PASSWORD;
+  });
+
+  const logIn = (username, password) => server.request('POST', '/auth/login', { body: { username, password } });
+
+  test('promotes an existing account with the configured password', async () => {
+    await User.sync(); // Before the engine starts and bootstraps
+    await User.create({ username: 'boss', password: 'their-own-password', role: 'Viewer', status: 'pending' });
+    process.env.ADMIN_USERNAME = 'boss';
+    process.env.ADMIN_PASSWORD = 'operator-password';
+    server = await startServer();
+
+    assert.equal((await logIn('boss', 'their-own-password')).status, 400);
+    const { status, body } = await logIn('boss', 'operator-password');
+    assert.equal(status, 200);
+    const { body: me } = await server.request('GET', '/auth/me', { token: body.token });
+    assert.equal(me.role, 'Admin');
+    assert.equal((await User.findOne({ where: { username: 'boss' } })).status, 'active');
+  });
+
+  test('creates it while there is no active Admin', async () => {
+    await User.destroy({ where: { username: 'boss' } });
+    process.env.ADMIN_USERNAME = 'root';
+    process.env.ADMIN_PASSWORD = 'root-password';
+    server = await startServer();
+
+    const { status, body } = await logIn('root', 'root-password');
+    assert.equal(status, 200);
+    assert.equal((await server.request('GET', '/auth/me', { token: body.token })).body.role, 'Admin');
+  });
+
+  test('leaves the accounts alone once there is an Admin', async () => {
+    process.env.ADMIN_USERNAME = 'root';
+    process.env.ADMIN_PASSWORD = 'another-password';
+    server = await startServer();
+
+    assert.equal((await logIn('root', 'another-password')).status, 400);
+    assert.equal((await logIn('root', 'root-password')).status, 200);
+  });
+});
+
+describe('setup, signup and invitations', () => {
+  let server;
+  let adminToken;
+
+  before(async () => {
+    await User.destroy({ where: {} }); // Start without an admin
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server.close();
+    delete process.env.SIGNUP_MODE;
+  });
+
+  const signup = (body) => server.request('POST', '/auth/signup', { body: { password: 'password1', ...body } });
+
+  test('creates the first admin once', async () => {
+    assert.deepEqual((await server.request('GET', '/auth/setup')).body, { needed: true, signupMode: 'approval' });
+    const { status, body } = await server.request('POST', '/auth/setup', { body: { username: 'first', password: 'short' } });
+    assert.equal(status, 400);
+    assert.deepEqual(body.errors, { password: 'Must be at least 8 characters.' });
+
+    const created = await server.request('POST', '/auth/setup', { body: { username: 'first', password: 'password1' } });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.role, 'Admin');
+    ({ token: adminToken } = await login(server, 'first'));
+
+    const again = await server.request('POST', '/auth/setup', { body: { username: 'second', password: 'password1' } });
+    assert.equal(again.status, 409);
+    assert.equal(again.body.code, 'SETUP_DONE');
+    assert.equal((await server.request('GET', '/auth/setup')).body.needed, false);
+  });
+
+  test('keeps signups pending until an admin approves them', async () => {
+    const { status, body: user } = await signup({ username: 'newbie' });
+    assert.equal(status, 201);
+    assert.deepEqual([user.role, user.status], ['Viewer', 'pending']);
+
+    const pending = await server.request('POST', '/auth/login', { body: { username: 'newbie', password: 'password1' } });
+    assert.equal(pending.status, 403);
+    assert.equal(pending.body.code, 'ACCOUNT_PENDING');
+
+    const { body: waiting } = await server.request('GET', '/api/users?status=pending', { token: adminToken });
+    assert.deepEqual(waiting.map((u) => u.username), ['newbie']);
+    const approved = await server.request('PUT', `/api/users/${user.id}`, { token: adminToken, body: { status: 'active' } });
+    assert.equal(approved.status, 200);
+    assert.ok((await login(server, 'newbie')).token);
+  });
+
+  test('follows SIGNUP_MODE', async () => {
+    process.env.SIGNUP_MODE = 'open';
+    assert.equal((await signup({ username: 'walkin' })).body.status, 'active');
+
+    process.env.SIGNUP_MODE = 'closed';
+    const { status, body } = await signup({ username: 'stranger' });
+    assert.equal(status, 403);
+    assert.equal(body.code, 'SIGNUP_DISABLED');
+    assert.equal((await server.request('GET', '/auth/setup')).body.signupMode, 'closed');
+  });
+
+  test("signs invited users up with the invitation's role, once", async () => {
+    const invite = (body) => server.request('POST', '/api/invitations', { token: adminToken, body });
+    assert.equal((await invite({ role: 'Wizard' })).status, 400);
+    assert.equal((await invite({ role: 'Manager', expiresInDays: 365 })).status, 400);
+
+    const { status, body: invitation } = await invite({ role: 'Manager', note: 'For Sam' });
+    assert.equal(status, 201);
+    assert.equal((await server.request('GET', `/auth/invitations/${invitation.token}`)).body.role, 'Manager');
+
+    // Even with signup closed
+    const { body: user } = await signup({ username: 'sam', invitation: invitation.token });
+    assert.deepEqual([user.role, user.status], ['Manager', 'active']);
+
+    const reused = await signup({ username: 'sam2', invitation: invitation.token });
+    assert.equal(reused.status, 400);
+    assert.equal(reused.body.code, 'INVALID_INVITATION');
+    assert.equal((await server.request('GET', `/auth/invitations/${invitation.token}`)).status, 400);
+    assert.equal((await signup({ username: 'sam3', invitation: 'made-up' })).body.code, 'INVALID_INVITATION');
+  });
+
+  test('keeps admins from changing their own account', async () => {
+    const { body: me } = await server.request('GET', '/auth/me', { token: adminToken });
+    const { status, body } = await server.request('PUT', `/api/users/${me.id}`, { token: adminToken, body: { role: 'Viewer' } });
+    assert.equal(status, 409);
+    assert.equal(body.code, 'OWN_ACCOUNT');
+    assert.equal((await server.request('DELETE', `/api/users/${me.id}`, { token: adminToken })).body.code, 'OWN_ACCOUNT');
+  });
+});
@@ -0,0 +1,115 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser, login } = require('./helpers');
+const { checkApiKey } = require('../lib/apiKeys');
+const ApiKey = require('../models/ApiKey');
+
+describe('checkApiKey', () => {
+  test('checks names, scopes and expiry', () => {
+    assert.equal(checkApiKey({ name: 'sync', scopes: { Note: ['read'], '*': ['all'] } }, ['Note']), null);
+
+    const problems = (request) => Object.keys(checkApiKey(request, ['Note']).errors);
+    assert.deepEqual(problems({ name: '', scopes: { Note: ['read'] } }), ['name']);
+    assert.deepEqual(problems({ name: 'sync', scopes: {} }), ['scopes']);
+    assert.deepEqual(problems({ name: 'sync', scopes: { Task: ['read'] } }), ['scopes']);
+    assert.deepEqual(problems({ name: 'sync', scopes: { Note: ['read:own'] } }), ['scopes']);
+    assert.deepEqual(problems({ name: 'sync', scopes: { Note: ['read'] }, expiresInDays: 0 }), ['expiresInDays']);
+  });
+});
+
+describe('API keys', () => {
+  let server;
+  let token;
+  let account;
+
+  before(async () => {
+    server = await startServer();
+    await createUser('admin', 'Admin');
+    ({ token } = await login(server, 'admin'));
+    for (const name of ['Note', 'Task']) {
+      await server.engine.publish({
+        name,
+        fields: [{ name: 'text', type: 'string' }],
+        rbac: { Admin: ['all'], Manager: ['read', 'create', 'update'] },
+      });
+    }
+    ({ body: account } = await server.request('POST', '/api/service-accounts', {
+      token,
+      body: { name: 'sync', role: 'Manager' },
+    }));
+  });
+
+  after(() => server.close());
+
+  const createKey = async (scopes, extra = {}) => {
+    const { status, body } = await server.request('POST', `/api/service-accounts/${account.id}/keys`, {
+      token,
+      body: { name: 'key', scopes, ...extra },
+    });
+    assert.equal(status, 201);
+    return body;
+  };
+  const call = (key, method, url, body) => server.request(method, url, { headers: { 'X-API-Key': key }, body });
+
+  test('allows only what both the scopes and the role grant', async () => {
+    const { key } = await createKey({ Note: ['read'] });
+    assert.equal((await call(key, 'GET', '/api/note')).status, 200);
+    assert.equal((await call(key, 'POST', '/api/note', { text: 'Hi' })).status, 403);
+    assert.equal((await call(key, 'GET', '/api/task')).status, 403);
+
+    const { key: wide } = await createKey({ '*': ['all'] });
+    const { status, body: note } = await call(wide, 'POST', '/api/note', { text: 'Hi' });
+    assert.equal(status, 201);
+    assert.equal((await call(wide, 'GET', '/api/task')).status, 200);
+    // The Manager role can't delete, whatever the key's scopes say
+    const denied = await call(wide, 'DELETE', `/api/note/${note.id}`);
+    assert.equal(denied.status, 403);
+    assert.match(denied.body.message, /API key of service:sync/);
+  });
+
+  test('only works with the model APIs', async () => {
+    const { key } = await createKey({ '*': ['all'] });
+    const { status, body } = await call(key, 'GET', '/auth/me');
+    assert.equal(status, 403);
+    assert.match(body.message, /only work with the model APIs/);
+    assert.equal((await call(key, 'GET', '/api/roles')).status, 403);
+  });
+
+  test('rejects unknown, expired and revoked keys', async () => {
+    assert.equal((await call('sk_not-a-key', 'GET', '/api/note')).status, 401);
+
+    const expiring = await createKey({ Note: ['read'] }, { expiresInDays: 1 });
+    await ApiKey.update({ expiresAt: new Date(Date.now() - 1000) }, { where: { id: expiring.id } });
+    const { status, body } = await call(expiring.key, 'GET', '/api/note');
+    assert.equal(status, 401);
+    assert.equal(body.code, 'INVALID_API_KEY');
+
+    const revoked = await createKey({ Note: ['read'] });
+    await server.request('DELETE', `/api/service-accounts/${account.id}/keys/${revoked.id}`, { token });
+    assert.equal((await call(revoked.key, 'GET', '/api/note')).status, 401);
+  });
+
+  test('rotates keys, with or without a grace period', async () => {
+    const rotate = (apiKey, graceHours) => server.request('POST', `/api/service-accounts/${account.id}/keys/${apiKey.id}/rotate`, {
+      token,
+      body: { graceHours },
+    });
+
+    const old = await createKey({ Note: ['read'] });
+    const { status, body: rotated } = await rotate(old, 0);
+    assert.equal(status, 201);
+    assert.deepEqual(rotated.scopes, { Note: ['read'] });
+    assert.equal((await call(old.key, 'GET', '/api/note')).status, 401);
+    assert.equal((await call(rotated.key, 'GET', '/api/note')).status, 200);
+    assert.equal((await rotate(old, 0)).body.code, 'KEY_REVOKED');
+
+    const graced = await createKey({ Note: ['read'] });
+    const { body: replacement } = await rotate(graced, 2);
+    assert.equal((await call(graced.key, 'GET', '/api/note')).status, 200);
+    assert.equal((await call(replacement.key, 'GET', '/api/note')).status, 200);
+    const { expiresAt } = await ApiKey.findByPk(graced.id);
+    assert.ok(Math.abs(expiresAt - Date.now() - 2 * 60 * 60 * 1000) < 60 * 1000);
+
+    assert.equal((await rotate(rotated, 200)).status, 400);
+  });
+});
@@ -0,0 +1,98 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Op } = require('sequelize');
+const { startServer, createUser, login } = require('./helpers');
+const { diffRecords, parseAuditQuery } = require('../lib/audit');
+const { QueryError } = require('../lib/listQuery');
+
+describe('diffRecords', () => {
+  test('lists the changed fields, ignoring ids and timestamps', () => {
+    const before = { id: 1, name: 'Ada', age: 36, createdAt: 1, updatedAt: 1 };
+    const after = { id: 1, name: 'Ada', age: 37, note: 'x', createdAt: 1, updatedAt: 2 };
+    assert.deepEqual(diffRecords(before, after), { age: { before: 36, after: 37 }, note: { before: null, after: 'x' } });
+    assert.deepEqual(diffRecords(null, { id: 2, name: 'Grace' }), { name: { before: null, after: 'Grace' } });
+    assert.deepEqual(diffRecords({ tags: [1, 2] }, { tags: [1, 2] }), {});
+  });
+});
+
+describe('parseAuditQuery', () => {
+  test('turns the filters into a where clause', () => {
+    const where = parseAuditQuery({ modelName: 'Note', recordId: '4', action: 'update', from: '2026-01-01' });
+    assert.equal(where.modelName, 'Note');
+    assert.equal(where.recordId, 4);
+    assert.equal(where.action, 'update');
+    assert.deepEqual(where.createdAt[Op.gte], new Date('2026-01-01'));
+  });
+
+  test('rejects bad filters', () => {
+    assert.throws(() => parseAuditQuery({ recordId: 'x' }), QueryError);
+    assert.throws(() => parseAuditQuery({ action: 'read' }), QueryError);
+    assert.throws(() => parseAuditQuery({ to: 'someday' }), QueryError);
+  });
+});
+
+describe('audit log', () => {
+  let server;
+  let adminToken;
+  let managerToken;
+  let note;
+
+  before(async () => {
+    server = await startServer();
+    await createUser('admin', 'Admin');
+    await createUser('manager', 'Manager');
+    ({ token: adminToken } = await login(server, 'admin'));
+    ({ token: managerToken } = await login(server, 'manager'));
+    await server.engine.publish({
+      name: 'Note',
+      ownerField: 'ownerId',
+      fields: [{ name: 'text', type: 'string' }, { name: 'done', type: 'boolean' }],
+      rbac: { Admin: ['all'], Manager: ['read:own', 'create', 'update:own', 'delete:own'] },
+    });
+
+    ({ body: note } = await server.request('POST', '/api/note', { token: managerToken, body: { text: 'Draft', done: false } }));
+    await server.request('PUT', `/api/note/${note.id}`, { token: managerToken, body: { text: 'Final' } });
+    // Changes nothing, so it isn't logged
+    await server.request('PUT', `/api/note/${note.id}`, { token: managerToken, body: { text: 'Final' } });
+    await server.request('DELETE', `/api/note/${note.id}`, { token: adminToken });
+  });
+
+  after(() => server.close());
+
+  test("keeps a record's history, newest first", async () => {
+    const { status, body } = await server.request('GET', `/api/note/${note.id}/history`, { token: adminToken });
+    assert.equal(status, 200);
+    assert.deepEqual(body.map((entry) => [entry.action, entry.username]), [
+      ['delete', 'admin'],
+      ['update', 'manager'],
+      ['create', 'manager'],
+    ]);
+    assert.deepEqual(body[1].changes, { text: { before: 'Draft', after: 'Final' } });
+    assert.equal(body[2].changes.text.after, 'Draft');
+    assert.equal(body[0].changes.text.before, 'Final');
+  });
+
+  test("shows ':own' roles only the history of records they own", async () => {
+    const { body: other } = await server.request('POST', '/api/note', { token: adminToken, body: { text: 'Admin' } });
+    assert.equal((await server.request('GET', `/api/note/${other.id}/history`, { token: managerToken })).status, 404);
+  });
+
+  test('lets admins query the whole log', async () => {
+    const { status, body } = await server.request('GET', '/api/audit?modelName=Note&username=manager', { token: adminToken });
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.map((entry) => entry.action), ['update', 'create']);
+    assert.equal(body.pagination.total, 2);
+
+    assert.equal((await server.request('GET', '/api/audit?action=read', { token: adminToken })).status, 400);
+    assert.equal((await server.request('GET', '/api/audit', { token: managerToken })).status, 403);
+  });
+
+  test('logs nothing for a change that is rolled back', async () => {
+    await server.request('POST', '/api/note/bulk', {
+      token: adminToken,
+      body: { operations: [{ action: 'create', data: { text: 'Lost' } }, { action: 'delete', id: 999 }] },
+    });
+    const { body } = await server.request('GET', '/api/audit?modelName=Note&action=create', { token: adminToken });
+    assert.equal(body.data.some((entry) => entry.changes.text && entry.changes.text.after === 'Lost'), false);
+  });
+});
@@ -0,0 +1,118 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser, login } = require('./helpers');
+
+describe('bulk operations', () => {
+  let server;
+  let adminToken;
+  let managerToken;
+
+  before(async () => {
+    server = await startServer();
+    await createUser('admin', 'Admin');
+    await createUser('manager', 'Manager');
+    ({ token: adminToken } = await login(server, 'admin'));
+    ({ token: managerToken } = await login(server, 'manager'));
+    await server.engine.publish({
+      name: 'Part',
+      ownerField: 'ownerId',
+      fields: [
+        { name: 'code', type: 'string', required: true, unique: true },
+        { name: 'stock', type: 'integer', min: 0 },
+        { name: 'cost', type: 'number', access: { Manager: 'hidden' } },
+      ],
+      rbac: { Admin: ['all'], Manager: ['read', 'create', 'update:own', 'delete:own'] },
+    });
+  });
+
+  after(() => server.close());
+
+  const bulk = (token, operations) => server.request('POST', '/api/part/bulk', { token, body: { operations } });
+  const codes = async () => {
+    const { body } = await server.request('GET', '/api/part?sort=code', { token: adminToken });
+    return body.data.map((part) => part.code);
+  };
+
+  test('runs creates, updates and deletes together', async () => {
+    const { body: created } = await bulk(adminToken, [
+      { action: 'create', data: { code: 'A', stock: 1 } },
+      { action: 'create', data: { code: 'B', stock: 1 } },
+    ]);
+    const [a, b] = created.results.map((r) => r.record);
+
+    const { status, body } = await bulk(adminToken, [
+      { action: 'create', data: { code: 'C', stock: 3, cost: 2.5 } },
+      { action: 'update', id: a.id, data: { stock: 9 } },
+      { action: 'delete', id: b.id },
+    ]);
+    assert.equal(status, 200);
+    assert.deepEqual(body.results.map((r) => [r.index, r.action, r.status]), [
+      [0, 'create', 'ok'],
+      [1, 'update', 'ok'],
+      [2, 'delete', 'ok'],
+    ]);
+    assert.equal(body.results[1].id, a.id);
+    assert.equal(body.results[1].record.stock, 9);
+    assert.equal(body.results[2].record, undefined);
+    assert.deepEqual(await codes(), ['A', 'C']);
+  });
+
+  test('saves nothing when an operation fails, reporting every failure', async () => {
+    const { status, body } = await bulk(adminToken, [
+      { action: 'create', data: { code: 'D' } },
+      { action: 'create', data: { code: 'A' } }, // Taken: fails in the database
+      { action: 'create', data: { code: 'E' } }, // Still runs after that failure
+      { action: 'update', id: 999, data: { stock: 1 } },
+      { action: 'create', data: { code: 'F', stock: -1 } },
+      { action: 'archive', id: 1 },
+    ]);
+    assert.equal(status, 400);
+    assert.equal(body.code, 'BULK_FAILED');
+    assert.deepEqual(body.results.map((r) => r.status), ['rolledBack', 'error', 'rolledBack', 'error', 'error', 'error']);
+    assert.deepEqual(body.results.map((r) => r.error && r.error.code), [
+      undefined,
+      'UNIQUE_VIOLATION',
+      undefined,
+      'NOT_FOUND',
+      'VALIDATION_ERROR',
+      'VALIDATION_ERROR',
+    ]);
+    assert.equal(body.results[0].record, undefined);
+    assert.deepEqual(await codes(), ['A', 'C']);
+  });
+
+  test('sees the earlier operations of the same request', async () => {
+    const { body } = await bulk(adminToken, [
+      { action: 'create', data: { code: 'G' } },
+      { action: 'create', data: { code: 'G' } },
+    ]);
+    assert.deepEqual(body.results.map((r) => r.status), ['rolledBack', 'error']);
+    assert.deepEqual(await codes(), ['A', 'C']);
+  });
+
+  test("checks each operation's permission, including ':own' limits", async () => {
+    const { body: { results: [{ record: mine }] } } = await bulk(managerToken, [{ action: 'create', data: { code: 'M' } }]);
+    const { body: { data: [theirs] } } = await server.request('GET', '/api/part?code=A', { token: adminToken });
+
+    const { status, body } = await bulk(managerToken, [
+      { action: 'update', id: mine.id, data: { stock: 4 } },
+      { action: 'update', id: theirs.id, data: { stock: 4 } },
+      { action: 'delete', id: theirs.id },
+    ]);
+    assert.equal(status, 400);
+    assert.deepEqual(body.results.map((r) => r.error && r.error.code), [undefined, 'NOT_FOUND', 'NOT_FOUND']);
+
+    const { body: ok } = await bulk(managerToken, [{ action: 'update', id: mine.id, data: { stock: 4 } }]);
+    assert.equal(ok.results[0].record.stock, 4);
+    // Hidden fields stay out of the results
+    assert.equal('cost' in ok.results[0].record, false);
+  });
+
+  test('rejects empty and oversized requests', async () => {
+    assert.equal((await bulk(adminToken, [])).status, 400);
+    assert.equal((await server.request('POST', '/api/part/bulk', { token: adminToken, body: {} })).status, 400);
+    const { status, body } = await bulk(adminToken, Array.from({ length: 1001 }, () => ({ action: 'delete', id: 1 })));
+    assert.equal(status, 400);
+    assert.match(body.message, /At most 1000/);
+  });
+});
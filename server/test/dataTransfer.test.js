@@ -0,0 +1,70 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('stream');
+const { streamExport } = require('../lib/dataTransfer');
+
+/**
+ * A stand-in for the HTTP response: a stream with a tiny buffer that only
+ * drains while something reads it.
+ */
+function fakeResponse() {
+  const res = new PassThrough({ highWaterMark: 16 });
+  res.headers = {};
+  res.setHeader = (name, value) => { res.headers[name] = value; };
+  return res;
+}
+
+// A table of `total` rows read in batches, counting the queries
+function fakeTable(total) {
+  const table = { queries: 0 };
+  table.fetchBatch = async (offset, limit) => {
+    table.queries++;
+    const count = Math.max(0, Math.min(limit, total - offset));
+    return Array.from({ length: count }, (_, i) => {
+      const values = { id: offset + i + 1, name: `Row ${offset + i + 1}` };
+      return { get: (column) => values[column] };
+    });
+  };
+  return table;
+}
+
+const read = async (stream) => {
+  let text = '';
+  for await (const chunk of stream) text += chunk;
+  return text;
+};
+
+describe('streamExport', () => {
+  for (const format of ['csv', 'json', 'ndjson']) {
+    test(`writes every row as ${format}`, async () => {
+      const res = fakeResponse();
+      const table = fakeTable(1200);
+      const [text] = await Promise.all([
+        read(res),
+        streamExport(res, { format, filename: 'rows', columns: ['id', 'name'], fetchBatch: table.fetchBatch }),
+      ]);
+      assert.equal(res.headers['Content-Disposition'], `attachment; filename="rows.${format}"`);
+      assert.equal(table.queries, 3);
+      if (format === 'json') assert.equal(JSON.parse(text).length, 1200);
+      if (format === 'ndjson') assert.equal(text.trim().split('\n').length, 1200);
+      if (format === 'csv') assert.equal(text.trim().split('\n').length, 1201);
+    });
+  }
+
+  for (const format of ['csv', 'ndjson']) {
+    test(`stops a ${format} export when the client goes away`, async () => {
+      const res = fakeResponse();
+      const table = fakeTable(100000);
+      const exporting = streamExport(res, { format, filename: 'rows', columns: ['id', 'name'], fetchBatch: table.fetchBatch });
+
+      // Nobody reads, so the export waits for a drain; then the client leaves
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      const queries = table.queries;
+      res.destroy();
+
+      await exporting;
+      assert.equal(table.queries, queries);
+      assert.ok(queries < 10);
+    });
+  }
+});
@@ -0,0 +1,61 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser, login } = require('./helpers');
+const { sequelize } = require('../db');
+
+describe('in-memory SQLite', () => {
+  let server;
+  let token;
+
+  before(async () => {
+    server = await startServer();
+    await createUser('admin', 'Admin');
+    ({ token } = await login(server, 'admin'));
+    await server.engine.publish({
+      name: 'Ticket',
+      fields: [{ name: 'title', type: 'string', unique: true }],
+      rbac: { Admin: ['all'] },
+    });
+  });
+
+  after(() => server.close());
+
+  const count = async () => (await server.request('GET', '/api/ticket?limit=100', { token })).body.pagination.total;
+
+  test('runs concurrent writes one transaction at a time', async () => {
+    const results = await Promise.all(Array.from({ length: 10 }, (_, i) => (
+      server.request('POST', '/api/ticket', { token, body: { title: `Ticket ${i}` } })
+    )));
+    assert.deepEqual(results.map((r) => r.status), Array(10).fill(201));
+    assert.equal(await count(), 10);
+  });
+
+  test('keeps concurrent bulk writes, with their savepoints, apart', async () => {
+    const bulk = (titles) => server.request('POST', '/api/ticket/bulk', {
+      token,
+      body: { operations: titles.map((title) => ({ action: 'create', data: { title } })) },
+    });
+    const [good, bad, single] = await Promise.all([
+      bulk(['Bulk 1', 'Bulk 2']),
+      bulk(['Bulk 3', 'Ticket 0']), // The second one is taken: nothing is saved
+      server.request('POST', '/api/ticket', { token, body: { title: 'Single' } }),
+    ]);
+    assert.equal(good.status, 200);
+    assert.equal(bad.status, 400);
+    assert.deepEqual(bad.body.results.map((r) => r.status), ['rolledBack', 'error']);
+    assert.equal(single.status, 201);
+    assert.equal(await count(), 13);
+  });
+
+  test('queues transactions without a callback until they end', async () => {
+    const transaction = await sequelize.transaction();
+    let managedDone = false;
+    const managed = sequelize.transaction(async () => { managedDone = true; });
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.equal(managedDone, false);
+
+    await transaction.rollback();
+    await managed;
+    assert.equal(managedDone, true);
+  });
+});
@@ -0,0 +1,107 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser, login } = require('./helpers');
+const { createReceiver } = require('../scripts/webhookReceiver');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+
+// Two engines in one process, on the same database
+describe('engines side by side', () => {
+  let first;
+  let second;
+  let token;
+
+  before(async () => {
+    first = await startServer();
+    second = await startServer();
+    await createUser('admin', 'Admin');
+    ({ token } = await login(first, 'admin'));
+    await first.engine.publish({ name: 'Note', fields: [{ name: 'text', type: 'string' }], rbac: { Admin: ['all'] } });
+    await second.engine.publish({ name: 'Memo', fields: [{ name: 'text', type: 'string' }], rbac: { Admin: ['all'] } });
+  });
+
+  after(async () => {
+    await first.close();
+    await second.close();
+  });
+
+  test('keep their models apart', async () => {
+    assert.ok(first.engine.getModel('Note'));
+    assert.equal(first.engine.getModel('Memo'), undefined);
+    assert.equal((await second.request('GET', '/api/note', { token })).status, 404);
+  });
+
+  test('send record events only to their own streams', async () => {
+    const response = await fetch(`${first.base}/api/events`, { headers: { Authorization: `Bearer ${token}` } });
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let text = '';
+    const readUntil = async (expected) => {
+      while (!text.includes(expected)) text += decoder.decode((await reader.read()).value);
+    };
+    await readUntil('event: ready');
+
+    await second.request('POST', '/api/memo', { token, body: { text: 'Elsewhere' } });
+    await first.request('POST', '/api/note', { token, body: { text: 'Here' } });
+    await readUntil('"text":"Here"');
+    assert.doesNotMatch(text, /Elsewhere/);
+    // Each engine numbers its own events
+    assert.match(text, /^id: 1\nevent: ready/m);
+    assert.match(text, /^id: 2\nevent: record/m);
+    await reader.cancel();
+  });
+
+  test('send a delivery once when both go over the queue', async () => {
+    const received = [];
+    const receiver = createReceiver({ onDelivery: (delivery) => received.push(delivery) });
+    await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+    try {
+      const { body: webhook } = await second.request('POST', '/api/webhooks', {
+        token,
+        body: { modelName: 'Memo', events: ['created'], url: `http://127.0.0.1:${receiver.address().port}/`, active: false },
+      });
+      await WebhookDelivery.create({
+        webhookId: webhook.id,
+        eventId: crypto.randomUUID(),
+        event: 'ping',
+        modelName: 'Memo',
+        payload: { event: 'ping' },
+        nextAttemptAt: new Date(),
+      });
+      await second.request('PUT', `/api/webhooks/${webhook.id}`, { token, body: { ...webhook, active: true } });
+
+      await Promise.all([
+        first.engine.webhookQueue.processDueDeliveries(),
+        second.engine.webhookQueue.processDueDeliveries(),
+      ]);
+      assert.equal(received.length, 1);
+      const delivery = await WebhookDelivery.findOne({ where: { webhookId: webhook.id } });
+      assert.equal(delivery.status, 'succeeded');
+      assert.equal(delivery.attempts, 1);
+    } finally {
+      await new Promise((resolve) => receiver.close(resolve));
+    }
+  });
+
+  test('pick up webhooks created elsewhere within seconds', async (t) => {
+    const countDeliveries = (webhook) => WebhookDelivery.count({ where: { webhookId: webhook.id } });
+    await first.request('POST', '/api/note', { token, body: { text: 'Loads the webhooks' } });
+    // As if another server had created it
+    const webhook = await Webhook.create({
+      modelName: 'Note',
+      events: ['created'],
+      url: 'http://127.0.0.1:9/',
+      secret: 'secret',
+      active: true,
+    });
+
+    await first.request('POST', '/api/note', { token, body: { text: 'Too soon' } });
+    assert.equal(await countDeliveries(webhook), 0);
+
+    const later = Date.now() + 10 * 1000;
+    t.mock.method(Date, 'now', () => later);
+    await first.request('POST', '/api/note', { token, body: { text: 'Seen' } });
+    assert.equal(await countDeliveries(webhook), 1);
+    await webhook.update({ active: false });
+  });
+});
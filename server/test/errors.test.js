@@ -0,0 +1,111 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser, login } = require('./helpers');
+const { Sequelize } = require('../db');
+const { ApiError, toApiError } = require('../lib/errors');
+const { QueryError } = require('../lib/listQuery');
+
+describe('toApiError', () => {
+  const databaseError = (fields) => Object.assign(new Error('Database said no'), fields);
+
+  test('keeps ApiErrors and maps query errors', () => {
+    const error = new ApiError(403, 'FORBIDDEN', 'No.');
+    assert.equal(toApiError(error), error);
+    assert.deepEqual(toApiError(new QueryError("Unknown field 'x'.")).toJSON(), {
+      code: 'INVALID_QUERY',
+      message: "Unknown field 'x'.",
+      errors: {},
+    });
+  });
+
+  test('tells missing references from records still referenced', () => {
+    const postgres = toApiError(new Sequelize.ForeignKeyConstraintError({
+      parent: databaseError({ detail: 'Key (authorId)=(7) is not present in table "authors".' }),
+    }));
+    assert.equal(postgres.status, 400);
+    assert.deepEqual(postgres.errors, { authorId: 'Refers to a record that does not exist.' });
+
+    const mysql = toApiError(new Sequelize.ForeignKeyConstraintError({
+      parent: databaseError({
+        code: 'ER_NO_REFERENCED_ROW_2',
+        message: 'Cannot add or update a child row: a foreign key constraint fails (`books`, CONSTRAINT `x` FOREIGN KEY (`authorId`) REFERENCES `authors` (`id`))',
+      }),
+    }));
+    assert.deepEqual(mysql.errors, { authorId: 'Refers to a record that does not exist.' });
+
+    const referenced = toApiError(new Sequelize.ForeignKeyConstraintError({ parent: databaseError({}) }));
+    assert.equal(referenced.status, 409);
+    assert.equal(referenced.code, 'FOREIGN_KEY_VIOLATION');
+  });
+
+  test('maps data exceptions to INVALID_VALUE and anything else to a 500', () => {
+    const tooLong = toApiError(new Sequelize.DatabaseError(databaseError({ code: '22001' })));
+    assert.equal(tooLong.status, 400);
+    assert.equal(tooLong.code, 'INVALID_VALUE');
+
+    const other = toApiError(new Error('Boom'));
+    assert.equal(other.status, 500);
+    assert.equal(other.code, 'INTERNAL_ERROR');
+  });
+});
+
+describe('error responses', () => {
+  let server;
+  let token;
+
+  before(async () => {
+    server = await startServer();
+    await createUser('admin', 'Admin');
+    ({ token } = await login(server, 'admin'));
+    await server.engine.publish({ name: 'Tag', fields: [{ name: 'label', type: 'string' }], rbac: { Admin: ['all'] } });
+    await server.engine.publish({
+      name: 'Item',
+      fields: [
+        { name: 'sku', type: 'string', required: true, unique: true },
+        { name: 'qty', type: 'integer', max: 5 },
+        { name: 'tags', type: 'manyToMany', model: 'Tag' },
+      ],
+      rbac: { Admin: ['all'] },
+    });
+  });
+
+  after(() => server.close());
+
+  const create = (body) => server.request('POST', '/api/item', { token, body });
+
+  test('list every failed field', async () => {
+    const { status, body } = await create({ qty: 9 });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'VALIDATION_ERROR');
+    assert.deepEqual(body.errors, { sku: 'sku is required.', qty: 'qty must be at most 5.' });
+    assert.equal(body.message, 'sku is required. qty must be at most 5.');
+  });
+
+  test('report taken unique values as a conflict', async () => {
+    assert.equal((await create({ sku: 'A-1' })).status, 201);
+    const { status, body } = await create({ sku: 'A-1' });
+    assert.equal(status, 409);
+    assert.equal(body.code, 'UNIQUE_VIOLATION');
+    assert.deepEqual(body.errors, { sku: 'sku must be unique; this value is already taken.' });
+  });
+
+  test('report malformed many-to-many lists on their field', async () => {
+    const { status, body } = await create({ sku: 'A-2', tags: 'red' });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'VALIDATION_ERROR');
+    assert.deepEqual(body.errors, { tags: 'Must be an array of ids.' });
+    // Nothing was saved
+    assert.equal((await create({ sku: 'A-2' })).status, 201);
+  });
+
+  test('share the shape for unknown records and bad queries', async () => {
+    const missing = await server.request('GET', '/api/item/999', { token });
+    assert.equal(missing.status, 404);
+    assert.deepEqual(Object.keys(missing.body).sort(), ['code', 'errors', 'message']);
+    assert.equal(missing.body.code, 'NOT_FOUND');
+
+    const query = await server.request('GET', '/api/item?color=red', { token });
+    assert.equal(query.status, 400);
+    assert.equal(query.body.code, 'INVALID_QUERY');
+  });
+});
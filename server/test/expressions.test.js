@@ -0,0 +1,165 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  ExpressionError,
+  parseExpression,
+  compileExpression,
+  getFieldNames,
+  evaluate,
+} = require('../lib/expressions');
+const { validateModelLogic, compileHooks } = require('../lib/modelLogic');
+
+// Compiles and evaluates an expression against a record
+const run = (source, record = {}) => evaluate(compileExpression(source, Object.keys(record)), (name) => record[name]);
+
+describe('parseExpression', () => {
+  test('reads numbers, strings and keywords as literals', () => {
+    assert.deepEqual(parseExpression('1.5e2'), { type: 'literal', value: 150 });
+    assert.deepEqual(parseExpression('.5'), { type: 'literal', value: 0.5 });
+    assert.deepEqual(parseExpression(`'it\\'s'`), { type: 'literal', value: "it's" });
+    assert.deepEqual(parseExpression('"a\\nb"'), { type: 'literal', value: 'a\nb' });
+    assert.deepEqual(parseExpression('true'), { type: 'literal', value: true });
+    assert.deepEqual(parseExpression('null'), { type: 'literal', value: null });
+  });
+
+  test('reads names of Object.prototype as field names, not keywords', () => {
+    for (const name of ['constructor', 'toString', 'hasOwnProperty', 'valueOf', '__proto__']) {
+      assert.deepEqual(parseExpression(name), { type: 'field', name, position: 0 });
+    }
+  });
+
+  test('binds operators by precedence', () => {
+    const tree = parseExpression('a + b * c == d || !e');
+    assert.equal(tree.operator, '||');
+    assert.equal(tree.left.operator, '==');
+    assert.equal(tree.left.left.operator, '+');
+    assert.equal(tree.left.left.right.operator, '*');
+    assert.deepEqual(tree.right, { type: 'unary', operator: '!', operand: { type: 'field', name: 'e', position: 19 } });
+  });
+
+  test('parses calls and nested conditionals', () => {
+    const tree = parseExpression('a ? b : c ? round(d, 2) : e');
+    assert.equal(tree.type, 'conditional');
+    assert.equal(tree.otherwise.type, 'conditional');
+    assert.equal(tree.otherwise.then.type, 'call');
+    assert.equal(tree.otherwise.then.args.length, 2);
+    assert.deepEqual(getFieldNames(tree), ['a', 'b', 'c', 'd', 'e']);
+  });
+
+  test('reports syntax errors with their position', () => {
+    const cases = [
+      ['', /empty/],
+      ['a +', /Unexpected end of expression at character 4/],
+      ["'open", /Unterminated string at character 1/],
+      ['a # b', /Unexpected '#' at character 3/],
+      ['(a', /Expected '\)' but found end of expression/],
+      ['a b', /Unexpected 'b' at character 3/],
+      ['a.b', /Unexpected '\.' at character 2/],
+      ['a[0]', /Unexpected '\['/],
+    ];
+    for (const [source, message] of cases) {
+      assert.throws(() => parseExpression(source), (error) => error instanceof ExpressionError && message.test(error.message));
+    }
+  });
+
+  test('rejects expressions that are too long or nested too deeply', () => {
+    assert.throws(() => parseExpression(`a${' + a'.repeat(300)}`), /longer than 1000 characters/);
+    assert.throws(() => parseExpression(`${'('.repeat(60)}a${')'.repeat(60)}`), /nested too deeply/);
+    assert.throws(() => parseExpression(`${'-'.repeat(60)}a`), /nested too deeply/);
+  });
+});
+
+describe('compileExpression', () => {
+  test('only allows the given fields', () => {
+    assert.throws(() => compileExpression('price * quantity', ['price']), /Unknown field 'quantity'/);
+  });
+
+  test('checks function names and argument counts', () => {
+    assert.throws(() => compileExpression('shout(a)', ['a']), /Unknown function 'shout'/);
+    assert.throws(() => compileExpression('lower()', []), /lower\(\) takes 1 argument at/);
+    assert.throws(() => compileExpression('round(1, 2, 3)', []), /round\(\) takes 1 to 2 arguments/);
+    assert.throws(() => compileExpression('concat()', []), /concat\(\) takes 1 to any number of arguments/);
+  });
+});
+
+describe('evaluate', () => {
+  test('does arithmetic and joins text with +', () => {
+    assert.equal(run('price * quantity - 1', { price: '2.5', quantity: 4 }), 9);
+    assert.equal(run('7 % 4 + -a', { a: 1 }), 2);
+    assert.equal(run("first + ' ' + last", { first: 'Ada', last: 'Lovelace' }), 'Ada Lovelace');
+  });
+
+  test('propagates missing values as null', () => {
+    assert.equal(run('a * 2', { a: null }), null);
+    assert.equal(run("a + 'x'", { a: undefined }), null);
+    assert.equal(run('-a', { a: '' }), null);
+    assert.equal(run('a > 1', { a: null }), false);
+    assert.equal(run('a == null', { a: undefined }), true);
+  });
+
+  test('returns null when dividing by zero', () => {
+    assert.equal(run('1 / 0'), null);
+    assert.equal(run('5 % a', { a: 0 }), null);
+  });
+
+  test('compares dates by time and counts days between them', () => {
+    const record = { start: new Date('2024-01-01T00:00:00Z'), end: new Date('2024-01-31T12:00:00Z') };
+    assert.equal(run('start < end', record), true);
+    assert.equal(run('start == a', { ...record, a: new Date('2024-01-01T00:00:00Z') }), true);
+    assert.equal(run('daysBetween(start, end)', record), 30);
+    assert.equal(run("daysBetween('2024-03-01', end)", record), -30);
+    assert.equal(run('concat(start)', record), '2024-01-01T00:00:00.000Z');
+  });
+
+  test('short-circuits logic and conditionals', () => {
+    assert.equal(run('a && 1 / 0', { a: false }), false);
+    assert.equal(run("a || b ? 'yes' : 'no'", { a: 0, b: 'x' }), 'yes');
+  });
+
+  test('calls the built-in functions', () => {
+    assert.equal(run("slugify('Crème Brûlée!')"), 'creme-brulee');
+    assert.equal(run('upper(trim(a))', { a: '  hi ' }), 'HI');
+    assert.equal(run('round(a, 2)', { a: 3.14159 }), 3.14);
+    assert.equal(run('max(a, b, null)', { a: 1, b: 3 }), 3);
+    assert.equal(run("coalesce(a, '', 'x')", { a: null }), 'x');
+    assert.equal(run('length(tags)', { tags: [1, 2] }), 2);
+    assert.equal(run('isEmpty(tags)', { tags: [] }), true);
+    assert.ok(run('now()') instanceof Date);
+  });
+});
+
+describe('sandbox', () => {
+  test("doesn't call or read Object.prototype members", () => {
+    for (const name of ['constructor', 'toString', 'hasOwnProperty', 'valueOf', '__proto__', '__defineGetter__']) {
+      assert.throws(() => compileExpression(`${name}()`, []), new RegExp(`Unknown function '${name}'`));
+      assert.throws(() => compileExpression(`lower(${name})`, []), new RegExp(`Unknown field '${name}'`));
+    }
+    assert.throws(() => compileExpression("constructor('return process')()", []), /Unexpected '\('/);
+  });
+
+  test("doesn't reach JavaScript globals", () => {
+    for (const name of ['process', 'globalThis', 'require', 'Function', 'eval', 'this']) {
+      assert.throws(() => compileExpression(name, ['price']), new RegExp(`Unknown field '${name}'`));
+    }
+    assert.throws(() => compileExpression('eval("1")', []), /Unknown function 'eval'/);
+  });
+
+  test('only reads the record through lookup', () => {
+    // A field called `constructor` is the record's value, not Object
+    assert.equal(run('constructor', { constructor: 'a value' }), 'a value');
+    assert.equal(run('toString', { toString: null }), null);
+  });
+
+  test('rejects unknown normalizers named like Object.prototype members', () => {
+    const modelConfig = {
+      name: 'Page',
+      fields: [{ name: 'title', type: 'string' }],
+      hooks: { beforeCreate: [{ normalize: 'title', to: 'constructor' }] },
+    };
+    assert.match(validateModelLogic(modelConfig), /'to' must be/);
+
+    modelConfig.hooks.beforeCreate[0].to = ['trim', 'lower'];
+    assert.equal(validateModelLogic(modelConfig), null);
+    assert.deepEqual(compileHooks(modelConfig)('beforeCreate', { title: '  Hello ' }), { title: 'hello' });
+  });
+});
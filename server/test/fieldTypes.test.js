@@ -0,0 +1,112 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser, login } = require('./helpers');
+const { validateFields } = require('../lib/fieldTypes');
+
+const PRODUCT = {
+  name: 'Product',
+  fields: [
+    { name: 'sku', type: 'string', pattern: '^[A-Z]{3}-\\d{4}$', minLength: 8, maxLength: 8 },
+    { name: 'quantity', type: 'integer', min: 0, max: 1000 },
+    { name: 'price', type: 'decimal', precision: 12, scale: 2, min: 0 },
+    { name: 'status', type: 'enum', values: ['draft', 'published'] },
+    { name: 'contact', type: 'email' },
+    { name: 'homepage', type: 'url' },
+    { name: 'token', type: 'uuid' },
+    { name: 'extra', type: 'json' },
+  ],
+  rbac: { Admin: ['all'] },
+};
+
+describe('validateFields', () => {
+  const problem = (field) => validateFields({ name: 'Thing', fields: [field] });
+
+  test('accepts known types with fitting rules', () => {
+    assert.equal(validateFields(PRODUCT), null);
+  });
+
+  test('rejects unknown types and rules that misfit their field', () => {
+    assert.equal(problem({ name: 'size', type: 'huge' }), "Field 'size' has unknown type 'huge'.");
+    assert.equal(problem({ name: 'size', type: 'boolean', min: 1 }), "Rule 'min' of field 'size' doesn't apply to boolean fields.");
+    assert.equal(problem({ name: 'size', type: 'integer', min: 5, max: 1 }), "'min' of field 'size' is greater than its 'max'.");
+    assert.match(problem({ name: 'code', type: 'string', minLength: -1 }), /must be a non-negative whole number/);
+    assert.match(problem({ name: 'code', type: 'string', pattern: '[' }), /not a valid regular expression/);
+    assert.equal(problem({ name: 'state', type: 'enum' }), "Enum field 'state' needs a list of 'values'.");
+    assert.match(problem({ name: 'state', type: 'enum', values: [1, 2] }), /non-empty list of strings/);
+    assert.match(problem({ name: 'cost', type: 'decimal', precision: 4, scale: 5 }), /between 0 and its precision \(4\)/);
+  });
+
+  test('rejects bad, reserved and repeated field names', () => {
+    assert.match(problem({ name: '1st', type: 'string' }), /Invalid field name '1st'/);
+    assert.equal(problem({ name: 'createdAt', type: 'date' }), "Field name 'createdAt' is reserved.");
+    const twice = { name: 'Thing', fields: [{ name: 'a', type: 'string' }, { name: 'a', type: 'text' }] };
+    assert.equal(validateFields(twice), "Field 'a' is defined twice.");
+  });
+});
+
+describe('field rules on records', () => {
+  let server;
+  let token;
+
+  before(async () => {
+    server = await startServer();
+    await createUser('admin', 'Admin');
+    ({ token } = await login(server, 'admin'));
+    await server.engine.publish(PRODUCT);
+  });
+
+  after(() => server.close());
+
+  const create = (body) => server.request('POST', '/api/product', { token, body });
+
+  test('stores values that follow the rules', async () => {
+    const { status, body } = await create({
+      sku: 'ABC-1234',
+      quantity: 3,
+      price: 9.99,
+      status: 'draft',
+      contact: 'ada@example.com',
+      homepage: 'https://example.com',
+      token: '0b4c9a4e-9d0c-4c36-9a8e-2d2f6d1c3b7a',
+      extra: { colors: ['red'] },
+    });
+    assert.equal(status, 201);
+    assert.deepEqual(body.extra, { colors: ['red'] });
+  });
+
+  test('rejects values that break them, per field', async () => {
+    const cases = [
+      [{ sku: 'abc-1234' }, 'sku', 'sku has an invalid format.'],
+      [{ sku: 'AB-12' }, 'sku', 'sku must be between 8 and 8 characters long.'],
+      [{ quantity: 1001 }, 'quantity', 'quantity must be at most 1000.'],
+      [{ quantity: 1.5 }, 'quantity', 'quantity must be a whole number.'],
+      [{ price: -1 }, 'price', 'price must be at least 0.'],
+      [{ status: 'archived' }, 'status', 'status must be one of: draft, published.'],
+      [{ contact: 'ada' }, 'contact', 'contact must be a valid email address.'],
+      [{ homepage: 'not a url' }, 'homepage', 'homepage must be a valid URL.'],
+      [{ token: '1234' }, 'token', 'token must be a UUID.'],
+    ];
+    for (const [body, field, message] of cases) {
+      const response = await create(body);
+      assert.equal(response.status, 400, JSON.stringify(body));
+      assert.equal(response.body.errors[field], message);
+    }
+  });
+
+  test('checks the rules on update too', async () => {
+    const { body: product } = await create({ quantity: 1 });
+    const { status, body } = await server.request('PUT', `/api/product/${product.id}`, { token, body: { quantity: -5 } });
+    assert.equal(status, 400);
+    assert.equal(body.errors.quantity, 'quantity must be at least 0.');
+  });
+
+  test("rejects models whose rules don't fit", async () => {
+    const { status, body } = await server.request('POST', '/api/models/publish', {
+      token,
+      body: { name: 'Broken', fields: [{ name: 'flag', type: 'boolean', maxLength: 3 }], rbac: { Admin: ['all'] } },
+    });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'INVALID_MODEL');
+    assert.match(body.message, /Rule 'maxLength' of field 'flag'/);
+  });
+});
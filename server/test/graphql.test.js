@@ -0,0 +1,126 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser, login } = require('./helpers');
+const { sequelize } = require('../db');
+
+const NOTE = {
+  name: 'Note',
+  fields: [{ name: 'text', type: 'string' }],
+  rbac: { Admin: ['all'] },
+};
+
+describe('GraphQL during migrations', () => {
+  let server;
+  let token;
+
+  before(async () => {
+    server = await startServer();
+    await createUser('admin', 'Admin');
+    ({ token } = await login(server, 'admin'));
+    await server.engine.publish(NOTE);
+    await server.request('POST', '/api/note', { token, body: { text: 'Hello' } });
+  });
+
+  after(() => server.close());
+
+  test('waits for the new definition while a table is migrated', async () => {
+    const changed = { ...NOTE, fields: [...NOTE.fields, { name: 'title', type: 'string' }] };
+    const plan = await server.engine.plan(changed);
+
+    // The in-memory database runs one transaction at a time, so this one
+    // holds the migration up once it has started
+    const blocker = await sequelize.transaction();
+    const publishing = server.engine.publish(changed, { confirm: plan.planId });
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    const querying = server.request('POST', '/graphql', { token, body: { query: '{ noteList { data { text title } } }' } });
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    await blocker.rollback();
+    assert.equal((await publishing).published, true);
+
+    const { status, body } = await querying;
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.noteList.data, [{ text: 'Hello', title: null }]);
+  });
+});
+
+describe('GraphQL permissions', () => {
+  let server;
+  const tokens = {};
+
+  before(async () => {
+    server = await startServer();
+    for (const [username, role] of [['owner', 'Admin'], ['manager', 'Manager'], ['viewer', 'Viewer']]) {
+      await createUser(username, role);
+      ({ token: tokens[username] } = await login(server, username));
+    }
+    await server.engine.publish({ name: 'Vendor', fields: [{ name: 'name', type: 'string' }], rbac: { Admin: ['all'] } });
+    await server.engine.publish({
+      name: 'Order',
+      ownerField: 'ownerId',
+      fields: [
+        { name: 'qty', type: 'integer', min: 1 },
+        { name: 'margin', type: 'number', access: { Viewer: 'hidden' } },
+        { name: 'vendorId', type: 'reference', model: 'Vendor' },
+      ],
+      rbac: { Admin: ['all'], Manager: ['read:own', 'create', 'update:own', 'delete:own'], Viewer: ['read'] },
+    });
+  });
+
+  after(() => server.close());
+
+  const graphql = async (username, query, variables) => {
+    const { status, body } = await server.request('POST', '/graphql', { token: tokens[username], body: { query, variables } });
+    assert.equal(status, 200);
+    return body;
+  };
+  const errorCodes = (body) => (body.errors || []).map((error) => error.extensions.code);
+
+  test('returns the current user', async () => {
+    const { data } = await graphql('manager', '{ me { username role } }');
+    assert.deepEqual(data.me, { username: 'manager', role: 'Manager' });
+  });
+
+  test("limits ':own' roles to their records", async () => {
+    const { data: mine } = await graphql('manager', 'mutation { createOrder(data: { qty: 2 }) { id qty } }');
+    const { data: theirs } = await graphql('owner', 'mutation { createOrder(data: { qty: 5 }) { id } }');
+
+    const { data: list } = await graphql('manager', '{ orderList { data { qty } pagination { total } } }');
+    assert.deepEqual(list.orderList, { data: [{ qty: 2 }], pagination: { total: 1 } });
+    const read = 'query($id: Int!) { order(id: $id) { qty } }';
+    assert.equal((await graphql('manager', read, { id: theirs.createOrder.id })).data.order, null);
+
+    const update = 'mutation($id: Int!) { updateOrder(id: $id, data: { qty: 3 }) { qty } }';
+    assert.equal((await graphql('manager', update, { id: mine.createOrder.id })).data.updateOrder.qty, 3);
+    assert.deepEqual(errorCodes(await graphql('manager', update, { id: theirs.createOrder.id })), ['NOT_FOUND']);
+
+    const remove = 'mutation($id: Int!) { deleteOrder(id: $id) }';
+    assert.deepEqual(errorCodes(await graphql('manager', remove, { id: theirs.createOrder.id })), ['NOT_FOUND']);
+    assert.equal((await graphql('viewer', '{ orderList { pagination { total } } }')).data.orderList.pagination.total, 2);
+  });
+
+  test('rejects actions the role lacks, with the REST error codes', async () => {
+    assert.deepEqual(errorCodes(await graphql('viewer', 'mutation { createOrder(data: { qty: 1 }) { id } }')), ['FORBIDDEN']);
+    assert.deepEqual(errorCodes(await graphql('manager', '{ vendorList { pagination { total } } }')), ['FORBIDDEN']);
+
+    const invalid = await graphql('owner', 'mutation { createOrder(data: { qty: 0 }) { id } }');
+    assert.deepEqual(errorCodes(invalid), ['VALIDATION_ERROR']);
+    assert.deepEqual(invalid.errors[0].extensions.errors, { qty: 'qty must be at least 1.' });
+  });
+
+  test('refuses hidden fields and related records of unreadable models', async () => {
+    const { data: vendor } = await graphql('owner', 'mutation { createVendor(data: { name: "Acme" }) { id } }');
+    await graphql('owner', 'mutation($id: Int) { createOrder(data: { qty: 7, margin: 0.5, vendorId: $id }) { id } }', {
+      id: vendor.createVendor.id,
+    });
+
+    const hidden = await graphql('viewer', '{ orderList(filter: { qty: { eq: 7 } }) { data { qty margin } } }');
+    assert.deepEqual(hidden.data.orderList.data, [{ qty: 7, margin: null }]);
+    assert.deepEqual(errorCodes(hidden), ['FORBIDDEN']);
+
+    const related = await graphql('viewer', '{ orderList(filter: { qty: { eq: 7 } }) { data { vendor { name } } } }');
+    assert.deepEqual(errorCodes(related), ['FORBIDDEN']);
+    const { data } = await graphql('owner', '{ orderList(filter: { qty: { eq: 7 } }) { data { margin vendor { name } } } }');
+    assert.deepEqual(data.orderList.data, [{ margin: 0.5, vendor: { name: 'Acme' } }]);
+  });
+});
@@ -0,0 +1,98 @@
+// Shared setup of the tests. Every test file runs in its own process
+// (node --test), so each gets a fresh in-memory SQLite database.
+process.env.DB_DIALECT = 'sqlite';
+process.env.DB_STORAGE = ':memory:';
+process.env.JWT_SECRET = 'test-secret';
+delete process.env.ADMIN_USERNAME;
+delete process.env.ADMIN_PASSWORD;
+
+const express = require('express');
+const { createEngine } = require('../index');
+const { createMemoryStorage } = require('../lib/configStorage');
+const User = require('../models/User');
+
+const PASSWORD = 'password1';
+
+/**
+ * Starts an engine (on memory storage unless `options` say otherwise) in an
+ * Express app on a free port. Resolves to { engine, request, close }, where
+ * request(method, url, { token, body, headers }) resolves to
+ * { status, body, headers }.
+ */
+async function startServer(options = {}) {
+  const engine = createEngine({ storage: createMemoryStorage(), ...options });
+  const app = express();
+  app.use(engine.router);
+  await engine.start();
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, url, { token, body, headers = {} } = {}) => {
+    const response = await fetch(`${base}${url}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers,
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await response.text();
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch {
+      // Not JSON: keep the text
+    }
+    return { status: response.status, body: parsed, headers: response.headers };
+  };
+
+  const close = async () => {
+    engine.stop();
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  };
+
+  return { engine, base, request, close };
+}
+
+/**
+ * Creates an active user with the given role (password 'password1').
+ */
+function createUser(username, role) {
+  return User.create({ username, password: PASSWORD, role, status: 'active' });
+}
+
+/**
+ * Logs a user in. Resolves to { token, refreshToken }.
+ */
+async function login(server, username) {
+  const { status, body } = await server.request('POST', '/auth/login', { body: { username, password: PASSWORD } });
+  if (status !== 200) throw new Error(`Login of ${username} failed: ${JSON.stringify(body)}`);
+  return body;
+}
+
+/**
+ * Resolves once `check()` resolves to something truthy (and to that value).
+ * Rejects if that takes longer than `timeoutMs`.
+ */
+async function waitFor(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() > deadline) throw new Error('Timed out waiting for the condition.');
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+module.exports = {
+  PASSWORD,
+  startServer,
+  createUser,
+  login,
+  waitFor,
+};
@@ -0,0 +1,86 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Op } = require('sequelize');
+const { startServer, createUser, login } = require('./helpers');
+const { QueryError, parseListQuery } = require('../lib/listQuery');
+
+const item = {
+  name: 'Item',
+  fields: [
+    { name: 'name', type: 'string', searchable: true },
+    { name: 'price', type: 'number' },
+    { name: 'data', type: 'json' },
+  ],
+  rbac: { Admin: ['all'] },
+};
+
+describe('parseListQuery', () => {
+  test('turns filters, sort and paging into query options', () => {
+    const { where, order, limit, offset, page } = parseListQuery(item, {
+      price: { gte: '10', lt: '20' },
+      sort: '-price,name',
+      page: '3',
+      limit: '10',
+    });
+    assert.deepEqual(where.price, { [Op.gte]: 10, [Op.lt]: 20 });
+    assert.deepEqual(order, [['price', 'DESC'], ['name', 'ASC']]);
+    assert.deepEqual({ limit, offset, page }, { limit: 10, offset: 20, page: 3 });
+  });
+
+  test('caps the page size', () => {
+    assert.equal(parseListQuery(item, { limit: '1000' }).limit, 100);
+  });
+
+  test('rejects unknown fields, unsupported operators and bad values', () => {
+    assert.throws(() => parseListQuery(item, { color: 'red' }), QueryError);
+    assert.throws(() => parseListQuery(item, { data: 'x' }), QueryError);
+    assert.throws(() => parseListQuery(item, { price: { contains: '1' } }), QueryError);
+    assert.throws(() => parseListQuery(item, { price: 'cheap' }), QueryError);
+    assert.throws(() => parseListQuery(item, { sort: 'color' }), QueryError);
+    assert.throws(() => parseListQuery(item, { page: '0' }), QueryError);
+  });
+});
+
+describe('text filters', () => {
+  let server;
+  let token;
+
+  before(async () => {
+    server = await startServer();
+    await createUser('admin', 'Admin');
+    ({ token } = await login(server, 'admin'));
+    await server.engine.publish(item);
+    for (const name of ['100%', '100 items', 'a_b', 'axb', 'Wow!']) {
+      await server.request('POST', '/api/item', { token, body: { name } });
+    }
+  });
+
+  after(() => server.close());
+
+  const names = async (query) => {
+    const { status, body } = await server.request('GET', `/api/item?${query}`, { token });
+    assert.equal(status, 200);
+    return body.data.map((row) => row.name).sort();
+  };
+
+  test('match % and _ literally', async () => {
+    assert.deepEqual(await names('name[contains]=%25'), ['100%']);
+    assert.deepEqual(await names('name[endsWith]=0%25'), ['100%']);
+    assert.deepEqual(await names('name[contains]=_'), ['a_b']);
+    assert.deepEqual(await names('name[startsWith]=a_'), ['a_b']);
+    assert.deepEqual(await names('name[contains]=!'), ['Wow!']);
+  });
+
+  test('match % and _ literally in searches too', async () => {
+    assert.deepEqual(await names('q=%25'), ['100%']);
+    assert.deepEqual(await names('q=A_'), ['a_b']);
+    assert.deepEqual(await names('q=!'), ['Wow!']);
+
+    const { body } = await server.request('GET', '/api/search?q=_', { token });
+    assert.deepEqual(body.results[0].hits.map((hit) => hit.label), ['a_b']);
+  });
+
+  test('combine on the same field', async () => {
+    assert.deepEqual(await names('name[startsWith]=1&name[endsWith]=s'), ['100 items']);
+  });
+});
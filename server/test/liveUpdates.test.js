@@ -0,0 +1,112 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser, login } = require('./helpers');
+
+/**
+ * Opens GET /api/events. Returns { next, close }: next() resolves to the
+ * text received since the last call once it contains `expected`, or to
+ * null when the stream ends.
+ */
+async function openStream(server, headers) {
+  const response = await fetch(`${server.base}/api/events`, { headers });
+  assert.equal(response.status, 200);
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const next = async (expected) => {
+    while (!buffer.includes(expected)) {
+      const { done, value } = await reader.read();
+      if (done) return null;
+      buffer += decoder.decode(value);
+    }
+    const text = buffer;
+    buffer = '';
+    return text;
+  };
+  return { next, close: () => reader.cancel() };
+}
+
+describe('live updates', () => {
+  let server;
+  let adminToken;
+
+  before(async () => {
+    server = await startServer();
+    await createUser('admin', 'Admin');
+    await createUser('reader', 'Viewer');
+    ({ token: adminToken } = await login(server, 'admin'));
+    await server.engine.publish({
+      name: 'Note',
+      fields: [{ name: 'text', type: 'string' }],
+      rbac: { Admin: ['all'], Viewer: ['read'] },
+    });
+  });
+
+  after(() => server.close());
+
+  test('sends committed record changes', async () => {
+    const { token } = await login(server, 'reader');
+    const stream = await openStream(server, { Authorization: `Bearer ${token}` });
+    await stream.next('event: ready');
+
+    await server.request('POST', '/api/note', { token: adminToken, body: { text: 'Hello' } });
+    const text = await stream.next('event: record');
+    assert.match(text, /"action":"create"/);
+    assert.match(text, /"text":"Hello"/);
+    await stream.close();
+  });
+
+  test('ends the stream of a session that logged out', async () => {
+    const { token, refreshToken } = await login(server, 'reader');
+    const stream = await openStream(server, { Authorization: `Bearer ${token}` });
+    await stream.next('event: ready');
+
+    await server.engine.liveUpdates.checkSubscribers();
+    assert.ok(await stream.next(': ping'));
+
+    await server.request('POST', '/auth/logout', { body: { refreshToken } });
+    await server.engine.liveUpdates.checkSubscribers();
+    assert.equal(await stream.next('event: record'), null);
+  });
+
+  test('ends the stream of a revoked API key', async () => {
+    const { body: account } = await server.request('POST', '/api/service-accounts', {
+      token: adminToken,
+      body: { name: 'exporter', role: 'Viewer' },
+    });
+    const { body: apiKey } = await server.request('POST', `/api/service-accounts/${account.id}/keys`, {
+      token: adminToken,
+      body: { name: 'events', scopes: { Note: ['read'] } },
+    });
+    const stream = await openStream(server, { 'X-API-Key': apiKey.key });
+    await stream.next('event: ready');
+
+    await server.engine.liveUpdates.checkSubscribers();
+    assert.ok(await stream.next(': ping'));
+
+    await server.request('DELETE', `/api/service-accounts/${account.id}/keys/${apiKey.id}`, { token: adminToken });
+    await server.engine.liveUpdates.checkSubscribers();
+    assert.equal(await stream.next('event: record'), null);
+  });
+
+  test("stops sending records a demoted user can't read", async () => {
+    const user = await createUser('demoted', 'Viewer');
+    await server.engine.publish({
+      name: 'Memo',
+      fields: [{ name: 'text', type: 'string' }],
+      rbac: { Admin: ['all'], Viewer: ['read'], Manager: ['read'] },
+    });
+    const { token } = await login(server, 'demoted');
+    const stream = await openStream(server, { Authorization: `Bearer ${token}` });
+    await stream.next('event: ready');
+
+    await server.request('PUT', `/api/users/${user.id}`, { token: adminToken, body: { role: 'Manager' } });
+    await server.engine.liveUpdates.checkSubscribers();
+    await server.request('POST', '/api/note', { token: adminToken, body: { text: 'Secret' } });
+    await server.request('POST', '/api/memo', { token: adminToken, body: { text: 'Marker' } });
+    const text = await stream.next('"text":"Marker"');
+    assert.doesNotMatch(text, /Secret/);
+    await stream.close();
+  });
+});
@@ -0,0 +1,251 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser, login } = require('./helpers');
+const { sequelize, Sequelize } = require('../db');
+const { planMigration, applyMigration } = require('../lib/migrations');
+const { createMemoryStorage } = require('../lib/configStorage');
+const SchemaMigration = require('../models/SchemaMigration');
+
+const RBAC = { Admin: ['all'] };
+
+const product = (fields, extra = {}) => ({ name: 'Product', fields, rbac: RBAC, ...extra });
+
+describe('planMigration', () => {
+  test('creates the table of a new model', () => {
+    const plan = planMigration(null, product([{ name: 'title', type: 'string', required: true }]));
+    assert.deepEqual(plan.steps.map((step) => step.action), ['createTable']);
+    assert.equal(plan.steps[0].table, 'products');
+    assert.equal(plan.destructive, false);
+  });
+
+  test('plans nothing for an unchanged config', () => {
+    const config = product([{ name: 'title', type: 'string' }]);
+    assert.deepEqual(planMigration(config, config).steps, []);
+  });
+
+  test('adds, drops and converts columns, flagging the destructive steps', () => {
+    const plan = planMigration(
+      product([{ name: 'title', type: 'string' }, { name: 'price', type: 'string' }, { name: 'old', type: 'text' }]),
+      product([{ name: 'title', type: 'string' }, { name: 'price', type: 'number' }, { name: 'stock', type: 'integer' }])
+    );
+    const byAction = Object.fromEntries(plan.steps.map((step) => [step.action, step]));
+    assert.deepEqual(Object.keys(byAction).sort(), ['addColumn', 'changeColumn', 'removeColumn']);
+    assert.equal(byAction.addColumn.column, 'stock');
+    assert.equal(byAction.addColumn.destructive, false);
+    assert.equal(byAction.removeColumn.column, 'old');
+    assert.equal(byAction.removeColumn.destructive, true);
+    assert.equal(byAction.changeColumn.column, 'price');
+    assert.equal(byAction.changeColumn.destructive, true);
+    assert.equal(plan.destructive, true);
+  });
+
+  test('keeps the data of a field renamed with renamedFrom', () => {
+    const plan = planMigration(
+      product([{ name: 'title', type: 'string' }]),
+      product([{ name: 'name', type: 'string', renamedFrom: 'title' }])
+    );
+    assert.deepEqual(plan.steps.map((step) => [step.action, step.from, step.to]), [['renameColumn', 'title', 'name']]);
+    assert.equal(plan.destructive, false);
+  });
+
+  test('adds and drops unique constraints as their own steps', () => {
+    const plan = planMigration(
+      product([{ name: 'sku', type: 'string' }, { name: 'code', type: 'string', unique: true }]),
+      product([{ name: 'sku', type: 'string', unique: true }, { name: 'code', type: 'string' }])
+    );
+    assert.deepEqual(plan.steps.map((step) => [step.action, step.column]), [['addUnique', 'sku'], ['removeUnique', 'code']]);
+  });
+
+  test('warns when soft delete is turned off', () => {
+    const plan = planMigration(
+      product([{ name: 'title', type: 'string' }], { softDelete: true }),
+      product([{ name: 'title', type: 'string' }])
+    );
+    assert.equal(plan.steps[0].column, 'deletedAt');
+    assert.match(plan.steps[0].warning, /trash/);
+  });
+
+  test('gives the same plan the same id', () => {
+    const from = product([{ name: 'title', type: 'string' }]);
+    const to = product([{ name: 'title', type: 'text' }]);
+    assert.equal(planMigration(from, to).planId, planMigration(from, to).planId);
+    assert.notEqual(planMigration(from, to).planId, planMigration(to, from).planId);
+  });
+});
+
+describe('applyMigration', () => {
+  const queryInterface = sequelize.getQueryInterface();
+
+  test('creates, changes and renames columns while keeping the data', async () => {
+    const v1 = { name: 'Gadget', fields: [{ name: 'title', type: 'string' }, { name: 'note', type: 'text' }], rbac: RBAC };
+    await applyMigration(sequelize, planMigration(null, v1).steps);
+    await sequelize.query("INSERT INTO gadgets (title, note, createdAt, updatedAt) VALUES ('Lamp', 'old', datetime('now'), datetime('now'))");
+
+    const v2 = {
+      ...v1,
+      fields: [{ name: 'name', type: 'string', renamedFrom: 'title', unique: true }, { name: 'weight', type: 'number' }],
+    };
+    await applyMigration(sequelize, planMigration(v1, v2).steps);
+
+    const columns = await queryInterface.describeTable('gadgets');
+    assert.ok(columns.name);
+    assert.ok(columns.weight);
+    assert.equal(columns.title, undefined);
+    assert.equal(columns.note, undefined);
+    const [rows] = await sequelize.query('SELECT name, weight FROM gadgets');
+    assert.deepEqual(rows, [{ name: 'Lamp', weight: null }]);
+
+    await assert.rejects(
+      sequelize.query("INSERT INTO gadgets (name, createdAt, updatedAt) VALUES ('Lamp', datetime('now'), datetime('now'))"),
+      Sequelize.UniqueConstraintError
+    );
+  });
+
+  test('rolls every step back when one fails', async () => {
+    const v1 = { name: 'Widget', fields: [{ name: 'title', type: 'string' }], rbac: RBAC };
+    await applyMigration(sequelize, planMigration(null, v1).steps);
+    await sequelize.query("INSERT INTO widgets (title, createdAt, updatedAt) VALUES ('A', datetime('now'), datetime('now')), ('A', datetime('now'), datetime('now'))");
+
+    const v2 = { ...v1, fields: [{ name: 'title', type: 'string', unique: true }, { name: 'size', type: 'integer' }] };
+    await assert.rejects(applyMigration(sequelize, planMigration(v1, v2).steps));
+    const columns = await queryInterface.describeTable('widgets');
+    assert.equal(columns.size, undefined);
+  });
+
+  test('rebuilds SQLite tables without running ON DELETE actions, but keeps references intact', async () => {
+    const v1 = { name: 'Parent', fields: [{ name: 'note', type: 'string' }], rbac: RBAC };
+    await applyMigration(sequelize, planMigration(null, v1).steps);
+    await sequelize.query('CREATE TABLE kids (id INTEGER PRIMARY KEY, parentId INTEGER REFERENCES parents (id) ON DELETE CASCADE)');
+    await sequelize.query("INSERT INTO parents (id, note, createdAt, updatedAt) VALUES (1, 'x', datetime('now'), datetime('now'))");
+    await sequelize.query('INSERT INTO kids (id, parentId) VALUES (1, 1)');
+
+    await applyMigration(sequelize, planMigration(v1, { ...v1, fields: [] }).steps);
+    const [kids] = await sequelize.query('SELECT * FROM kids');
+    assert.deepEqual(kids, [{ id: 1, parentId: 1 }]);
+
+    await assert.rejects(applyMigration(sequelize, [{ action: 'dropTable', table: 'parents' }]), /broken references in: kids/);
+    assert.ok(await queryInterface.tableExists('parents'));
+  });
+});
+
+describe('publishing', () => {
+  let server;
+  let token;
+
+  before(async () => {
+    server = await startServer();
+    await createUser('admin', 'Admin');
+    ({ token } = await login(server, 'admin'));
+  });
+
+  after(() => server.close());
+
+  const publish = (config, confirm) => server.request(
+    'POST',
+    `/api/models/publish${confirm ? `?confirm=${confirm}` : ''}`,
+    { token, body: config }
+  );
+
+  test('needs a confirmed plan to change a published model', async () => {
+    const v1 = { name: 'Book', fields: [{ name: 'title', type: 'string' }], rbac: RBAC };
+    assert.equal((await publish(v1)).status, 201);
+    await server.request('POST', '/api/book', { token, body: { title: 'Dune' } });
+
+    const v2 = { ...v1, fields: [{ name: 'title', type: 'text' }] };
+    const pending = await publish(v2);
+    assert.equal(pending.status, 409);
+    assert.equal(pending.body.code, 'CONFIRMATION_REQUIRED');
+
+    assert.equal((await publish(v2, pending.body.plan.planId)).status, 201);
+    const list = await server.request('GET', '/api/book', { token });
+    assert.deepEqual(list.body.data.map((book) => book.title), ['Dune']);
+  });
+
+  test('runs concurrent publishes of a model one after the other', async () => {
+    const config = { name: 'Shelf', fields: [{ name: 'label', type: 'string' }], rbac: RBAC };
+    const results = await Promise.all([publish(config), publish(config), publish(config)]);
+    assert.deepEqual(results.map((r) => r.status), [201, 201, 201]);
+    assert.deepEqual(results.map((r) => r.body.plan.steps.length), [1, 0, 0]);
+    assert.deepEqual(results.map((r) => r.body.version).sort(), [1, 2, 3]);
+  });
+
+  test('keeps the rows referencing a table SQLite rebuilds', async () => {
+    const customer = {
+      name: 'Customer',
+      fields: [{ name: 'name', type: 'string' }, { name: 'fax', type: 'string' }],
+      rbac: RBAC,
+    };
+    assert.equal((await publish(customer)).status, 201);
+    const tag = {
+      name: 'Label',
+      fields: [{ name: 'text', type: 'string' }, { name: 'customers', type: 'manyToMany', model: 'Customer' }],
+      rbac: RBAC,
+    };
+    const order = {
+      name: 'Purchase',
+      fields: [
+        { name: 'item', type: 'string' },
+        { name: 'customerId', type: 'reference', model: 'Customer', onDelete: 'cascade' },
+        { name: 'payerId', type: 'reference', model: 'Customer' }, // set null
+        { name: 'shipToId', type: 'reference', model: 'Customer', onDelete: 'restrict' },
+      ],
+      rbac: RBAC,
+    };
+    assert.equal((await publish(tag)).status, 201);
+    assert.equal((await publish(order)).status, 201);
+
+    const { body: ada } = await server.request('POST', '/api/customer', { token, body: { name: 'Ada', fax: '1' } });
+    await server.request('POST', '/api/label', { token, body: { text: 'vip', customers: [ada.id] } });
+    await server.request('POST', '/api/purchase', {
+      token,
+      body: { item: 'Lamp', customerId: ada.id, payerId: ada.id, shipToId: ada.id },
+    });
+
+    // Dropping a column makes SQLite copy the table and drop the old one
+    const v2 = { ...customer, fields: [{ name: 'name', type: 'string', required: true }] };
+    const pending = await publish(v2);
+    assert.equal((await publish(v2, pending.body.plan.planId)).status, 201);
+
+    const { body: purchases } = await server.request('GET', '/api/purchase', { token });
+    assert.equal(purchases.data.length, 1);
+    assert.deepEqual(
+      [purchases.data[0].customerId, purchases.data[0].payerId, purchases.data[0].shipToId],
+      [ada.id, ada.id, ada.id]
+    );
+    const { body: labels } = await server.request('GET', '/api/label?include=customers', { token });
+    assert.deepEqual(labels.data[0].customers.map((c) => c.id), [ada.id]);
+
+    // The references still hold after the rebuild
+    const [pragma] = await sequelize.query('PRAGMA foreign_keys', { type: Sequelize.QueryTypes.SELECT });
+    assert.equal(pragma.foreign_keys, 1);
+    const removed = await server.request('DELETE', `/api/customer/${ada.id}`, { token });
+    assert.equal(removed.status, 409);
+  });
+});
+
+describe('loading stored models', () => {
+  const queryInterface = sequelize.getQueryInterface();
+  const author = {
+    name: 'Author',
+    fields: [{ name: 'name', type: 'string', unique: true }, { name: 'genres', type: 'manyToMany', model: 'Genre' }],
+    rbac: RBAC,
+  };
+  const genre = { name: 'Genre', fields: [{ name: 'label', type: 'string' }], rbac: RBAC };
+
+  test('records the tables it creates, so the history rebuilds the schema', async () => {
+    const server = await startServer({ storage: createMemoryStorage([author, genre]) });
+    await server.close();
+    const tables = ['authors_genres', 'authors', 'genres'];
+    const described = await Promise.all(tables.map((table) => queryInterface.describeTable(table)));
+
+    const history = await SchemaMigration.findAll({ where: { modelName: ['Author', 'Genre'] }, order: [['id', 'ASC']] });
+    assert.deepEqual(
+      history.map(({ modelName, steps }) => [modelName, steps.map((step) => step.action)]),
+      [['Author', ['createTable']], ['Genre', ['createTable']], ['Author', ['createJoinTable']]]
+    );
+
+    for (const table of tables) await queryInterface.dropTable(table);
+    for (const { steps } of history) await applyMigration(sequelize, steps);
+    assert.deepEqual(await Promise.all(tables.map((table) => queryInterface.describeTable(table))), described);
+  });
+});
@@ -0,0 +1,93 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser, login } = require('./helpers');
+const { sequelize } = require('../db');
+
+const RBAC = { Admin: ['all'] };
+
+describe('republishing and deleting models', () => {
+  let server;
+  let adminToken;
+  let viewerToken;
+
+  before(async () => {
+    server = await startServer();
+    await createUser('admin', 'Admin');
+    await createUser('viewer', 'Viewer');
+    ({ token: adminToken } = await login(server, 'admin'));
+    ({ token: viewerToken } = await login(server, 'viewer'));
+  });
+
+  after(() => server.close());
+
+  const queryInterface = sequelize.getQueryInterface();
+  const publish = (config, confirm) => server.request(
+    'POST',
+    `/api/models/publish${confirm ? `?confirm=${confirm}` : ''}`,
+    { token: adminToken, body: config }
+  );
+  const remove = (modelName, table) => server.request(
+    'DELETE',
+    `/api/models/${modelName}${table ? `?table=${table}` : ''}`,
+    { token: adminToken }
+  );
+
+  test('swaps in the new routes of a republished model', async () => {
+    const v1 = { name: 'Gadget', fields: [{ name: 'name', type: 'string' }], rbac: RBAC };
+    await publish(v1);
+    await server.request('POST', '/api/gadget', { token: adminToken, body: { name: 'Lamp' } });
+    assert.equal((await server.request('GET', '/api/gadget', { token: viewerToken })).status, 403);
+
+    // Permissions change without a migration
+    await publish({ ...v1, rbac: { ...RBAC, Viewer: ['read'] } });
+    assert.equal((await server.request('GET', '/api/gadget', { token: viewerToken })).status, 200);
+
+    const v3 = { ...v1, fields: [...v1.fields, { name: 'weight', type: 'number', min: 0 }], rbac: { ...RBAC, Viewer: ['read'] } };
+    const pending = await publish(v3);
+    await publish(v3, pending.body.plan.planId);
+    const { status, body } = await server.request('POST', '/api/gadget', { token: adminToken, body: { name: 'Desk', weight: 20 } });
+    assert.equal(status, 201);
+    assert.equal(body.weight, 20);
+    assert.equal((await server.request('POST', '/api/gadget', { token: adminToken, body: { weight: -1 } })).status, 400);
+    assert.equal((await server.request('GET', '/api/gadget', { token: viewerToken })).body.pagination.total, 2);
+  });
+
+  test('keeps the table of a deleted model by default', async () => {
+    const { status, body } = await remove('Gadget');
+    assert.equal(status, 200);
+    assert.equal(body.table, 'keep');
+    assert.equal((await server.request('GET', '/api/gadget', { token: adminToken })).status, 404);
+    assert.equal((await server.request('GET', '/api/models/Gadget', { token: adminToken })).status, 404);
+    assert.equal(server.engine.getModel('Gadget'), undefined);
+
+    // Publishing it again finds the rows where they were
+    const config = { name: 'Gadget', fields: [{ name: 'name', type: 'string' }, { name: 'weight', type: 'number' }], rbac: RBAC };
+    assert.equal((await publish(config)).status, 201);
+    assert.equal((await server.request('GET', '/api/gadget', { token: adminToken })).body.pagination.total, 2);
+  });
+
+  test('archives or drops the table when asked to', async () => {
+    const { body: archived } = await remove('Gadget', 'archive');
+    assert.match(archived.archivedAs, /^gadgets_archived_\d+$/);
+    assert.equal(await queryInterface.tableExists('gadgets'), false);
+    const [rows] = await sequelize.query(`SELECT name FROM ${archived.archivedAs} ORDER BY id`);
+    assert.deepEqual(rows.map((row) => row.name), ['Lamp', 'Desk']);
+
+    await publish({ name: 'Widget', fields: [{ name: 'name', type: 'string' }], rbac: RBAC });
+    assert.equal((await remove('Widget', 'drop')).status, 200);
+    assert.equal(await queryInterface.tableExists('widgets'), false);
+  });
+
+  test('refuses to delete a model another one references', async () => {
+    await publish({ name: 'Maker', fields: [{ name: 'name', type: 'string' }], rbac: RBAC });
+    await publish({ name: 'Part', fields: [{ name: 'makerId', type: 'reference', model: 'Maker' }], rbac: RBAC });
+
+    const { status, body } = await remove('Maker');
+    assert.equal(status, 409);
+    assert.equal(body.code, 'MODEL_IN_USE');
+    assert.equal((await server.request('GET', '/api/maker', { token: adminToken })).status, 200);
+
+    assert.equal((await remove('Maker', 'shred')).status, 400);
+    assert.equal((await remove('Nothing')).status, 404);
+  });
+});
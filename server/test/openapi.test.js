@@ -0,0 +1,105 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser, login } = require('./helpers');
+const { buildOpenApiDocument } = require('../lib/openapi');
+
+const CATEGORY = { name: 'Category', fields: [{ name: 'title', type: 'string' }], rbac: { Admin: ['all'] } };
+const PRODUCT = {
+  name: 'Product',
+  ownerField: 'ownerId',
+  softDelete: true,
+  fields: [
+    { name: 'name', type: 'string', required: true, maxLength: 80 },
+    { name: 'price', type: 'number', min: 0 },
+    { name: 'status', type: 'enum', values: ['draft', 'live'] },
+    { name: 'cost', type: 'number', access: { Viewer: 'hidden' } },
+    { name: 'categoryId', type: 'reference', model: 'Category' },
+    { name: 'total', type: 'number', computed: 'price * 2', access: { Viewer: 'hidden' } },
+  ],
+  rbac: { Admin: ['all'], Manager: ['read', 'create', 'update:own'], Viewer: ['read'] },
+};
+
+describe('buildOpenApiDocument', () => {
+  const models = [PRODUCT, CATEGORY].map((config) => ({ config, slug: config.name.toLowerCase() }));
+  const doc = buildOpenApiDocument(models, '/v1');
+  const { schemas } = doc.components;
+
+  test('describes records and request bodies with the field rules', () => {
+    assert.equal(doc.openapi, '3.1.0');
+    assert.deepEqual(doc.servers, [{ url: '/v1' }]);
+
+    const { properties } = schemas.Product;
+    assert.deepEqual(properties.name, { type: 'string', maxLength: 80 });
+    assert.deepEqual(properties.price, { type: ['number', 'null'], minimum: 0 });
+    assert.deepEqual(properties.status.enum, ['draft', 'live', null]);
+    assert.deepEqual(properties.category, { $ref: '#/components/schemas/Category', description: 'Returned with ?include=category.' });
+    assert.equal(properties.total.readOnly, true);
+    assert.match(properties.cost.description, /Hidden from: Viewer/);
+    assert.ok(properties.deletedAt);
+
+    const input = schemas.ProductInput;
+    assert.deepEqual(input.required, ['name']);
+    assert.equal(input.properties.total, undefined);
+    assert.equal(input.properties.ownerId.description, 'Only honoured for Admins.');
+  });
+
+  test('lists the generated routes with the roles allowed on each', () => {
+    const { paths } = doc;
+    for (const path of ['/api/product', '/api/product/{id}', '/api/product/bulk', '/api/product/trash', '/api/product/{id}/purge']) {
+      assert.ok(paths[path], path);
+    }
+    assert.equal(paths['/api/category/trash'], undefined);
+
+    assert.deepEqual(paths['/api/product'].get.security, [{ bearerAuth: ['Admin', 'Manager', 'Viewer'] }, { apiKeyAuth: [] }]);
+    const update = paths['/api/product/{id}'].put;
+    assert.deepEqual(update.security[0], { bearerAuth: ['Admin', 'Manager'] });
+    assert.match(update.description, /Manager only reach records they own/);
+    assert.deepEqual(paths['/api/product/{id}/purge'].delete.security[0], { bearerAuth: ['Admin'] });
+
+    const filters = paths['/api/product'].get.parameters.map((p) => p.name).filter(Boolean);
+    assert.ok(filters.includes('price'));
+  });
+});
+
+describe('GET /api/openapi.json', () => {
+  let server;
+  let token;
+
+  before(async () => {
+    server = await startServer();
+    await createUser('admin', 'Admin');
+    ({ token } = await login(server, 'admin'));
+    await server.engine.publish(CATEGORY);
+  });
+
+  after(() => server.close());
+
+  const fetchDocument = () => server.request('GET', '/api/openapi.json').then(({ status, body }) => {
+    assert.equal(status, 200);
+    return body;
+  });
+
+  test('is public and covers the published models', async () => {
+    const doc = await fetchDocument();
+    assert.ok(doc.paths['/api/category']);
+    assert.ok(doc.components.schemas.CategoryInput);
+    assert.ok(doc.paths['/auth/login']);
+  });
+
+  test('is rebuilt on publish, rollback and delete', async () => {
+    const v2 = { ...CATEGORY, fields: [...CATEGORY.fields, { name: 'rank', type: 'integer' }] };
+    const plan = await server.engine.plan(v2);
+    await server.request('POST', `/api/models/publish?confirm=${plan.planId}`, { token, body: v2 });
+    assert.ok((await fetchDocument()).components.schemas.Category.properties.rank);
+
+    const url = '/api/models/Category/versions/1/rollback';
+    const { body: pending } = await server.request('POST', url, { token });
+    assert.equal((await server.request('POST', `${url}?confirm=${pending.plan.planId}`, { token })).status, 201);
+    assert.equal((await fetchDocument()).components.schemas.Category.properties.rank, undefined);
+
+    await server.request('DELETE', '/api/models/Category', { token });
+    const doc = await fetchDocument();
+    assert.equal(doc.paths['/api/category'], undefined);
+    assert.equal(doc.components.schemas.Category, undefined);
+  });
+});
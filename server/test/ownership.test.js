@@ -0,0 +1,83 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser, login } = require('./helpers');
+
+describe('owner field', () => {
+  let server;
+  let adminToken;
+  let ada;
+  let grace;
+  let adaNote;
+  let graceNote;
+
+  before(async () => {
+    server = await startServer();
+    await createUser('admin', 'Admin');
+    ada = { user: await createUser('ada', 'Manager') };
+    grace = { user: await createUser('grace', 'Manager') };
+    ({ token: adminToken } = await login(server, 'admin'));
+    ({ token: ada.token } = await login(server, 'ada'));
+    ({ token: grace.token } = await login(server, 'grace'));
+    await server.engine.publish({
+      name: 'Note',
+      ownerField: 'ownerId',
+      fields: [{ name: 'text', type: 'string' }],
+      rbac: { Admin: ['all'], Manager: ['create', 'read:own', 'update:own', 'delete:own'] },
+    });
+
+    ({ body: adaNote } = await server.request('POST', '/api/note', { token: ada.token, body: { text: 'Ada' } }));
+    ({ body: graceNote } = await server.request('POST', '/api/note', {
+      token: grace.token,
+      body: { text: 'Grace', ownerId: ada.user.id }, // Can't hand it to someone else
+    }));
+  });
+
+  after(() => server.close());
+
+  test('stamps new records with their creator', () => {
+    assert.equal(adaNote.ownerId, ada.user.id);
+    assert.equal(graceNote.ownerId, grace.user.id);
+  });
+
+  test('limits ":own" roles to their own records', async () => {
+    const { body: list } = await server.request('GET', '/api/note', { token: ada.token });
+    assert.deepEqual(list.data.map((note) => note.text), ['Ada']);
+    assert.equal(list.pagination.total, 1);
+
+    assert.equal((await server.request('GET', `/api/note/${graceNote.id}`, { token: ada.token })).status, 404);
+    const update = await server.request('PUT', `/api/note/${graceNote.id}`, { token: ada.token, body: { text: 'Mine' } });
+    assert.equal(update.status, 404);
+    assert.equal((await server.request('DELETE', `/api/note/${graceNote.id}`, { token: ada.token })).status, 404);
+
+    const { body: own } = await server.request('GET', `/api/note/${adaNote.id}`, { token: ada.token });
+    assert.equal(own.text, 'Ada');
+  });
+
+  test("doesn't let owners hand records over", async () => {
+    const { status, body } = await server.request('PUT', `/api/note/${adaNote.id}`, {
+      token: ada.token,
+      body: { text: 'Still mine', ownerId: grace.user.id },
+    });
+    assert.equal(status, 200);
+    assert.equal(body.text, 'Still mine');
+    assert.equal(body.ownerId, ada.user.id);
+  });
+
+  test('leaves Admin unlimited, and lets it assign records', async () => {
+    const { body: list } = await server.request('GET', '/api/note?sort=id', { token: adminToken });
+    assert.deepEqual(list.data.map((note) => note.text), ['Still mine', 'Grace']);
+
+    const { body: assigned } = await server.request('POST', '/api/note', {
+      token: adminToken,
+      body: { text: 'For Grace', ownerId: grace.user.id },
+    });
+    assert.equal(assigned.ownerId, grace.user.id);
+    const { body: graceList } = await server.request('GET', '/api/note', { token: grace.token });
+    assert.deepEqual(graceList.data.map((note) => note.text).sort(), ['For Grace', 'Grace']);
+  });
+
+  test('deletes only own records', async () => {
+    assert.equal((await server.request('DELETE', `/api/note/${adaNote.id}`, { token: ada.token })).status, 204);
+    assert.equal((await server.request('GET', `/api/note/${graceNote.id}`, { token: grace.token })).status, 200);
+  });
+});
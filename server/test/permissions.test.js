@@ -0,0 +1,163 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser, login } = require('./helpers');
+const {
+  validateFieldAccess,
+  getFieldAccess,
+  getVisibleConfig,
+  hideFields,
+  dropReadOnlyFields,
+  getAccess,
+} = require('../lib/permissions');
+const { validateModelLogic } = require('../lib/modelLogic');
+
+const EMPLOYEE = {
+  name: 'Employee',
+  ownerField: 'ownerId',
+  fields: [
+    { name: 'name', type: 'string' },
+    { name: 'salary', type: 'decimal', access: { Viewer: 'hidden', Manager: 'read' } },
+    { name: 'notes', type: 'text', access: { Viewer: 'read' } },
+    { name: 'managerId', type: 'reference', model: 'Employee', access: { Viewer: 'hidden' } },
+  ],
+  rbac: { Admin: ['all'], Manager: ['read', 'create', 'update:own'], Viewer: ['read'] },
+};
+
+const viewer = { id: 'v', role: 'Viewer' };
+const manager = { id: 'm', role: 'Manager' };
+
+describe('field access', () => {
+  test('checks the access levels of a config', () => {
+    assert.equal(validateFieldAccess(EMPLOYEE), null);
+    const bad = (access) => ({ ...EMPLOYEE, fields: [{ name: 'name', type: 'string', access }] });
+    assert.match(validateFieldAccess(bad(['Viewer'])), /'access' of field 'name' must map roles/);
+    assert.match(validateFieldAccess(bad({ Viewer: 'none' })), /Access of role 'Viewer' to field 'name' must be one of/);
+  });
+
+  test('gives roles without a setting write access', () => {
+    const [name, salary] = EMPLOYEE.fields;
+    assert.equal(getFieldAccess(name, viewer), 'write');
+    assert.equal(getFieldAccess(salary, viewer), 'hidden');
+    assert.equal(getFieldAccess(salary, manager), 'read');
+    assert.equal(getFieldAccess(salary, { role: 'Admin' }), 'write');
+  });
+
+  test('leaves hidden fields out of the visible config', () => {
+    assert.deepEqual(getVisibleConfig(EMPLOYEE, viewer).fields.map((f) => f.name), ['name', 'notes']);
+    assert.equal(getVisibleConfig(EMPLOYEE, manager), EMPLOYEE);
+  });
+
+  test('hides fields and related records from record values', () => {
+    const values = { id: 1, name: 'Ada', salary: '100.00', notes: 'n', managerId: 'u', manager: { id: 'u' } };
+    assert.deepEqual(hideFields(EMPLOYEE, viewer, values), { id: 1, name: 'Ada', notes: 'n' });
+    assert.equal(hideFields(EMPLOYEE, manager, values), values);
+  });
+
+  test('drops the fields a role may not write from a body', () => {
+    const body = { name: 'Ada', salary: 5, notes: 'n', managerId: 'u' };
+    assert.deepEqual(dropReadOnlyFields(EMPLOYEE, viewer, body), { name: 'Ada' });
+    assert.deepEqual(dropReadOnlyFields(EMPLOYEE, manager, body), { name: 'Ada', notes: 'n', managerId: 'u' });
+  });
+
+  test('makes computed fields as hidden as the fields they read', () => {
+    const withBonus = (access) => ({
+      ...EMPLOYEE,
+      fields: [...EMPLOYEE.fields, { name: 'bonus', type: 'decimal', computed: 'salary / 10', access }],
+    });
+    assert.equal(
+      validateModelLogic(withBonus(undefined)),
+      "Computed field 'bonus' reads 'salary', which is hidden from Viewer: hide it from Viewer too."
+    );
+    assert.match(validateModelLogic(withBonus({ Viewer: 'read' })), /hidden from Viewer/);
+    assert.equal(validateModelLogic(withBonus({ Viewer: 'hidden' })), null);
+
+    // Also through another computed field
+    const chained = withBonus({ Viewer: 'hidden' });
+    chained.fields.push({ name: 'doubled', type: 'decimal', computed: 'bonus * 2' });
+    assert.match(validateModelLogic(chained), /Computed field 'doubled' reads 'bonus', which is hidden from Viewer/);
+  });
+
+  test('limits ":own" permissions to the owner, except for Admin', () => {
+    assert.deepEqual(getAccess(EMPLOYEE, manager, 'read'), { ownedOnly: false });
+    assert.deepEqual(getAccess(EMPLOYEE, manager, 'update'), { ownedOnly: true });
+    assert.equal(getAccess(EMPLOYEE, manager, 'delete'), null);
+    assert.equal(getAccess(EMPLOYEE, viewer, 'create'), null);
+    assert.equal(getAccess(EMPLOYEE, { role: 'Unknown' }, 'read'), null);
+  });
+});
+
+describe('field access through the API', () => {
+  let server;
+  let adminToken;
+  let viewerToken;
+  let managerToken;
+  let employee;
+
+  before(async () => {
+    server = await startServer();
+    await createUser('admin', 'Admin');
+    await createUser('viewer', 'Viewer');
+    await createUser('manager', 'Manager');
+    ({ token: adminToken } = await login(server, 'admin'));
+    ({ token: viewerToken } = await login(server, 'viewer'));
+    ({ token: managerToken } = await login(server, 'manager'));
+    await server.engine.publish(EMPLOYEE);
+
+    ({ body: employee } = await server.request('POST', '/api/employee', {
+      token: adminToken,
+      body: { name: 'Ada', salary: '100.00', notes: 'Started in May' },
+    }));
+  });
+
+  after(() => server.close());
+
+  test('leaves hidden fields out of records', async () => {
+    const { body: list } = await server.request('GET', '/api/employee', { token: viewerToken });
+    assert.equal(list.data[0].name, 'Ada');
+    assert.equal(list.data[0].notes, 'Started in May');
+    assert.equal('salary' in list.data[0], false);
+
+    const { body: record } = await server.request('GET', `/api/employee/${employee.id}`, { token: viewerToken });
+    assert.equal('salary' in record, false);
+
+    const { body: managerRecord } = await server.request('GET', `/api/employee/${employee.id}`, { token: managerToken });
+    assert.equal(Number(managerRecord.salary), 100);
+  });
+
+  test("doesn't filter or sort by hidden fields", async () => {
+    const filtered = await server.request('GET', '/api/employee?salary[gt]=50', { token: viewerToken });
+    assert.equal(filtered.status, 400);
+    const sorted = await server.request('GET', '/api/employee?sort=salary', { token: viewerToken });
+    assert.equal(sorted.status, 400);
+    const allowed = await server.request('GET', '/api/employee?salary[gt]=50', { token: managerToken });
+    assert.equal(allowed.status, 200);
+    assert.equal(allowed.body.data.length, 1);
+  });
+
+  test('ignores writes to read-only fields', async () => {
+    const { status, body } = await server.request('POST', '/api/employee', {
+      token: managerToken,
+      body: { name: 'Grace', salary: '999.00', notes: 'New' },
+    });
+    assert.equal(status, 201);
+    await server.request('PUT', `/api/employee/${body.id}`, {
+      token: managerToken,
+      body: { name: 'Grace H.', salary: '1.00' },
+    });
+
+    const { body: stored } = await server.request('GET', `/api/employee/${body.id}`, { token: adminToken });
+    assert.equal(stored.name, 'Grace H.');
+    assert.equal(stored.notes, 'New');
+    assert.equal(stored.salary, null);
+  });
+
+  test("won't publish a computed field that shows a hidden one", async () => {
+    const { status, body } = await server.request('POST', '/api/models/publish', {
+      token: adminToken,
+      body: { ...EMPLOYEE, fields: [...EMPLOYEE.fields, { name: 'pay', type: 'string', computed: 'concat(salary)' }] },
+    });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'INVALID_MODEL');
+    assert.match(body.message, /'pay' reads 'salary'/);
+  });
+});
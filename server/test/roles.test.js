@@ -0,0 +1,92 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser, login } = require('./helpers');
+const { createMemoryStorage } = require('../lib/configStorage');
+const User = require('../models/User');
+const Role = require('../models/Role');
+
+describe('role renames', () => {
+  let server;
+  let token;
+  // Saving the config of this model fails while set
+  let failingModel = null;
+
+  before(async () => {
+    const storage = createMemoryStorage();
+    const save = storage.save.bind(storage);
+    storage.save = async (config) => {
+      if (config.name === failingModel) throw new Error('Disk full');
+      return save(config);
+    };
+    server = await startServer({ storage });
+    await createUser('admin', 'Admin');
+    ({ token } = await login(server, 'admin'));
+
+    await server.request('POST', '/api/roles', { token, body: { name: 'Editor' } });
+    await createUser('editor', 'Editor');
+    for (const name of ['Article', 'Comment']) {
+      await server.engine.publish({
+        name,
+        fields: [{ name: 'text', type: 'string', access: { Editor: 'write' } }],
+        rbac: { Admin: ['all'], Editor: ['read', 'update'] },
+      });
+    }
+  });
+
+  after(() => server.close());
+
+  const getConfig = async (name) => (await server.request('GET', `/api/models/${name}`, { token })).body;
+  const findRoleId = async (name) => (await Role.findOne({ where: { name } })).id;
+
+  test('undoes the whole rename when a model fails to republish', async () => {
+    failingModel = 'Comment';
+    const { status } = await server.request('PUT', `/api/roles/${await findRoleId('Editor')}`, {
+      token,
+      body: { name: 'Author', description: 'Writes articles.' },
+    });
+    failingModel = null;
+    assert.equal(status, 500);
+
+    const role = await Role.findOne({ where: { name: 'Editor' } });
+    assert.equal(role.description, null);
+    assert.equal((await User.findOne({ where: { username: 'editor' } })).role, 'Editor');
+    for (const name of ['Article', 'Comment']) {
+      const config = await getConfig(name);
+      assert.deepEqual(Object.keys(config.rbac), ['Admin', 'Editor']);
+      assert.deepEqual(Object.keys(config.fields[0].access), ['Editor']);
+    }
+  });
+
+  test('renames the role in its users and model configs', async () => {
+    const { status, body } = await server.request('PUT', `/api/roles/${await findRoleId('Editor')}`, {
+      token,
+      body: { name: 'Author' },
+    });
+    assert.equal(status, 200);
+    assert.deepEqual(body.models, ['Article', 'Comment']);
+    assert.equal((await User.findOne({ where: { username: 'editor' } })).role, 'Author');
+
+    const config = await getConfig('Article');
+    assert.deepEqual(config.rbac.Author, ['read', 'update']);
+    assert.equal(config.rbac.Editor, undefined);
+    assert.deepEqual(config.fields[0].access, { Author: 'write' });
+
+    // The editor keeps their access under the new name
+    const { token: editorToken } = await login(server, 'editor');
+    assert.equal((await server.request('GET', '/api/article', { token: editorToken })).status, 200);
+  });
+
+  test('applies later renames when rolling back to an older revision', async () => {
+    await server.engine.publish({
+      name: 'Article',
+      fields: [{ name: 'text', type: 'string', access: { Author: 'read' } }],
+      rbac: { Admin: ['all'], Author: ['read'] },
+    });
+    const { status } = await server.request('POST', '/api/models/Article/versions/1/rollback', { token });
+    assert.equal(status, 201);
+
+    const config = await getConfig('Article');
+    assert.deepEqual(config.rbac, { Admin: ['all'], Author: ['read', 'update'] });
+    assert.deepEqual(config.fields[0].access, { Author: 'write' });
+  });
+});
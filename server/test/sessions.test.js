@@ -0,0 +1,107 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser, login, PASSWORD } = require('./helpers');
+
+describe('sessions', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+    await createUser('ada', 'Viewer');
+    await createUser('grace', 'Viewer');
+  });
+
+  after(() => server.close());
+
+  const me = (token) => server.request('GET', '/auth/me', { token });
+  const refresh = (refreshToken) => server.request('POST', '/auth/refresh', { body: { refreshToken } });
+
+  test('rotates the refresh token on every refresh', async () => {
+    const first = await login(server, 'ada');
+    const { status, body: second } = await refresh(first.refreshToken);
+    assert.equal(status, 200);
+    assert.notEqual(second.refreshToken, first.refreshToken);
+    // Same session, new secret
+    assert.equal(second.refreshToken.split('.')[0], first.refreshToken.split('.')[0]);
+    assert.equal((await me(second.token)).body.username, 'ada');
+
+    const { body: third } = await refresh(second.refreshToken);
+    assert.equal((await me(third.token)).status, 200);
+  });
+
+  test('ends the session when a used refresh token comes back', async () => {
+    const first = await login(server, 'ada');
+    const { body: second } = await refresh(first.refreshToken);
+
+    const reused = await refresh(first.refreshToken);
+    assert.equal(reused.status, 401);
+    assert.equal(reused.body.code, 'INVALID_REFRESH_TOKEN');
+    assert.match(reused.body.message, /already used/);
+
+    // Whoever holds the newer tokens is logged out too
+    assert.equal((await refresh(second.refreshToken)).status, 401);
+    const { status, body } = await me(second.token);
+    assert.equal(status, 401);
+    assert.equal(body.code, 'SESSION_ENDED');
+  });
+
+  test('lets only one of two concurrent refreshes win', async () => {
+    const { refreshToken } = await login(server, 'ada');
+    const results = await Promise.all([refresh(refreshToken), refresh(refreshToken)]);
+    assert.deepEqual(results.map((r) => r.status).sort(), [200, 401]);
+  });
+
+  test('rejects malformed and unknown refresh tokens', async () => {
+    for (const refreshToken of [undefined, 'nonsense', `${crypto.randomUUID()}.secret`]) {
+      const { status, body } = await refresh(refreshToken);
+      assert.equal(status, 401);
+      assert.equal(body.code, 'INVALID_REFRESH_TOKEN');
+    }
+  });
+
+  test('logs out one session', async () => {
+    const laptop = await login(server, 'ada');
+    const phone = await login(server, 'ada');
+
+    assert.equal((await server.request('POST', '/auth/logout', { body: { refreshToken: laptop.refreshToken } })).status, 204);
+    assert.equal((await me(laptop.token)).status, 401);
+    assert.equal((await refresh(laptop.refreshToken)).status, 401);
+    assert.equal((await me(phone.token)).status, 200);
+  });
+
+  test('logs out every session of the user', async () => {
+    const laptop = await login(server, 'ada');
+    const phone = await login(server, 'ada');
+    const other = await login(server, 'grace');
+
+    assert.equal((await server.request('POST', '/auth/logout-all', { token: laptop.token })).status, 204);
+    assert.equal((await me(laptop.token)).status, 401);
+    assert.equal((await me(phone.token)).status, 401);
+    assert.equal((await refresh(phone.refreshToken)).status, 401);
+    assert.equal((await me(other.token)).status, 200);
+  });
+
+  test('ends the other sessions when the password changes', async () => {
+    const laptop = await login(server, 'grace');
+    const phone = await login(server, 'grace');
+
+    const wrong = await server.request('PUT', '/auth/password', {
+      token: laptop.token,
+      body: { currentPassword: 'wrong-password', newPassword: 'a-new-password' },
+    });
+    assert.equal(wrong.status, 400);
+    assert.equal((await me(phone.token)).status, 200);
+
+    const changed = await server.request('PUT', '/auth/password', {
+      token: laptop.token,
+      body: { currentPassword: PASSWORD, newPassword: 'a-new-password' },
+    });
+    assert.equal(changed.status, 204);
+    assert.equal((await me(laptop.token)).status, 200);
+    assert.equal((await me(phone.token)).status, 401);
+    assert.equal((await refresh(phone.refreshToken)).status, 401);
+
+    const { status } = await server.request('POST', '/auth/login', { body: { username: 'grace', password: 'a-new-password' } });
+    assert.equal(status, 200);
+  });
+});
@@ -0,0 +1,102 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser, login } = require('./helpers');
+
+describe('trash', () => {
+  let server;
+  let adminToken;
+  let managerToken;
+  let viewerToken;
+
+  before(async () => {
+    server = await startServer();
+    await createUser('admin', 'Admin');
+    await createUser('manager', 'Manager');
+    await createUser('viewer', 'Viewer');
+    ({ token: adminToken } = await login(server, 'admin'));
+    ({ token: managerToken } = await login(server, 'manager'));
+    ({ token: viewerToken } = await login(server, 'viewer'));
+    await server.engine.publish({
+      name: 'Memo',
+      softDelete: true,
+      ownerField: 'ownerId',
+      fields: [{ name: 'title', type: 'string', unique: true }],
+      rbac: { Admin: ['all'], Manager: ['read:own', 'create', 'delete:own'], Viewer: ['read'] },
+    });
+  });
+
+  after(() => server.close());
+
+  const create = (token, title) => server.request('POST', '/api/memo', { token, body: { title } }).then(({ body }) => body);
+  const trash = (token, query = '') => server.request('GET', `/api/memo/trash${query}`, { token });
+
+  test('hides deleted records without removing them', async () => {
+    const memo = await create(adminToken, 'Lunch');
+    assert.equal((await server.request('DELETE', `/api/memo/${memo.id}`, { token: adminToken })).status, 204);
+
+    assert.equal((await server.request('GET', `/api/memo/${memo.id}`, { token: adminToken })).status, 404);
+    assert.equal((await server.request('GET', '/api/memo', { token: adminToken })).body.pagination.total, 0);
+
+    const { status, body } = await trash(adminToken, '?sort=-deletedAt');
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.map((row) => row.title), ['Lunch']);
+    assert.ok(body.data[0].deletedAt);
+
+    // A trashed record still holds its unique values
+    const { status: taken } = await server.request('POST', '/api/memo', { token: adminToken, body: { title: 'Lunch' } });
+    assert.equal(taken, 409);
+  });
+
+  test('restores records from the trash', async () => {
+    const memo = await create(adminToken, 'Dinner');
+    await server.request('DELETE', `/api/memo/${memo.id}`, { token: adminToken });
+
+    const { status, body } = await server.request('POST', `/api/memo/${memo.id}/restore`, { token: adminToken });
+    assert.equal(status, 200);
+    assert.equal(body.deletedAt, null);
+    assert.equal((await server.request('GET', `/api/memo/${memo.id}`, { token: adminToken })).body.title, 'Dinner');
+
+    // Only trashed records can be restored
+    assert.equal((await server.request('POST', `/api/memo/${memo.id}/restore`, { token: adminToken })).status, 404);
+
+    const { body: history } = await server.request('GET', `/api/memo/${memo.id}/history`, { token: adminToken });
+    assert.deepEqual(history.map((entry) => entry.action), ['restore', 'delete', 'create']);
+  });
+
+  test('purges trashed records for good', async () => {
+    const memo = await create(adminToken, 'Breakfast');
+    // Records still in use aren't in the trash
+    assert.equal((await server.request('DELETE', `/api/memo/${memo.id}/purge`, { token: adminToken })).status, 404);
+
+    await server.request('DELETE', `/api/memo/${memo.id}`, { token: adminToken });
+    assert.equal((await server.request('DELETE', `/api/memo/${memo.id}/purge`, { token: adminToken })).status, 204);
+    assert.equal((await trash(adminToken, '?title=Breakfast')).body.pagination.total, 0);
+    assert.equal((await server.request('POST', `/api/memo/${memo.id}/restore`, { token: adminToken })).status, 404);
+
+    const { body } = await server.request('GET', `/api/audit?modelName=Memo&recordId=${memo.id}`, { token: adminToken });
+    assert.equal(body.data[0].action, 'purge');
+  });
+
+  test("limits 'delete:own' roles to their own trash, without purging", async () => {
+    const mine = await create(managerToken, 'Mine');
+    const theirs = await create(adminToken, 'Theirs');
+    await server.request('DELETE', `/api/memo/${mine.id}`, { token: managerToken });
+    await server.request('DELETE', `/api/memo/${theirs.id}`, { token: adminToken });
+
+    const { body } = await trash(managerToken);
+    assert.deepEqual(body.data.map((row) => row.title), ['Mine']);
+    assert.equal((await server.request('POST', `/api/memo/${theirs.id}/restore`, { token: managerToken })).status, 404);
+    assert.equal((await server.request('DELETE', `/api/memo/${mine.id}/purge`, { token: managerToken })).status, 403);
+    assert.equal((await server.request('POST', `/api/memo/${mine.id}/restore`, { token: managerToken })).status, 200);
+
+    assert.equal((await trash(viewerToken)).status, 403);
+  });
+
+  test('leaves models without soft delete without a trash', async () => {
+    await server.engine.publish({ name: 'Scrap', fields: [{ name: 'title', type: 'string' }], rbac: { Admin: ['all'] } });
+    const { body: scrap } = await server.request('POST', '/api/scrap', { token: adminToken, body: { title: 'Gone' } });
+    await server.request('DELETE', `/api/scrap/${scrap.id}`, { token: adminToken });
+    assert.equal((await server.request('GET', '/api/scrap/trash', { token: adminToken })).status, 404);
+    assert.equal((await server.request('POST', `/api/scrap/${scrap.id}/restore`, { token: adminToken })).status, 404);
+  });
+});
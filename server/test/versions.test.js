@@ -0,0 +1,90 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser, login } = require('./helpers');
+const { diffModelConfigs } = require('../lib/configDiff');
+
+const V1 = {
+  name: 'Book',
+  fields: [{ name: 'title', type: 'string' }, { name: 'pages', type: 'integer' }],
+  rbac: { Admin: ['all'], Viewer: ['read'] },
+};
+const V2 = {
+  name: 'Book',
+  ownerField: 'ownerId',
+  fields: [{ name: 'title', type: 'string', required: true }, { name: 'isbn', type: 'string' }],
+  rbac: { Admin: ['all'], Viewer: ['read', 'create'], Manager: ['read'] },
+};
+
+describe('diffModelConfigs', () => {
+  test('lists field, permission and setting changes', () => {
+    assert.deepEqual(diffModelConfigs(V1, V2), {
+      fields: {
+        added: ['isbn'],
+        removed: ['pages'],
+        changed: [{ name: 'title', changes: { required: { from: undefined, to: true } } }],
+      },
+      rbac: {
+        Viewer: { granted: ['create'], revoked: [] },
+        Manager: { granted: ['read'], revoked: [] },
+      },
+      settings: { ownerField: { from: undefined, to: 'ownerId' } },
+    });
+    assert.deepEqual(diffModelConfigs(V1, V1), { fields: { added: [], removed: [], changed: [] }, rbac: {}, settings: {} });
+  });
+});
+
+describe('version history', () => {
+  let server;
+  let token;
+
+  before(async () => {
+    server = await startServer();
+    await createUser('admin', 'Admin');
+    ({ token } = await login(server, 'admin'));
+    await server.engine.publish(V1, { user: { id: null, username: 'setup' } });
+    await server.request('POST', '/api/book', { token, body: { title: 'Dune', pages: 412 } });
+    const plan = await server.engine.plan(V2);
+    await server.request('POST', `/api/models/publish?confirm=${plan.planId}`, { token, body: V2 });
+  });
+
+  after(() => server.close());
+
+  test('keeps a revision per publish, newest first', async () => {
+    const { status, body } = await server.request('GET', '/api/models/Book/versions', { token });
+    assert.equal(status, 200);
+    assert.deepEqual(body.map((v) => [v.version, v.author]), [[2, 'admin'], [1, 'setup']]);
+    assert.deepEqual(body[1].config, V1);
+  });
+
+  test('compares two revisions with the migration between them', async () => {
+    const { status, body } = await server.request('GET', '/api/models/Book/diff?from=2&to=1', { token });
+    assert.equal(status, 200);
+    assert.deepEqual(body.changes.fields, {
+      added: ['pages'],
+      removed: ['isbn'],
+      changed: [{ name: 'title', changes: { required: { from: true } } }],
+    });
+    assert.deepEqual(body.changes.rbac.Manager, { granted: [], revoked: ['read'] });
+    assert.deepEqual(body.steps.map((step) => step.action).sort(), ['addColumn', 'changeColumn', 'removeColumn', 'removeColumn']);
+
+    assert.equal((await server.request('GET', '/api/models/Book/diff?from=1&to=9', { token })).status, 404);
+  });
+
+  test('rolls back to an older revision through a confirmed plan', async () => {
+    const url = '/api/models/Book/versions/1/rollback';
+    const pending = await server.request('POST', url, { token });
+    assert.equal(pending.status, 409);
+    assert.equal(pending.body.code, 'CONFIRMATION_REQUIRED');
+
+    const { status, body } = await server.request('POST', `${url}?confirm=${pending.body.plan.planId}`, { token });
+    assert.equal(status, 201);
+    assert.equal(body.version, 3);
+
+    const { body: config } = await server.request('GET', '/api/models/Book', { token });
+    assert.deepEqual(config, V1);
+    const { body: list } = await server.request('GET', '/api/book', { token });
+    assert.deepEqual(list.data.map((book) => [book.title, book.pages]), [['Dune', null]]);
+
+    assert.equal((await server.request('POST', '/api/models/Book/versions/7/rollback', { token })).status, 404);
+  });
+});
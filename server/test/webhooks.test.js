@@ -0,0 +1,143 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser, login, waitFor } = require('./helpers');
+const http = require('http');
+const { createReceiver } = require('../scripts/webhookReceiver');
+const { signPayload } = require('../lib/webhooks');
+const WebhookDelivery = require('../models/WebhookDelivery');
+
+const SECRET = 'a-test-secret-of-some-length';
+
+describe('webhooks', () => {
+  let server;
+  let token;
+  let receiver;
+  let receiverUrl;
+  // What the receiver got, and the statuses it answers with next (then 200)
+  let received = [];
+  let answers = [];
+
+  before(async () => {
+    server = await startServer();
+    await createUser('admin', 'Admin');
+    ({ token } = await login(server, 'admin'));
+    await server.engine.publish({
+      name: 'Order',
+      fields: [{ name: 'item', type: 'string' }],
+      rbac: { Admin: ['all'] },
+    });
+
+    receiver = createReceiver({
+      secret: SECRET,
+      respondWith: () => answers.shift() || 200,
+      onDelivery: (delivery) => received.push(delivery),
+    });
+    await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+
+    const { status } = await server.request('POST', '/api/webhooks', {
+      token,
+      body: { modelName: 'Order', events: ['created'], url: receiverUrl, secret: SECRET },
+    });
+    assert.equal(status, 201);
+  });
+
+  after(async () => {
+    await server.close();
+    await new Promise((resolve) => receiver.close(resolve));
+  });
+
+  const latestDelivery = () => WebhookDelivery.findOne({ order: [['id', 'DESC']] });
+
+  test('signs deliveries with an HMAC of the timestamp and body', async () => {
+    received = [];
+    const { body: order } = await server.request('POST', '/api/order', { token, body: { item: 'Tea' } });
+    const [delivery] = await waitFor(() => received.length > 0 && received);
+
+    assert.equal(delivery.verdict, 'valid');
+    const timestamp = delivery.headers['x-webhook-timestamp'];
+    assert.equal(delivery.headers['x-webhook-signature'], `sha256=${signPayload(SECRET, timestamp, delivery.body)}`);
+    assert.notEqual(delivery.headers['x-webhook-signature'], `sha256=${signPayload('another-secret-entirely', timestamp, delivery.body)}`);
+    assert.equal(delivery.headers['x-webhook-event'], 'created');
+
+    const payload = JSON.parse(delivery.body);
+    assert.equal(payload.event, 'created');
+    assert.equal(payload.model, 'Order');
+    assert.equal(payload.recordId, order.id);
+    assert.equal(payload.data.item, 'Tea');
+
+    const logged = await waitFor(async () => {
+      const row = await latestDelivery();
+      return row.status === 'succeeded' && row;
+    });
+    assert.equal(logged.attempts, 1);
+    assert.equal(logged.responseStatus, 200);
+  });
+
+  test('retries failed deliveries with exponential backoff', async () => {
+    received = [];
+    answers = [500, 503];
+    await server.request('POST', '/api/order', { token, body: { item: 'Coffee' } });
+
+    // First attempt fails: retried 30 s later
+    let delivery = await waitFor(async () => {
+      const row = await latestDelivery();
+      return row.attempts === 1 && row;
+    });
+    assert.equal(delivery.status, 'pending');
+    assert.equal(delivery.responseStatus, 500);
+    assert.equal(delivery.nextAttemptAt - delivery.lastAttemptAt, 30 * 1000);
+
+    // Second attempt (made due now) fails too: the wait doubles
+    await delivery.update({ nextAttemptAt: new Date() });
+    await server.engine.webhookQueue.processDueDeliveries();
+    await delivery.reload();
+    assert.equal(delivery.attempts, 2);
+    assert.equal(delivery.responseStatus, 503);
+    assert.equal(delivery.nextAttemptAt - delivery.lastAttemptAt, 60 * 1000);
+
+    // Not due yet: nothing is sent
+    await server.engine.webhookQueue.processDueDeliveries();
+    await delivery.reload();
+    assert.equal(delivery.attempts, 2);
+
+    // Third attempt succeeds
+    await delivery.update({ nextAttemptAt: new Date() });
+    await server.engine.webhookQueue.processDueDeliveries();
+    await delivery.reload();
+    assert.equal(delivery.status, 'succeeded');
+    assert.equal(delivery.attempts, 3);
+    assert.equal(received.length, 3);
+    assert.equal(new Set(received.map((r) => JSON.parse(r.body).id)).size, 1);
+  });
+
+  test('gives up after the last attempt', async () => {
+    answers = [500];
+    const delivery = await latestDelivery();
+    await delivery.update({ status: 'pending', attempts: 7, nextAttemptAt: new Date() });
+    await server.engine.webhookQueue.processDueDeliveries();
+    await delivery.reload();
+    assert.equal(delivery.status, 'failed');
+    assert.equal(delivery.attempts, 8);
+    assert.equal(delivery.nextAttemptAt, null);
+  });
+
+  test("doesn't make the change wait for the receivers", async () => {
+    // A receiver that never answers
+    const hanging = http.createServer(() => {});
+    await new Promise((resolve) => hanging.listen(0, '127.0.0.1', resolve));
+    try {
+      await server.request('POST', '/api/webhooks', {
+        token,
+        body: { modelName: 'Order', events: ['created'], url: `http://127.0.0.1:${hanging.address().port}/`, secret: SECRET },
+      });
+      const started = Date.now();
+      const { status } = await server.request('POST', '/api/order', { token, body: { item: 'Tea' } });
+      assert.equal(status, 201);
+      assert.ok(Date.now() - started < 2000);
+    } finally {
+      hanging.closeAllConnections();
+      await new Promise((resolve) => hanging.close(resolve));
+    }
+  });
+});